@@ -0,0 +1,222 @@
+/**
+ * Accessibility Lint
+ * Checks generated views/*.html for the WCAG problems generated templates keep
+ * shipping:
+ * - <img> without alt (1.1.1 Non-text Content)
+ * - heading levels that skip a level (1.3.1 Info and Relationships)
+ * - links and buttons with no text or label (2.4.4 Link Purpose, 4.1.2 Name, Role, Value)
+ * - click handlers on elements that can't be reached by keyboard (2.1.1 Keyboard)
+ *
+ * A missing alt is fixed when the template has text to use: the image's own alt
+ * text (`_alt` on what apos.image.first() returns) or the title of the doc shown.
+ *
+ * Issues are { path, line, column, rule, criterion, message, severity, fixed }
+ * with 1-based line and column.
+ */
+
+const CRITERIA = {
+  'img-alt': '1.1.1 Non-text Content',
+  'heading-order': '1.3.1 Info and Relationships',
+  'link-name': '2.4.4 Link Purpose (In Context)',
+  'button-name': '4.1.2 Name, Role, Value',
+  'click-keyboard': '2.1.1 Keyboard',
+};
+
+const CLICK_ATTRIBUTES = ['onclick', 'ondblclick', '@click', 'x-on:click', 'v-on:click'];
+const INTERACTIVE_ELEMENTS = ['button', 'input', 'select', 'textarea', 'summary', 'option', 'label'];
+
+// Lists whose items are docs, so `item.title` exists: data.pieces, _children, relationships
+const DOC_LIST = /^(data\.pieces|.+\._children|(.+\.)?_\w+)$/;
+
+const isTemplate = (file) => /(^|\/)views\/.+\.html$/.test(file.path);
+
+// Same length, same line breaks - offsets in the masked text are offsets in the template
+const keepLines = (fill) => (text) => text.replace(/[^\n]/g, fill);
+
+function locate(content, offset) {
+  const before = content.slice(0, offset).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+/**
+ * The template as plain HTML: tags and comments blanked, {{ output }} kept as
+ * text (x's), script and style bodies blanked
+ */
+function maskTemplate(content) {
+  return content
+    .replace(/\{#[\s\S]*?#\}|\{%[\s\S]*?%\}|<!--[\s\S]*?-->/g, keepLines(' '))
+    .replace(/\{\{[\s\S]*?\}\}/g, keepLines('x'))
+    .replace(/(<(script|style)\b[^>]*>)([\s\S]*?)(?=<\/\2\s*>)/gi, (match, open, tag, body) => open + keepLines(' ')(body));
+}
+
+/**
+ * Open and close tags in document order
+ * Attribute values are read from the template itself, so {{ }} in them survives.
+ */
+function readTags(content, masked) {
+  const tags = [];
+  const tagPattern = /<(\/?)([a-zA-Z][\w-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/g;
+  let match;
+
+  while ((match = tagPattern.exec(masked)) !== null) {
+    const [text, slash, name, rawAttributes] = match;
+    const attributesStart = match.index + 1 + slash.length + name.length;
+    const attributes = new Map();
+    const attributePattern = /([^\s"'=<>/]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s"'=<>`]+))?/g;
+    let attribute;
+
+    while ((attribute = attributePattern.exec(rawAttributes)) !== null) {
+      const valueStart = attributesStart + attribute.index + attribute[0].length - (attribute[2]?.length || 0);
+      const value = attribute[2] ? content.slice(valueStart, valueStart + attribute[2].length).replace(/^["']|["']$/g, '') : '';
+      attributes.set(attribute[1].toLowerCase(), value);
+    }
+
+    tags.push({
+      name: name.toLowerCase(),
+      closing: slash === '/',
+      selfClosing: /\/\s*$/.test(rawAttributes),
+      attributes,
+      start: match.index,
+      end: match.index + text.length,
+    });
+  }
+
+  return tags;
+}
+
+/**
+ * `{% for x in list %}` loops open at an offset, innermost last
+ */
+function loopsAt(content, offset) {
+  const loops = [];
+  const statementPattern = /\{%-?\s*(for\s+([\w$]+)(?:\s*,\s*[\w$]+)?\s+in\s+([\w$.]+)|endfor)\b/g;
+  let match;
+
+  while ((match = statementPattern.exec(content)) !== null && match.index < offset) {
+    if (match[1] === 'endfor') {
+      loops.pop();
+    } else {
+      loops.push({ variable: match[2], list: match[3] });
+    }
+  }
+
+  return loops;
+}
+
+const hasText = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * alt text for an Apostrophe image: its own alt text, or the title of the doc shown
+ */
+export function imageAltText(imageExpression, titleExpression = null) {
+  if (imageExpression && titleExpression) return `{{ ${imageExpression}._alt or ${titleExpression} }}`;
+  if (imageExpression) return `{{ ${imageExpression}._alt }}`;
+  return `{{ ${titleExpression} }}`;
+}
+
+/**
+ * Check and fix the templates in files
+ *
+ * moduleType picks the doc whose title an image can fall back to: data.page for
+ * pages (data.piece in show.html), none for widgets. Returns { files, issues };
+ * fixed issues are listed with fixed: true.
+ */
+export function checkAccessibility({ files, moduleType }) {
+  const issues = [];
+
+  const checkTemplate = (file) => {
+    const { path, content } = file;
+    const masked = maskTemplate(content);
+    const tags = readTags(content, masked);
+    const insertions = [];
+
+    const report = (rule, offset, message, severity, fixed = false) => {
+      issues.push({ path, ...locate(content, offset), rule, criterion: CRITERIA[rule], message, severity, fixed });
+    };
+
+    const pageDoc = moduleType === 'widget' ? null : (path.endsWith('/show.html') ? 'data.piece' : 'data.page');
+    const titleAt = (offset) => {
+      const innermost = loopsAt(content, offset).pop();
+      if (!innermost) return pageDoc ? `${pageDoc}.title` : null;
+      return DOC_LIST.test(innermost.list) ? `${innermost.variable}.title` : null;
+    };
+
+    // Text or label inside an element, up to its closing tag
+    const accessibleName = (tag, index) => {
+      if (['aria-label', 'aria-labelledby', 'title'].some(name => hasText(tag.attributes.get(name)))) return true;
+
+      const closeIndex = tags.findIndex((other, i) => i > index && other.closing && other.name === tag.name);
+      if (closeIndex === -1) return true; // Unclosed - leave it to the template compile
+      const inner = masked.slice(tag.end, tags[closeIndex].start).replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ');
+      if (/\S/.test(inner)) return true;
+
+      return tags.slice(index + 1, closeIndex).some(child => !child.closing && (
+        (child.name === 'img' && hasText(child.attributes.get('alt'))) || hasText(child.attributes.get('aria-label'))
+      ));
+    };
+
+    let previousHeading = null;
+
+    tags.forEach((tag, index) => {
+      if (tag.closing) return;
+      const { name, attributes } = tag;
+      const hidden = attributes.get('aria-hidden') === 'true';
+
+      // <img> needs alt (alt="" for decoration)
+      if (name === 'img' && !attributes.has('alt') && !hidden) {
+        const src = attributes.get('src') || '';
+        const image = src.match(/apos\.attachment\.url\(\s*(apos\.image\.first\([^)]*\)|[\w$.]+)/)?.[1] || null;
+        const title = titleAt(tag.start);
+
+        if (image || title) {
+          const alt = imageAltText(image, title);
+          const tagText = content.slice(tag.start, tag.end);
+          insertions.push({ offset: tag.start + tagText.search(/\s*\/?>$/), text: ` alt="${alt}"` });
+          report('img-alt', tag.start, `<img> had no alt text - added alt="${alt}"`, 'error', true);
+        } else {
+          report('img-alt', tag.start, '<img> has no alt text - describe the image, or use alt="" if it is decoration', 'error');
+        }
+      }
+
+      // Headings go down one level at a time
+      const heading = name.match(/^h([1-6])$/);
+      if (heading) {
+        const level = Number(heading[1]);
+        if (previousHeading && level > previousHeading + 1) {
+          report('heading-order', tag.start, `<h${level}> follows <h${previousHeading}> - heading levels should not skip <h${previousHeading + 1}>`, 'warning');
+        }
+        previousHeading = level;
+      }
+
+      // Links and buttons need a name screen readers can announce
+      if ((name === 'a' || name === 'button') && !tag.selfClosing && !hidden && !accessibleName(tag, index)) {
+        report(name === 'a' ? 'link-name' : 'button-name', tag.start,
+          `<${name}> has no text - add text, an aria-label, or alt text on the image inside it`, 'error');
+      }
+
+      // Click handlers belong on elements the keyboard can reach
+      const clickAttribute = CLICK_ATTRIBUTES.find(attribute => attributes.has(attribute));
+      const focusable = INTERACTIVE_ELEMENTS.includes(name) || (name === 'a' && attributes.has('href'))
+        || (attributes.has('role') && attributes.has('tabindex'));
+      if (clickAttribute && !focusable) {
+        report('click-keyboard', tag.start,
+          `<${name}> has ${clickAttribute} but can't be reached by keyboard - use a <button>, or add role="button", tabindex="0" and a key handler`, 'error');
+      }
+    });
+
+    if (insertions.length === 0) {
+      return file;
+    }
+
+    let fixed = content;
+    for (const insertion of insertions.sort((a, b) => b.offset - a.offset)) {
+      fixed = fixed.slice(0, insertion.offset) + insertion.text + fixed.slice(insertion.offset);
+    }
+    return { ...file, content: fixed };
+  };
+
+  return {
+    files: files.map(file => (isTemplate(file) ? checkTemplate(file) : file)),
+    issues,
+  };
+}
@@ -0,0 +1,318 @@
+/**
+ * Bundle Generation
+ * A bundle is a piece plus its page and/or widget. This is the one place that
+ * plans bundle members, generates them (in parallel) and assembles the result,
+ * so the wizard, natural-language requests and MCP clients all get identical bundles.
+ */
+
+import { generateModule } from './generator.js';
+import { extractSchemaFields } from './schema-linter.js';
+import { checkTemplateSchema } from './template-schema-checker.js';
+
+/**
+ * Fill in the defaults of a bundle config (flags plus park settings)
+ */
+export function normalizeBundleConfig(bundleConfig = {}) {
+  return {
+    includePiece: Boolean(bundleConfig.includePiece),
+    includePage: Boolean(bundleConfig.includePage),
+    includeWidget: Boolean(bundleConfig.includeWidget),
+    parkPage: Boolean(bundleConfig.parkPage),
+    parkUrl: bundleConfig.parkUrl || null,
+  };
+}
+
+/**
+ * The modules a bundle generates, with the generateModule() options for each
+ */
+export function planBundleMembers({ name, label, description, includeBemStyles = true, fullDesign = false, bundleConfig }) {
+  const config = normalizeBundleConfig(bundleConfig);
+  const bundleContext = {
+    isPartOfBundle: true,
+    basePieceName: name,
+  };
+  const members = [];
+
+  if (config.includePiece) {
+    members.push({
+      type: 'piece',
+      name, // Always use bundle name for piece
+      options: {
+        type: 'piece',
+        name,
+        label,
+        description,
+        includeBemStyles: false,
+        fullDesign: false,
+        bundleContext,
+      },
+    });
+  }
+
+  if (config.includePage) {
+    // Bundle pages are ALWAYS parked pages - default parkUrl "product" -> "/products"
+    members.push({
+      type: 'page',
+      name: `${name}-page`,
+      options: {
+        type: 'page',
+        name: `${name}-page`,
+        label: `${label} Page`,
+        description,
+        includeBemStyles,
+        fullDesign,
+        parkPage: true,
+        parkUrl: config.parkUrl || `/${name}s`,
+        bundleContext,
+      },
+    });
+  }
+
+  if (config.includeWidget) {
+    members.push({
+      type: 'widget',
+      name: `${name}-widget`,
+      options: {
+        type: 'widget',
+        name: `${name}-widget`,
+        label: `${label} Widget`,
+        description,
+        includeBemStyles,
+        fullDesign,
+        bundleContext,
+      },
+    });
+  }
+
+  // Members lint against each other (a widget's relationship to the bundle's piece)
+  bundleContext.modules = members.map(member => ({ type: member.type, name: member.name }));
+
+  return members;
+}
+
+/**
+ * Folder generateModule() writes a member to (widgets get a -widget suffix)
+ */
+function memberSourceFolder(member) {
+  const subdirectory = member.type === 'widget' ? 'widgets' : (member.type === 'piece' ? 'pieces' : 'pages');
+  const folderName = member.type === 'widget' ? `${member.name}-widget` : member.name;
+  return `modules/${subdirectory}/${folderName}/`;
+}
+
+/**
+ * Cross-check the bundle page's templates against the piece schema - show.html
+ * reads data.piece, index.html data.pieces. Fixes go into the page's files,
+ * problems into the member they belong to (unused fields are the piece's).
+ */
+function crossCheckPiecePage(members) {
+  const piece = members.find(member => member.type === 'piece');
+  const page = members.find(member => member.type === 'page');
+  if (!piece || !page) {
+    return;
+  }
+
+  const schemaPath = `${memberSourceFolder(piece)}index.js`;
+  const fields = extractSchemaFields(piece.files.find(f => f.path === schemaPath)?.content || '');
+  const result = checkTemplateSchema({
+    files: page.files,
+    contexts: [{ root: 'data.piece', fields, schemaPath }, { root: 'data.pieces', fields, schemaPath }],
+  });
+
+  if (result.fixes.length > 0) {
+    console.error(`🔧 Fixed piece field references in the page: ${result.fixes.join('; ')}`);
+  }
+  page.files = result.files;
+
+  // A retried bundle checks the kept members again - don't repeat their problems
+  const key = (d) => `${d.path}:${d.line}:${d.column}:${d.message}`;
+  piece.diagnostics = [...(piece.diagnostics || [])];
+  page.diagnostics = [...(page.diagnostics || [])];
+  const seen = new Set([...piece.diagnostics, ...page.diagnostics].map(key));
+
+  for (const diagnostic of result.diagnostics) {
+    if (seen.has(key(diagnostic))) continue;
+    seen.add(key(diagnostic));
+    (diagnostic.path === schemaPath ? piece : page).diagnostics.push(diagnostic);
+  }
+}
+
+/**
+ * Build the bundle result from the members that were generated
+ *
+ * members: [{ type, name, files, diagnostics, moduleHealth, accessibility }] in piece/page/widget order.
+ * With a piece plus a page or widget this is a real bundle: every member moves
+ * into modules/pieces/{name}-module/{member}/ next to a parent index.js and
+ * modules.js. Otherwise the members stay separate modules. SCSS always stays
+ * in modules/asset/.
+ */
+export function assembleBundle({ name, bundleConfig, members }) {
+  const config = normalizeBundleConfig(bundleConfig);
+  const memberCount = [config.includePiece, config.includePage, config.includeWidget].filter(Boolean).length;
+  const isRealBundle = config.includePiece && memberCount > 1;
+  const bundleModules = members.map(member => ({ type: member.type, name: member.name }));
+
+  if (!isRealBundle) {
+    const files = members.flatMap(member => member.files);
+    return {
+      files,
+      diagnostics: members.flatMap(member => member.diagnostics || []),
+      moduleHealth: members.flatMap(member => member.moduleHealth || []),
+      accessibility: members.flatMap(member => member.accessibility || []),
+      moduleName: name,
+      moduleType: 'bundle',
+      isBundle: true,
+      isRealBundle: false,
+      bundleModules,
+      bundleConfig: config,
+      message: `Generated ${members.length} separate modules`,
+    };
+  }
+
+  const bundleFolder = `modules/pieces/${name}-module/`;
+  const files = [
+    {
+      path: `${bundleFolder}index.js`,
+      content: `export default {
+  options: {
+    ignoreNoCodeWarning: true
+  }
+};
+`,
+    },
+    {
+      path: `${bundleFolder}modules.js`,
+      content: `export default {
+${bundleModules.map(m => `  '${m.name}': {}`).join(',\n')}
+};
+`,
+    },
+  ];
+
+  const diagnostics = [];
+  const moduleHealth = [];
+  const accessibility = [];
+
+  for (const member of members) {
+    const sourceFolder = memberSourceFolder(member);
+    const relocate = (item) => (item.path.startsWith(sourceFolder)
+      ? { ...item, path: `${bundleFolder}${member.name}/${item.path.substring(sourceFolder.length)}` }
+      : item);
+
+    files.push(...member.files.map(relocate));
+    diagnostics.push(...(member.diagnostics || []).map(relocate));
+    moduleHealth.push(...(member.moduleHealth || []).map(relocate));
+    accessibility.push(...(member.accessibility || []).map(relocate));
+  }
+
+  return {
+    files,
+    diagnostics,
+    moduleHealth,
+    accessibility,
+    moduleName: name,
+    moduleType: 'bundle',
+    isBundle: true,
+    isRealBundle: true,
+    bundleModules,
+    bundleConfig: config, // CRITICAL: saving needs bundleConfig for page registration
+    message: `Generated bundle with ${bundleModules.length} internal modules`,
+  };
+}
+
+/**
+ * Generate a bundle
+ *
+ * Members generate in parallel. onProgress(stage, message, percentage, data) reports
+ * overall progress, with data.member / data.memberPercentage (and data.file for
+ * streamed files). If some members fail, the others are still returned with
+ * `partial`, `failedMembers` and `retry` - pass that back as options.retry to
+ * regenerate only the failed members. Throws if every member fails.
+ *
+ * A bundle of just a piece is generated as a plain piece module.
+ */
+export async function generateBundle(options) {
+  const { project, name, label, description, includeBemStyles = true, fullDesign = false, bundleConfig, retry, onProgress, signal } = options;
+  const reportProgress = onProgress || (() => {});
+  const config = normalizeBundleConfig(bundleConfig);
+
+  const members = planBundleMembers({ name, label, description, includeBemStyles, fullDesign, bundleConfig: config });
+  if (members.length === 0) {
+    throw new Error('Bundle must include at least one module type');
+  }
+
+  if (members.length === 1 && members[0].type === 'piece') {
+    reportProgress('init', `Generating single piece module: ${name}`, 0);
+    const { bundleContext, ...pieceOptions } = members[0].options;
+    const result = await generateModule({ project, ...pieceOptions, onProgress: reportProgress, signal });
+    reportProgress('complete', `Generated piece module with ${result.files.length} files!`, 100);
+    return { ...result, message: `Generated piece module with ${result.files.length} files` };
+  }
+
+  // Retrying a partial bundle: members that already succeeded are reused as-is
+  const completedMembers = retry?.completedMembers || {};
+  const toGenerate = members.filter(member => !completedMembers[member.type]);
+
+  reportProgress('init', toGenerate.length < members.length
+    ? `Retrying failed part(s) of ${name}: ${toGenerate.map(m => m.type).join(', ')}`
+    : `Preparing to generate ${config.includePiece ? 'bundle' : 'modules'}: ${name} (${members.length} parts in parallel)`, 0);
+
+  // Members run side by side - the overall bar (10-100) is the average of their own bars
+  const memberPercentages = Object.fromEntries(members.map(member => [member.type, 0]));
+  const memberProgress = (member) => (stage, message, percentage, data = {}) => {
+    memberPercentages[member] = percentage;
+    const average = Object.values(memberPercentages).reduce((sum, value) => sum + value, 0) / members.length;
+    reportProgress(stage, message, Math.round(10 + 0.9 * average), { ...data, member, memberPercentage: percentage });
+  };
+
+  const settled = await Promise.allSettled(members.map(async (member) => {
+    const reportMemberProgress = memberProgress(member.type);
+
+    if (completedMembers[member.type]) {
+      reportMemberProgress('ready', `Kept ${member.type} from the previous run`, 100);
+      return completedMembers[member.type];
+    }
+
+    const result = await generateModule({ project, ...member.options, onProgress: reportMemberProgress, signal });
+    reportMemberProgress('ready', `Generated ${member.type} (${result.files.length} files)`, 100);
+    return { files: result.files, diagnostics: result.diagnostics || [], moduleHealth: result.moduleHealth || [], accessibility: result.accessibility || [] };
+  }));
+
+  if (signal?.aborted) {
+    throw new Error('Generation cancelled');
+  }
+
+  const generated = [];
+  const failedMembers = [];
+
+  settled.forEach((outcome, index) => {
+    const member = members[index];
+    if (outcome.status === 'fulfilled') {
+      generated.push({ type: member.type, name: member.name, ...outcome.value });
+    } else {
+      console.error(`❌ Bundle member ${member.type} failed: ${outcome.reason.message}`);
+      failedMembers.push({ type: member.type, name: member.name, error: outcome.reason.message });
+      memberProgress(member.type)('failed', `Failed to generate ${member.type}: ${outcome.reason.message}`, memberPercentages[member.type]);
+    }
+  });
+
+  if (generated.length === 0) {
+    throw new Error(`Failed to generate bundle: ${failedMembers.map(m => `${m.type} - ${m.error}`).join('; ')}`);
+  }
+
+  crossCheckPiecePage(generated);
+
+  const result = assembleBundle({ name, bundleConfig: config, members: generated });
+
+  if (failedMembers.length > 0) {
+    const failedNote = ` (${failedMembers.map(m => m.type).join(', ')} failed)`;
+    result.message += failedNote;
+    result.partial = true;
+    result.failedMembers = failedMembers;
+    result.retry = {
+      completedMembers: Object.fromEntries(generated.map(member => [member.type, { files: member.files, diagnostics: member.diagnostics, moduleHealth: member.moduleHealth, accessibility: member.accessibility }])),
+    };
+  }
+
+  reportProgress('complete', `${result.message}!`, 100);
+  return result;
+}
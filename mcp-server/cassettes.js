@@ -0,0 +1,118 @@
+/**
+ * LLM Cassettes
+ * Records every prompt and raw response to disk, and replays them without a model call.
+ * Lets parse failures and post-processing (image fixes, SCSS synthesis) be
+ * reproduced offline against real historical outputs.
+ *
+ *   LLM_CASSETTE_MODE=record  call the backend and save each response
+ *   LLM_CASSETTE_MODE=replay  serve saved responses only - missing cassette is an error
+ *   LLM_CASSETTE_DIR          one folder to record to and replay from
+ *
+ * By default recordings go to mcp-server/cassettes/scratch/ (git-ignored), and
+ * replay reads the committed mcp-server/cassettes/ first, then scratch/. Move
+ * a recording up out of scratch/ to share it.
+ */
+
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Committed cassettes - shared fixtures for deterministic runs
+const SHARED_DIR = join(__dirname, 'cassettes');
+// Fresh recordings - full prompts and responses, kept out of git until reviewed
+const SCRATCH_DIR = join(SHARED_DIR, 'scratch');
+
+const RECORD_DIR = process.env.LLM_CASSETTE_DIR || SCRATCH_DIR;
+const REPLAY_DIRS = process.env.LLM_CASSETTE_DIR ? [process.env.LLM_CASSETTE_DIR] : [SHARED_DIR, SCRATCH_DIR];
+
+const CASSETTE_MODES = ['off', 'record', 'replay'];
+
+/**
+ * Hash the prompt plus the options that shape the response
+ * (timeouts and signals don't change what the model says, so they're left out)
+ */
+export function cassetteKey(prompt, { task } = {}) {
+  return createHash('sha256')
+    .update(JSON.stringify({
+      prompt,
+      task: task?.name || null,
+      vars: task?.vars || null
+    }))
+    .digest('hex');
+}
+
+/**
+ * Cassette file name for a prompt - task name first so the directory is browsable
+ */
+function cassetteFile(prompt, options) {
+  const prefix = options.task?.name || 'prompt';
+  return `${prefix}-${cassetteKey(prompt, options).substring(0, 16)}.json`;
+}
+
+/**
+ * Wrap a backend so its calls are recorded to or replayed from cassettes
+ */
+export function withCassettes(backend, mode = process.env.LLM_CASSETTE_MODE || 'off') {
+  mode = mode.toLowerCase();
+
+  if (!CASSETTE_MODES.includes(mode)) {
+    throw new Error(`Unknown LLM_CASSETTE_MODE "${mode}" (expected one of: ${CASSETTE_MODES.join(', ')})`);
+  }
+
+  if (mode === 'off') {
+    return backend;
+  }
+
+  if (mode === 'replay') {
+    return {
+      name: `${backend.name}+replay`,
+      needsCli: false,
+      async complete(prompt, options = {}) {
+        if (options.signal?.aborted) {
+          throw new Error('Generation cancelled');
+        }
+
+        const path = REPLAY_DIRS.map(dir => join(dir, cassetteFile(prompt, options))).find(existsSync);
+        if (!path) {
+          throw new Error(`No cassette for this prompt (${options.task?.name || 'prompt'}, key ${cassetteKey(prompt, options).substring(0, 16)}) in ${REPLAY_DIRS.join(' or ')} - record it first with LLM_CASSETTE_MODE=record`);
+        }
+
+        const cassette = JSON.parse(readFileSync(path, 'utf-8'));
+        console.error(`📼 Replaying cassette ${path} (recorded ${cassette.recordedAt} from ${cassette.backend})`);
+        options.onText?.(cassette.response);
+        return cassette.response;
+      }
+    };
+  }
+
+  return {
+    name: `${backend.name}+record`,
+    needsCli: backend.needsCli,
+    async complete(prompt, options = {}) {
+      const response = await backend.complete(prompt, options);
+
+      // Only what the model actually returned is recorded - failed calls have nothing to replay
+      const path = join(RECORD_DIR, cassetteFile(prompt, options));
+      try {
+        mkdirSync(RECORD_DIR, { recursive: true });
+        writeFileSync(path, JSON.stringify({
+          key: cassetteKey(prompt, options),
+          recordedAt: new Date().toISOString(),
+          backend: backend.name,
+          task: options.task || null,
+          prompt,
+          response
+        }, null, 2) + '\n');
+        console.error(`📼 Recorded cassette ${path}`);
+      } catch (error) {
+        console.error(`⚠️  Could not record cassette ${path}: ${error.message}`);
+      }
+
+      return response;
+    }
+  };
+}
@@ -0,0 +1,101 @@
+/**
+ * Files Stream Parser
+ * Incrementally parses Claude's `{ "files": [ {path, content}, ... ] }` response
+ * while it streams in, so each file can be shown as soon as its object closes.
+ *
+ * Tolerates prose or code fences before the JSON. Only used for live previews -
+ * the full response is still parsed (and post-processed) once it completes.
+ */
+
+/**
+ * Create a parser that calls onFile(file, index) for every completed file object
+ */
+export function createFilesStreamParser(onFile) {
+  let buffer = '';
+  let position = 0;
+  let state = 'seek-files';  // seek-files -> in-array -> in-file -> (back to in-array) -> done
+  let fileStart = -1;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let fileCount = 0;
+
+  const emitFile = (text) => {
+    let file;
+    try {
+      file = JSON.parse(text);
+    } catch (error) {
+      // Malformed element - the full parse at the end will report it
+      return;
+    }
+
+    if (file && typeof file.path === 'string' && typeof file.content === 'string') {
+      onFile(file, fileCount++);
+    }
+  };
+
+  const scan = () => {
+    if (state === 'seek-files') {
+      const match = /"files"\s*:\s*\[/.exec(buffer.substring(position));
+      if (!match) {
+        // Keep enough of the tail to match a key split across chunks
+        position = Math.max(position, buffer.length - 16);
+        return;
+      }
+      position += match.index + match[0].length;
+      state = 'in-array';
+    }
+
+    while (position < buffer.length && state !== 'done') {
+      const char = buffer[position];
+
+      if (state === 'in-array') {
+        if (char === '{') {
+          state = 'in-file';
+          fileStart = position;
+          depth = 1;
+          inString = false;
+          escaped = false;
+        } else if (char === ']') {
+          state = 'done';
+        }
+        position++;
+        continue;
+      }
+
+      // in-file: string-aware brace counting
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}') {
+        depth--;
+        if (depth === 0) {
+          emitFile(buffer.substring(fileStart, position + 1));
+          state = 'in-array';
+        }
+      }
+      position++;
+    }
+  };
+
+  return {
+    push(chunk) {
+      if (state === 'done' || !chunk) return;
+      buffer += chunk;
+      scan();
+    },
+
+    get fileCount() {
+      return fileCount;
+    }
+  };
+}
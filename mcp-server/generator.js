@@ -3,16 +3,35 @@
  * Contains all the prompt building and Claude calling logic
  */
 
-import { spawn } from 'child_process';
-import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
-import { join, dirname } from 'path';
+import { readFileSync, existsSync } from 'fs';
+import { join, dirname, relative, sep } from 'path';
 import { fileURLToPath } from 'url';
 import { extractDesignTokens, generateTokenAwareSCSS, formatTokensForPrompt } from './design-token-parser.js';
+import { getLlmBackend } from './llm-backends.js';
+import { createFilesStreamParser } from './files-stream-parser.js';
+import { parseFilesResponse, findJsonObject } from './json-extractor.js';
+import { getModuleContract, validateGeneratedFiles, getBlockingViolations, formatViolations, buildRepairPrompt, mergeRepairedFiles } from './output-validator.js';
+import { checkJavaScriptFiles, getExpectedExtend, buildJavaScriptRepairPrompt } from './js-checker.js';
+import { checkTemplateFiles } from './template-checker.js';
+import { checkProjectStylesheet, getScssImports, addScssImports, MAIN_SCSS_PATH } from './scss-checker.js';
+import { lintModuleSchema, createLintContext, extractSchemaFields } from './schema-linter.js';
+import { checkTemplateSchema } from './template-schema-checker.js';
+import { resolveModulesPath } from './path-policy.js';
+import { checkModuleHealth } from './module-sandbox.js';
+import { checkAccessibility, imageAltText } from './a11y-checker.js';
+import { createUnifiedDiff } from './unified-diff.js';
+import { applyStagedWrites } from './save-transaction.js';
+import { findConflicts, conflictError, mergeError, findFreeModuleName, renameModuleFiles, renameParkUrl, mergeFileContent, moduleFolder } from './save-conflicts.js';
+import { registrationFor, createModulesFile, registerModule } from './modules-registry.js';
+import { PAGE_INDEX_PATH, findPageModule, registerPageType, registerParkedPage, projectReader } from './page-registry.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const DOCS_PATH = join(__dirname, '..', 'server', 'apostrophe-docs');
 
+// Repair prompts sent for one module before an incomplete response is given up on
+const MAX_REPAIR_ROUNDS = 2;
+
 /**
  * Get available asset functions from project
  */
@@ -50,9 +69,20 @@ function getAvailableAssetFunctions(project) {
 
 /**
  * Generate module using Claude CLI
+ *
+ * options.onProgress(stage, message, percentage, data) is called at each real step
+ * so callers can forward progress (MCP progress notifications, SSE). While Claude
+ * streams, each finished file is reported as stage 'file' with data.file.
+ * options.signal (AbortSignal) cancels the generation and kills the Claude CLI.
  */
 export async function generateModule(options) {
-  const { project, type, name, label, description, includeBemStyles, fullDesign = false, bundleContext } = options;
+  const { project, type, name, label, description, includeBemStyles, fullDesign = false, bundleContext, onProgress, signal } = options;
+  // Percentages never go down - a retry after streamed files keeps the bar where it is
+  let percentageSoFar = 0;
+  const reportProgress = (stage, message, percentage, data) => {
+    percentageSoFar = Math.max(percentageSoFar, percentage);
+    onProgress?.(stage, message, percentageSoFar, data);
+  };
 
   const subdirectory = type === 'widget' ? 'widgets' : (type === 'piece' ? 'pieces' : 'pages');
   // Widgets should always have -widget suffix in their folder name
@@ -69,6 +99,7 @@ export async function generateModule(options) {
   let designTokens = null;
   if (includeBemStyles) {
     console.error(`\n🎨 Extracting design tokens for SCSS generation...`);
+    reportProgress('tokens', 'Extracting design tokens from project SCSS', 10);
     designTokens = extractDesignTokens(project.path);
     if (designTokens.success) {
       console.error(`✅ Found ${designTokens.tokens.total} design tokens`);
@@ -79,6 +110,7 @@ export async function generateModule(options) {
   }
 
   // Build the prompt
+  reportProgress('prompt', 'Building generation prompt with BEM patterns', 20);
   const prompt = buildPrompt({
     type,
     name,
@@ -128,31 +160,49 @@ export async function generateModule(options) {
     console.error(`   ⚠️  Large prompt (>100KB) - using stdin to avoid command-line limits`);
   }
 
-  let response = await callClaude(prompt, timeoutMs);
+  // Set appropriate progress message based on complexity
+  let claudeMessage;
+  if (type === 'page' && fullDesign) {
+    claudeMessage = `Generating ${name} page with Full Design (this may take 2-3 minutes)`;
+  } else if (type === 'page') {
+    claudeMessage = `Generating ${name} page (this may take 1-2 minutes)`;
+  } else if (fullDesign) {
+    claudeMessage = `Generating ${name} ${type} with Full Design (this may take 1-2 minutes)`;
+  } else {
+    claudeMessage = `Generating ${name} ${type} (this may take 10-60 seconds)`;
+  }
+  reportProgress('claude', claudeMessage, 30);
+
+  // Tells the fixture backend which canned module to return
+  const llmTask = {
+    name: type === 'page' && bundleContext?.isPartOfBundle ? 'generate-piece-page' : `generate-${type}`,
+    vars: { name, label, description, correctPath, pieceName: bundleContext?.basePieceName }
+  };
+
+  // Push each file to the caller as soon as its JSON object is complete
+  const filesStream = createFilesStreamParser((file, index) => {
+    reportProgress('file', `Received ${file.path}`, Math.min(65, 35 + index * 5), { file });
+  });
+
+  let response = await callClaude(prompt, { timeoutMs, signal, task: llmTask, onText: (text) => filesStream.push(text) });
 
   // DEBUG: Log raw response
   console.error(`\n📥 RAW CLAUDE RESPONSE (first 500 chars):`);
   console.error(response.substring(0, 500));
   console.error(`\n📏 Total response length: ${response.length} characters\n`);
 
-  // Parse response - extract ONLY the JSON object, nothing after it
-  let cleaned = response.trim();
-
-  // Remove code fences
-  cleaned = cleaned.replace(/^```json\s*/m, '').replace(/\s*```$/m, '');
-  cleaned = cleaned.replace(/^```\s*/m, '').replace(/\s*```$/m, '');
-
-  // Find the first { and match braces to find the complete JSON object
-  let firstBrace = cleaned.indexOf('{');
+  // Parse response - the JSON may come with prose or code fences around it
+  let parsed = parseFilesResponse(response);
 
   // RETRY MECHANISM: If Claude returned text instead of JSON, retry once with a simpler prompt
-  if (firstBrace === -1) {
+  if (parsed.files.length === 0 && !parsed.truncated) {
     console.error(`\n⚠️  Claude returned text instead of JSON. Retrying with JSON-only prompt...`);
+    reportProgress('retry', 'Claude returned text instead of JSON - retrying with JSON-only prompt', 50);
 
     const retryPrompt = `You previously generated a description instead of JSON. I need you to convert this description into the required JSON format.
 
 Previous response (convert this to JSON):
-${cleaned.substring(0, 2000)}
+${response.trim().substring(0, 2000)}
 
 REQUIRED OUTPUT FORMAT - Return ONLY this JSON structure:
 {
@@ -181,23 +231,23 @@ REQUIRED OUTPUT FORMAT - Return ONLY this JSON structure:
 START WITH { NOW:`;
 
     try {
-      response = await callClaude(retryPrompt, timeoutMs);
+      response = await callClaude(retryPrompt, { timeoutMs, signal, task: llmTask });
       console.error(`\n📥 RETRY RESPONSE (first 500 chars):`);
       console.error(response.substring(0, 500));
-
-      cleaned = response.trim();
-      cleaned = cleaned.replace(/^```json\s*/m, '').replace(/\s*```$/m, '');
-      cleaned = cleaned.replace(/^```\s*/m, '').replace(/\s*```$/m, '');
-      firstBrace = cleaned.indexOf('{');
+      parsed = parseFilesResponse(response);
     } catch (retryError) {
+      if (signal?.aborted) {
+        throw retryError;
+      }
       console.error(`\n❌ Retry also failed: ${retryError.message}`);
     }
   }
 
-  if (firstBrace === -1) {
-    console.error(`\n❌ PARSE ERROR - Could not find opening { in response (even after retry)`);
+  if (parsed.files.length === 0 && !parsed.truncated) {
+    const cleaned = response.trim();
+    console.error(`\n❌ PARSE ERROR - Could not find the files JSON in response (even after retry)`);
     console.error(`\n📏 Response length: ${cleaned.length} characters`);
-    console.error(`\n📄 FULL CLEANED RESPONSE (first 2000 chars):\n${cleaned.substring(0, 2000)}`);
+    console.error(`\n📄 FULL RESPONSE (first 2000 chars):\n${cleaned.substring(0, 2000)}`);
     if (cleaned.length > 2000) {
       console.error(`\n... (${cleaned.length - 2000} more characters)`);
       console.error(`\nLAST 500 chars:\n${cleaned.substring(cleaned.length - 500)}`);
@@ -216,62 +266,28 @@ START WITH { NOW:`;
     throw new Error(`Could not find valid JSON in Claude response. Response starts with: "${cleaned.substring(0, 200)}..."\n\nPlease try again. If this persists, try simplifying your description.`);
   }
 
-  // Extract JSON by counting braces
-  let braceCount = 0;
-  let jsonEnd = firstBrace;
-  for (let i = firstBrace; i < cleaned.length; i++) {
-    if (cleaned[i] === '{') braceCount++;
-    if (cleaned[i] === '}') braceCount--;
-    if (braceCount === 0) {
-      jsonEnd = i + 1;
-      break;
-    }
-  }
-
-  const jsonString = cleaned.substring(firstBrace, jsonEnd);
-
-  console.error(`\n📋 Extracted JSON (${jsonString.length} chars)`);
-  console.error(`First 500 chars: ${jsonString.substring(0, 500)}`);
-
-  let result;
-  try {
-    result = JSON.parse(jsonString);
-  } catch (parseError) {
-    console.error(`\n❌ JSON PARSE ERROR: ${parseError.message}`);
-    console.error(`\nAttempted to parse (first 1000 chars):\n${jsonString.substring(0, 1000)}`);
-
-    // Try to clean common issues
-    let fixedJson = jsonString;
-
-    // Remove trailing commas before } or ]
-    fixedJson = fixedJson.replace(/,(\s*[\}\]])/g, '$1');
-
-    // Remove leading commas after { or [
-    fixedJson = fixedJson.replace(/([\{\[])\s*,/g, '$1');
-
-    // Remove double commas
-    fixedJson = fixedJson.replace(/,\s*,/g, ',');
-
-    // Remove commas before colons (invalid: "key":, "value")
-    fixedJson = fixedJson.replace(/,(\s*:)/g, '$1');
-
-    console.error(`\n🔧 Attempting to fix JSON issues...`);
+  reportProgress('parsing', `Parsing generated code (${response.length} characters)`, 70);
 
-    // Try parsing the fixed version
-    try {
-      result = JSON.parse(fixedJson);
-      console.error(`✅ Successfully parsed after automatic fixes`);
-    } catch (retryError) {
-      console.error(`\n❌ Still failed after cleanup: ${retryError.message}`);
-      console.error(`\nOriginal JSON (first 1000 chars):\n${jsonString.substring(0, 1000)}`);
-      console.error(`\nFixed JSON (first 1000 chars):\n${fixedJson.substring(0, 1000)}`);
-      throw new Error(`Failed to parse JSON: ${parseError.message}`);
-    }
+  let files = parsed.files;
+  if (parsed.truncated) {
+    files = await requestRemainingFiles({ prompt, files, timeoutMs, signal, task: llmTask, reportProgress });
+  } else if (!parsed.complete) {
+    console.error(`⚠️  Response JSON is malformed - recovered ${files.length} complete file(s): ${files.map(f => f.path).join(', ')}`);
   }
 
-  if (!result.files || !Array.isArray(result.files)) {
-    throw new Error('Invalid response format: missing files array');
-  }
+  const result = { files };
+
+  // Check the files against the module contract - Claude is asked again for anything missing or invalid
+  result.files = await validateAndRepairFiles({
+    type,
+    name,
+    label,
+    files: result.files,
+    contract: getModuleContract({ type, correctPath, isPiecePage: type === 'page' && bundleContext?.isPartOfBundle }),
+    timeoutMs,
+    signal,
+    reportProgress
+  });
 
   // DEBUG: Log what Claude returned
   console.error(`\n=== CLAUDE RESPONSE DEBUG ===`);
@@ -290,6 +306,12 @@ START WITH { NOW:`;
     const scssPath = `modules/asset/ui/src/scss/${scssSubdir}/_${name}.scss`;
     const claudeProvidedScss = result.files.some(f => f.path === scssPath);
 
+    if (claudeProvidedScss) {
+      reportProgress('scss', 'Validating generated SCSS against design tokens', 85);
+    } else {
+      reportProgress('scss', 'Generating SCSS to match HTML classes', 85);
+    }
+
     if (claudeProvidedScss && fullDesign) {
       console.error(`✅ Claude provided production-ready SCSS in fullDesign mode`);
 
@@ -366,18 +388,230 @@ START WITH { NOW:`;
 
   // POST-PROCESSING: Fix image field references in templates
   // This ensures template field names match schema field names and use correct Apostrophe patterns
+  reportProgress('images', 'Fixing image field references in templates', 95);
   result.files = fixImageFieldReferences(result.files, type);
 
+  // Parse every .js file - errors go back to Claude, whatever remains is shown before Save
+  const expectedExtend = getExpectedExtend(type, type === 'page' && bundleContext?.isPartOfBundle);
+  const checked = await checkAndRepairJavaScript({
+    type,
+    name,
+    files: result.files,
+    moduleIndexPath: `${correctPath}/index.js`,
+    expectedExtend,
+    timeoutMs,
+    signal,
+    reportProgress
+  });
+
+  // Lint the schema against the project (and the bundle's other members, which don't exist yet)
+  const siblings = bundleContext?.modules || [];
+  const indexContent = checked.files.find(f => f.path === `${correctPath}/index.js`)?.content || '';
+  const schemaDiagnostics = lintModuleSchema({
+    path: `${correctPath}/index.js`,
+    content: indexContent,
+    context: createLintContext(project.path, {
+      pieceTypes: [...(type === 'piece' ? [name] : []), ...siblings.filter(m => m.type === 'piece').map(m => m.name)],
+      widgets: [...(type === 'widget' ? [name] : []), ...siblings.filter(m => m.type === 'widget').map(m => m.name.replace(/-widget$/, ''))],
+    }),
+  });
+  if (schemaDiagnostics.length > 0) {
+    console.error(`⚠️  Schema problems: ${schemaDiagnostics.map(d => `${d.path}:${d.line}:${d.column} ${d.message}`).join('; ')}`);
+  }
+
+  // Load index.js in a sandbox and check the module definition it really exports
+  const moduleHealth = checkModuleHealth({ path: `${correctPath}/index.js`, content: indexContent, expectedExtend });
+  const unhealthy = moduleHealth.checks.filter(c => c.status !== 'ok');
+  if (unhealthy.length > 0) {
+    console.error(`🩺 Module health: ${unhealthy.map(c => `${c.check} - ${c.message}`).join('; ')}`);
+  }
+
+  // Cross-check what the templates read against the schema (pieces are rendered by their page)
+  const crossReference = type === 'piece'
+    ? { files: checked.files, diagnostics: [], fixes: [] }
+    : checkTemplateSchema({
+      files: checked.files,
+      contexts: [{ root: type === 'widget' ? 'data.widget' : 'data.page', fields: extractSchemaFields(indexContent), schemaPath: `${correctPath}/index.js` }],
+    });
+  checked.files = crossReference.files;
+  if (crossReference.fixes.length > 0) {
+    console.error(`🔧 Fixed template field references: ${crossReference.fixes.join('; ')}`);
+  }
+  if (crossReference.diagnostics.length > 0) {
+    console.error(`⚠️  Template/schema mismatches: ${crossReference.diagnostics.map(d => `${d.path}:${d.line}:${d.column} ${d.message}`).join('; ')}`);
+  }
+
+  // Accessibility pass over the templates - adds missing alt text where the template has some
+  const accessibility = checkAccessibility({ files: checked.files, moduleType: type });
+  checked.files = accessibility.files;
+  const a11yFixed = accessibility.issues.filter(issue => issue.fixed);
+  const a11yLeft = accessibility.issues.filter(issue => !issue.fixed);
+  if (a11yFixed.length > 0) {
+    console.error(`🔧 Fixed accessibility: ${a11yFixed.map(i => `${i.path}:${i.line} ${i.message}`).join('; ')}`);
+  }
+  if (a11yLeft.length > 0) {
+    console.error(`♿ Accessibility issues: ${a11yLeft.map(i => `${i.path}:${i.line}:${i.column} WCAG ${i.criterion} - ${i.message}`).join('; ')}`);
+  }
+
+  // Compile templates last - fixImageFieldReferences() injects {% set %} blocks of its own
+  const templateDiagnostics = checkTemplateFiles(checked.files);
+  if (templateDiagnostics.length > 0) {
+    console.error(`⚠️  Template errors: ${templateDiagnostics.map(d => `${d.path}:${d.line}:${d.column} ${d.message}`).join('; ')}`);
+  }
+
+  // Build the project's index.scss with the new partial imported, as Save will
+  const styleDiagnostics = checkProjectStylesheet({ projectPath: project.path, files: checked.files, moduleName: name, moduleType: type });
+  if (styleDiagnostics.length > 0) {
+    console.error(`⚠️  Stylesheet problems: ${styleDiagnostics.map(d => `${d.path}:${d.line}:${d.column} ${d.message}`).join('; ')}`);
+  }
+
   // Note: Page registration is now handled automatically in saveModuleFiles()
   // No manual registration note needed anymore
 
   return {
-    files: result.files,
+    files: checked.files,
     moduleName: name,
     moduleType: type,
+    diagnostics: [...checked.diagnostics, ...schemaDiagnostics, ...crossReference.diagnostics, ...templateDiagnostics, ...styleDiagnostics],
+    moduleHealth: [moduleHealth],
+    accessibility: accessibility.issues,
   };
 }
 
+/**
+ * Validate generated files and run bounded repair rounds for contract violations
+ * Returns the accepted files; throws if required files are still missing or duplicated
+ */
+async function validateAndRepairFiles({ type, name, label, files, contract, timeoutMs, signal, reportProgress }) {
+  reportProgress('validating', 'Checking generated files against the module contract', 72);
+  let { files: accepted, violations } = validateGeneratedFiles(files, contract);
+
+  for (let round = 1; round <= MAX_REPAIR_ROUNDS && getBlockingViolations(violations).length > 0; round++) {
+    const blocking = getBlockingViolations(violations);
+    console.error(`\n🔧 Output contract violations (repair ${round}/${MAX_REPAIR_ROUNDS}): ${formatViolations(violations)}`);
+    reportProgress('repair', `Asking Claude again for ${blocking.map(v => v.path.substring(contract.correctPath.length + 1)).join(', ')} (attempt ${round}/${MAX_REPAIR_ROUNDS})`, 72 + round * 2);
+
+    let repairedFiles;
+    try {
+      const response = await callClaude(buildRepairPrompt({ type, name, label, contract, files: accepted, violations }), {
+        timeoutMs,
+        signal,
+        task: { name: 'repair-files', vars: { type, name, correctPath: contract.correctPath, paths: blocking.map(v => v.path) } }
+      });
+      repairedFiles = parseFilesResponse(response).files;
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      console.error(`❌ Repair ${round} failed: ${error.message}`);
+      continue;
+    }
+
+    ({ files: accepted, violations } = validateGeneratedFiles(mergeRepairedFiles(accepted, repairedFiles, violations), contract));
+  }
+
+  const blocking = getBlockingViolations(violations);
+  if (blocking.length > 0) {
+    throw new Error(`Generated ${type} is incomplete after ${MAX_REPAIR_ROUNDS} repair attempt(s): ${formatViolations(blocking)}`);
+  }
+
+  if (violations.length > 0) {
+    console.error(`⚠️  Dropped invalid file entries: ${formatViolations(violations)}`);
+  }
+
+  return accepted;
+}
+
+/**
+ * Check generated JavaScript and run bounded repair rounds for errors
+ * Returns { files, diagnostics } - diagnostics are the problems left after repairs
+ */
+async function checkAndRepairJavaScript({ type, name, files, moduleIndexPath, expectedExtend, timeoutMs, signal, reportProgress }) {
+  reportProgress('checking', 'Checking JavaScript, templates and styles', 96);
+  let diagnostics = checkJavaScriptFiles(files, { moduleIndexPath, expectedExtend });
+
+  for (let round = 1; round <= MAX_REPAIR_ROUNDS; round++) {
+    const errors = diagnostics.filter(d => d.severity === 'error');
+    if (errors.length === 0) break;
+
+    const paths = [...new Set(errors.map(d => d.path))];
+    console.error(`\n🔧 JavaScript errors (repair ${round}/${MAX_REPAIR_ROUNDS}): ${errors.map(d => `${d.path}:${d.line}:${d.column} ${d.message}`).join('; ')}`);
+    reportProgress('repair', `Fixing JavaScript errors in ${paths.map(p => p.split('/').pop()).join(', ')} (attempt ${round}/${MAX_REPAIR_ROUNDS})`, 97);
+
+    try {
+      const response = await callClaude(buildJavaScriptRepairPrompt({ type, name, files, diagnostics }), {
+        timeoutMs,
+        signal,
+        task: { name: 'repair-javascript', vars: { type, name, paths } }
+      });
+      const repaired = parseFilesResponse(response).files;
+
+      // Only the files that had errors may be replaced
+      files = files.map((file) => {
+        const fixed = repaired.find(f => f?.path === file.path && typeof f.content === 'string');
+        return fixed && paths.includes(file.path) ? { ...file, content: fixed.content } : file;
+      });
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      console.error(`❌ JavaScript repair ${round} failed: ${error.message}`);
+      continue;
+    }
+
+    diagnostics = checkJavaScriptFiles(files, { moduleIndexPath, expectedExtend });
+  }
+
+  if (diagnostics.length > 0) {
+    console.error(`⚠️  JavaScript problems left: ${diagnostics.map(d => `${d.path}:${d.line}:${d.column} ${d.message}`).join('; ')}`);
+  }
+
+  return { files, diagnostics };
+}
+
+/**
+ * Ask Claude for the rest of a response that was cut off
+ * files are the complete entries salvaged so far; each round adds the new ones
+ * until a response arrives whole. Whatever is still missing is left to the
+ * contract check, which asks for required files again.
+ */
+async function requestRemainingFiles({ prompt, files, timeoutMs, signal, task, reportProgress }) {
+  for (let round = 1; round <= MAX_REPAIR_ROUNDS; round++) {
+    console.error(`\n✂️  Response was cut off after ${files.length} complete file(s) - requesting the rest (${round}/${MAX_REPAIR_ROUNDS})`);
+    reportProgress('repair', `Response was cut off after ${files.length} file(s) - asking Claude for the rest (attempt ${round}/${MAX_REPAIR_ROUNDS})`, 70);
+
+    const continuationPrompt = `${prompt}
+
+⚠️ YOUR PREVIOUS RESPONSE WAS CUT OFF. These files arrived complete - do NOT send them again:
+${files.length > 0 ? files.map(f => `- ${f.path}`).join('\n') : '- (none)'}
+
+Return ONLY the remaining files, as the same JSON structure: { "files": [ ... ] }
+Keep file contents as short as the module allows.`;
+
+    let parsed;
+    try {
+      const response = await callClaude(continuationPrompt, {
+        timeoutMs,
+        signal,
+        task: { name: 'continue-files', vars: { ...task.vars, paths: files.map(f => f.path) } }
+      });
+      parsed = parseFilesResponse(response);
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      console.error(`❌ Requesting the rest failed: ${error.message}`);
+      continue;
+    }
+
+    const received = new Set(files.map(f => f.path));
+    files = [...files, ...parsed.files.filter(f => !received.has(f?.path))];
+    if (!parsed.truncated) break;
+  }
+
+  return files;
+}
+
 /**
  * Extract all classes from HTML content
  */
@@ -466,7 +700,7 @@ function generateCorrectImageBlock(contextVar, fieldName, bemClass = '') {
   return `{% if ${contextVar}.${fieldName} %}
             {% set ${imgVar} = apos.image.first(${contextVar}.${fieldName}) %}
             {% if ${imgVar} %}
-              <img${classAttr} src="{{ apos.attachment.url(${imgVar}, { size: 'one-half' }) }}" alt="{{ ${contextVar}.title }}">
+              <img${classAttr} src="{{ apos.attachment.url(${imgVar}, { size: 'one-half' }) }}" alt="${imageAltText(imgVar, contextVar === 'data.widget' ? null : `${contextVar}.title`)}">
             {% endif %}
           {% endif %}`;
 }
@@ -479,7 +713,7 @@ function generateCorrectImageBlock(contextVar, fieldName, bemClass = '') {
  * {% if piece.featuredImage %}
  *   {% set image = apos.image.first(piece.featuredImage) %}
  *   {% if image %}
- *     <img src="{{ apos.attachment.url(image, { size: 'one-half' }) }}" alt="{{ piece.title }}">
+ *     <img src="{{ apos.attachment.url(image, { size: 'one-half' }) }}" alt="{{ image._alt or piece.title }}">
  *   {% endif %}
  * {% endif %}
  */
@@ -626,7 +860,7 @@ function fixImageFieldReferences(files, moduleType) {
 
             const replacement = `{% set ${imgVar} = apos.image.first(${ctx}.${fieldName}) %}
             {% if ${imgVar} %}
-              <img${classAttr} src="{{ apos.attachment.url(${imgVar}, { size: 'one-half' }) }}" alt="{{ ${ctx}.title }}">
+              <img${classAttr} src="{{ apos.attachment.url(${imgVar}, { size: 'one-half' }) }}" alt="${imageAltText(imgVar, ctx === 'data.widget' ? null : `${ctx}.title`)}">
             {% endif %}`;
 
             content = content.replace(match, replacement);
@@ -1168,8 +1402,10 @@ function validateScssVariables(scssContent, designTokens, moduleName) {
 
 /**
  * Parse natural language request using Claude
+ *
+ * signal (optional AbortSignal) cancels the Claude call
  */
-export async function parseNaturalLanguageRequest(userRequest) {
+export async function parseNaturalLanguageRequest(userRequest, signal) {
   const parseTemplate = loadPromptTemplate('parse-request.md');
 
   if (!parseTemplate) {
@@ -1181,20 +1417,14 @@ export async function parseNaturalLanguageRequest(userRequest) {
   console.error(`Parsing natural language request: "${userRequest.substring(0, 50)}..."`);
 
   // Call Claude to parse the request
-  const response = await callClaude(prompt);
+  const response = await callClaude(prompt, { signal, task: { name: 'parse-request', vars: { userRequest } } });
 
   // Parse JSON response
-  let cleaned = response.trim();
-  cleaned = cleaned.replace(/^```json\s*/m, '').replace(/\s*```$/m, '');
-  cleaned = cleaned.replace(/^```\s*/m, '').replace(/\s*```$/m, '');
-
-  const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
-  if (!jsonMatch) {
+  const parsed = findJsonObject(response);
+  if (!parsed) {
     throw new Error('Could not parse natural language request - no valid JSON found');
   }
 
-  const parsed = JSON.parse(jsonMatch[0]);
-
   if (!parsed.moduleType || !parsed.moduleName || !parsed.label) {
     throw new Error('Parsed request missing required fields (moduleType, moduleName, or label)');
   }
@@ -1203,115 +1433,129 @@ export async function parseNaturalLanguageRequest(userRequest) {
 }
 
 /**
- * Call Claude CLI
+ * Call Claude through the configured LLM backend (see llm-backends.js)
+ *
+ * Aborting signal stops the backend and rejects with "Generation cancelled".
+ * task ({ name, vars }) tells the fixture backend which canned response to return.
+ * onText(delta) receives the response as it streams in.
  */
-async function callClaude(prompt, timeoutMs = 60000) {
-  return new Promise((resolve, reject) => {
-    // CRITICAL: Use stdin instead of -p argument to avoid command-line length limits
-    // Prompts can be very long (500+ lines with templates, examples, design tokens)
-    // Command-line arguments have system limits (~128KB-256KB on most systems)
-    const child = spawn('claude', [], {
-      stdio: ['pipe', 'pipe', 'pipe']  // Enable stdin for prompt input
-    });
-
-    let stdout = '';
-    let stderr = '';
-    let isResolved = false;
-
-    // Set timeout (configurable, default 60s)
-    const timeout = setTimeout(() => {
-      if (!isResolved) {
-        isResolved = true;
-        child.kill('SIGTERM');
-        reject(new Error(`Claude API timeout (${timeoutMs/1000} seconds). The request took too long. Please try again.`));
-      }
-    }, timeoutMs);
-
-    child.stdout.on('data', (data) => {
-      stdout += data.toString();
-    });
-
-    child.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
-
-    child.on('close', (code) => {
-      if (isResolved) return; // Already timed out
-      isResolved = true;
-      clearTimeout(timeout);
-
-      if (code !== 0) {
-        console.error(`\n❌ Claude CLI failed with exit code ${code}`);
-        console.error(`stderr: ${stderr}`);
-        console.error(`stdout: ${stdout.substring(0, 500)}`);
-        reject(new Error(`Claude CLI failed (exit code ${code}): ${stderr || stdout.substring(0, 200)}`));
-      } else {
-        // Check if stdout is empty or very short
-        if (!stdout || stdout.trim().length < 10) {
-          console.error(`\n❌ Claude returned empty or very short response`);
-          console.error(`stdout length: ${stdout.length}`);
-          console.error(`stderr: ${stderr}`);
-          reject(new Error(`Claude returned empty response. stderr: ${stderr.substring(0, 200)}`));
-        } else {
-          resolve(stdout);
-        }
-      }
-    });
-
-    child.on('error', (error) => {
-      if (isResolved) return; // Already timed out
-      isResolved = true;
-      clearTimeout(timeout);
-      reject(new Error(`Failed to execute Claude CLI: ${error.message}. Make sure 'claude' command is installed globally: npm install -g @anthropic-ai/cli`));
-    });
-
-    // Write prompt to stdin instead of passing as command-line argument
-    // This avoids system limits on argument length
-    try {
-      child.stdin.write(prompt);
-      child.stdin.end();
-    } catch (writeError) {
-      if (!isResolved) {
-        isResolved = true;
-        clearTimeout(timeout);
-        reject(new Error(`Failed to write prompt to Claude CLI stdin: ${writeError.message}`));
-      }
-    }
-  });
+async function callClaude(prompt, { timeoutMs = 60000, signal, task = null, onText } = {}) {
+  return getLlmBackend().complete(prompt, { timeoutMs, signal, task, onText });
 }
 
 /**
  * Save generated files to project
+ * Throws (with error.diagnostics) if the project's stylesheet would no longer
+ * build, unless allowStyleErrors is set, (with error.pathRejected) if a path
+ * leaves the project's modules/ folder, and (with error.registrationFailed) if
+ * the module can't be added to its modules.js. createdFiles lists the files
+ * that did not exist before.
+ *
+ * Every write is staged first. With dryRun nothing is written: `changes` has a
+ * unified diff for each file that would be created or changed, registration
+ * files included.
+ *
+ * Existing files with other content are a conflict, handled by conflictStrategy
+ * (see save-conflicts.js). 'abort' throws with error.conflict; 'merge' needs
+ * baseFiles, the previous generation of the module from history, and throws
+ * with error.mergeRefused if the merge has conflicts (unless dryRun) or errors.
+ *
+ * The writes are one transaction (see save-transaction.js): `steps` reports each
+ * one, and a failed save is rolled back and throws with error.steps.
  */
 export function saveModuleFiles(options) {
-  const { project, files, moduleName, moduleType, moduleLabel, includeBemStyles, parkPage = false, parkUrl = null } = options;
+  const { project, moduleType, moduleLabel, includeBemStyles, parkPage = false, allowStyleErrors = false, dryRun = false, conflictStrategy = 'abort', baseFiles = [] } = options;
+  let { files, moduleName, parkUrl = null } = options;
 
   let savedCount = 0;
   let updatedModulesJs = false;
   let createdScss = false;
   let registeredPage = false;
   let pageRegistrationType = null; // 'park' or 'types'
+  let pageRegistrationAction = null; // 'added' or 'updated'
   let pageRegistrationDetails = null;
 
-  // Check for existing modules with same name to prevent conflicts
-  if (moduleType === 'bundle') {
-    const bundlePath = join(project.path, 'modules', 'pieces', `${moduleName}-module`);
-    if (existsSync(bundlePath)) {
-      console.error(`⚠️  Warning: Bundle '${moduleName}-module' already exists at ${bundlePath}`);
+  // Absolute path -> { path, step, before, after } - later steps read what earlier ones staged
+  const staged = new Map();
+  const readFromDisk = (fullPath) => (existsSync(fullPath) ? readFileSync(fullPath, 'utf8') : null);
+  const readCurrent = (fullPath) => (staged.has(fullPath) ? staged.get(fullPath).after : readFromDisk(fullPath));
+  const stage = (fullPath, content, step) => {
+    const before = staged.has(fullPath) ? staged.get(fullPath).before : readFromDisk(fullPath);
+    staged.set(fullPath, { path: relative(project.path, fullPath).split(sep).join('/'), step: staged.get(fullPath)?.step || step, before, after: content });
+  };
+
+  // Files that exist with other content - handled by the conflict strategy
+  let renamedFrom = null;
+  const mergedFiles = [];
+  const conflicts = findConflicts(project.path, files);
+
+  if (conflicts.length > 0) {
+    console.error(`⚠️  ${moduleFolder(moduleType, moduleName)} already exists, ${conflicts.length} file(s) differ (strategy: ${conflictStrategy})`);
+
+    if (conflictStrategy === 'rename') {
+      renamedFrom = moduleName;
+      moduleName = findFreeModuleName(project.path, files, moduleName, moduleType);
+      files = renameModuleFiles(files, renamedFrom, moduleName);
+      console.error(`   ✏️  Saving as '${moduleName}' instead`);
+      // The existing module's page is parked at parkUrl already
+      if (parkPage && parkUrl) {
+        parkUrl = renameParkUrl(parkUrl, renamedFrom, moduleName);
+        console.error(`   ✏️  Parking at ${parkUrl} instead`);
+      }
+    } else if (conflictStrategy === 'merge') {
+      const base = new Map(baseFiles.map(file => [file.path, file.content]));
+      const missingBase = conflicts.filter(path => !base.has(path));
+      if (missingBase.length > 0) {
+        throw new Error(`Cannot merge: the previous generation of '${moduleName}' in history has no ${missingBase.join(', ')}`);
+      }
+
+      files = files.map((file) => {
+        if (!conflicts.includes(file.path)) return file;
+        const merged = mergeFileContent(base.get(file.path), readFileSync(resolveModulesPath(project.path, file.path), 'utf8'), file.content);
+        mergedFiles.push({ path: file.path, conflicts: merged.conflicts });
+        return { ...file, content: merged.content };
+      });
+      const marked = mergedFiles.filter(merged => merged.conflicts > 0);
+      const markedCount = marked.reduce((sum, merged) => sum + merged.conflicts, 0);
+      console.error(`   🔀 Merged ${mergedFiles.length} file(s), ${markedCount} conflict(s) marked`);
+
+      // Conflict markers never reach the project - a dry run shows them for review, a save is refused
+      if (marked.length > 0 && !dryRun) {
+        throw mergeError(`${markedCount} conflict(s) in ${marked.map(merged => merged.path).join(', ')}`, { files: marked });
+      }
+      // A clean merge can still break the code - check it like a generation
+      if (marked.length === 0) {
+        const merged = files.filter(file => conflicts.includes(file.path));
+        const errors = [...checkJavaScriptFiles(merged), ...checkTemplateFiles(merged)].filter(d => d.severity === 'error');
+        if (errors.length > 0) {
+          throw mergeError(`the merged files have errors (${errors.map(d => `${d.path}:${d.line} ${d.message}`).join('; ')})`, { diagnostics: errors });
+        }
+      }
+    } else if (conflictStrategy !== 'overwrite') {
+      throw conflictError(moduleName, conflicts);
     }
-  } else {
-    const subdirectory = moduleType === 'widget' ? 'widgets' : (moduleType === 'piece' ? 'pieces' : 'pages');
-    // Widgets should always have -widget suffix
-    const folderName = moduleType === 'widget' ? `${moduleName}-widget` : moduleName;
-    const modulePath = join(project.path, 'modules', subdirectory, folderName);
-    if (existsSync(modulePath)) {
-      console.error(`⚠️  Warning: Module '${folderName}' already exists at ${modulePath}`);
+  }
+
+  // Check every path before writing anything - they come from Claude and the browser
+  const targets = new Map(files.map(file => [file, resolveModulesPath(project.path, file.path)]));
+
+  // Files that didn't exist before - the only ones delete-from-project may remove later
+  const createdFiles = files.filter(file => !existsSync(targets.get(file))).map(file => file.path);
+
+  // Refuse to break the project's stylesheet unless the caller accepts it
+  if (!allowStyleErrors) {
+    const styleErrors = checkProjectStylesheet({ projectPath: project.path, files, moduleName, moduleType })
+      .filter(d => d.severity === 'error');
+    if (styleErrors.length > 0) {
+      const error = new Error(`The project's stylesheet would no longer build: ${styleErrors.map(d => `${d.path}:${d.line}:${d.column} ${d.message}`).join('; ')}`);
+      error.diagnostics = styleErrors;
+      throw error;
     }
   }
 
   // Save all generated files
   for (const file of files) {
-    const fullPath = join(project.path, file.path);
+    const fullPath = targets.get(file);
 
     // CRITICAL: Handle global asset module specially - APPEND, don't overwrite
     if (file.path === 'modules/asset/ui/src/index.js') {
@@ -1319,8 +1563,8 @@ export function saveModuleFiles(options) {
 
       // Read existing content
       let existingContent = '';
-      if (existsSync(fullPath)) {
-        existingContent = readFileSync(fullPath, 'utf8');
+      if (readCurrent(fullPath) !== null) {
+        existingContent = readCurrent(fullPath);
         console.error(`   ✅ Existing file found, will append new functions`);
       } else {
         console.error(`   ℹ️  File doesn't exist, will create new`);
@@ -1378,8 +1622,7 @@ export function saveModuleFiles(options) {
           ? `${existingContent.trimEnd()}\n\n${newFunctionsToAdd}\n`
           : `${newFunctionsToAdd}\n`;
 
-        mkdirSync(dirname(fullPath), { recursive: true });
-        writeFileSync(fullPath, updatedContent, 'utf8');
+        stage(fullPath, updatedContent, 'append asset functions');
         console.error(`   ✅ Appended new function(s) to global asset module`);
         savedCount++;
       } else {
@@ -1390,303 +1633,130 @@ export function saveModuleFiles(options) {
     }
 
     // Normal file save for all other files
-    mkdirSync(dirname(fullPath), { recursive: true });
-    writeFileSync(fullPath, file.content, 'utf8');
+    stage(fullPath, file.content, 'write file');
     savedCount++;
   }
 
-  // Check if SCSS needs to be created and add imports
-  const hasTemplate = files.some(f => f.path.includes('/views/'));
-  const mainScssPath = join(project.path, 'modules', 'asset', 'ui', 'src', 'index.scss');
-
-  if (hasTemplate && moduleName && moduleType) {
-    // For bundles, extract all SCSS files from the files array
-    // For single modules, use the moduleName
-    const scssFilesToImport = [];
-
-    if (moduleType === 'bundle') {
-      // Extract SCSS filenames from files array (e.g., _custom-product-widget.scss, _custom-product-page.scss)
-      const scssFiles = files.filter(f => f.path.includes('modules/asset/ui/src/scss/') && f.path.endsWith('.scss'));
-      scssFiles.forEach(file => {
-        const match = file.path.match(/\/scss\/(components|pages)\/_([^/]+)\.scss$/);
-        if (match) {
-          const [, subdir, name] = match;
-          scssFilesToImport.push({ subdir, name });
-          createdScss = true;
-        }
-      });
-    } else {
-      // Single module
-      const scssSubdir = moduleType === 'page' ? 'pages' : 'components';
-      const scssRelativePath = `modules/asset/ui/src/scss/${scssSubdir}/_${moduleName}.scss`;
-      const scssAlreadyInFiles = files.some(f => f.path === scssRelativePath);
-
-      if (scssAlreadyInFiles) {
-        scssFilesToImport.push({ subdir: scssSubdir, name: moduleName });
-        createdScss = true;
-      }
-    }
+  // Import the generated SCSS partials in the main index.scss
+  const mainScssPath = join(project.path, MAIN_SCSS_PATH);
+  const scssImports = getScssImports(files, moduleName, moduleType);
+  createdScss = scssImports.length > 0;
 
-    // Add imports to main index.scss
-    if (existsSync(mainScssPath) && scssFilesToImport.length > 0) {
-      let mainScssContent = readFileSync(mainScssPath, 'utf8');
-
-      scssFilesToImport.forEach(({ subdir, name }) => {
-        // SCSS partials should have underscore prefix
-        const importStatement = `@import "./scss/${subdir}/_${name}";`;
-
-        if (!mainScssContent.includes(importStatement)) {
-          const sectionComment = subdir === 'components' ? '//Components' : '//Pages';
-          if (mainScssContent.includes(sectionComment)) {
-            mainScssContent = mainScssContent.replace(
-              new RegExp(`(${sectionComment}[^]*?)((?://[A-Z]|$))`, 's'),
-              `$1${importStatement}\n$2`
-            );
-          } else {
-            mainScssContent += `\n${importStatement}\n`;
-          }
-        }
-      });
-
-      writeFileSync(mainScssPath, mainScssContent, 'utf8');
-    }
+  const mainScss = readCurrent(mainScssPath);
+  if (mainScss !== null && scssImports.length > 0) {
+    stage(mainScssPath, addScssImports(mainScss, scssImports), 'import SCSS partial');
   }
 
   // Auto-update modules.js
+  // Bundles register themselves (e.g. 'custom-product-module') in modules/pieces/modules.js,
+  // single modules in the modules.js for their type
   if (moduleName && moduleType) {
-    // For bundles, register the bundle itself (e.g., 'custom-product-module') in modules/pieces/modules.js
-    // For single modules, register in their respective type-specific modules.js
-    let subdirectory;
-    let moduleKey;
-
-    if (moduleType === 'bundle') {
-      subdirectory = 'pieces';
-      moduleKey = `'${moduleName}-module'`; // Bundle name with -module suffix
-    } else {
-      subdirectory = moduleType === 'widget' ? 'widgets' : (moduleType === 'piece' ? 'pieces' : 'pages');
-      // Widgets should always have -widget suffix
-      const registrationName = moduleType === 'widget' ? `${moduleName}-widget` : moduleName;
-      moduleKey = `'${registrationName}'`;
-    }
-
-    const modulesJsPath = join(project.path, 'modules', subdirectory, 'modules.js');
-
-    if (existsSync(modulesJsPath)) {
-      let content = readFileSync(modulesJsPath, 'utf8');
-
-      if (!content.includes(moduleKey)) {
-        const exportDefaultMatch = content.match(/export\s+default\s+\{/);
-        if (exportDefaultMatch) {
-          const startIndex = exportDefaultMatch.index + exportDefaultMatch[0].length;
-          let braceCount = 1;
-          let endIndex = startIndex;
-
-          while (braceCount > 0 && endIndex < content.length) {
-            if (content[endIndex] === '{') braceCount++;
-            else if (content[endIndex] === '}') braceCount--;
-            endIndex++;
-          }
+    const registration = registrationFor(moduleType, moduleName);
+    const modulesJsPath = join(project.path, 'modules', registration.subdirectory, 'modules.js');
+    const modulesJs = readCurrent(modulesJsPath);
 
-          const closingBraceIndex = endIndex - 1;
-          const existingContent = content.substring(startIndex, closingBraceIndex).trim();
-
-          let updatedContent;
-          if (existingContent) {
-            // Add comma to the end of the last item if it doesn't have one
-            const needsComma = !existingContent.endsWith(',');
-            const contentWithComma = needsComma
-              ? content.substring(0, closingBraceIndex).trimEnd() + ','
-              : content.substring(0, closingBraceIndex);
-
-            updatedContent =
-              contentWithComma + '\n    ' + moduleKey + ': {}\n' +
-              content.substring(closingBraceIndex);
-          } else {
-            updatedContent =
-              content.substring(0, startIndex) +
-              '\n    ' + moduleKey + ': {}\n' +
-              content.substring(closingBraceIndex);
-          }
-
-          writeFileSync(modulesJsPath, updatedContent, 'utf8');
+    if (modulesJs === null) {
+      stage(modulesJsPath, createModulesFile(registration.name), 'register in modules.js');
+      updatedModulesJs = true;
+    } else {
+      try {
+        const registered = registerModule(modulesJs, registration.name);
+        if (registered.changed) {
+          stage(modulesJsPath, registered.content, 'register in modules.js');
           updatedModulesJs = true;
         }
+      } catch (error) {
+        // Saved but not registered, the module would never load - fail before anything is written
+        const failure = new Error(`Cannot register '${registration.name}' in ${registration.subdirectory}/modules.js: ${error.message}. Fix the file, or register the module by hand and save again`);
+        failure.registrationFailed = { path: `modules/${registration.subdirectory}/modules.js`, name: registration.name };
+        throw failure;
       }
-    } else {
-      const newContent = `export default {\n    ${moduleKey}: {}\n};\n`;
-      mkdirSync(dirname(modulesJsPath), { recursive: true });
-      writeFileSync(modulesJsPath, newContent, 'utf8');
-      updatedModulesJs = true;
     }
   }
 
   // Auto-register pages in modules/@apostrophecms/page/index.js
-  // For bundles: detect if bundle contains a page module
-  let isPageModule = moduleType === 'page';
-  let pageModuleName = moduleName;
-
-  console.error(`\n🔍 PAGE REGISTRATION CHECK:`);
-  console.error(`   moduleType: ${moduleType}`);
-  console.error(`   moduleName: ${moduleName}`);
-  console.error(`   parkPage: ${parkPage}`);
-  console.error(`   parkUrl: ${parkUrl}`);
-
-  if (moduleType === 'bundle') {
-    console.error(`   📦 Checking if bundle contains page...`);
-    // Check if bundle contains a page by looking for page files
-    // CRITICAL: Bundle files have adjusted paths like: modules/pieces/{bundle}-module/{name}-page/index.js
-    // So we need to check for BOTH patterns:
-    // 1. modules/pages/{name}/index.js (before adjustment - shouldn't happen)
-    // 2. modules/pieces/{bundle}-module/{name}-page/index.js (after adjustment - this is what we'll see)
-    const pageFile = files.find(f =>
-      (f.path.includes('/pages/') && f.path.endsWith('/index.js')) ||
-      (f.path.includes('-page/index.js') && f.path.includes(`modules/pieces/${moduleName}-module/`))
-    );
-    console.error(`   📄 Page file found: ${!!pageFile}`);
-    if (pageFile) {
-      console.error(`   📄 Page file path: ${pageFile.path}`);
-      isPageModule = true;
-      // Extract page name from path
-      // Pattern 1: modules/pages/shopping-list-page/index.js -> shopping-list-page
-      // Pattern 2: modules/pieces/shopping-list-module/shopping-list-page/index.js -> shopping-list-page
-      let match = pageFile.path.match(/modules\/pages\/([^/]+)\/index\.js/);
-      if (!match) {
-        match = pageFile.path.match(/modules\/pieces\/[^/]+-module\/([^/]+)\/index\.js/);
-      }
-      if (match) {
-        pageModuleName = match[1];
-        console.error(`   ✅ Bundle contains page module: ${pageModuleName}`);
-      }
-    } else {
-      console.error(`   ℹ️  Bundle does NOT contain a page module`);
-    }
-  }
+  // Pages register themselves, bundles their -page member. Parked pages go to park only, others to types only
+  const pageModuleName = findPageModule(moduleType, moduleName, files);
+  console.error(`\n🔍 PAGE REGISTRATION CHECK: ${pageModuleName || 'no page module'}${parkPage ? ` (park at ${parkUrl})` : ''}`);
 
-  console.error(`   isPageModule: ${isPageModule}`);
-  console.error(`   pageModuleName: ${pageModuleName}`);
-
-  if (isPageModule) {
-    const pageIndexPath = join(project.path, 'modules', '@apostrophecms', 'page', 'index.js');
+  if (pageModuleName) {
+    const pageIndexPath = join(project.path, PAGE_INDEX_PATH);
     const label = moduleLabel || pageModuleName;
+    const read = projectReader(project.path, readCurrent);
 
-    if (existsSync(pageIndexPath)) {
-      let content = readFileSync(pageIndexPath, 'utf8');
-
-      // CRITICAL: If parkPage is checked, ONLY add to park array (not types)
-      //           If parkPage is NOT checked, ONLY add to types array (not park)
-
-      let updatedContent = content;
-
-      // Check if page is already registered
-      const alreadyRegistered = content.includes(`name: '${pageModuleName}'`) || content.includes(`type: '${pageModuleName}'`);
-
-      if (!alreadyRegistered) {
-        // If parkPage is checked: Add to PARK array only
-        if (parkPage && parkUrl) {
-          const parkEntry = `      {\n        title: '${label}',\n        slug: '${parkUrl}',\n        type: '${pageModuleName}',\n        parkedId: '${pageModuleName}'\n      }`;
-
-          const parkMatch = updatedContent.match(/park:\s*\[/);
-          if (parkMatch) {
-            const parkStartIndex = parkMatch.index + parkMatch[0].length;
-            let parkBracketCount = 1;
-            let parkEndIndex = parkStartIndex;
-
-            while (parkBracketCount > 0 && parkEndIndex < updatedContent.length) {
-              if (updatedContent[parkEndIndex] === '[') parkBracketCount++;
-              else if (updatedContent[parkEndIndex] === ']') parkBracketCount--;
-              parkEndIndex++;
-            }
-
-            const parkClosingIndex = parkEndIndex - 1;
-            const existingPark = updatedContent.substring(parkStartIndex, parkClosingIndex).trim();
-
-            if (existingPark) {
-              const needsComma = !existingPark.endsWith(',');
-              const parkWithComma = needsComma
-                ? updatedContent.substring(0, parkClosingIndex).trimEnd() + ',\n'
-                : updatedContent.substring(0, parkClosingIndex) + '\n';
-
-              updatedContent =
-                parkWithComma + parkEntry + '\n    ' +
-                updatedContent.substring(parkClosingIndex);
-            } else {
-              updatedContent =
-                updatedContent.substring(0, parkStartIndex) +
-                '\n' + parkEntry + '\n    ' +
-                updatedContent.substring(parkClosingIndex);
-            }
-
-            writeFileSync(pageIndexPath, updatedContent, 'utf8');
-            registeredPage = true;
-            pageRegistrationType = 'park';
-            pageRegistrationDetails = {
-              title: label,
-              slug: parkUrl,
-              type: pageModuleName,
-              parkedId: pageModuleName
-            };
-          }
-        }
-        // If parkPage is NOT checked: Add to TYPES array only
-        else {
-          const typeEntry = `      {\n        name: '${pageModuleName}',\n        label: '${label}'\n      }`;
-
-          // Find the types array
-          const typesMatch = content.match(/types:\s*\[/);
-          if (typesMatch) {
-            const startIndex = typesMatch.index + typesMatch[0].length;
-
-            // Find the closing bracket for the types array
-            let bracketCount = 1;
-            let endIndex = startIndex;
-
-            while (bracketCount > 0 && endIndex < content.length) {
-              if (content[endIndex] === '[') bracketCount++;
-              else if (content[endIndex] === ']') bracketCount--;
-              endIndex++;
-            }
+    if (readCurrent(pageIndexPath) !== null) {
+      const registration = parkPage && parkUrl
+        ? { type: 'park', step: 'park page', details: { title: label, slug: parkUrl, type: pageModuleName, parkedId: pageModuleName } }
+        : { type: 'types', step: 'register page type', details: { name: pageModuleName, label } };
 
-            const closingBracketIndex = endIndex - 1;
-            const existingTypes = content.substring(startIndex, closingBracketIndex).trim();
-
-            if (existingTypes) {
-              // Add comma to last item if needed
-              const needsComma = !existingTypes.endsWith(',');
-              const contentWithComma = needsComma
-                ? content.substring(0, closingBracketIndex).trimEnd() + ',\n'
-                : content.substring(0, closingBracketIndex) + '\n';
-
-              updatedContent =
-                contentWithComma + typeEntry + '\n    ' +
-                content.substring(closingBracketIndex);
-            } else {
-              updatedContent =
-                content.substring(0, startIndex) +
-                '\n' + typeEntry + '\n    ' +
-                content.substring(closingBracketIndex);
-            }
+      // A slug or parkedId collision throws before anything is written
+      const result = registration.type === 'park'
+        ? registerParkedPage(pageIndexPath, read, registration.details)
+        : registerPageType(pageIndexPath, read, registration.details);
 
-            writeFileSync(pageIndexPath, updatedContent, 'utf8');
-            registeredPage = true;
-            pageRegistrationType = 'types';
-            pageRegistrationDetails = {
-              name: pageModuleName,
-              label: label
-            };
-          }
-        }
+      // Written through the path policy, like they were read
+      for (const file of result.files) {
+        stage(resolveModulesPath(project.path, relative(project.path, file.path).split(sep).join('/')), file.content, registration.step);
+      }
+      if (result.action) {
+        registeredPage = true;
+        pageRegistrationType = registration.type;
+        pageRegistrationAction = result.action;
+        pageRegistrationDetails = registration.details;
       }
     } else {
       console.error(`⚠️  Warning: modules/@apostrophecms/page/index.js not found at ${pageIndexPath}`);
     }
   }
 
+  // What the save did about existing files
+  const conflictResult = conflicts.length > 0
+    ? { conflictStrategy, conflicts, ...(renamedFrom ? { renamedFrom, renamedTo: moduleName, savedFiles: files, ...(parkPage && parkUrl ? { renamedParkUrl: parkUrl } : {}) } : {}), ...(mergedFiles.length > 0 ? { mergedFiles } : {}) }
+    : {};
+
+  // Files whose staged content is what they already hold are left alone
+  const writes = [...staged]
+    .map(([fullPath, change]) => ({ fullPath, ...change }))
+    .filter(write => write.before !== write.after);
+
+  if (dryRun) {
+    const changes = writes.map(change => ({
+      path: change.path,
+      step: change.step,
+      status: change.before === null ? 'create' : 'modify',
+      diff: createUnifiedDiff(change.path, change.before, change.after),
+    }));
+    console.error(`🔍 Dry run: ${changes.length} file(s) would be created or changed, nothing written`);
+
+    return {
+      dryRun: true,
+      changes,
+      savedCount,
+      createdFiles,
+      updatedModulesJs,
+      createdScss,
+      registeredPage,
+      pageRegistrationType,
+      pageRegistrationAction,
+      pageRegistrationDetails,
+      ...conflictResult
+    };
+  }
+
+  // All or nothing - a failure restores every file and throws with the steps
+  const steps = applyStagedWrites(writes);
+  console.error(`💾 Applied ${steps.length} step(s): ${steps.map(step => `${step.step} ${step.path}`).join(', ')}`);
+
   return {
     savedCount,
+    steps,
+    createdFiles,
     updatedModulesJs,
     createdScss,
     registeredPage,
     pageRegistrationType,
-    pageRegistrationDetails
+    pageRegistrationAction,
+    pageRegistrationDetails,
+    ...conflictResult
   };
 }
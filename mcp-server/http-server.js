@@ -0,0 +1,197 @@
+/**
+ * Streamable HTTP transport for the MCP server
+ * Lets several clients (editors, the Express app) share one running generator.
+ * Each client session gets its own MCP server instance and transport.
+ *
+ * The tools write and delete project files, so anything but a loopback address
+ * needs a bearer token (MCP_AUTH_TOKEN) - without one the server refuses to start.
+ */
+
+import { createServer as createHttpServer } from 'http';
+import { randomUUID, createHash, timingSafeEqual } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+const MCP_PATH = '/mcp';
+
+// Sessions that send nothing for this long are closed (editors rarely send DELETE)
+const SESSION_IDLE_MS = parseInt(process.env.MCP_SESSION_IDLE_MS, 10) || 30 * 60 * 1000;
+
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+/**
+ * Send a JSON-RPC error without a request id (transport-level failures)
+ */
+function sendJsonRpcError(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    jsonrpc: '2.0',
+    error: { code: -32000, message },
+    id: null,
+  }));
+}
+
+/**
+ * Whether a request carries `Authorization: Bearer <token>`
+ */
+function hasBearerToken(req, token) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  // Compare digests, so the check takes as long whatever the length of the guess
+  const digest = (value) => createHash('sha256').update(value).digest();
+  return Boolean(match) && timingSafeEqual(digest(match[1].trim()), digest(token));
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+async function readJsonBody(req) {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+  }
+  return JSON.parse(body);
+}
+
+/**
+ * Start the HTTP MCP endpoint at http://host:port/mcp
+ *
+ * createMcpServer() must return a new, unconnected MCP Server each time.
+ * With authToken every /mcp request must send it as a bearer token; it is
+ * required unless host is a loopback address.
+ */
+export async function startHttpServer(createMcpServer, { host, port, authToken = null }) {
+  const sessions = new Map(); // sessionId -> { transport, server, lastSeen }
+
+  const closeSession = async (sessionId, reason) => {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+
+    sessions.delete(sessionId);
+    console.error(`🔌 MCP session closed (${reason}): ${sessionId}`);
+    await session.server.close().catch(() => {});
+  };
+
+  // Only accept our own Host header when bound to loopback (blocks DNS rebinding from browsers)
+  const isLoopback = LOOPBACK_HOSTS.includes(host);
+  if (!isLoopback && !authToken) {
+    throw new Error(`Refusing to serve on ${host} without MCP_AUTH_TOKEN - the tools write and delete project files. Set a token, or bind to 127.0.0.1`);
+  }
+  const allowedHosts = isLoopback
+    ? LOOPBACK_HOSTS.map(h => (h === '::1' ? `[::1]:${port}` : `${h}:${port}`))
+    : undefined;
+
+  const httpServer = createHttpServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === '/health') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ status: 'ok', sessions: sessions.size }));
+      return;
+    }
+
+    if (pathname !== MCP_PATH) {
+      sendJsonRpcError(res, 404, `Not found - MCP endpoint is ${MCP_PATH}`);
+      return;
+    }
+
+    if (authToken && !hasBearerToken(req, authToken)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      sendJsonRpcError(res, 401, 'Unauthorized: send Authorization: Bearer <MCP_AUTH_TOKEN>');
+      return;
+    }
+
+    try {
+      const sessionId = req.headers['mcp-session-id'];
+
+      // Existing session - POST (requests), GET (server stream), DELETE (end session)
+      if (sessionId) {
+        const session = sessions.get(sessionId);
+        if (!session) {
+          // 404 tells the client to start a new session
+          sendJsonRpcError(res, 404, 'Session not found');
+          return;
+        }
+
+        session.lastSeen = Date.now();
+        await session.transport.handleRequest(req, res);
+        return;
+      }
+
+      // New session - must start with an initialize request
+      if (req.method !== 'POST') {
+        sendJsonRpcError(res, 400, 'Bad Request: missing mcp-session-id header');
+        return;
+      }
+
+      let body;
+      try {
+        body = await readJsonBody(req);
+      } catch (parseError) {
+        sendJsonRpcError(res, 400, `Bad Request: invalid JSON (${parseError.message})`);
+        return;
+      }
+
+      if (!isInitializeRequest(body)) {
+        sendJsonRpcError(res, 400, 'Bad Request: no session - send initialize first');
+        return;
+      }
+
+      const server = createMcpServer();
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        enableDnsRebindingProtection: isLoopback,
+        allowedHosts,
+        onsessioninitialized: (id) => {
+          sessions.set(id, { transport, server, lastSeen: Date.now() });
+          console.error(`🔌 MCP session started: ${id} (${sessions.size} active)`);
+        },
+        onsessionclosed: (id) => closeSession(id, 'client ended session'),
+      });
+
+      transport.onclose = () => {
+        if (transport.sessionId) {
+          closeSession(transport.sessionId, 'transport closed');
+        }
+      };
+
+      await server.connect(transport);
+      await transport.handleRequest(req, res, body);
+    } catch (error) {
+      console.error(`MCP HTTP request failed: ${error.message}`);
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, 'Internal server error');
+      }
+    }
+  });
+
+  // Drop sessions whose clients went away without ending them
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - SESSION_IDLE_MS;
+    for (const [id, session] of sessions) {
+      if (session.lastSeen < cutoff) {
+        closeSession(id, 'idle');
+      }
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, resolve);
+  });
+
+  const shutdown = async (signal) => {
+    console.error(`\n🛑 ${signal} received, closing ${sessions.size} MCP session(s)...`);
+    clearInterval(sweep);
+    await Promise.allSettled([...sessions.keys()].map(id => closeSession(id, 'shutdown')));
+    httpServer.close(() => process.exit(0));
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  const displayHost = host.includes(':') ? `[${host}]` : host;
+  console.error(`Apostrophe Code Generator MCP Server running on http://${displayHost}:${port}${MCP_PATH}${authToken ? ' (bearer token required)' : ''}`);
+
+  return httpServer;
+}
@@ -18,23 +18,37 @@ import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { spawn } from 'child_process';
 import { generateModule, saveModuleFiles, parseNaturalLanguageRequest } from './generator.js';
+import { generateBundle } from './bundle.js';
 import { extractDesignTokens } from './design-token-parser.js';
+import { lintProjectModules } from './schema-linter.js';
+import { startHttpServer } from './http-server.js';
+import { getLlmBackend } from './llm-backends.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Create MCP server
-const server = new Server(
-  {
-    name: 'apostrophe-code-generator',
-    version: '1.0.0',
-  },
-  {
-    capabilities: {
-      tools: {},
+/**
+ * Create an MCP server with the generator tools registered
+ * stdio uses a single one; the HTTP transport creates one per client session
+ */
+function createServer() {
+  const server = new Server(
+    {
+      name: 'apostrophe-code-generator',
+      version: '1.0.0',
     },
-  }
-);
+    {
+      capabilities: {
+        tools: {},
+      },
+    }
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, listTools);
+  server.setRequestHandler(CallToolRequestSchema, callTool);
+
+  return server;
+}
 
 /**
  * Discover Apostrophe projects
@@ -81,13 +95,41 @@ function discoverProjects() {
   return discovered;
 }
 
+/**
+ * Build a progress reporter for a tool call
+ * Sends MCP progress notifications when the client passed a progressToken;
+ * the stage name (and extra data such as a streamed file) travels in _meta
+ */
+function createProgressReporter(request, extra) {
+  const progressToken = request.params._meta?.progressToken;
+
+  if (progressToken === undefined) {
+    return () => {};
+  }
+
+  return (stage, message, percentage, data = {}) => {
+    extra.sendNotification({
+      method: 'notifications/progress',
+      params: {
+        progressToken,
+        progress: percentage,
+        total: 100,
+        message,
+        _meta: { ...data, stage },
+      },
+    }).catch((error) => {
+      console.error(`Failed to send progress notification: ${error.message}`);
+    });
+  };
+}
+
 // Note: SCSS generation moved to generator.js
 // It now generates SCSS AFTER analyzing HTML structure for perfect matching
 
 /**
  * List available tools
  */
-server.setRequestHandler(ListToolsRequestSchema, async () => {
+async function listTools() {
   return {
     tools: [
       {
@@ -213,6 +255,73 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           required: ['projectId', 'moduleType', 'moduleName', 'label'],
         },
       },
+      {
+        name: 'generate_bundle',
+        description: 'Generate a bundle: a piece plus its page and/or widget, assembled into modules/pieces/{name}-module/. Parts generate in parallel; if some fail, the others are returned with failedMembers and a retry object that regenerates only the failed parts.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            projectId: {
+              type: 'string',
+              description: 'The project ID',
+            },
+            name: {
+              type: 'string',
+              description: 'The bundle (piece) name in kebab-case - the page is {name}-page and the widget {name}-widget',
+            },
+            label: {
+              type: 'string',
+              description: 'Human-readable label (e.g., Product)',
+            },
+            description: {
+              type: 'string',
+              description: 'Optional description of what the bundle is for',
+            },
+            includePiece: {
+              type: 'boolean',
+              description: 'Generate the piece',
+              default: true,
+            },
+            includePage: {
+              type: 'boolean',
+              description: 'Generate a piece page (index + show) for the piece',
+              default: false,
+            },
+            includeWidget: {
+              type: 'boolean',
+              description: 'Generate a widget that displays selected pieces',
+              default: false,
+            },
+            parkPage: {
+              type: 'boolean',
+              description: 'Park the bundle page when saving (otherwise it is added to the page types)',
+              default: false,
+            },
+            parkUrl: {
+              type: 'string',
+              description: 'URL of the bundle page (default /{name}s)',
+            },
+            includeBemStyles: {
+              type: 'boolean',
+              description: 'Generate BEM SCSS for the page and widget',
+              default: true,
+            },
+            fullDesign: {
+              type: 'boolean',
+              description: 'Generate production-ready SCSS for the page and widget. Requires includeBemStyles.',
+              default: false,
+            },
+            retry: {
+              type: 'object',
+              description: 'The retry object from a partial result - regenerates only the parts that failed',
+              properties: {
+                completedMembers: { type: 'object' },
+              },
+            },
+          },
+          required: ['projectId', 'name', 'label'],
+        },
+      },
       {
         name: 'save_generated_module',
         description: 'Save generated module files to the project and auto-register',
@@ -247,6 +356,31 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'boolean',
               description: 'Whether BEM styles were included',
             },
+            allowStyleErrors: {
+              type: 'boolean',
+              description: 'Save even if the project\'s index.scss would no longer compile (default: false)',
+            },
+            dryRun: {
+              type: 'boolean',
+              description: 'Write nothing - return a unified diff for every file that would be created or changed, registration edits included (default: false)',
+            },
+            conflictStrategy: {
+              type: 'string',
+              enum: ['abort', 'overwrite', 'rename', 'merge'],
+              description: 'What to do when module files already exist with other content: abort (default), overwrite, rename (save as name-2 with registrations and BEM classes renamed) or merge (three-way, needs baseFiles)',
+            },
+            baseFiles: {
+              type: 'array',
+              description: 'For merge: the files of the previous generation of this module (from history), used as the merge base',
+              items: {
+                type: 'object',
+                properties: {
+                  path: { type: 'string' },
+                  content: { type: 'string' },
+                },
+                required: ['path', 'content'],
+              },
+            },
           },
           required: ['projectId', 'files', 'moduleName', 'moduleType'],
         },
@@ -297,15 +431,34 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           required: ['projectId'],
         },
       },
+      {
+        name: 'lint_module_schema',
+        description: 'Lint the fields.add / fields.group schema of modules already in a project: real Apostrophe field types, relationship names starting with _, withType naming an existing piece type, group fields that exist, select/radio/checkboxes with choices, and area widgets that exist and are registered.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            projectId: {
+              type: 'string',
+              description: 'The project ID',
+            },
+            modulePath: {
+              type: 'string',
+              description: 'Module folder relative to the project, e.g. "modules/pieces/product" (default: every module in the project)',
+            },
+          },
+          required: ['projectId'],
+        },
+      },
     ],
   };
-});
+}
 
 /**
  * Handle tool calls
  */
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+async function callTool(request, extra) {
   const { name, arguments: args } = request.params;
+  const reportProgress = createProgressReporter(request, extra);
 
   try {
     switch (name) {
@@ -527,6 +680,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             bundleContext,
             parkPage,
             parkUrl,
+            onProgress: reportProgress,
+            signal: extra.signal,
           });
 
           // Note: SCSS is now generated inside generateModule() after analyzing HTML
@@ -563,8 +718,64 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         }
       }
 
+      case 'generate_bundle': {
+        const { projectId, name: bundleName, label, description, includePiece = true, includePage = false, includeWidget = false, parkPage = false, parkUrl = null, includeBemStyles = true, fullDesign = false, retry } = args;
+
+        const projects = discoverProjects();
+        const project = projects.find(p => p.id === projectId);
+
+        if (!project) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify({ error: 'Project not found' }),
+              },
+            ],
+            isError: true,
+          };
+        }
+
+        try {
+          const result = await generateBundle({
+            project,
+            name: bundleName,
+            label,
+            description,
+            includeBemStyles,
+            fullDesign,
+            bundleConfig: { includePiece, includePage, includeWidget, parkPage, parkUrl },
+            retry,
+            onProgress: reportProgress,
+            signal: extra.signal,
+          });
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify({
+                  success: true,
+                  ...result,
+                }, null, 2),
+              },
+            ],
+          };
+        } catch (error) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify({ error: error.message }),
+              },
+            ],
+            isError: true,
+          };
+        }
+      }
+
       case 'save_generated_module': {
-        const { projectId, files, moduleName, moduleType, moduleLabel, includeBemStyles = false, parkPage = false, parkUrl = null } = args;
+        const { projectId, files, moduleName, moduleType, moduleLabel, includeBemStyles = false, parkPage = false, parkUrl = null, allowStyleErrors = false, dryRun = false, conflictStrategy = 'abort', baseFiles = [] } = args;
 
         const projects = discoverProjects();
         const project = projects.find(p => p.id === projectId);
@@ -591,16 +802,39 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             includeBemStyles,
             parkPage,
             parkUrl,
+            allowStyleErrors,
+            dryRun,
+            conflictStrategy,
+            baseFiles,
           });
 
+          if (result.dryRun) {
+            const mergeConflicts = (result.mergedFiles || []).reduce((sum, merged) => sum + merged.conflicts, 0);
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify({
+                    success: true,
+                    ...result,
+                    message: `Dry run: ${result.changes.length} file(s) would be created or changed${result.renamedTo ? ` (saving as '${result.renamedTo}')` : ''}${mergeConflicts ? ` - ${mergeConflicts} merge conflict(s), the save would be refused` : ''}`,
+                  }, null, 2),
+                },
+              ],
+            };
+          }
+
           let messageParts = [`Saved ${result.savedCount} file(s)`];
+          if (result.renamedTo) messageParts.push(`as '${result.renamedTo}' ('${result.renamedFrom}' already exists)`);
+          if (result.mergedFiles) messageParts.push(`merged ${result.mergedFiles.length} file(s) with hand edits`);
           if (result.updatedModulesJs) messageParts.push('registered in modules.js');
           if (result.createdScss) messageParts.push('created SCSS');
           if (result.registeredPage) {
-            if (parkPage && parkUrl) {
-              messageParts.push(`registered page (parked at ${parkUrl})`);
+            const registered = result.pageRegistrationAction === 'updated' ? 'updated page registration' : 'registered page';
+            if (result.pageRegistrationType === 'park') {
+              messageParts.push(`${registered} (parked at ${result.pageRegistrationDetails.slug})`);
             } else {
-              messageParts.push('registered page');
+              messageParts.push(registered);
             }
           }
 
@@ -621,7 +855,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             content: [
               {
                 type: 'text',
-                text: JSON.stringify({ error: error.message }),
+                text: JSON.stringify({ error: error.message, diagnostics: error.diagnostics, pathRejected: error.pathRejected, conflict: error.conflict, pageCollision: error.pageCollision, mergeRefused: error.mergeRefused, registrationFailed: error.registrationFailed, steps: error.steps, rolledBack: error.rolledBack }),
               },
             ],
             isError: true,
@@ -650,161 +884,41 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         try {
           // Step 1: Parse natural language request
           console.error('Step 1: Parsing natural language request...');
-          const parsed = await parseNaturalLanguageRequest(userRequest);
+          reportProgress('parsing-request', 'Parsing natural language request', 5);
+          const parsed = await parseNaturalLanguageRequest(userRequest, extra.signal);
 
           console.error(`Parsed: ${parsed.moduleType} "${parsed.moduleName}" (confidence: ${parsed.confidence})`);
 
           // Step 2: Check if it's a bundle
           if (parsed.moduleType === 'bundle' && parsed.bundleConfig) {
             console.error('Step 2: Generating bundle...');
-            const { includePiece, includePage, includeWidget, parkPage = false } = parsed.bundleConfig;
-            const moduleCount = (includePiece ? 1 : 0) + (includePage ? 1 : 0) + (includeWidget ? 1 : 0);
-            const hasPiece = includePiece;
-            const isRealBundle = hasPiece && moduleCount > 1;
-
-            const allFiles = [];
-            const modules = [];
-
-            // Generate piece if requested
-            if (includePiece) {
-              const pieceResult = await generateModule({
-                project,
-                type: 'piece',
-                name: parsed.moduleName,
-                label: parsed.label,
-                description: parsed.description,
-                includeBemStyles: false,
-                bundleContext: {
-                  isPartOfBundle: true,
-                  basePieceName: parsed.moduleName
-                }
-              });
-              allFiles.push(...pieceResult.files);
-              modules.push({ type: 'piece', name: parsed.moduleName });
-            }
-
-            // Generate page if requested
-            if (includePage) {
-              const pageResult = await generateModule({
-                project,
-                type: 'page',
-                name: `${parsed.moduleName}-page`,
-                label: `${parsed.label} Page`,
-                description: parsed.description,
-                includeBemStyles: parsed.includeBemStyles,
-                bundleContext: {
-                  isPartOfBundle: true,
-                  basePieceName: parsed.moduleName
-                }
-              });
-              allFiles.push(...pageResult.files);
-              modules.push({ type: 'page', name: `${parsed.moduleName}-page` });
-            }
-
-            // Generate widget if requested
-            if (includeWidget) {
-              const widgetResult = await generateModule({
-                project,
-                type: 'widget',
-                name: `${parsed.moduleName}-widget`,
-                label: `${parsed.label} Widget`,
-                description: parsed.description,
-                includeBemStyles: parsed.includeBemStyles,
-                bundleContext: {
-                  isPartOfBundle: true,
-                  basePieceName: parsed.moduleName
-                }
-              });
-              allFiles.push(...widgetResult.files);
-              modules.push({ type: 'widget', name: `${parsed.moduleName}-widget` });
-            }
+            const result = await generateBundle({
+              project,
+              name: parsed.moduleName,
+              label: parsed.label,
+              description: parsed.description,
+              includeBemStyles: parsed.includeBemStyles,
+              bundleConfig: parsed.bundleConfig,
+              onProgress: reportProgress,
+              signal: extra.signal,
+            });
 
-            // If it's a real bundle (piece + widget/page), adjust paths and create wrapper
-            if (isRealBundle) {
-              const adjustedFiles = allFiles.map(file => {
-                // Don't adjust SCSS paths - they stay in modules/asset/
-                if (file.path.includes('modules/asset/')) {
-                  return file;
-                }
-
-                // Adjust module file paths to be inside bundle
-                const newPath = file.path.replace(/^modules\/[^/]+\/([^/]+)\//, `modules/pieces/${parsed.moduleName}-module/$1/`);
-                return { ...file, path: newPath };
-              });
-
-              // Create parent module index.js
-              const parentIndexContent = `export default {\n  options: {\n    label: '${parsed.label}'\n  }\n};\n`;
-              adjustedFiles.unshift({
-                path: `modules/pieces/${parsed.moduleName}-module/index.js`,
-                content: parentIndexContent
-              });
-
-              // Create internal modules.js
-              const internalModulesContent = `export default {\n${modules.map(m => `  '${m.name}': {}`).join(',\n')}\n};\n`;
-              adjustedFiles.push({
-                path: `modules/pieces/${parsed.moduleName}-module/modules.js`,
-                content: internalModulesContent
-              });
-
-              return {
-                content: [{
-                  type: 'text',
-                  text: JSON.stringify({
-                    success: true,
-                    parsed: {
-                      moduleType: 'bundle',
-                      moduleName: parsed.moduleName,
-                      label: parsed.label,
-                      confidence: parsed.confidence,
-                      includeBemStyles: parsed.includeBemStyles
-                    },
-                    files: adjustedFiles,
-                    moduleName: parsed.moduleName,
+            return {
+              content: [{
+                type: 'text',
+                text: JSON.stringify({
+                  success: true,
+                  parsed: {
                     moduleType: 'bundle',
-                    isBundle: true,
-                    isRealBundle: true,
-                    bundleModules: modules,
-                    bundleConfig: {
-                      includePiece,
-                      includePage,
-                      includeWidget,
-                      parkPage
-                    },
-                    message: `Generated bundle with ${modules.length} internal modules`
-                  }, null, 2)
-                }]
-              };
-            } else {
-              // Just separate modules
-              return {
-                content: [{
-                  type: 'text',
-                  text: JSON.stringify({
-                    success: true,
-                    parsed: {
-                      moduleType: 'bundle',
-                      moduleName: parsed.moduleName,
-                      label: parsed.label,
-                      confidence: parsed.confidence,
-                      includeBemStyles: parsed.includeBemStyles
-                    },
-                    files: allFiles,
                     moduleName: parsed.moduleName,
-                    moduleType: 'bundle',
-                    isBundle: true,
-                    isRealBundle: false,
-                    bundleModules: modules,
-                    bundleConfig: {
-                      includePiece,
-                      includePage,
-                      includeWidget,
-                      parkPage
-                    },
-                    message: `Generated ${modules.length} separate modules`
-                  }, null, 2)
-                }]
-              };
-            }
+                    label: parsed.label,
+                    confidence: parsed.confidence,
+                    includeBemStyles: parsed.includeBemStyles
+                  },
+                  ...result
+                }, null, 2)
+              }]
+            };
           }
 
           // Step 2: Generate single module using parsed parameters
@@ -816,6 +930,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             label: parsed.label,
             description: parsed.description,
             includeBemStyles: parsed.includeBemStyles,
+            onProgress: reportProgress,
+            signal: extra.signal,
           });
 
           return {
@@ -992,6 +1108,59 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         }
       }
 
+      case 'lint_module_schema': {
+        const { projectId, modulePath } = args;
+
+        const projects = discoverProjects();
+        const project = projects.find(p => p.id === projectId);
+
+        if (!project) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify({ error: 'Project not found' }),
+              },
+            ],
+            isError: true,
+          };
+        }
+
+        try {
+          const { modules, diagnostics } = lintProjectModules(project.path, modulePath);
+          const errorCount = diagnostics.filter(d => d.severity === 'error').length;
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify({
+                  success: true,
+                  projectId,
+                  modules,
+                  diagnostics,
+                  errorCount,
+                  warningCount: diagnostics.length - errorCount,
+                  message: diagnostics.length > 0
+                    ? `Found ${diagnostics.length} schema problem(s) in ${modules.length} module(s)`
+                    : `No schema problems in ${modules.length} module(s)`,
+                }, null, 2),
+              },
+            ],
+          };
+        } catch (error) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify({ error: error.message }),
+              },
+            ],
+            isError: true,
+          };
+        }
+      }
+
       default:
         return {
           content: [
@@ -1014,7 +1183,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       isError: true,
     };
   }
-});
+}
 
 /**
  * Check if Claude CLI is available
@@ -1043,14 +1212,49 @@ async function checkClaudeCLI() {
   });
 }
 
+/**
+ * Read transport settings from CLI flags, falling back to env vars
+ *
+ *   --transport stdio|http (or --http)   MCP_TRANSPORT   default stdio
+ *   --host <address>                     MCP_HOST        default 127.0.0.1
+ *   --port <port>                        MCP_PORT        default 3032
+ *                                        MCP_AUTH_TOKEN  bearer token, required off loopback
+ */
+function getTransportOptions(argv = process.argv.slice(2)) {
+  const flag = (name) => {
+    const inline = argv.find(arg => arg.startsWith(`--${name}=`));
+    if (inline) return inline.slice(name.length + 3);
+
+    const index = argv.indexOf(`--${name}`);
+    return index !== -1 ? argv[index + 1] : undefined;
+  };
+
+  const transport = argv.includes('--http')
+    ? 'http'
+    : (flag('transport') || process.env.MCP_TRANSPORT || 'stdio').toLowerCase();
+
+  if (transport !== 'stdio' && transport !== 'http') {
+    throw new Error(`Unknown transport "${transport}" (expected stdio or http)`);
+  }
+
+  return {
+    transport,
+    host: flag('host') || process.env.MCP_HOST || '127.0.0.1',
+    port: parseInt(flag('port') || process.env.MCP_PORT, 10) || 3032,
+    authToken: process.env.MCP_AUTH_TOKEN || null,
+  };
+}
+
 /**
  * Start the server
  */
 async function main() {
-  // Check Claude CLI availability
-  const claudeAvailable = await checkClaudeCLI();
+  const llmBackend = getLlmBackend();
 
-  if (!claudeAvailable) {
+  // Check Claude CLI availability (only the cli backend needs it)
+  if (!llmBackend.needsCli) {
+    console.error(`✅ Using ${llmBackend.name} LLM backend - Claude CLI not required`);
+  } else if (!(await checkClaudeCLI())) {
     console.error('⚠️  WARNING: Claude CLI not found!');
     console.error('   The generator will not work without it.');
     console.error('   Install with: npm install -g @anthropic-ai/cli');
@@ -1060,8 +1264,15 @@ async function main() {
     console.error('✅ Claude CLI detected and ready');
   }
 
+  const options = getTransportOptions();
+
+  if (options.transport === 'http') {
+    await startHttpServer(createServer, options);
+    return;
+  }
+
   const transport = new StdioServerTransport();
-  await server.connect(transport);
+  await createServer().connect(transport);
   console.error('Apostrophe Code Generator MCP Server running');
 }
 
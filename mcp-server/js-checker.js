@@ -0,0 +1,206 @@
+/**
+ * JavaScript Checker
+ * Parses generated .js files as ES modules (a stray brace in index.js stops
+ * Apostrophe from booting) and checks the shape of a module's export default.
+ *
+ * Problems are reported as diagnostics: { path, line, column, message, severity, source }
+ * with 1-based line and column.
+ */
+
+import { parse } from 'acorn';
+
+// Configuration sections an Apostrophe module's export default may have
+const MODULE_KEYS = [
+  'extend', 'improve', 'options', 'fields', 'columns', 'filters', 'batchOperations',
+  'utilityOperations', 'init', 'methods', 'extendMethods', 'handlers', 'extendHandlers',
+  'components', 'helpers', 'extendHelpers', 'routes', 'extendRoutes', 'apiRoutes',
+  'extendApiRoutes', 'renderRoutes', 'extendRenderRoutes', 'restApiRoutes',
+  'extendRestApiRoutes', 'middleware', 'tasks', 'queries', 'extendQueries', 'icons',
+  'i18n', 'bundle', 'webpack', 'instantiate', 'cascades', 'before', 'commands',
+];
+
+// Sections that must be an object, or a function returning one
+const OBJECT_OR_FUNCTION_KEYS = ['options', 'fields', 'columns', 'filters', 'methods', 'handlers', 'components', 'helpers', 'routes', 'apiRoutes', 'tasks', 'queries'];
+
+/**
+ * What a module's index.js must extend
+ */
+export function getExpectedExtend(type, isPiecePage = false) {
+  if (type === 'page') {
+    return isPiecePage ? '@apostrophecms/piece-page-type' : '@apostrophecms/page-type';
+  }
+  return `@apostrophecms/${type}-type`;
+}
+
+/**
+ * Parse JavaScript as an ES module - returns { ast, error }
+ */
+export function parseModule(content) {
+  try {
+    return {
+      ast: parse(content, { ecmaVersion: 'latest', sourceType: 'module', locations: true }),
+      error: null,
+    };
+  } catch (error) {
+    return {
+      ast: null,
+      error: {
+        line: error.loc?.line || 1,
+        column: (error.loc?.column ?? 0) + 1,
+        // Acorn appends "(line:col)" - it is reported separately
+        message: error.message.replace(/\s*\(\d+:\d+\)$/, ''),
+      },
+    };
+  }
+}
+
+/**
+ * Name of an object property key (identifier or string literal)
+ */
+export function propertyName(property) {
+  if (property.type !== 'Property' || property.computed) return null;
+  return property.key.type === 'Identifier' ? property.key.name : String(property.key.value);
+}
+
+/**
+ * The value a module's index.js exports by default
+ * May be the object itself, or a top-level const holding it - null without export default
+ */
+export function findModuleConfig(ast) {
+  const exportDefault = ast.body.find(node => node.type === 'ExportDefaultDeclaration');
+  if (!exportDefault) {
+    return null;
+  }
+
+  const config = exportDefault.declaration;
+  if (config.type === 'Identifier') {
+    const declarator = ast.body
+      .filter(node => node.type === 'VariableDeclaration')
+      .flatMap(node => node.declarations)
+      .find(d => d.id.type === 'Identifier' && d.id.name === config.name);
+    return declarator?.init || config;
+  }
+
+  return config;
+}
+
+/**
+ * Check the export default of a module's index.js
+ */
+function checkModuleShape(ast, expectedExtend) {
+  const problems = [];
+  const config = findModuleConfig(ast);
+
+  if (!config) {
+    return [{ line: 1, column: 1, message: 'Module index.js must have an `export default { ... }`', severity: 'error' }];
+  }
+
+  const at = (node) => ({ line: node.loc.start.line, column: node.loc.start.column + 1 });
+
+  if (config.type !== 'ObjectExpression') {
+    return [{ ...at(config), message: 'export default must be an object literal with the module configuration', severity: 'error' }];
+  }
+
+  const properties = new Map();
+  for (const property of config.properties) {
+    const name = propertyName(property);
+    if (name) properties.set(name, property);
+  }
+
+  const extend = properties.get('extend');
+  if (!extend) {
+    problems.push({ ...at(config), message: `Module must declare \`extend: '${expectedExtend}'\``, severity: 'error' });
+  } else if (extend.value.type !== 'Literal' || typeof extend.value.value !== 'string') {
+    problems.push({ ...at(extend), message: '`extend` must be a string', severity: 'error' });
+  } else if (expectedExtend && extend.value.value !== expectedExtend) {
+    problems.push({ ...at(extend), message: `\`extend\` is '${extend.value.value}' but this module must extend '${expectedExtend}'`, severity: 'error' });
+  }
+
+  for (const [name, property] of properties) {
+    if (!MODULE_KEYS.includes(name)) {
+      problems.push({ ...at(property), message: `Unknown module configuration key \`${name}\``, severity: 'warning' });
+      continue;
+    }
+
+    const valueType = property.value.type;
+    const isFunction = valueType === 'FunctionExpression' || valueType === 'ArrowFunctionExpression' || property.method;
+    if (OBJECT_OR_FUNCTION_KEYS.includes(name) && valueType !== 'ObjectExpression' && !isFunction) {
+      problems.push({ ...at(property), message: `\`${name}\` must be an object (or a function returning one)`, severity: 'error' });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Check generated files - every .js file is parsed, the module's index.js
+ * (moduleIndexPath) also has its export default checked against expectedExtend
+ */
+export function checkJavaScriptFiles(files, { moduleIndexPath, expectedExtend } = {}) {
+  const diagnostics = [];
+
+  for (const file of files) {
+    if (!file.path.endsWith('.js')) continue;
+
+    const { ast, error } = parseModule(file.content);
+    if (error) {
+      diagnostics.push({ path: file.path, ...error, severity: 'error', source: 'javascript' });
+      continue;
+    }
+
+    if (file.path === moduleIndexPath) {
+      for (const problem of checkModuleShape(ast, expectedExtend)) {
+        diagnostics.push({ path: file.path, ...problem, source: 'javascript' });
+      }
+    }
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Source with line numbers, for repair prompts
+ */
+export function numberLines(content) {
+  const lines = content.split('\n');
+  const width = String(lines.length).length;
+  return lines.map((line, index) => `${String(index + 1).padStart(width)} | ${line}`).join('\n');
+}
+
+/**
+ * Build a prompt asking Claude to fix the JavaScript errors in the listed files
+ */
+export function buildJavaScriptRepairPrompt({ type, name, files, diagnostics }) {
+  const errors = diagnostics.filter(d => d.severity === 'error');
+  const paths = [...new Set(errors.map(d => d.path))];
+
+  const sections = paths.map((path) => {
+    const file = files.find(f => f.path === path);
+    return `FILE: ${path}
+ERRORS:
+${errors.filter(d => d.path === path).map(d => `- line ${d.line}, column ${d.column}: ${d.message}`).join('\n')}
+
+SOURCE (line numbers added for reference - do not include them):
+${numberLines(file?.content || '')}`;
+  });
+
+  return `The JavaScript you generated for the Apostrophe CMS ${type} module "${name}" has errors. Fix ONLY these errors - keep everything else (fields, options, logic) exactly as it is.
+
+${sections.join('\n\n')}
+
+Each file must parse as an ES module. A module's index.js must be \`export default { extend: '...', ... }\`.
+
+REQUIRED OUTPUT FORMAT - Return ONLY this JSON structure, with the complete corrected file(s):
+{
+  "files": [
+    { "path": "${paths[0]}", "content": "..." }
+  ]
+}
+
+⚠️ CRITICAL: Your ENTIRE response must be ONLY the JSON object.
+- Start with { immediately
+- No text before or after
+- No markdown code blocks
+
+START WITH { NOW:`;
+}
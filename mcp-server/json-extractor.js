@@ -0,0 +1,179 @@
+/**
+ * JSON Extractor
+ * Finds the JSON object in a Claude response. Brackets are matched outside JSON
+ * strings only, so the braces in every index.js and SCSS file, and escaped quotes,
+ * don't end the object early or run it past its end.
+ *
+ * Tolerates prose before and after the JSON and any number of code fences. A
+ * response that was cut off still yields its complete file entries.
+ */
+
+/**
+ * Scan the JSON value that starts at text[start] ('{' or '[')
+ * Returns { end } (index after its closing bracket), { truncated: true } if the
+ * text ends first, or null if the brackets don't match.
+ */
+function scanValue(text, start) {
+  const closers = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      closers.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      if (closers.pop() !== char) return null;
+      if (closers.length === 0) return { end: i + 1 };
+    }
+  }
+
+  return { truncated: true };
+}
+
+/**
+ * Fix what Claude commonly gets wrong, without touching string contents:
+ * raw newlines/tabs inside strings, and stray commas (`[,`, `,,`, `,}`, `,]`)
+ */
+function repairJson(json) {
+  let output = '';
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < json.length; i++) {
+    const char = json[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      } else if (char === '\n' || char === '\r' || char === '\t') {
+        output += char === '\n' ? '\\n' : (char === '\r' ? '\\r' : '\\t');
+        continue;
+      }
+      output += char;
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === ',') {
+      const next = json.slice(i + 1).match(/^\s*(.)/)?.[1];
+      const previous = output.match(/(\S)\s*$/)?.[1];
+      if (next === '}' || next === ']' || next === ',' || previous === '{' || previous === '[') {
+        continue;
+      }
+    }
+    output += char;
+  }
+
+  return output;
+}
+
+/**
+ * JSON.parse, then once more after repairJson() - returns undefined if both fail
+ */
+function parseLenient(json) {
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    try {
+      return JSON.parse(repairJson(json));
+    } catch (repairError) {
+      return undefined;
+    }
+  }
+}
+
+/**
+ * The first JSON object in text that accept(value) agrees with, or null
+ *
+ * Only a `{` followed by a key (or `}`) can start one, which skips the braces
+ * of code in the prose and of escaped file contents.
+ */
+export function findJsonObject(text, accept = () => true) {
+  const startPattern = /\{(?=\s*["}])/g;
+  let match;
+
+  while ((match = startPattern.exec(text)) !== null) {
+    const scanned = scanValue(text, match.index);
+    if (!scanned?.end) continue;
+
+    const value = parseLenient(text.slice(match.index, scanned.end));
+    if (value && typeof value === 'object' && !Array.isArray(value) && accept(value)) {
+      return value;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * The complete entries of a "files" array that never closes (or doesn't parse)
+ * Returns { files, truncated } - truncated when the text ends inside the array.
+ */
+function salvageFiles(text) {
+  const match = /"files"\s*:\s*\[/.exec(text);
+  const files = [];
+  if (!match) {
+    return { files, truncated: false };
+  }
+
+  let position = match.index + match[0].length;
+  while (true) {
+    position += text.slice(position).match(/^[\s,]*/)[0].length;
+    if (position >= text.length) {
+      return { files, truncated: true };
+    }
+    if (text[position] !== '{') {
+      return { files, truncated: false };
+    }
+
+    const scanned = scanValue(text, position);
+    if (!scanned) {
+      return { files, truncated: false };
+    }
+    if (scanned.truncated) {
+      return { files, truncated: true };
+    }
+
+    const file = parseLenient(text.slice(position, scanned.end));
+    if (typeof file?.path === 'string' && typeof file?.content === 'string') {
+      files.push(file);
+    }
+    position = scanned.end;
+  }
+}
+
+/**
+ * Parse a `{ "files": [ {path, content}, ... ] }` response
+ *
+ * Returns { files, complete, truncated }. When the object can't be parsed, files
+ * are the entries that could be salvaged, and truncated says whether the response
+ * was cut off (so the rest can be requested).
+ */
+export function parseFilesResponse(text) {
+  const value = findJsonObject(text, candidate => Array.isArray(candidate.files));
+  if (value) {
+    return { files: value.files, complete: true, truncated: false };
+  }
+
+  return { ...salvageFiles(text), complete: false };
+}
@@ -0,0 +1,423 @@
+/**
+ * LLM Backends
+ * Everything the generator sends to Claude goes through one interface:
+ *
+ *   backend.complete(prompt, { timeoutMs, signal, task, onText }) -> Promise<string>
+ *
+ * onText(delta) is called with response text as it arrives (when the backend streams)
+ *
+ * Selected with LLM_BACKEND:
+ *   cli     - the `claude` CLI (default)
+ *   http    - an Anthropic-compatible Messages API endpoint (LLM_API_URL)
+ *   fixture - canned JSON from LLM_FIXTURE_DIR, for machines without the CLI
+ *
+ * Any of them can be recorded to / replayed from cassettes (see cassettes.js)
+ *
+ * At most LLM_CONCURRENCY calls run at once in this process - bundle parts and
+ * concurrent requests wait for a free slot before their backend starts
+ */
+
+import { spawn } from 'child_process';
+import { readFileSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { withCassettes } from './cassettes.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// CLI backend - stream tokens with stream-json output (LLM_CLI_STREAMING=false buffers plain text)
+const CLI_STREAMING = process.env.LLM_CLI_STREAMING !== 'false';
+const CLI_STREAM_ARGS = ['-p', '--output-format', 'stream-json', '--verbose', '--include-partial-messages'];
+
+// HTTP backend - point LLM_API_URL at a local stand-in to develop offline
+const LLM_API_URL = process.env.LLM_API_URL || 'https://api.anthropic.com';
+const LLM_API_KEY = process.env.LLM_API_KEY || process.env.ANTHROPIC_API_KEY || '';
+const LLM_MODEL = process.env.LLM_MODEL || 'claude-sonnet-4-5';
+const LLM_MAX_TOKENS = parseInt(process.env.LLM_MAX_TOKENS, 10) || 16000;
+
+// Fixture backend - one <task>.json per task, with {{var}} placeholders
+const LLM_FIXTURE_DIR = process.env.LLM_FIXTURE_DIR || join(__dirname, 'fixtures');
+const LLM_FIXTURE_DELAY_MS = parseInt(process.env.LLM_FIXTURE_DELAY_MS, 10) || 0;
+
+// Backend calls (and so Claude CLI processes) running at once - a bundle's three parts fit by default
+const LLM_CONCURRENCY = Math.max(1, parseInt(process.env.LLM_CONCURRENCY, 10) || 3);
+
+/**
+ * Read one line of the CLI's stream-json output
+ * Returns { text } for a token delta, { message } for a whole assistant message,
+ * { result, isError } for the final result, or null for anything else
+ */
+function parseStreamJsonLine(line) {
+  let event;
+  try {
+    event = JSON.parse(line);
+  } catch (error) {
+    return null;
+  }
+
+  if (event.type === 'stream_event') {
+    const delta = event.event?.type === 'content_block_delta' ? event.event.delta : null;
+    return delta?.type === 'text_delta' ? { text: delta.text } : null;
+  }
+
+  if (event.type === 'assistant') {
+    const message = (event.message?.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    return message ? { message } : null;
+  }
+
+  if (event.type === 'result') {
+    return { result: event.result, isError: event.is_error === true };
+  }
+
+  return null;
+}
+
+/**
+ * CLI backend - spawns the `claude` command with the prompt on stdin
+ *
+ * Streams token deltas to onText; aborting signal kills the CLI process
+ * and rejects with "Generation cancelled"
+ */
+function completeWithCli(prompt, { timeoutMs = 60000, signal, onText } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new Error('Generation cancelled'));
+      return;
+    }
+
+    // CRITICAL: Use stdin instead of -p argument to avoid command-line length limits
+    // Prompts can be very long (500+ lines with templates, examples, design tokens)
+    // Command-line arguments have system limits (~128KB-256KB on most systems)
+    const child = spawn('claude', CLI_STREAMING ? CLI_STREAM_ARGS : [], {
+      stdio: ['pipe', 'pipe', 'pipe']  // Enable stdin for prompt input
+    });
+
+    let stdout = '';
+    let stderr = '';
+    let isResolved = false;
+
+    // stream-json state - deltas arrive first, the result line carries the full text
+    let lineBuffer = '';
+    let streamedText = '';
+    let messageText = '';
+    let finalResult = null;
+
+    const handleLine = (line) => {
+      const event = parseStreamJsonLine(line);
+      if (!event) return;
+
+      if (event.text !== undefined) {
+        streamedText += event.text;
+        onText?.(event.text);
+      } else if (event.message !== undefined) {
+        // CLI without partial messages - the whole message arrives at once
+        if (!streamedText) {
+          onText?.(event.message);
+        }
+        messageText += event.message;
+      } else {
+        finalResult = event;
+      }
+    };
+
+    // Set timeout (configurable, default 60s)
+    const timeout = setTimeout(() => {
+      if (!isResolved) {
+        isResolved = true;
+        child.kill('SIGTERM');
+        reject(new Error(`Claude API timeout (${timeoutMs/1000} seconds). The request took too long. Please try again.`));
+      }
+    }, timeoutMs);
+
+    // Nobody is waiting for the result any more - stop Claude instead of letting it run to timeout
+    const onAbort = () => {
+      if (isResolved) return;
+      isResolved = true;
+      clearTimeout(timeout);
+      console.error(`\n🛑 Generation cancelled - stopping Claude CLI (pid ${child.pid})`);
+      child.kill('SIGTERM');
+      reject(new Error('Generation cancelled'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    child.stdout.on('data', (data) => {
+      stdout += data.toString();
+
+      if (CLI_STREAMING) {
+        lineBuffer += data.toString();
+        const lines = lineBuffer.split('\n');
+        lineBuffer = lines.pop(); // Keep incomplete line in buffer
+        lines.forEach(handleLine);
+      }
+    });
+
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    child.on('close', (code) => {
+      signal?.removeEventListener('abort', onAbort);
+      if (isResolved) return; // Already timed out or cancelled
+      isResolved = true;
+      clearTimeout(timeout);
+
+      if (CLI_STREAMING) {
+        handleLine(lineBuffer);
+
+        if (finalResult?.isError) {
+          reject(new Error(`Claude CLI failed: ${String(finalResult.result || 'unknown error').substring(0, 200)}`));
+          return;
+        }
+
+        // Unrecognised output (e.g. an older CLI) is used as plain text
+        const text = finalResult?.result ?? (streamedText || messageText);
+        if (text) {
+          stdout = text;
+        }
+      }
+
+      if (code !== 0) {
+        console.error(`\n❌ Claude CLI failed with exit code ${code}`);
+        console.error(`stderr: ${stderr}`);
+        console.error(`stdout: ${stdout.substring(0, 500)}`);
+        reject(new Error(`Claude CLI failed (exit code ${code}): ${stderr || stdout.substring(0, 200)}`));
+      } else {
+        // Check if stdout is empty or very short
+        if (!stdout || stdout.trim().length < 10) {
+          console.error(`\n❌ Claude returned empty or very short response`);
+          console.error(`stdout length: ${stdout.length}`);
+          console.error(`stderr: ${stderr}`);
+          reject(new Error(`Claude returned empty response. stderr: ${stderr.substring(0, 200)}`));
+        } else {
+          resolve(stdout);
+        }
+      }
+    });
+
+    child.on('error', (error) => {
+      signal?.removeEventListener('abort', onAbort);
+      if (isResolved) return; // Already timed out or cancelled
+      isResolved = true;
+      clearTimeout(timeout);
+      reject(new Error(`Failed to execute Claude CLI: ${error.message}. Make sure 'claude' command is installed globally: npm install -g @anthropic-ai/cli`));
+    });
+
+    // Write prompt to stdin instead of passing as command-line argument
+    // This avoids system limits on argument length
+    try {
+      child.stdin.write(prompt);
+      child.stdin.end();
+    } catch (writeError) {
+      if (!isResolved) {
+        isResolved = true;
+        clearTimeout(timeout);
+        reject(new Error(`Failed to write prompt to Claude CLI stdin: ${writeError.message}`));
+      }
+    }
+  });
+}
+
+/**
+ * HTTP backend - POSTs the prompt to an Anthropic-compatible /v1/messages endpoint
+ */
+async function completeWithHttp(prompt, { timeoutMs = 60000, signal, onText } = {}) {
+  if (signal?.aborted) {
+    throw new Error('Generation cancelled');
+  }
+
+  const url = `${LLM_API_URL.replace(/\/$/, '')}/v1/messages`;
+  const timeoutSignal = AbortSignal.timeout(timeoutMs);
+  const requestSignal = signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+
+  const headers = {
+    'content-type': 'application/json',
+    'anthropic-version': '2023-06-01'
+  };
+  if (LLM_API_KEY) {
+    headers['x-api-key'] = LLM_API_KEY;
+  }
+
+  let status;
+  let bodyText;
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: LLM_MODEL,
+        max_tokens: LLM_MAX_TOKENS,
+        messages: [{ role: 'user', content: prompt }]
+      }),
+      signal: requestSignal
+    });
+    status = response.status;
+    bodyText = await response.text();
+  } catch (error) {
+    if (signal?.aborted) {
+      throw new Error('Generation cancelled');
+    }
+    if (timeoutSignal.aborted) {
+      throw new Error(`Claude API timeout (${timeoutMs/1000} seconds). The request took too long. Please try again.`);
+    }
+    throw new Error(`Failed to reach LLM endpoint ${url}: ${error.cause?.message || error.message}`);
+  }
+
+  if (status < 200 || status >= 300) {
+    console.error(`\n❌ LLM endpoint returned HTTP ${status}`);
+    console.error(`body: ${bodyText.substring(0, 500)}`);
+    throw new Error(`LLM endpoint returned HTTP ${status}: ${bodyText.substring(0, 200)}`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(bodyText);
+  } catch (parseError) {
+    throw new Error(`LLM endpoint returned invalid JSON: ${parseError.message}`);
+  }
+
+  const text = (data.content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+
+  if (!text || text.trim().length < 10) {
+    throw new Error(`Claude returned empty response. stop_reason: ${data.stop_reason || 'unknown'}`);
+  }
+
+  onText?.(text);
+  return text;
+}
+
+/**
+ * Fixture backend - returns <LLM_FIXTURE_DIR>/<task.name>.json with {{var}} filled from task.vars
+ * Deterministic: the same task and vars always give the same response
+ */
+async function completeWithFixture(prompt, { signal, task, onText } = {}) {
+  if (!task?.name) {
+    throw new Error('Fixture backend needs a task name to pick a fixture');
+  }
+
+  const fixturePath = join(LLM_FIXTURE_DIR, `${task.name}.json`);
+  if (!existsSync(fixturePath)) {
+    throw new Error(`No fixture for task "${task.name}" (expected ${fixturePath})`);
+  }
+
+  const vars = task.vars || {};
+  const template = readFileSync(fixturePath, 'utf-8');
+
+  // Values go inside JSON strings, so escape them the way JSON.stringify would
+  const response = template.replace(/\{\{(\w+)\}\}/g, (match, key) => (
+    vars[key] === undefined || vars[key] === null ? match : JSON.stringify(String(vars[key])).slice(1, -1)
+  ));
+
+  // Optional delay so progress, streaming and cancellation can be demoed -
+  // the response is streamed in chunks spread over the delay
+  const chunkCount = LLM_FIXTURE_DELAY_MS > 0 ? 20 : 1;
+  const chunkSize = Math.ceil(response.length / chunkCount);
+
+  for (let i = 0; i < chunkCount; i++) {
+    if (LLM_FIXTURE_DELAY_MS > 0) {
+      await new Promise((resolve, reject) => {
+        const onAbort = () => {
+          clearTimeout(timer);
+          reject(new Error('Generation cancelled'));
+        };
+        const timer = setTimeout(() => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        }, LLM_FIXTURE_DELAY_MS / chunkCount);
+        signal?.addEventListener('abort', onAbort, { once: true });
+      });
+    }
+
+    if (signal?.aborted) {
+      throw new Error('Generation cancelled');
+    }
+
+    onText?.(response.substring(i * chunkSize, (i + 1) * chunkSize));
+  }
+
+  return response;
+}
+
+/**
+ * Create a limiter that lets at most `limit` calls of the backends it wraps run at once
+ *
+ * Returns withLimit(backend). Calls over the limit wait in line; aborting their
+ * signal while they wait rejects with "Generation cancelled" without starting them.
+ */
+export function createCallLimiter(limit) {
+  let active = 0;
+  const waiting = [];
+
+  const acquire = (signal) => {
+    if (signal?.aborted) {
+      return Promise.reject(new Error('Generation cancelled'));
+    }
+
+    if (active < limit) {
+      active++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = () => {
+        signal?.removeEventListener('abort', onAbort);
+        active++;
+        resolve();
+      };
+      const onAbort = () => {
+        waiting.splice(waiting.indexOf(waiter), 1);
+        reject(new Error('Generation cancelled'));
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      waiting.push(waiter);
+      console.error(`⏳ LLM call waiting for a free slot (${active}/${limit} running, ${waiting.length} waiting)`);
+    });
+  };
+
+  const release = () => {
+    active--;
+    waiting.shift()?.();
+  };
+
+  return (backend) => ({
+    ...backend,
+    async complete(prompt, options = {}) {
+      await acquire(options.signal);
+      try {
+        return await backend.complete(prompt, options);
+      } finally {
+        release();
+      }
+    }
+  });
+}
+
+// One limiter for the whole process, shared by every backend
+const withCallLimit = createCallLimiter(LLM_CONCURRENCY);
+
+const BACKENDS = {
+  cli: { name: 'cli', needsCli: true, complete: completeWithCli },
+  http: { name: 'http', needsCli: false, complete: completeWithHttp },
+  fixture: { name: 'fixture', needsCli: false, complete: completeWithFixture }
+};
+
+/**
+ * Get the configured backend (LLM_BACKEND, default cli), limited to
+ * LLM_CONCURRENCY calls at once and wrapped for recording or replay when
+ * LLM_CASSETTE_MODE is set (replayed calls skip the limit)
+ */
+export function getLlmBackend(name = process.env.LLM_BACKEND || 'cli') {
+  const backend = BACKENDS[name.toLowerCase()];
+
+  if (!backend) {
+    throw new Error(`Unknown LLM_BACKEND "${name}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+
+  return withCassettes(withCallLimit(backend));
+}
@@ -0,0 +1,362 @@
+/**
+ * Module Sandbox
+ * Loads a generated index.js the way Apostrophe would use it - evaluated, not just
+ * parsed - and checks the module definition it exports ("module health"):
+ * - extend matches the module type
+ * - fields is { add, group } or a function returning it
+ * - options.label is set
+ * - methods, components, helpers, handlers and init are functions with the
+ *   signatures Apostrophe calls them with
+ *
+ * The code runs in its own VM context with every import replaced by a stub, no
+ * Node globals, no eval and a time limit. The definition is inspected inside the
+ * context too, so getters, proxies and promise callbacks all run under the time
+ * limit, and only a JSON snapshot comes back out. It is isolated from the
+ * generator's state, but it is not a security boundary. (Node 20 aborts when the
+ * time limit stops a promise callback while async_hooks are enabled - the MCP
+ * server doesn't enable them.)
+ *
+ * Each check is { check, status, message } with status 'ok', 'warning' or 'error'.
+ */
+
+import vm from 'vm';
+import { parseModule } from './js-checker.js';
+
+const TIMEOUT_MS = 1000;
+
+// Functions Apostrophe calls with (self) to get an object of functions
+const FUNCTION_GROUPS = ['methods', 'components', 'helpers', 'handlers'];
+
+/**
+ * Snapshot of a module definition, as a JSON string - runs inside the sandbox
+ *
+ * Everything that can run module code happens here: reading properties (getters,
+ * proxies) and calling fields, methods, components, helpers and handlers with a
+ * stub per argument. The checks then only look at the plain data returned.
+ */
+function inspectDefinition(definition, groupNames) {
+  const kindOf = (value) => (value === null ? 'null' : (Array.isArray(value) ? 'array' : typeof value));
+  const isObject = (value) => kindOf(value) === 'object';
+  const describeFunction = (fn) => {
+    if (typeof fn !== 'function') return { kind: kindOf(fn) };
+    // Signature as written - "(self, options)"
+    const source = Function.prototype.toString.call(fn);
+    const match = source.match(/^[^(]*\(([^)]*)\)/) || source.match(/^\s*(?:async\s+)?([\w$]+)\s*=>/);
+    return { kind: 'function', length: fn.length, parameters: `(${match ? match[1].trim() : ''})` };
+  };
+  const call = (fn, ...argumentNames) => {
+    try {
+      return { value: fn(...argumentNames.map(__stub)) };
+    } catch (error) {
+      return { threw: String(error?.message || error) };
+    }
+  };
+
+  if (!isObject(definition)) {
+    return JSON.stringify({ kind: kindOf(definition) });
+  }
+
+  const options = definition.options;
+  const snapshot = {
+    kind: 'object',
+    extend: { kind: kindOf(definition.extend), value: String(definition.extend) },
+    options: { kind: kindOf(options), label: typeof options?.label === 'string' ? options.label : null },
+    fields: null,
+    groups: {},
+    init: definition.init === undefined ? null : describeFunction(definition.init),
+  };
+
+  // fields: { add, group } or (self, options) => ({ add, group })
+  if (definition.fields !== undefined) {
+    const fields = definition.fields;
+    const result = typeof fields === 'function' ? call(fields, 'self', 'options') : { value: fields };
+    snapshot.fields = { ...describeFunction(fields), threw: result.threw ?? null, value: null };
+    if (!('threw' in result)) {
+      const value = result.value;
+      const entries = (object, valid) => (isObject(object) ? Object.entries(object).map(([name, item]) => [name, valid(item)]) : []);
+      snapshot.fields.value = isObject(value)
+        ? {
+          kind: 'object',
+          keys: Object.keys(value),
+          add: { kind: kindOf(value.add), entries: entries(value.add, field => isObject(field) && typeof field.type === 'string') },
+          group: { kind: kindOf(value.group), entries: entries(value.group, group => isObject(group) && Array.isArray(group.fields)) },
+        }
+        : { kind: kindOf(value) };
+    }
+  }
+
+  // methods(self), components(self), helpers(self), handlers(self)
+  for (const name of groupNames) {
+    const section = definition[name];
+    if (section === undefined) continue;
+
+    const group = describeFunction(section);
+    if (typeof section === 'function') {
+      const result = call(section, 'self');
+      group.threw = result.threw ?? null;
+      group.returned = 'threw' in result ? null : kindOf(result.value);
+      group.entries = isObject(result.value)
+        ? Object.entries(result.value).map(([key, value]) => ({
+          key,
+          ...describeFunction(value),
+          handlers: isObject(value) && Object.values(value).every(handler => typeof handler === 'function'),
+        }))
+        : [];
+    }
+    snapshot.groups[name] = group;
+  }
+
+  return JSON.stringify(snapshot);
+}
+
+/**
+ * { message, stack } of a thrown value, as a JSON string - runs inside the sandbox
+ */
+function describeError(error) {
+  const isObject = error !== null && (typeof error === 'object' || typeof error === 'function');
+  return JSON.stringify({
+    message: String((isObject && error.message) || error),
+    stack: isObject ? String(error.stack || '') : '',
+  });
+}
+
+// Defined inside the context, so stubs belong to the sandbox's realm. A stub is
+// any value: every property, call and construction gives another stub.
+const PRELUDE = `
+const __stub = (name) => new Proxy(function () {}, {
+  get(target, key) {
+    if (key === Symbol.toPrimitive) return () => '[' + name + ']';
+    if (key === 'then') return undefined;
+    return __stub(name + '.' + String(key));
+  },
+  apply() { return __stub(name + '()'); },
+  construct() { return __stub('new ' + name); },
+});
+const __import = (source) => __stub(source);
+const __importMeta = { url: 'file:///sandbox/index.js', dirname: '/sandbox', filename: '/sandbox/index.js' };
+const __exports = {};
+const console = __stub('console');
+const process = __stub('process');
+const __inspect = ${inspectDefinition};
+const __describeError = ${describeError};
+`;
+
+/**
+ * Every node of an acorn AST
+ */
+function* walk(node) {
+  if (!node || typeof node.type !== 'string') return;
+  yield node;
+  for (const value of Object.values(node)) {
+    if (Array.isArray(value)) {
+      for (const child of value) yield* walk(child);
+    } else if (value && typeof value === 'object') {
+      yield* walk(value);
+    }
+  }
+}
+
+/**
+ * Rewrite an ES module as a script: imports read stubs, `export default`
+ * assigns __exports.default, other exports lose their `export`
+ */
+function toScript(content, ast) {
+  const edits = [];
+
+  ast.body.forEach((node) => {
+    if (node.type === 'ImportDeclaration') {
+      const source = JSON.stringify(node.source.value);
+      const bindings = node.specifiers.map((specifier) => {
+        if (specifier.type === 'ImportNamespaceSpecifier') return `const ${specifier.local.name} = __import(${source});`;
+        const imported = specifier.type === 'ImportDefaultSpecifier' ? 'default' : (specifier.imported.name ?? specifier.imported.value);
+        return `const ${specifier.local.name} = __import(${source})[${JSON.stringify(imported)}];`;
+      });
+      edits.push({ start: node.start, end: node.end, text: bindings.join(' ') });
+    } else if (node.type === 'ExportDefaultDeclaration') {
+      edits.push({ start: node.start, end: node.declaration.start, text: '__exports.default = ' });
+      edits.push({ start: node.declaration.end, end: node.declaration.end, text: ';' });
+    } else if (node.type === 'ExportNamedDeclaration' && node.declaration) {
+      edits.push({ start: node.start, end: node.declaration.start, text: '' });
+    } else if (node.type === 'ExportNamedDeclaration' || node.type === 'ExportAllDeclaration') {
+      edits.push({ start: node.start, end: node.end, text: '' });
+    }
+
+    for (const child of walk(node)) {
+      if (child.type === 'MetaProperty' && child.meta.name === 'import') {
+        edits.push({ start: child.start, end: child.end, text: '__importMeta' });
+      } else if (child.type === 'ImportExpression') {
+        edits.push({ start: child.start, end: child.source.start, text: 'Promise.resolve(__import(' });
+        edits.push({ start: child.source.end, end: child.end, text: '))' });
+      }
+    }
+  });
+
+  let script = content;
+  for (const edit of edits.sort((a, b) => b.start - a.start || b.end - a.end)) {
+    script = script.slice(0, edit.start) + edit.text + script.slice(edit.end);
+  }
+  return script;
+}
+
+// typeof of a snapshot kind - arrays and null are objects
+const typeName = (kind) => (kind === 'array' || kind === 'null' ? 'object' : kind);
+
+/**
+ * Evaluate index.js and check the module definition it exports
+ *
+ * Returns { path, loaded, checks }. expectedExtend comes from getExpectedExtend().
+ */
+export function checkModuleHealth({ path, content, expectedExtend }) {
+  const checks = [];
+  const add = (check, status, message) => checks.push({ check, status, message });
+
+  const { ast, error: parseError } = parseModule(content);
+  if (!ast) {
+    add('load', 'error', `Not loaded - the file does not parse (line ${parseError.line}: ${parseError.message})`);
+    return { path, loaded: false, checks };
+  }
+
+  // afterEvaluate runs promise callbacks before runInContext returns, inside its time limit
+  const context = vm.createContext({}, { codeGeneration: { strings: false, wasm: false }, microtaskMode: 'afterEvaluate' });
+  // Read a thrown value inside the sandbox too - its message may be a getter
+  const describe = (error) => {
+    try {
+      context.__error = error;
+      return JSON.parse(vm.runInContext('__describeError(__error)', context, { timeout: TIMEOUT_MS }));
+    } catch {
+      return { message: 'the thrown value could not be read', stack: '' };
+    }
+  };
+
+  vm.runInContext(PRELUDE, context);
+  try {
+    vm.runInContext(toScript(content, ast), context, { filename: path, timeout: TIMEOUT_MS });
+  } catch (error) {
+    const { message, stack } = describe(error);
+    const line = stack.match(new RegExp(`${path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}:(\\d+)`))?.[1];
+    add('load', 'error', `Evaluating index.js failed${line ? ` at line ${line}` : ''}: ${message}`);
+    return { path, loaded: false, checks };
+  }
+
+  let definition;
+  try {
+    const snapshot = vm.runInContext(`__inspect(__exports.default, ${JSON.stringify(FUNCTION_GROUPS)})`, context, { timeout: TIMEOUT_MS });
+    if (typeof snapshot !== 'string') throw new Error('the inspection did not return a snapshot');
+    definition = JSON.parse(snapshot);
+  } catch (error) {
+    add('load', 'error', `Inspecting the module definition failed: ${describe(error).message}`);
+    return { path, loaded: false, checks };
+  }
+
+  if (definition.kind !== 'object') {
+    add('load', 'error', `export default is ${definition.kind === 'undefined' ? 'missing' : `a ${typeName(definition.kind)}`} - it must be the module definition object`);
+    return { path, loaded: false, checks };
+  }
+  add('load', 'ok', 'Evaluated with stubbed imports');
+
+  // extend
+  const { extend } = definition;
+  if (extend.kind === 'string' && extend.value === expectedExtend) {
+    add('extend', 'ok', `Extends '${expectedExtend}'`);
+  } else {
+    add('extend', 'error', extend.kind === 'undefined'
+      ? `Missing extend - this module must extend '${expectedExtend}'`
+      : `Extends '${extend.value}' but this module must extend '${expectedExtend}'`);
+  }
+
+  // options.label
+  const { options } = definition;
+  if (options.kind !== 'undefined' && options.kind !== 'object') {
+    add('options', 'error', `options must be an object, not a ${typeName(options.kind)}`);
+  } else if (options.label !== null && options.label.trim() !== '') {
+    add('options.label', 'ok', `Label is '${options.label}'`);
+  } else {
+    add('options.label', 'warning', 'options.label is not set - editors will see the module name instead');
+  }
+
+  // fields: { add, group } or (self, options) => ({ add, group })
+  const { fields } = definition;
+  if (fields && fields.threw !== null) {
+    add('fields', 'error', `fields${fields.parameters} threw: ${fields.threw}`);
+  } else if (fields) {
+    const value = fields.value;
+    const problems = [];
+    if (value.kind !== 'object') {
+      problems.push(`fields must be an object or a function returning { add, group }, got ${value.kind === 'null' ? 'null' : typeName(value.kind)}`);
+    } else {
+      const unknown = value.keys.filter(key => !['add', 'group', 'remove'].includes(key));
+      if (unknown.length > 0) problems.push(`fields has ${unknown.map(key => `\`${key}\``).join(', ')} - only add, group and remove are read`);
+      if (value.add.kind !== 'undefined' && value.add.kind !== 'object') problems.push('fields.add must be an object of fields');
+      for (const [name, valid] of value.add.entries) {
+        if (!valid) problems.push(`fields.add.${name} needs a \`type\``);
+      }
+      if (value.group.kind !== 'undefined' && value.group.kind !== 'object') problems.push('fields.group must be an object of groups');
+      for (const [name, valid] of value.group.entries) {
+        if (!valid) problems.push(`fields.group.${name} needs a \`fields\` array`);
+      }
+    }
+
+    if (problems.length > 0) {
+      problems.forEach(problem => add('fields', 'error', problem));
+    } else {
+      add('fields', 'ok', `${value.add.entries.length} field(s) in ${value.group.entries.length} group(s)`);
+    }
+  }
+
+  // methods(self), components(self), helpers(self), handlers(self) - each returns an object
+  for (const name of FUNCTION_GROUPS) {
+    const section = definition.groups[name];
+    if (!section) continue;
+
+    if (section.kind !== 'function') {
+      add(name, 'error', `${name} must be a function (self) => ({ ... }), not ${section.kind === 'object' ? 'an object' : `a ${typeName(section.kind)}`}`);
+      continue;
+    }
+    if (section.length > 1) {
+      add(name, 'warning', `${name}${section.parameters} - Apostrophe only passes (self)`);
+    }
+
+    if (section.threw !== null) {
+      add(name, 'error', `${name}(self) threw: ${section.threw}`);
+      continue;
+    }
+    if (section.returned !== 'object') {
+      add(name, 'error', `${name}(self) must return an object, got ${section.returned === 'null' ? 'null' : typeName(section.returned)}`);
+      continue;
+    }
+
+    const problems = [];
+    for (const entry of section.entries) {
+      if (name === 'handlers') {
+        // handlers(self) => ({ 'event-name': { handlerName(req, ...) {} } })
+        if (entry.kind !== 'object' || !entry.handlers) {
+          problems.push(`handlers['${entry.key}'] must be an object of handler functions`);
+        }
+      } else if (entry.kind !== 'function') {
+        problems.push(`${name}.${entry.key} must be a function, not a ${typeName(entry.kind)}`);
+      } else if (name === 'components' && entry.length > 2) {
+        problems.push(`components.${entry.key}${entry.parameters} - components are called with (req, data)`);
+      }
+    }
+
+    if (problems.length > 0) {
+      problems.forEach(problem => add(name, 'error', problem));
+    } else {
+      add(name, 'ok', `${section.entries.length} ${name === 'handlers' ? 'event(s)' : 'function(s)'}`);
+    }
+  }
+
+  // init(self)
+  const { init } = definition;
+  if (init) {
+    if (init.kind !== 'function') {
+      add('init', 'error', `init must be a function (self), not a ${typeName(init.kind)}`);
+    } else if (init.length > 1) {
+      add('init', 'warning', `init${init.parameters} - Apostrophe only passes (self)`);
+    } else {
+      add('init', 'ok', `init${init.parameters}`);
+    }
+  }
+
+  return { path, loaded: true, checks };
+}
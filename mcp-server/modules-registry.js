@@ -0,0 +1,315 @@
+/**
+ * Modules Registry
+ * Adds and removes module registrations in a project's modules.js files
+ * ('card-widget': {}) by editing the registry object found in the AST, so
+ * everything else in the file - comments, spread entries, option objects and
+ * formatting - is left as it was.
+ *
+ * The registry object is what the file exports: `export default { ... }`,
+ * `module.exports = { ... }`, or a top-level variable holding the object that
+ * either of them exports. New entries follow the file's own indentation, quote
+ * style and trailing-comma convention. page-registry.js edits the page types
+ * and park lists with the same parsing and item helpers.
+ */
+
+import { parse } from 'acorn';
+import { propertyName } from './js-checker.js';
+
+// Indentation when the file has none to copy
+const DEFAULT_INDENT = '    ';
+
+/**
+ * Which modules.js registers a module, and under what name
+ *
+ * Returns { subdirectory, name }: bundles register as name-module in pieces,
+ * widgets as name-widget.
+ */
+export function registrationFor(moduleType, moduleName) {
+  if (moduleType === 'bundle') {
+    return { subdirectory: 'pieces', name: `${moduleName}-module` };
+  }
+  return {
+    subdirectory: moduleType === 'widget' ? 'widgets' : (moduleType === 'piece' ? 'pieces' : 'pages'),
+    name: moduleType === 'widget' ? `${moduleName}-widget` : moduleName,
+  };
+}
+
+/**
+ * Content of a new modules.js registering one module
+ */
+export function createModulesFile(name) {
+  return `export default {\n${DEFAULT_INDENT}'${name}': {}\n};\n`;
+}
+
+/**
+ * Parse a modules.js or module index.js (ES module or CommonJS) - returns { ast, comments } or null
+ */
+export function parseRegistry(content) {
+  for (const sourceType of ['module', 'script']) {
+    const comments = [];
+    try {
+      const ast = parse(content, { ecmaVersion: 'latest', sourceType, onComment: comments });
+      return { ast, comments };
+    } catch {
+      // CommonJS files may not parse as a module
+    }
+  }
+  return null;
+}
+
+/**
+ * What a top-level name is bound to: the init of its variable declaration, or null
+ */
+export function findBinding(ast, name) {
+  const declarator = ast.body
+    .filter(statement => statement.type === 'VariableDeclaration')
+    .flatMap(statement => statement.declarations)
+    .find(d => d.id.type === 'Identifier' && d.id.name === name);
+  return declarator?.init || null;
+}
+
+/**
+ * What a file exports: export default, or module.exports - the expression, or null
+ */
+export function findExportedValue(ast) {
+  for (const statement of ast.body) {
+    if (statement.type === 'ExportDefaultDeclaration') {
+      return statement.declaration;
+    }
+
+    const expression = statement.type === 'ExpressionStatement' ? statement.expression : null;
+    const target = expression?.type === 'AssignmentExpression' ? expression.left : null;
+    if (target?.type === 'MemberExpression' && !target.computed
+      && target.object.name === 'module' && target.property.name === 'exports') {
+      return expression.right;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * The object a file exports (directly or through a top-level variable), or null
+ */
+export function findRegistryObject(ast) {
+  let value = findExportedValue(ast);
+  if (value?.type === 'Identifier') value = findBinding(ast, value.name);
+  return value?.type === 'ObjectExpression' ? value : null;
+}
+
+/**
+ * Source helpers for one parsed file
+ */
+function createSource(content, comments) {
+  const lineStart = (offset) => content.lastIndexOf('\n', offset - 1) + 1;
+  const lineEnd = (offset) => {
+    const end = content.indexOf('\n', offset);
+    return end === -1 ? content.length : end;
+  };
+  const inComment = (offset) => comments.some(comment => offset >= comment.start && offset < comment.end);
+
+  return {
+    lineStart,
+    lineEnd,
+    indentAt: (offset) => content.slice(lineStart(offset)).match(/^[ \t]*/)[0],
+    startsLine: (offset) => content.slice(lineStart(offset), offset).trim() === '',
+
+    // First comma in [from, to) that is not inside a comment, or -1
+    commaBetween(from, to) {
+      for (let offset = from; offset < to; offset++) {
+        if (content[offset] === ',' && !inComment(offset)) return offset;
+      }
+      return -1;
+    },
+
+    // Past whitespace and comments that end on the same line as offset
+    skipLineComments(offset) {
+      let position = offset;
+      for (;;) {
+        const next = position + content.slice(position).match(/^[ \t]*/)[0].length;
+        const comment = comments.find(c => c.start === next && !content.slice(c.start, c.end).includes('\n'));
+        if (!comment) return position;
+        position = comment.end;
+      }
+    },
+  };
+}
+
+const itemsOf = (node) => (node.type === 'ObjectExpression' ? node.properties : node.elements.filter(Boolean));
+
+/**
+ * Quote to write a new key with: the one existing keys use, else the file's
+ * first string literal's, else single quotes
+ */
+function detectQuote(content, object) {
+  const quotedKey = object.properties.find(property => property.type === 'Property' && property.key.type === 'Literal');
+  if (quotedKey) return quotedKey.key.raw[0];
+  return content.match(/(['"])(?:\\.|(?!\1)[^\\\n])*\1/)?.[1] || "'";
+}
+
+/**
+ * The file's indentation unit, from its first indented line
+ */
+export function detectIndentUnit(content) {
+  const indent = content.match(/^([ \t]+)\S/m)?.[1];
+  if (!indent) return DEFAULT_INDENT;
+  return indent.startsWith('\t') ? '\t' : indent;
+}
+
+/**
+ * Add text as the last item of an object or array literal
+ *
+ * The item is indented like the items already there (one level in from the
+ * closing bracket when there are none) and follows their trailing-comma
+ * convention. Lines after the first keep their indentation relative to it.
+ * Returns the new content.
+ */
+export function insertItem(content, comments, node, text) {
+  const source = createSource(content, comments);
+  const newline = content.includes('\r\n') ? '\r\n' : '\n';
+  const withIndent = (indent) => text.split('\n').join(newline + indent);
+  const insert = (offset, added, removeTo = offset) => content.slice(0, offset) + added + content.slice(removeTo);
+
+  const items = itemsOf(node);
+  const open = content[node.start];
+  const closing = node.end - 1;
+  const last = items[items.length - 1];
+
+  // Empty - open it up one level deeper than its closing bracket
+  if (!last) {
+    const closeIndent = source.startsLine(closing) ? source.indentAt(closing) : source.indentAt(node.start);
+    const indent = closeIndent + detectIndentUnit(content);
+    if (content.slice(node.start + 1, closing).trim() === '') {
+      return insert(node.start, `${open}${newline}${indent}${withIndent(indent)}${newline}${closeIndent}${content[closing]}`, node.end);
+    }
+    // Only comments inside - add below them
+    const before = content.slice(0, closing).trimEnd().length;
+    return insert(before, `${newline}${indent}${withIndent(indent)}${newline}${closeIndent}`, closing);
+  }
+
+  const trailingComma = source.commaBetween(last.end, closing);
+
+  // All on one line: { 'a': {}, 'b': {} }
+  if (!content.slice(node.start, node.end).includes('\n')) {
+    return trailingComma === -1
+      ? insert(last.end, `, ${text}`)
+      : insert(trailingComma + 1, ` ${text},`);
+  }
+
+  const indent = source.startsLine(last.start) ? source.indentAt(last.start) : source.indentAt(items[0].start);
+  if (trailingComma !== -1) {
+    return insert(source.skipLineComments(trailingComma + 1), `${newline}${indent}${withIndent(indent)},`);
+  }
+
+  // No trailing comma - the last item gets one, the new item goes below its line comments
+  const after = source.skipLineComments(last.end);
+  return content.slice(0, last.end) + ',' + content.slice(last.end, after) + `${newline}${indent}${withIndent(indent)}` + content.slice(after);
+}
+
+/**
+ * Remove an item of an object or array literal, with its comma, comments on
+ * the same line and comment lines right above it. Returns the new content.
+ */
+export function removeItem(content, comments, node, index) {
+  const source = createSource(content, comments);
+  const items = itemsOf(node);
+  const item = items[index];
+  const previous = items[index - 1];
+  const next = items[index + 1];
+  const closing = node.end - 1;
+  const comma = source.commaBetween(item.end, next ? next.start : closing);
+
+  let from = item.start;
+  let to = comma === -1 ? item.end : comma + 1;
+
+  if (source.startsLine(item.start)) {
+    // Own line(s) - remove them whole
+    const end = source.skipLineComments(to);
+    if (content.slice(end, source.lineEnd(end)).trim() === '') {
+      from = source.lineStart(item.start);
+      to = Math.min(source.lineEnd(end) + 1, content.length);
+      while (from > node.start + 1) {
+        const above = source.lineStart(from - 1);
+        const text = content.slice(above, from - 1).trim();
+        const comment = comments.find(c => c.start === above + content.slice(above).match(/^[ \t]*/)[0].length);
+        if (!comment || text !== content.slice(comment.start, comment.end).trim()) break;
+        from = above;
+      }
+    }
+  } else if (comma !== -1) {
+    to += content.slice(to).match(/^[ \t]*/)[0].length;
+  }
+
+  // The last item without a trailing comma - the item before it loses its comma
+  let removeComma = -1;
+  if (comma === -1 && previous) {
+    removeComma = source.commaBetween(previous.end, item.start);
+    if (!source.startsLine(item.start)) {
+      from = removeComma;
+      removeComma = -1;
+    }
+  }
+
+  let updated = content.slice(0, from) + content.slice(to);
+  if (removeComma !== -1) {
+    updated = updated.slice(0, removeComma) + updated.slice(removeComma + 1);
+  }
+
+  // Nothing left inside - close it up
+  if (items.length === 1) {
+    const closeAt = updated.indexOf(content[closing], node.start);
+    if (updated.slice(node.start + 1, closeAt).trim() === '') {
+      updated = updated.slice(0, node.start + 1) + updated.slice(closeAt);
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * Whether a modules.js registers a module name - null if its registry object can't be found
+ */
+export function isRegistered(content, name) {
+  const parsed = parseRegistry(content);
+  const object = parsed && findRegistryObject(parsed.ast);
+  if (!object) return null;
+  return object.properties.some(property => propertyName(property) === name);
+}
+
+/**
+ * Add `'name': {}` to a modules.js
+ *
+ * Returns { content, changed }. changed is false when the module is already
+ * registered. Throws if the file has no registry object to add to.
+ */
+export function registerModule(content, name) {
+  const parsed = parseRegistry(content);
+  const object = parsed && findRegistryObject(parsed.ast);
+  if (!object) {
+    throw new Error('No exported modules object found (expected export default { ... } or module.exports = { ... })');
+  }
+  if (object.properties.some(property => propertyName(property) === name)) {
+    return { content, changed: false };
+  }
+
+  const quote = detectQuote(content, object);
+  const entry = `${quote}${name.replace(/\\/g, '\\\\').replace(new RegExp(quote, 'g'), `\\${quote}`)}${quote}: {}`;
+  return { content: insertItem(content, parsed.comments, object, entry), changed: true };
+}
+
+/**
+ * Remove a module's registration from a modules.js, with its options and
+ * comments on the same line
+ *
+ * Returns { content, changed }. changed is false when the module isn't registered.
+ */
+export function unregisterModule(content, name) {
+  const parsed = parseRegistry(content);
+  const object = parsed && findRegistryObject(parsed.ast);
+  const index = object ? object.properties.findIndex(property => propertyName(property) === name) : -1;
+  if (index === -1) {
+    return { content, changed: false };
+  }
+
+  return { content: removeItem(content, parsed.comments, object, index), changed: true };
+}
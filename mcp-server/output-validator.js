@@ -0,0 +1,198 @@
+/**
+ * Generated Output Validator
+ * Checks Claude's parsed `{ files: [...] }` against the contract for the module type,
+ * and builds focused repair prompts that ask only for what is missing or invalid.
+ *
+ * Contract:
+ * - every entry is { path: string, content: string }
+ * - every path is under the module folder (correctPath) or modules/asset/ui/src/
+ * - no path appears twice
+ * - the type's required files exist and are not empty
+ */
+
+const SHARED_ASSET_ROOT = 'modules/asset/ui/src/';
+
+// Problems a repair has to fix - anything else is dropped with a warning
+const BLOCKING_KINDS = ['missing', 'empty', 'duplicate'];
+
+/**
+ * The contract a generated module must meet
+ * isPiecePage: a bundle page (piece-page-type) - index.html + show.html instead of page.html
+ */
+export function getModuleContract({ type, correctPath, isPiecePage = false }) {
+  const requiredFiles = [`${correctPath}/index.js`];
+
+  if (type === 'widget') {
+    requiredFiles.push(`${correctPath}/views/widget.html`);
+  } else if (type === 'page' && isPiecePage) {
+    requiredFiles.push(`${correctPath}/views/index.html`, `${correctPath}/views/show.html`);
+  } else if (type === 'page') {
+    requiredFiles.push(`${correctPath}/views/page.html`);
+  }
+
+  return {
+    type,
+    correctPath,
+    allowedRoots: [`${correctPath}/`, SHARED_ASSET_ROOT],
+    requiredFiles,
+  };
+}
+
+/**
+ * Paths come back as "./modules/..." or "/modules/..." now and then
+ */
+function normalizePath(path) {
+  return path.trim().replace(/^\.?\/+/, '');
+}
+
+/**
+ * Whether a path may be written for this module
+ */
+export function isAllowedPath(path, contract) {
+  return !path.split('/').includes('..') && contract.allowedRoots.some(root => path.startsWith(root));
+}
+
+/**
+ * Validate generated files against a contract
+ *
+ * Returns { files, violations }: files are the entries that passed (normalized),
+ * violations are { kind, path, message } with kind one of
+ * invalid | outside | duplicate | missing | empty.
+ */
+export function validateGeneratedFiles(files, contract) {
+  const violations = [];
+  const candidates = [];
+
+  (Array.isArray(files) ? files : []).forEach((file, index) => {
+    if (!file || typeof file.path !== 'string' || typeof file.content !== 'string') {
+      violations.push({
+        kind: 'invalid',
+        path: typeof file?.path === 'string' ? file.path : `files[${index}]`,
+        message: 'is not a { "path": string, "content": string } object',
+      });
+      return;
+    }
+
+    const path = normalizePath(file.path);
+    if (!isAllowedPath(path, contract)) {
+      violations.push({
+        kind: 'outside',
+        path,
+        message: `is outside ${contract.correctPath}/ and ${SHARED_ASSET_ROOT}`,
+      });
+      return;
+    }
+
+    candidates.push({ ...file, path });
+  });
+
+  // A path listed twice is ambiguous - neither copy is kept
+  const counts = new Map();
+  candidates.forEach(file => counts.set(file.path, (counts.get(file.path) || 0) + 1));
+  for (const [path, count] of counts) {
+    if (count > 1) {
+      violations.push({ kind: 'duplicate', path, message: `appears ${count} times` });
+    }
+  }
+  const valid = candidates.filter(file => counts.get(file.path) === 1);
+
+  for (const path of contract.requiredFiles) {
+    const file = valid.find(f => f.path === path);
+    if (!file) {
+      if (counts.get(path) > 1) continue; // already reported as duplicate
+      violations.push({ kind: 'missing', path, message: 'is required but was not returned' });
+    } else if (!file.content.trim()) {
+      violations.push({ kind: 'empty', path, message: 'is required but is empty' });
+    }
+  }
+
+  return {
+    files: valid.filter(file => !(contract.requiredFiles.includes(file.path) && !file.content.trim())),
+    violations,
+  };
+}
+
+/**
+ * Violations that leave the module incomplete (the rest are just dropped)
+ */
+export function getBlockingViolations(violations) {
+  return violations.filter(v => BLOCKING_KINDS.includes(v.kind));
+}
+
+/**
+ * Describe violations for logs and error messages
+ */
+export function formatViolations(violations) {
+  return violations.map(v => `${v.path} ${v.message}`).join('; ');
+}
+
+/**
+ * Build a prompt that asks Claude for just the files that need fixing
+ *
+ * files are the entries already accepted - index.js is included so templates
+ * can match its fields, the rest are only listed.
+ */
+export function buildRepairPrompt({ type, name, label, contract, files, violations }) {
+  const requestedPaths = [...new Set(getBlockingViolations(violations).map(v => v.path))];
+  const dropped = violations.filter(v => !BLOCKING_KINDS.includes(v.kind));
+  const indexFile = files.find(f => f.path === `${contract.correctPath}/index.js`);
+
+  return `You generated an Apostrophe CMS ${type} module "${name}" (${label}), but some files are missing or invalid.
+
+PROBLEMS:
+${violations.map(v => `- ${v.path} ${v.message}`).join('\n')}
+
+FILES ALREADY ACCEPTED (do NOT send these again):
+${files.length > 0 ? files.map(f => `- ${f.path}`).join('\n') : '- (none)'}
+${indexFile ? `
+Schema of the module (${indexFile.path}) - templates must use these fields:
+${indexFile.content}
+` : ''}
+RETURN ONLY THESE FILES:
+${requestedPaths.map(path => `- ${path}`).join('\n')}
+${dropped.length > 0 ? `
+Files outside ${contract.correctPath}/ and ${SHARED_ASSET_ROOT} were dropped. If one of them is needed, return it under ${contract.correctPath}/ instead.
+` : ''}
+Every path must be under ${contract.correctPath}/ or ${SHARED_ASSET_ROOT}, and each path may appear only once.
+
+REQUIRED OUTPUT FORMAT - Return ONLY this JSON structure:
+{
+  "files": [
+    { "path": "${requestedPaths[0] || `${contract.correctPath}/index.js`}", "content": "..." }
+  ]
+}
+
+⚠️ CRITICAL: Your ENTIRE response must be ONLY the JSON object.
+- Start with { immediately
+- No text before or after
+- No markdown code blocks
+
+START WITH { NOW:`;
+}
+
+/**
+ * Merge repaired files into the accepted ones
+ * A repair may replace a file it was asked for, and add new files; it never
+ * overwrites an accepted file nobody asked about.
+ */
+export function mergeRepairedFiles(files, repairedFiles, violations) {
+  const requestedPaths = new Set(getBlockingViolations(violations).map(v => v.path));
+  const merged = [...files];
+
+  for (const file of Array.isArray(repairedFiles) ? repairedFiles : []) {
+    if (!file || typeof file.path !== 'string') {
+      merged.push(file); // reported again by the next validation
+      continue;
+    }
+
+    const path = normalizePath(file.path);
+    const existing = merged.findIndex(f => f?.path === path);
+    if (existing === -1) {
+      merged.push({ ...file, path });
+    } else if (requestedPaths.has(path)) {
+      merged[existing] = { ...file, path };
+    }
+  }
+
+  return merged;
+}
@@ -0,0 +1,406 @@
+/**
+ * Page Registry
+ * Adds, updates and removes page registrations in a project's
+ * modules/@apostrophecms/page/index.js by editing its AST:
+ * - types - { name, label } entries, the page types editors can choose
+ * - park  - { title, slug, type, parkedId } entries, pages Apostrophe creates at startup
+ *
+ * The lists may sit in `options` or at the top level of the module, be held in
+ * a variable, or be imported (or spread in) from another file of the project.
+ * An entry is edited in the file it lives in, and new entries go to the list
+ * page/index.js names. Parking checks every entry - and Apostrophe's own home
+ * and archive pages - for a slug or parkedId that is already taken.
+ *
+ * Files are read through read(fullPath), which returns the content or null;
+ * changes come back as [{ path, content }] with full paths. projectReader()
+ * keeps reads to what the path policy allows.
+ */
+
+import { existsSync, statSync } from 'fs';
+import { dirname, relative, resolve, sep } from 'path';
+import { propertyName } from './js-checker.js';
+import { resolveModulesPath } from './path-policy.js';
+import { parseRegistry, findBinding, findExportedValue, findRegistryObject, insertItem, removeItem, detectIndentUnit } from './modules-registry.js';
+
+export const PAGE_INDEX_PATH = 'modules/@apostrophecms/page/index.js';
+
+// Parked by Apostrophe unless the project parks its own page with the same parkedId
+const BUILT_IN_PARKED = [
+  { title: 'Home', slug: '/', type: '@apostrophecms/home-page', parkedId: 'home' },
+  { title: 'Archive', slug: '/archive', type: '@apostrophecms/archive-page', parkedId: 'archive' },
+];
+
+const TYPE_FIELDS = ['name', 'label'];
+const PARK_FIELDS = ['title', 'slug', 'type', 'parkedId'];
+
+/**
+ * The page module a save or delete is about: the module itself for pages, the
+ * -page member of a bundle (found in its files), else null
+ */
+export function findPageModule(moduleType, moduleName, files) {
+  if (moduleType === 'page') return moduleName;
+  if (moduleType !== 'bundle') return null;
+
+  // Bundle members are saved under modules/pieces/{bundle}-module/{name}-page/
+  for (const file of files) {
+    const match = file.path.match(/^modules\/pages\/([^/]+)\/index\.js$/)
+      || (file.path.startsWith(`modules/pieces/${moduleName}-module/`) && file.path.match(/^modules\/pieces\/[^/]+-module\/([^/]+-page)\/index\.js$/));
+    if (match) return match[1];
+  }
+  return null;
+}
+
+/**
+ * Value of a string literal (or a template literal without expressions) - else null
+ */
+function stringValue(node) {
+  if (node?.type === 'Literal' && typeof node.value === 'string') return node.value;
+  if (node?.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return null;
+}
+
+/**
+ * First string literal in a subtree, for the quote style of new values
+ */
+function firstString(node) {
+  if (!node || typeof node.type !== 'string') return null;
+  if (node.type === 'Literal' && typeof node.value === 'string') return node;
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'loc') continue;
+    for (const child of Array.isArray(value) ? value : [value]) {
+      const found = child && typeof child === 'object' ? firstString(child) : null;
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+function quoteString(value, quote) {
+  const escaped = value
+    .replace(/\\/g, '\\\\')
+    .replace(new RegExp(quote, 'g'), `\\${quote}`)
+    .replace(/\n/g, '\\n');
+  return `${quote}${escaped}${quote}`;
+}
+
+/**
+ * The project's page registry as it is now
+ *
+ * Reads page/index.js and every project file its lists come from. Returns
+ * { pageIndex, config, options, types, park } with types and park the lists
+ * { file, array, entries } (null when missing or not something that can be
+ * edited) and entries { file, array, index, node, values } - spread entries
+ * included, each pointing at the array it really lives in.
+ */
+function loadRegistry(pageIndexPath, read) {
+  const files = new Map();
+
+  const load = (path) => {
+    if (!files.has(path)) {
+      const content = read(path);
+      const parsed = content === null ? null : parseRegistry(content);
+      files.set(path, parsed && { path, content, ...parsed });
+    }
+    return files.get(path);
+  };
+
+  // A module a file imports or requires, when it is a file of the project
+  const loadImport = (file, source) => {
+    if (typeof source !== 'string' || !source.startsWith('.')) return null;
+    const path = resolve(dirname(file.path), source);
+    const candidates = [path, `${path}.js`, `${path}.mjs`, `${path}.cjs`, resolve(path, 'index.js')];
+    const found = candidates.find(candidate => read(candidate) !== null);
+    return found ? load(found) : null;
+  };
+
+  // What an expression stands for: { file, node } followed through variables, imports and require()
+  const follow = (file, node, depth = 0) => {
+    if (!node || depth > 8) return null;
+
+    if (node.type === 'Identifier') {
+      const bound = findBinding(file.ast, node.name);
+      if (bound) return follow(file, bound, depth + 1);
+
+      for (const statement of file.ast.body.filter(s => s.type === 'ImportDeclaration')) {
+        const specifier = statement.specifiers.find(s => s.local.name === node.name);
+        if (!specifier) continue;
+        const target = loadImport(file, statement.source.value);
+        if (!target) return null;
+        if (specifier.type === 'ImportDefaultSpecifier') {
+          return follow(target, findExportedValue(target.ast), depth + 1);
+        }
+        if (specifier.type === 'ImportSpecifier') {
+          const exported = specifier.imported.name ?? specifier.imported.value;
+          const declaration = target.ast.body
+            .filter(s => s.type === 'ExportNamedDeclaration' && s.declaration?.type === 'VariableDeclaration')
+            .flatMap(s => s.declaration.declarations)
+            .find(d => d.id.type === 'Identifier' && d.id.name === exported);
+          return declaration ? follow(target, declaration.init, depth + 1) : null;
+        }
+        return null;
+      }
+      return null;
+    }
+
+    // require('./page-types')
+    if (node.type === 'CallExpression' && node.callee.name === 'require' && node.arguments.length === 1) {
+      const target = loadImport(file, stringValue(node.arguments[0]));
+      return target ? follow(target, findExportedValue(target.ast), depth + 1) : null;
+    }
+
+    return { file, node };
+  };
+
+  const entriesOf = (file, array, seen) => {
+    if (seen.has(array)) return [];
+    seen.add(array);
+
+    return array.elements.flatMap((element) => {
+      if (element?.type === 'SpreadElement') {
+        const spread = follow(file, element.argument);
+        return spread?.node.type === 'ArrayExpression' ? entriesOf(spread.file, spread.node, seen) : [];
+      }
+      if (element?.type !== 'ObjectExpression') return [];
+
+      const values = {};
+      for (const property of element.properties) {
+        const name = propertyName(property);
+        if ([...TYPE_FIELDS, ...PARK_FIELDS].includes(name)) values[name] = stringValue(property.value);
+      }
+      return [{ file, array, index: array.elements.filter(Boolean).indexOf(element), node: element, values }];
+    });
+  };
+
+  const pageIndex = load(pageIndexPath);
+  const config = pageIndex && findRegistryObject(pageIndex.ast);
+  if (!config) {
+    return null;
+  }
+
+  const propertyOf = (object, name) => object?.properties.find(property => propertyName(property) === name) || null;
+  const optionsProperty = propertyOf(config, 'options');
+  const options = optionsProperty && follow(pageIndex, optionsProperty.value);
+
+  const optionsObject = options?.node.type === 'ObjectExpression' ? options : null;
+
+  // options.types, else types at the top level of the module
+  const listOf = (name) => {
+    const inOptions = optionsObject && propertyOf(optionsObject.node, name);
+    const property = inOptions || propertyOf(config, name);
+    if (!property) return null;
+    const list = follow(inOptions ? optionsObject.file : pageIndex, property.value);
+    if (list?.node.type !== 'ArrayExpression') return { array: null, entries: [] };
+    return { file: list.file, array: list.node, entries: entriesOf(list.file, list.node, new Set()) };
+  };
+
+  return {
+    pageIndex,
+    config,
+    options: optionsObject,
+    types: listOf('types'),
+    park: listOf('park'),
+  };
+}
+
+/**
+ * A registry entry's source, in the style of the list it goes into
+ */
+function formatEntry(file, array, fields) {
+  const unit = detectIndentUnit(file.content);
+  const quote = (array && firstString(array)?.raw[0]) || firstString(file.ast)?.raw[0] || "'";
+  const properties = Object.entries(fields).map(([key, value]) => `${key}: ${quoteString(value, quote)}`);
+
+  // Follow the last entry: { name: 'a', label: 'A' } on one line, or one property per line.
+  // A list that is all on one line ([...parked]) stays on one line
+  const oneLine = (node) => !file.content.slice(node.start, node.end).includes('\n');
+  const lastEntry = array?.elements.filter(element => element?.type === 'ObjectExpression').pop();
+  if (lastEntry ? oneLine(lastEntry) : array?.elements.length > 0 && oneLine(array)) {
+    return `{ ${properties.join(', ')} }`;
+  }
+  return `{\n${properties.map(property => unit + property).join(',\n')}\n}`;
+}
+
+/**
+ * Edits files one change at a time - every change re-reads the registry, so
+ * offsets are never stale
+ */
+function createEditor(pageIndexPath, read) {
+  const changed = new Map();
+  const current = (path) => (changed.has(path) ? changed.get(path) : read(path));
+
+  return {
+    load: () => loadRegistry(pageIndexPath, current),
+    write: (file, content) => changed.set(file.path, content),
+    files: () => [...changed].map(([path, content]) => ({ path, content })),
+  };
+}
+
+/**
+ * Add an entry to a list, creating the list (and options) if page/index.js has none
+ */
+function addEntry(editor, name, fields) {
+  const registry = editor.load();
+  const list = registry[name];
+
+  if (list?.array) {
+    const { file, array } = list;
+    editor.write(file, insertItem(file.content, file.comments, array, formatEntry(file, array, fields)));
+    return true;
+  }
+  if (list) {
+    // types: getTypes() - nothing to add to
+    return false;
+  }
+
+  const { pageIndex, config, options } = registry;
+  const entry = formatEntry(pageIndex, null, fields);
+  const unit = detectIndentUnit(pageIndex.content);
+  const listText = `${name}: [\n${entry.split('\n').map(line => unit + line).join('\n')}\n]`;
+
+  if (options) {
+    editor.write(options.file, insertItem(options.file.content, options.file.comments, options.node, listText));
+  } else {
+    const optionsText = `options: {\n${listText.split('\n').map(line => unit + line).join('\n')}\n}`;
+    editor.write(pageIndex, insertItem(pageIndex.content, pageIndex.comments, config, optionsText));
+  }
+  return true;
+}
+
+/**
+ * Set string fields on an existing entry - a field written as an expression
+ * (label: t('...')) is left alone. Returns whether anything changed.
+ */
+function updateEntry(editor, listName, match, fields) {
+  let updated = false;
+
+  for (const [key, value] of Object.entries(fields)) {
+    const entry = editor.load()[listName].entries.find(match);
+    if (entry.values[key] === value) continue;
+
+    const { file, node } = entry;
+    const property = node.properties.find(p => propertyName(p) === key);
+    if (!property) {
+      const quote = firstString(node)?.raw[0] || "'";
+      editor.write(file, insertItem(file.content, file.comments, node, `${key}: ${quoteString(value, quote)}`));
+      updated = true;
+    } else if (stringValue(property.value) !== null) {
+      const quote = property.value.type === 'Literal' ? property.value.raw[0] : '`';
+      const text = quote === '`' ? `\`${value.replace(/[`\\$]/g, '\\$&')}\`` : quoteString(value, quote);
+      editor.write(file, file.content.slice(0, property.value.start) + text + file.content.slice(property.value.end));
+      updated = true;
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * Error thrown when a parked page would take a slug or parkedId another entry has
+ */
+function collisionError(field, value, existing) {
+  const owner = existing.path
+    ? `the parked page '${existing.title || existing.parkedId}' (type ${existing.type}) in ${existing.path}`
+    : `Apostrophe's ${existing.parkedId} page`;
+  const error = new Error(`Cannot park the page: ${field} '${value}' is already used by ${owner}. Choose another ${field === 'slug' ? 'park URL' : 'page name'}`);
+  error.pageCollision = { field, value, existing };
+  return error;
+}
+
+/**
+ * Register a page type: { name, label }
+ *
+ * An existing entry gets the new label. Returns { files, action } with action
+ * 'added', 'updated', or null when there was nothing to do (or page/index.js
+ * can't be edited).
+ */
+export function registerPageType(pageIndexPath, read, { name, label }) {
+  const editor = createEditor(pageIndexPath, read);
+  const registry = editor.load();
+  if (!registry) return { files: [], action: null };
+
+  const match = entry => entry.values.name === name;
+  let action = null;
+  if (registry.types?.entries.some(match)) {
+    if (updateEntry(editor, 'types', match, { label })) action = 'updated';
+  } else if (addEntry(editor, 'types', { name, label })) {
+    action = 'added';
+  }
+
+  return { files: editor.files(), action };
+}
+
+/**
+ * Park a page: { title, slug, type, parkedId }
+ *
+ * The entry with this parkedId and type gets the new title and slug. Throws
+ * with error.pageCollision when the slug or parkedId belongs to another page.
+ * Returns { files, action } like registerPageType().
+ */
+export function registerParkedPage(pageIndexPath, read, park) {
+  const editor = createEditor(pageIndexPath, read);
+  const registry = editor.load();
+  if (!registry) return { files: [], action: null };
+
+  // Project-relative path of the file an entry is in
+  const projectPath = pageIndexPath.slice(0, -PAGE_INDEX_PATH.length);
+  const entries = (registry.park?.entries || []).map(entry => ({ ...entry.values, path: relative(projectPath, entry.file.path).split(sep).join('/') }));
+  const parked = [
+    ...entries,
+    ...BUILT_IN_PARKED.filter(builtIn => !entries.some(values => values.parkedId === builtIn.parkedId)),
+  ];
+
+  const sameId = parked.find(values => values.parkedId === park.parkedId);
+  if (sameId && sameId.type !== park.type) {
+    throw collisionError('parkedId', park.parkedId, sameId);
+  }
+  const sameSlug = parked.find(values => values.slug === park.slug && values !== sameId);
+  if (sameSlug) {
+    throw collisionError('slug', park.slug, sameSlug);
+  }
+
+  const match = entry => entry.values.parkedId === park.parkedId;
+  let action = null;
+  if (sameId) {
+    if (updateEntry(editor, 'park', match, { title: park.title, slug: park.slug })) action = 'updated';
+  } else if (addEntry(editor, 'park', park)) {
+    action = 'added';
+  }
+
+  return { files: editor.files(), action };
+}
+
+/**
+ * Remove a page module from types (name) and park (type), wherever the
+ * entries live. Returns { files, removed } with removed the number of entries.
+ */
+export function unregisterPage(pageIndexPath, read, name) {
+  const editor = createEditor(pageIndexPath, read);
+  let removed = 0;
+
+  for (;;) {
+    const registry = editor.load();
+    const entry = registry && [
+      ...(registry.types?.entries.filter(e => e.values.name === name) || []),
+      ...(registry.park?.entries.filter(e => e.values.type === name) || []),
+    ][0];
+    if (!entry) break;
+
+    editor.write(entry.file, removeItem(entry.file.content, entry.file.comments, entry.array, entry.index));
+    removed++;
+  }
+
+  return { files: editor.files(), removed };
+}
+
+/**
+ * read() for a project: readFile(fullPath) for files the path policy allows
+ * (under modules/, symlinks included), null for missing files and folders.
+ * A registry that reads anything else throws the policy's error (pathRejected).
+ */
+export function projectReader(projectPath, readFile) {
+  return (path) => {
+    const full = resolveModulesPath(projectPath, relative(projectPath, path).split(sep).join('/'));
+    if (existsSync(full) && !statSync(full).isFile()) return null;
+    return readFile(full);
+  };
+}
@@ -0,0 +1,111 @@
+/**
+ * Path Policy
+ * Every generated file that is written or deleted, and every history folder, is
+ * resolved through here. The paths come from Claude's output and from the browser,
+ * so they are checked rather than trusted:
+ * - relative only - no absolute paths, drive letters or `..` segments
+ * - inside the allowed root: a project's modules/ folder, or the history folder
+ * - symlinks are followed, so a linked folder cannot lead outside the root
+ *
+ * Refused paths throw an Error with `pathRejected: true`.
+ */
+
+import { lstatSync, realpathSync } from 'fs';
+import { resolve, relative, isAbsolute, dirname, basename, join } from 'path';
+
+// History ids are folder names: 2025-11-18_11-09-31_accordion-widget
+const HISTORY_ID_PATTERN = /^[\w.-]+$/;
+
+function rejectPath(path, reason) {
+  const error = new Error(`Refused path "${path}": ${reason}`);
+  error.pathRejected = true;
+  error.reason = reason;
+  return error;
+}
+
+function isInside(root, target) {
+  const relativePath = relative(root, target);
+  return relativePath !== '' && !relativePath.startsWith('..') && !isAbsolute(relativePath);
+}
+
+const existsOrIsLink = (path) => {
+  try {
+    lstatSync(path);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Where a path really points - the real path of its deepest existing ancestor
+ * plus the parts that don't exist yet (so new files under a linked folder count)
+ */
+function realTarget(path) {
+  const missing = [];
+  let existing = path;
+  while (!existsOrIsLink(existing) && dirname(existing) !== existing) {
+    missing.unshift(basename(existing));
+    existing = dirname(existing);
+  }
+
+  // Throws for a symlink whose target doesn't exist
+  return join(realpathSync(existing), ...missing);
+}
+
+/**
+ * Resolve a relative path inside root, or throw
+ */
+export function resolveInside(root, relativePath) {
+  if (typeof relativePath !== 'string' || relativePath.trim() === '' || relativePath.includes('\0')) {
+    throw rejectPath(String(relativePath), 'not a file path');
+  }
+  if (isAbsolute(relativePath) || /^([a-zA-Z]:|[\\/])/.test(relativePath)) {
+    throw rejectPath(relativePath, 'absolute paths are not allowed');
+  }
+  if (relativePath.split(/[\\/]/).includes('..')) {
+    throw rejectPath(relativePath, "'..' segments are not allowed");
+  }
+
+  const target = resolve(root, relativePath);
+  if (!isInside(resolve(root), target)) {
+    throw rejectPath(relativePath, 'it is outside the allowed folder');
+  }
+
+  let realPath;
+  try {
+    realPath = realTarget(target);
+  } catch (error) {
+    throw rejectPath(relativePath, 'it goes through a broken symlink');
+  }
+  if (!isInside(realTarget(resolve(root)), realPath)) {
+    throw rejectPath(relativePath, 'a symlink leads outside the allowed folder');
+  }
+
+  return target;
+}
+
+/**
+ * Absolute path of a generated file ("modules/...") in a project
+ * Only the project's modules/ folder can be written to or deleted from.
+ */
+export function resolveModulesPath(projectPath, filePath) {
+  if (typeof filePath !== 'string' || !filePath.startsWith('modules/')) {
+    throw rejectPath(String(filePath), 'only files under modules/ can be written or deleted');
+  }
+  try {
+    return resolveInside(join(projectPath, 'modules'), filePath.substring('modules/'.length));
+  } catch (error) {
+    throw error.pathRejected ? rejectPath(filePath, error.reason) : error;
+  }
+}
+
+/**
+ * Absolute path of a history folder - the id must be a single folder name
+ */
+export function resolveHistoryFolder(historyRoot, historyId) {
+  if (typeof historyId !== 'string' || !HISTORY_ID_PATTERN.test(historyId) || /^\.+$/.test(historyId)) {
+    throw rejectPath(String(historyId), 'not a history id');
+  }
+  return resolveInside(historyRoot, historyId);
+}
@@ -0,0 +1,189 @@
+/**
+ * Save Conflicts
+ * What happens when a generated module is saved over files that already exist
+ * with other content:
+ * - abort     - nothing is written (the default)
+ * - overwrite - the generated files replace the project's
+ * - rename    - the module is saved under a free suffixed name (card-2), with
+ *               paths, registration names, BEM classes and the park URL renamed
+ *               to match
+ * - merge     - three-way merge per file, with the previous generation of the
+ *               module (from history) as the base, so hand edits made since then
+ *               are kept. Overlapping changes get conflict markers, which a dry
+ *               run shows but a save refuses.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { resolveModulesPath } from './path-policy.js';
+import { matchLines } from './unified-diff.js';
+
+export const CONFLICT_STRATEGIES = ['abort', 'overwrite', 'rename', 'merge'];
+
+// Appended to rather than replaced, so never a conflict
+const SHARED_FILES = ['modules/asset/ui/src/index.js'];
+
+// Suffixes a module name appears with: card-widget, event-page, event-module
+const NAME_SUFFIXES = '(-widget|-page|-module)?';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Folder a module of this type and name is saved in
+ */
+export function moduleFolder(moduleType, moduleName) {
+  if (moduleType === 'bundle') return `modules/pieces/${moduleName}-module`;
+  if (moduleType === 'widget') return `modules/widgets/${moduleName}-widget`;
+  return `modules/${moduleType === 'piece' ? 'pieces' : 'pages'}/${moduleName}`;
+}
+
+/**
+ * Generated files that exist in the project with different content
+ */
+export function findConflicts(projectPath, files) {
+  return files
+    .filter(file => !SHARED_FILES.includes(file.path))
+    .filter((file) => {
+      const fullPath = resolveModulesPath(projectPath, file.path);
+      return existsSync(fullPath) && readFileSync(fullPath, 'utf8') !== file.content;
+    })
+    .map(file => file.path);
+}
+
+/**
+ * Error thrown when a save would change existing files and no strategy allows it
+ */
+export function conflictError(moduleName, paths) {
+  const error = new Error(`Module '${moduleName}' already exists and ${paths.length} file(s) differ: ${paths.join(', ')}. Choose a conflict strategy: overwrite, rename or merge`);
+  error.conflict = { moduleName, files: paths };
+  return error;
+}
+
+/**
+ * Error thrown when a merge can't be saved - details is { files } with the
+ * files that have conflict markers, or { diagnostics } if the merged files
+ * have errors
+ */
+export function mergeError(reason, details) {
+  const error = new Error(`Cannot merge: ${reason}. Resolve the overlapping changes in the project first, or choose overwrite or rename`);
+  error.mergeRefused = details;
+  return error;
+}
+
+/**
+ * Rename a module in its generated files: paths, registration names in string
+ * literals, and BEM classes in templates, SCSS and selectors in JavaScript
+ */
+export function renameModuleFiles(files, from, to) {
+  const name = escapeRegExp(from);
+  const identifier = new RegExp(`^${name}${NAME_SUFFIXES}$`);
+  const partial = new RegExp(`^_${name}${NAME_SUFFIXES}\\.scss$`);
+  const selector = new RegExp(`\\.${name}${NAME_SUFFIXES}(?=__|--|[^\\w-]|$)`, 'g');
+  const classToken = new RegExp(`(^|[\\s'"])${name}${NAME_SUFFIXES}(?=__|--|[\\s'"]|$)`, 'g');
+  const stringLiteral = /(['"`])((?:\\.|(?!\1)[^\\\n])*)\1/g;
+
+  const renamePath = (path) => path.split('/').map((segment) => {
+    if (identifier.test(segment)) return segment.replace(identifier, `${to}$1`);
+    if (partial.test(segment)) return segment.replace(partial, `_${to}$1.scss`);
+    return segment;
+  }).join('/');
+
+  // 'card-widget' becomes 'card-2-widget'; '.card__title' in a selector string becomes '.card-2__title'
+  const renameStrings = (code) => code.replace(stringLiteral, (literal, quote, value) => (identifier.test(value)
+    ? `${quote}${value.replace(identifier, `${to}$1`)}${quote}`
+    : `${quote}${value.replace(selector, `.${to}$1`)}${quote}`));
+
+  return files.map((file) => {
+    let content = file.content;
+    if (file.path.endsWith('.scss')) {
+      content = content.replace(selector, `.${to}$1`);
+    } else if (file.path.endsWith('.html')) {
+      content = content.replace(/(\bclass\s*=\s*)("[^"]*"|'[^']*')/g, (match, attribute, value) => attribute + value.replace(classToken, `$1${to}$2`));
+    } else if (file.path.endsWith('.js')) {
+      content = renameStrings(content);
+    }
+    return { ...file, path: renamePath(file.path), content };
+  });
+}
+
+/**
+ * First free name: name-2, name-3, ... with no module folder and none of the
+ * renamed files already in the project
+ */
+export function findFreeModuleName(projectPath, files, moduleName, moduleType) {
+  for (let suffix = 2; ; suffix++) {
+    const candidate = `${moduleName}-${suffix}`;
+    const taken = existsSync(join(projectPath, moduleFolder(moduleType, candidate)))
+      || renameModuleFiles(files, moduleName, candidate)
+        .some(file => !SHARED_FILES.includes(file.path) && existsSync(resolveModulesPath(projectPath, file.path)));
+    if (!taken) return candidate;
+  }
+}
+
+/**
+ * Park URL for a renamed module - the original's suffixed the same way
+ * ('/products' saved as product-2 parks at '/products-2'), since the original
+ * page already holds it
+ */
+export function renameParkUrl(parkUrl, from, to) {
+  const suffix = to.startsWith(from) ? to.slice(from.length) : `-${to}`;
+  const trimmed = parkUrl.replace(/\/+$/, '');
+  return trimmed ? `${trimmed}${suffix}` : `/${to}`;
+}
+
+/**
+ * Three-way merge of one file's lines
+ *
+ * base is the previous generation, ours the project's file (with hand edits),
+ * theirs the new generation. Returns { content, conflicts }.
+ */
+export function mergeFileContent(base, ours, theirs) {
+  const baseLines = base.split('\n');
+  const ourLines = ours.split('\n');
+  const theirLines = theirs.split('\n');
+  const toOurs = matchLines(baseLines, ourLines);
+  const toTheirs = matchLines(baseLines, theirLines);
+
+  const output = [];
+  let conflicts = 0;
+  let b = 0;
+  let o = 0;
+  let t = 0;
+  const same = (x, y) => x.length === y.length && x.every((line, index) => line === y[index]);
+
+  while (b < baseLines.length || o < ourLines.length || t < theirLines.length) {
+    // Lines all three agree on
+    if (b < baseLines.length && toOurs[b] === o && toTheirs[b] === t) {
+      output.push(baseLines[b]);
+      b++;
+      o++;
+      t++;
+      continue;
+    }
+
+    // The next base line both sides kept ends the changed chunk
+    let next = b;
+    while (next < baseLines.length && (toOurs[next] === -1 || toTheirs[next] === -1)) next++;
+    const ourEnd = next < baseLines.length ? toOurs[next] : ourLines.length;
+    const theirEnd = next < baseLines.length ? toTheirs[next] : theirLines.length;
+
+    const baseChunk = baseLines.slice(b, next);
+    const ourChunk = ourLines.slice(o, ourEnd);
+    const theirChunk = theirLines.slice(t, theirEnd);
+
+    if (same(ourChunk, baseChunk) || same(ourChunk, theirChunk)) {
+      output.push(...theirChunk);
+    } else if (same(theirChunk, baseChunk)) {
+      output.push(...ourChunk);
+    } else {
+      conflicts++;
+      output.push('<<<<<<< project (edited since the last generation)', ...ourChunk, '=======', ...theirChunk, '>>>>>>> generated');
+    }
+
+    b = next;
+    o = ourEnd;
+    t = theirEnd;
+  }
+
+  return { content: output.join('\n'), conflicts };
+}
@@ -0,0 +1,92 @@
+/**
+ * Save Transaction
+ * Applies a save's staged writes all or nothing:
+ * 1. every file the save touches is snapshotted
+ * 2. the new contents are written next to their targets as temporary files
+ * 3. the temporary files are renamed over the targets
+ * On any error, targets already replaced get their snapshot back (or are removed
+ * if they were new), temporary files and folders the save created are removed.
+ *
+ * Each write is a step: { step, path, action, status } with action 'create' or
+ * 'modify' and status 'applied', 'failed', 'rolled-back', 'not-applied' or
+ * 'rollback-failed' (with error).
+ */
+
+import { existsSync, readFileSync, writeFileSync, renameSync, rmSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+
+const TEMP_SUFFIX = `.saving-${process.pid}`;
+
+/**
+ * Write [{ fullPath, path, step, before, after }] as one transaction
+ *
+ * Returns the steps. Throws with error.steps and error.rolledBack if it failed.
+ */
+export function applyStagedWrites(writes) {
+  const steps = writes.map(write => ({
+    step: write.step,
+    path: write.path,
+    action: write.before === null ? 'create' : 'modify',
+    status: 'not-applied',
+  }));
+
+  const snapshots = writes.map(write => (existsSync(write.fullPath) ? readFileSync(write.fullPath) : null));
+  const createdFolders = [];
+  const tempFiles = [];
+  const replaced = [];
+  let current = -1;
+
+  try {
+    // Stage - a failure here leaves every target untouched
+    writes.forEach((write, index) => {
+      current = index;
+      const createdFolder = mkdirSync(dirname(write.fullPath), { recursive: true });
+      if (createdFolder) createdFolders.push(createdFolder);
+      writeFileSync(write.fullPath + TEMP_SUFFIX, write.after, 'utf8');
+      tempFiles.push(write.fullPath + TEMP_SUFFIX);
+    });
+
+    // Commit
+    writes.forEach((write, index) => {
+      current = index;
+      renameSync(write.fullPath + TEMP_SUFFIX, write.fullPath);
+      replaced.push(index);
+      steps[index].status = 'applied';
+    });
+
+    return steps;
+  } catch (error) {
+    steps[current].status = 'failed';
+    steps[current].error = error.message;
+
+    let restored = true;
+    for (const index of replaced.reverse()) {
+      try {
+        if (snapshots[index] === null) {
+          rmSync(writes[index].fullPath, { force: true });
+        } else {
+          writeFileSync(writes[index].fullPath, snapshots[index]);
+        }
+        steps[index].status = 'rolled-back';
+      } catch (restoreError) {
+        restored = false;
+        steps[index].status = 'rollback-failed';
+        steps[index].error = restoreError.message;
+      }
+    }
+
+    for (const tempFile of tempFiles) {
+      rmSync(tempFile, { force: true });
+    }
+    for (const folder of createdFolders.reverse()) {
+      rmSync(folder, { recursive: true, force: true });
+    }
+
+    const failure = new Error(restored
+      ? `Save failed at ${writes[current].path} and was rolled back: ${error.message}`
+      : `Save failed at ${writes[current].path} and could not be fully rolled back: ${error.message}`);
+    failure.steps = steps;
+    failure.rolledBack = restored;
+    throw failure;
+  }
+}
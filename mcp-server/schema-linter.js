@@ -0,0 +1,366 @@
+/**
+ * Schema Linter
+ * Lints the `fields.add` / `fields.group` schema of a module's index.js against
+ * Apostrophe's rules and the modules that exist in the project (or the bundle
+ * being generated). The schema is read from the AST, nothing is executed.
+ *
+ * Problems are reported as diagnostics: { path, line, column, message, severity, source }
+ * with 1-based line and column.
+ */
+
+import { existsSync, readFileSync, readdirSync } from 'fs';
+import { join, relative, basename, sep } from 'path';
+import { parseModule, propertyName } from './js-checker.js';
+import { findRegistryObject } from './modules-registry.js';
+import { resolveModulesPath } from './path-policy.js';
+
+// Field types Apostrophe 3/4 ships with
+export const FIELD_TYPES = [
+  'area', 'array', 'attachment', 'boolean', 'checkboxes', 'color', 'date', 'dateAndTime',
+  'email', 'float', 'integer', 'object', 'oembed', 'password', 'radio', 'range',
+  'relationship', 'relationshipReverse', 'select', 'slug', 'string', 'time', 'url',
+];
+
+// Field types that need `choices`
+const CHOICE_TYPES = ['select', 'radio', 'checkboxes'];
+
+// Doc types every project has (valid withType values)
+const BUILT_IN_PIECE_TYPES = [
+  '@apostrophecms/image', '@apostrophecms/file', '@apostrophecms/user',
+  '@apostrophecms/image-tag', '@apostrophecms/file-tag', '@apostrophecms/any-page-type',
+  '@apostrophecms/page',
+];
+
+// Base types a project module inherits from, by what it ends up extending
+const PIECE_BASES = ['@apostrophecms/piece-type'];
+const PAGE_BASES = ['@apostrophecms/page-type', '@apostrophecms/piece-page-type'];
+const WIDGET_BASES = ['@apostrophecms/widget-type'];
+
+// Widgets every project has (area `widgets` keys)
+const BUILT_IN_WIDGETS = [
+  '@apostrophecms/rich-text', '@apostrophecms/image', '@apostrophecms/video',
+  '@apostrophecms/html', '@apostrophecms/layout',
+];
+
+// Fields piece and page types inherit, so groups may list them
+const INHERITED_FIELDS = ['title', 'slug', 'archived', 'visibility', 'type', 'orphan'];
+
+// Project folders that never hold modules
+const SKIPPED_FOLDERS = ['node_modules', 'public', 'ui', 'views', 'i18n', 'data'];
+
+/**
+ * Property of an object expression by name - the Property node, or null
+ */
+function getProperty(objectNode, name) {
+  if (objectNode?.type !== 'ObjectExpression') return null;
+  return objectNode.properties.find(property => propertyName(property) === name) || null;
+}
+
+/**
+ * Value of a string literal (or a template literal without expressions) - else null
+ */
+function stringValue(node) {
+  if (node?.type === 'Literal' && typeof node.value === 'string') return node.value;
+  if (node?.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return null;
+}
+
+/**
+ * The object a section returns: the object itself, `(self) => ({ ... })`,
+ * or a function/method whose body returns an object
+ */
+function resolveSectionObject(node) {
+  if (!node) return null;
+  if (node.type === 'ObjectExpression') return node;
+
+  if (node.type === 'ArrowFunctionExpression' || node.type === 'FunctionExpression') {
+    if (node.body.type === 'ObjectExpression') return node.body;
+    const returned = node.body.body?.find(statement => statement.type === 'ReturnStatement');
+    return returned?.argument?.type === 'ObjectExpression' ? returned.argument : null;
+  }
+
+  return null;
+}
+
+const at = (node) => ({ line: node.loc.start.line, column: node.loc.start.column + 1 });
+
+/**
+ * Fields of one schema level - Map(name -> { type, line, column, fields })
+ * with fields the nested Map of an array/object field
+ */
+function readFields(addNode) {
+  const fields = new Map();
+
+  for (const property of addNode.properties) {
+    const name = propertyName(property);
+    if (!name || property.value.type !== 'ObjectExpression') continue;
+
+    const type = stringValue(getProperty(property.value, 'type')?.value);
+    const nestedAdd = (type === 'array' || type === 'object')
+      ? resolveSectionObject(getProperty(resolveSectionObject(getProperty(property.value, 'fields')?.value), 'add')?.value)
+      : null;
+
+    fields.set(name, { type, ...at(property), fields: nestedAdd ? readFields(nestedAdd) : null });
+  }
+
+  return fields;
+}
+
+/**
+ * The fields.add of a module's index.js (see readFields) - null if it can't be read
+ */
+export function extractSchemaFields(content) {
+  const { ast } = parseModule(content);
+  const config = ast && findRegistryObject(ast);
+  const add = resolveSectionObject(getProperty(resolveSectionObject(getProperty(config, 'fields')?.value), 'add')?.value);
+  return add ? readFields(add) : null;
+}
+
+/**
+ * Find the piece types, page types and widgets that exist in a project
+ *
+ * Walks modules/ for index.js files (pieces, widgets and bundle members alike,
+ * ESM or CommonJS) and reads the keys of every modules.js and app.js to know
+ * what is registered. A module that extends another project module counts as
+ * whatever that one is (an `article` extending `news` is a piece type too).
+ * Returns { pieceTypes: Set, pageTypes: Set, widgets: Map(area name -> { path, module, registered }), indexPaths }
+ * with indexPaths every module index.js (project-relative).
+ */
+export function getProjectModules(projectPath) {
+  const pieceTypes = new Set();
+  const pageTypes = new Set();
+  const widgets = new Map();
+  const registered = new Set();
+  const indexPaths = [];
+  // Module name -> { extend, folder }
+  const modules = new Map();
+
+  const readKeys = (path) => {
+    if (!existsSync(path)) return;
+    for (const match of readFileSync(path, 'utf8').matchAll(/['"]?([@\w/-]+)['"]?\s*:\s*\{/g)) {
+      registered.add(match[1]);
+    }
+  };
+  readKeys(join(projectPath, 'app.js'));
+
+  const walk = (folder, depth) => {
+    if (depth > 4 || !existsSync(folder)) return;
+
+    readKeys(join(folder, 'modules.js'));
+
+    const indexPath = join(folder, 'index.js');
+    const name = basename(folder);
+    if (depth > 0 && existsSync(indexPath) && !name.startsWith('@')) {
+      indexPaths.push(relative(projectPath, indexPath).split(sep).join('/'));
+      const { ast } = parseModule(readFileSync(indexPath, 'utf8'));
+      const extend = stringValue(getProperty(ast && findRegistryObject(ast), 'extend')?.value);
+      modules.set(name, { extend, folder });
+    }
+
+    for (const entry of readdirSync(folder, { withFileTypes: true })) {
+      if (entry.isDirectory() && !entry.name.startsWith('.') && !SKIPPED_FOLDERS.includes(entry.name)) {
+        walk(join(folder, entry.name), depth + 1);
+      }
+    }
+  };
+  walk(join(projectPath, 'modules'), 0);
+
+  // Follow extend through project modules to the Apostrophe base type (cycles end nowhere)
+  const baseOf = (name) => {
+    const seen = new Set();
+    let extend = modules.get(name)?.extend;
+    while (modules.has(extend) && !seen.has(extend)) {
+      seen.add(extend);
+      extend = modules.get(extend).extend;
+    }
+    return extend;
+  };
+
+  for (const [name, { folder }] of modules) {
+    const base = baseOf(name);
+    if (PIECE_BASES.includes(base)) {
+      pieceTypes.add(name);
+    } else if (PAGE_BASES.includes(base)) {
+      pageTypes.add(name);
+    } else if (WIDGET_BASES.includes(base)) {
+      widgets.set(name.replace(/-widget$/, ''), { path: relative(projectPath, folder), module: name });
+    }
+  }
+
+  for (const widget of widgets.values()) {
+    widget.registered = registered.has(widget.module);
+  }
+
+  return { pieceTypes, pageTypes, widgets, indexPaths };
+}
+
+/**
+ * Lint the fields of one schema level (nested array/object fields recurse)
+ */
+function lintFields(addNode, context, problems) {
+  for (const property of addNode.properties) {
+    const name = propertyName(property);
+    if (!name) continue;
+
+    const field = property.value;
+    if (field.type !== 'ObjectExpression') {
+      problems.push({ ...at(property), message: `Field \`${name}\` must be an object ({ type: '...', label: '...' })`, severity: 'error' });
+      continue;
+    }
+
+    const typeProperty = getProperty(field, 'type');
+    const type = stringValue(typeProperty?.value);
+    if (!typeProperty) {
+      problems.push({ ...at(property), message: `Field \`${name}\` has no \`type\``, severity: 'error' });
+      continue;
+    }
+    if (type === null) continue; // computed - can't be checked
+    if (!FIELD_TYPES.includes(type)) {
+      const hint = type === 'image' ? " - use an `area` with the '@apostrophecms/image' widget, or a `relationship` with withType '@apostrophecms/image'" : '';
+      problems.push({ ...at(typeProperty.value), message: `Field \`${name}\` has unknown type '${type}'${hint}`, severity: 'error' });
+      continue;
+    }
+
+    if (type === 'relationship' || type === 'relationshipReverse') {
+      if (!name.startsWith('_')) {
+        problems.push({ ...at(property), message: `Relationship field \`${name}\` must start with an underscore (\`_${name}\`)`, severity: 'error' });
+      }
+
+      // Without withType, Apostrophe uses the field name: _products -> product
+      const withTypeProperty = getProperty(field, 'withType');
+      const withType = withTypeProperty ? stringValue(withTypeProperty.value) : name.replace(/^_/, '').replace(/s$/, '');
+      if (withType !== null && !context.pieceTypes.has(withType)) {
+        problems.push({
+          ...at(withTypeProperty?.value || property),
+          message: withTypeProperty
+            ? `withType '${withType}' is not a piece type in this project`
+            : `Relationship \`${name}\` has no withType, and '${withType}' (taken from its name) is not a piece type in this project`,
+          severity: 'error',
+        });
+      }
+    }
+
+    if (CHOICE_TYPES.includes(type) && !getProperty(field, 'choices')) {
+      problems.push({ ...at(property), message: `${type} field \`${name}\` needs \`choices\``, severity: 'error' });
+    }
+
+    if (type === 'area') {
+      const options = getProperty(field, 'options')?.value;
+      const widgetObjects = [getProperty(options, 'widgets')?.value];
+      // Expanded menus: options.groups.{group}.widgets
+      for (const group of getProperty(options, 'groups')?.value?.properties || []) {
+        widgetObjects.push(getProperty(group.value, 'widgets')?.value);
+      }
+
+      for (const widgetProperty of widgetObjects.flatMap(node => node?.properties || [])) {
+        const widgetName = propertyName(widgetProperty);
+        if (!widgetName || BUILT_IN_WIDGETS.includes(widgetName)) continue;
+
+        const widget = context.widgets.get(widgetName);
+        if (!widget) {
+          problems.push({ ...at(widgetProperty), message: `Area \`${name}\` uses widget '${widgetName}', but there is no ${widgetName}-widget module`, severity: 'error' });
+        } else if (!widget.registered) {
+          problems.push({ ...at(widgetProperty), message: `Area \`${name}\` uses widget '${widgetName}', but ${widget.module} is not registered in a modules.js`, severity: 'warning' });
+        }
+      }
+    }
+
+    if (type === 'array' || type === 'object') {
+      const nestedAdd = resolveSectionObject(getProperty(resolveSectionObject(getProperty(field, 'fields')?.value), 'add')?.value);
+      if (!nestedAdd) {
+        problems.push({ ...at(property), message: `${type} field \`${name}\` needs \`fields: { add: { ... } }\``, severity: 'error' });
+      } else {
+        lintFields(nestedAdd, context, problems);
+      }
+    }
+  }
+}
+
+/**
+ * Lint a module's index.js schema
+ *
+ * context: { pieceTypes: Set, pageTypes: Set, widgets: Map } from createLintContext().
+ * Returns diagnostics (source 'schema'); files that don't parse are left to the
+ * JavaScript check.
+ */
+export function lintModuleSchema({ path, content, context }) {
+  const { ast } = parseModule(content);
+  const config = ast && findRegistryObject(ast);
+  if (config?.type !== 'ObjectExpression') {
+    return [];
+  }
+
+  const problems = [];
+  const fields = resolveSectionObject(getProperty(config, 'fields')?.value);
+  const add = resolveSectionObject(getProperty(fields, 'add')?.value);
+
+  if (add) {
+    lintFields(add, context, problems);
+  }
+
+  const group = resolveSectionObject(getProperty(fields, 'group')?.value);
+  if (group) {
+    const extend = stringValue(getProperty(config, 'extend')?.value) || '';
+    const inherits = /piece-type$|page-type$/.test(extend) || context.pieceTypes.has(extend) || context.pageTypes.has(extend);
+    const fieldNames = new Set((add?.properties || []).map(propertyName).filter(Boolean));
+
+    for (const groupProperty of group.properties) {
+      const listed = getProperty(groupProperty.value, 'fields')?.value;
+      if (listed?.type !== 'ArrayExpression') continue;
+
+      for (const element of listed.elements) {
+        const fieldName = stringValue(element);
+        if (fieldName === null || fieldNames.has(fieldName) || (inherits && INHERITED_FIELDS.includes(fieldName))) continue;
+        problems.push({ ...at(element), message: `Group \`${propertyName(groupProperty)}\` lists \`${fieldName}\`, which is not in fields.add`, severity: 'error' });
+      }
+    }
+  }
+
+  return problems.map(problem => ({ path, ...problem, source: 'schema' }));
+}
+
+/**
+ * Lint context for a project, plus the modules generated alongside
+ * (a bundle's piece and widget don't exist in the project yet)
+ */
+export function createLintContext(projectPath, { pieceTypes = [], widgets = [] } = {}) {
+  const project = getProjectModules(projectPath);
+
+  return {
+    pieceTypes: new Set([...BUILT_IN_PIECE_TYPES, ...project.pieceTypes, ...pieceTypes]),
+    pageTypes: project.pageTypes,
+    widgets: new Map([
+      ...project.widgets,
+      ...widgets.map(name => [name, { module: `${name}-widget`, registered: true }]),
+    ]),
+    indexPaths: project.indexPaths,
+  };
+}
+
+/**
+ * Lint modules already in a project - one module (its folder or index.js,
+ * relative to the project), or every module when modulePath is omitted
+ * Returns { modules, diagnostics } with modules the index.js paths linted.
+ */
+export function lintProjectModules(projectPath, modulePath = null) {
+  const context = createLintContext(projectPath);
+  let modules = context.indexPaths;
+
+  if (modulePath) {
+    const folder = modulePath.trim().replace(/^\.?\/+/, '').replace(/\/?(index\.js)?$/, '');
+    // Refused (pathRejected) unless it stays inside modules/, symlinks included
+    const indexPath = resolveModulesPath(projectPath, `${folder}/index.js`);
+    if (!existsSync(indexPath)) {
+      throw new Error(`No module index.js at ${modulePath}`);
+    }
+    modules = [relative(projectPath, indexPath).split(sep).join('/')];
+  }
+
+  const diagnostics = modules.flatMap(path => lintModuleSchema({
+    path,
+    content: readFileSync(join(projectPath, path), 'utf8'),
+    context,
+  }));
+
+  return { modules, diagnostics };
+}
@@ -0,0 +1,212 @@
+/**
+ * SCSS Checker
+ * Compiles the project's modules/asset/ui/src/index.scss with the generated partials
+ * imported the way Save imports them - in memory, nothing is written. Catches what
+ * the $variable check cannot: undefined mixins, bad nesting, broken @include/@extend.
+ *
+ * Problems are reported as diagnostics: { path, line, column, message, severity, source }
+ * with 1-based line and column, mapped to the generated partial where possible.
+ */
+
+import * as sass from 'sass';
+import { existsSync, readFileSync, statSync } from 'fs';
+import { join, dirname, basename, extname } from 'path';
+import { pathToFileURL, fileURLToPath } from 'url';
+
+export const MAIN_SCSS_PATH = 'modules/asset/ui/src/index.scss';
+
+const STYLE_EXTENSIONS = ['.scss', '.sass', '.css'];
+
+/**
+ * The partials Save imports into index.scss - [{ subdir, name }]
+ * Only modules with templates get their styles imported.
+ */
+export function getScssImports(files, moduleName, moduleType) {
+  const hasTemplate = files.some(f => f.path.includes('/views/'));
+  if (!hasTemplate || !moduleName || !moduleType) {
+    return [];
+  }
+
+  if (moduleType === 'bundle') {
+    // Bundle members each have their own partial (_custom-product-widget.scss, _custom-product-page.scss)
+    return files
+      .filter(f => f.path.includes('modules/asset/ui/src/scss/') && f.path.endsWith('.scss'))
+      .map(f => f.path.match(/\/scss\/(components|pages)\/_([^/]+)\.scss$/))
+      .filter(Boolean)
+      .map(([, subdir, name]) => ({ subdir, name }));
+  }
+
+  const scssSubdir = moduleType === 'page' ? 'pages' : 'components';
+  const scssRelativePath = `modules/asset/ui/src/scss/${scssSubdir}/_${moduleName}.scss`;
+  return files.some(f => f.path === scssRelativePath) ? [{ subdir: scssSubdir, name: moduleName }] : [];
+}
+
+/**
+ * Add @import lines for the partials to index.scss content (under //Components or
+ * //Pages when the file has those sections)
+ */
+export function addScssImports(mainScssContent, imports) {
+  let content = mainScssContent;
+
+  imports.forEach(({ subdir, name }) => {
+    // SCSS partials should have underscore prefix
+    const importStatement = `@import "./scss/${subdir}/_${name}";`;
+
+    if (!content.includes(importStatement)) {
+      const sectionComment = subdir === 'components' ? '//Components' : '//Pages';
+      if (content.includes(sectionComment)) {
+        content = content.replace(
+          new RegExp(`(${sectionComment}[^]*?)((?://[A-Z]|$))`, 's'),
+          `$1${importStatement}\n$2`
+        );
+      } else {
+        content += `\n${importStatement}\n`;
+      }
+    }
+  });
+
+  return content;
+}
+
+/**
+ * Files Sass would try for an import (partials, index files, extensions)
+ */
+function importCandidates(basePath) {
+  if (STYLE_EXTENSIONS.includes(extname(basePath))) {
+    return [basePath, join(dirname(basePath), `_${basename(basePath)}`)];
+  }
+
+  return [
+    ...STYLE_EXTENSIONS.flatMap(ext => [`${basePath}${ext}`, join(dirname(basePath), `_${basename(basePath)}${ext}`)]),
+    join(basePath, '_index.scss'),
+    join(basePath, 'index.scss'),
+  ];
+}
+
+/**
+ * Importer that reads generated partials from memory and everything else from
+ * disk. Bare and ~ imports resolve from the project's node_modules, like webpack.
+ */
+function createProjectImporter(projectPath, virtualFiles) {
+  const isFile = (path) => virtualFiles.has(path) || (existsSync(path) && statSync(path).isFile());
+
+  return {
+    canonicalize(url) {
+      const basePath = url.startsWith('file:')
+        ? fileURLToPath(url)
+        : join(projectPath, 'node_modules', url.replace(/^~/, ''));
+
+      const found = importCandidates(basePath).find(isFile);
+      return found ? pathToFileURL(found) : null;
+    },
+    load(canonicalUrl) {
+      const path = fileURLToPath(canonicalUrl);
+      return {
+        contents: virtualFiles.get(path) ?? readFileSync(path, 'utf8'),
+        syntax: path.endsWith('.sass') ? 'indented' : (path.endsWith('.css') ? 'css' : 'scss'),
+      };
+    },
+  };
+}
+
+/**
+ * Compile index.scss content - returns null, or the Sass exception
+ */
+function compileStylesheet(projectPath, mainScssContent, virtualFiles) {
+  const importer = createProjectImporter(projectPath, virtualFiles);
+  try {
+    sass.compileString(mainScssContent, {
+      url: pathToFileURL(join(projectPath, MAIN_SCSS_PATH)),
+      importer,
+      // Bare and ~ imports aren't relative to a file - Sass only offers them to `importers`
+      importers: [importer],
+      logger: sass.Logger.silent,
+    });
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * Where an error happened, as a project-relative path with 1-based line/column
+ * Prefers a generated partial: the error itself, or the @include that led to it.
+ */
+function locateError(error, projectPath, generatedPaths) {
+  const spanPath = error.span?.url?.protocol === 'file:' ? fileURLToPath(error.span.url) : null;
+  const relativeSpanPath = spanPath?.startsWith(projectPath)
+    ? spanPath.slice(projectPath.length + 1).split('\\').join('/')
+    : null;
+  const spanLocation = relativeSpanPath && {
+    path: relativeSpanPath,
+    line: error.span.start.line + 1,
+    column: error.span.start.column + 1,
+  };
+
+  if (spanLocation && generatedPaths.includes(spanLocation.path)) {
+    return { ...spanLocation, inGenerated: true };
+  }
+
+  // Stack frames look like "modules/asset/ui/src/scss/components/_hero.scss 12:3  @include"
+  for (const frame of (error.sassStack || '').split('\n')) {
+    const match = frame.trim().match(/^(\S+)\s+(\d+):(\d+)/);
+    const path = match && generatedPaths.find(p => match[1].split('\\').join('/').endsWith(p));
+    if (path) {
+      return { path, line: Number(match[2]), column: Number(match[3]), inGenerated: true };
+    }
+  }
+
+  return { ...(spanLocation || { path: MAIN_SCSS_PATH, line: 1, column: 1 }), inGenerated: false };
+}
+
+/**
+ * Compile the project's stylesheet with the generated partials imported
+ *
+ * Returns diagnostics (empty when it builds, or when there is nothing to check).
+ * If the stylesheet already failed before the generated styles were added, that
+ * is a warning - it is not the new module's fault.
+ */
+export function checkProjectStylesheet({ projectPath, files, moduleName, moduleType }) {
+  const mainScssPath = join(projectPath, MAIN_SCSS_PATH);
+  const imports = getScssImports(files, moduleName, moduleType);
+
+  if (!existsSync(mainScssPath) || imports.length === 0) {
+    return [];
+  }
+
+  const generatedScss = files.filter(f => f.path.endsWith('.scss'));
+  const virtualFiles = new Map(generatedScss.map(f => [join(projectPath, f.path), f.content]));
+  const mainScssContent = readFileSync(mainScssPath, 'utf8');
+
+  const error = compileStylesheet(projectPath, addScssImports(mainScssContent, imports), virtualFiles);
+  if (!error) {
+    return [];
+  }
+
+  const message = error.sassMessage || error.message;
+  const location = locateError(error, projectPath, generatedScss.map(f => f.path));
+  if (location.inGenerated) {
+    return [{ path: location.path, line: location.line, column: location.column, message, severity: 'error', source: 'scss' }];
+  }
+
+  const baselineError = compileStylesheet(projectPath, mainScssContent, new Map());
+  if (baselineError) {
+    return [{
+      path: MAIN_SCSS_PATH,
+      line: 1,
+      column: 1,
+      message: `The project's index.scss does not compile on its own, so the generated styles could not be checked: ${baselineError.sassMessage || baselineError.message}`,
+      severity: 'warning',
+      source: 'scss',
+    }];
+  }
+
+  return [{
+    path: location.path,
+    line: location.line,
+    column: location.column,
+    message: `${message} (only after importing the generated styles)`,
+    severity: 'error',
+    source: 'scss',
+  }];
+}
@@ -0,0 +1,133 @@
+/**
+ * Template Checker
+ * Compiles generated views/*.html with Nunjucks (an unbalanced {% if %} or a broken
+ * {% set %} block only shows up when Apostrophe renders the page otherwise).
+ *
+ * Apostrophe's own tags are registered so they compile instead of failing as
+ * "unknown block tag". `extends`, `include`, `import` and `set` are built into Nunjucks.
+ *
+ * Problems are reported as diagnostics: { path, line, column, message, severity, source }
+ * with 1-based line and column.
+ */
+
+import nunjucks from 'nunjucks';
+
+/**
+ * An Apostrophe tag: arguments separated by commas, optionally followed by
+ * `with { ... }`. Block tags (fragment, rendercall) are closed by end{tag}.
+ *
+ *   {% area data.widget, 'main' %}
+ *   {% component 'module:name' with { id: 1 } %}
+ *   {% fragment card(title, url) %}...{% endfragment %}
+ *   {% render card(title, url) %}
+ */
+function apostropheTag(tag, { block = false } = {}) {
+  return {
+    tags: [tag],
+    parse(parser, nodes, lexer) {
+      const token = parser.nextToken();
+      const args = new nodes.NodeList(token.lineno, token.colno);
+
+      if (parser.peekToken().type !== lexer.TOKEN_BLOCK_END) {
+        do {
+          args.addChild(parser.parseExpression());
+        } while (parser.skip(lexer.TOKEN_COMMA));
+
+        if (parser.skipSymbol('with')) {
+          args.addChild(parser.parseExpression());
+        }
+      }
+      parser.advanceAfterBlockEnd(token.value);
+
+      if (!block) {
+        return new nodes.CallExtension(this, 'run', args);
+      }
+
+      const body = parser.parseUntilBlocks(`end${tag}`);
+      parser.advanceAfterBlockEnd();
+      return new nodes.CallExtension(this, 'run', args, [body]);
+    },
+  };
+}
+
+const APOSTROPHE_TAGS = [
+  apostropheTag('area'),
+  apostropheTag('component'),
+  apostropheTag('fragment', { block: true }),
+  apostropheTag('render'),
+  apostropheTag('rendercall', { block: true }),
+];
+
+// Tags that need a matching {% end... %}
+const BLOCK_TAGS = ['if', 'for', 'asyncEach', 'asyncAll', 'block', 'macro', 'call', 'filter', 'raw', 'verbatim', 'fragment', 'rendercall'];
+
+/**
+ * The innermost block tag that is still open at the end of the template
+ * (Nunjucks reports running into the end of the file, at line 1)
+ */
+function findUnclosedTag(content) {
+  const open = [];
+  const tagPattern = /\{%-?\s*(end)?(\w+)([^%]*)%\}/g;
+  let match;
+
+  while ((match = tagPattern.exec(content)) !== null) {
+    const [, isEnd, tag, rest] = match;
+    // {% set x %}...{% endset %} is a block, {% set x = 1 %} is not
+    const isBlock = BLOCK_TAGS.includes(tag) || (tag === 'set' && !rest.includes('='));
+    if (!isBlock) continue;
+
+    if (!isEnd) {
+      const before = content.slice(0, match.index).split('\n');
+      open.push({ tag, line: before.length, column: before[before.length - 1].length + 1 });
+    } else if (open.length > 0 && open[open.length - 1].tag === tag) {
+      open.pop();
+    }
+  }
+
+  return open.pop() || null;
+}
+
+/**
+ * Compile one template - returns null, or { line, column, message }
+ */
+export function compileTemplate(content, path) {
+  try {
+    nunjucks.compiler.compile(content, [], APOSTROPHE_TAGS, path, {});
+    return null;
+  } catch (error) {
+    const message = error.message.replace(/^\(.*?\)\s*(\[Line \d+, Column \d+\])?\s*/, '');
+    const unclosed = /end of file/i.test(message) ? findUnclosedTag(content) : null;
+
+    if (unclosed) {
+      return {
+        line: unclosed.line,
+        column: unclosed.column,
+        message: `{% ${unclosed.tag} %} is never closed (expected {% end${unclosed.tag} %})`,
+      };
+    }
+
+    return {
+      line: error.lineno || 1,
+      column: error.colno || 1,
+      message,
+    };
+  }
+}
+
+/**
+ * Compile every generated template (*.html under a views/ folder)
+ */
+export function checkTemplateFiles(files) {
+  const diagnostics = [];
+
+  for (const file of files) {
+    if (!/(^|\/)views\/.+\.html$/.test(file.path)) continue;
+
+    const error = compileTemplate(file.content, file.path);
+    if (error) {
+      diagnostics.push({ path: file.path, ...error, severity: 'error', source: 'nunjucks' });
+    }
+  }
+
+  return diagnostics;
+}
@@ -0,0 +1,344 @@
+/**
+ * Template / Schema Cross-Reference
+ * Compares what templates read - data.widget.*, data.page.*, data.piece.* and the
+ * loop variables bound to them - with the fields in index.js:
+ * - a field read but missing from the schema is an error
+ * - a schema field never read is a warning
+ * - areas must be rendered with {% area %}, relationships and arrays iterated,
+ *   dates formatted
+ *
+ * Safe cases are fixed in the template: a near-miss field name (`authors` for
+ * `_authors`, `heroimage` for `heroImage`), `{{ data.widget.body }}` for an area,
+ * and a date output without a format.
+ *
+ * Problems are reported as diagnostics: { path, line, column, message, severity, source }
+ * with 1-based line and column.
+ */
+
+// Properties every page/piece has without declaring them
+const DOC_PROPERTIES = [
+  '_id', '_url', '_edit', '_publish', '_parent', '_ancestors', '_children', 'title', 'slug',
+  'type', 'path', 'level', 'rank', 'archived', 'visibility', 'orphan', 'createdAt',
+  'updatedAt', 'lastPublishedAt', 'aposMode', 'aposLocale', 'aposDocId', 'metaType',
+];
+const WIDGET_PROPERTIES = ['_id', '_edit', '_docId', 'type', 'metaType', 'aposPlaceholder'];
+const ITEM_PROPERTIES = ['_id', 'metaType', 'scopedArrayName'];
+
+const DATE_FORMATS = { date: 'MMMM D, YYYY', dateAndTime: 'MMMM D, YYYY h:mm a' };
+
+const IDENTIFIER = '[A-Za-z_$][\\w$]*';
+
+const normalizeName = (name) => name.toLowerCase().replace(/[_-]/g, '');
+
+const isTemplate = (file) => /(^|\/)views\/.+\.html$/.test(file.path);
+
+// The module a schema belongs to - its folder (bundles move files, names stay)
+const moduleOf = (schemaPath) => schemaPath.split('/').slice(-2, -1)[0];
+
+/**
+ * Edit distance, for "did you mean" on typos that are too far off to fix
+ */
+function distance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function locate(content, offset) {
+  const before = content.slice(0, offset).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+/**
+ * Blank out string literals (same length) so their contents aren't read as code
+ */
+function blankStrings(code) {
+  return code.replace(/(['"])(?:\\.|(?!\1)[^\\])*\1/g, match => match[0] + ' '.repeat(match.length - 2) + match[0]);
+}
+
+/**
+ * Scope for the fields of a schema level
+ */
+function fieldsScope(fields, builtIns, schemaPath, owner = null) {
+  return fields ? { kind: 'fields', fields, builtIns, schemaPath, owner } : null;
+}
+
+/**
+ * Scope a field's value opens: object fields have fields, arrays and
+ * relationships are lists (a relationship's items are another type's docs)
+ */
+function scopeOfField(field, schemaPath) {
+  if (field.type === 'object') return fieldsScope(field.fields, ITEM_PROPERTIES, schemaPath);
+  if (field.type === 'array') return { kind: 'list', element: fieldsScope(field.fields, ITEM_PROPERTIES, schemaPath) };
+  if (field.type === 'relationship' || field.type === 'relationshipReverse') return { kind: 'list', element: null };
+  return null;
+}
+
+/**
+ * Cross-reference templates with their schemas
+ *
+ * contexts: [{ root, fields, schemaPath }] - root is 'data.widget', 'data.page',
+ * 'data.piece' or 'data.pieces' (a list of that schema's docs); fields come from
+ * extractSchemaFields(). Returns { files, diagnostics, fixes } with the templates
+ * fixed and fixes describing each change.
+ */
+export function checkTemplateSchema({ files, contexts }) {
+  const templates = files.filter(isTemplate);
+  const known = contexts.filter(context => context.fields);
+  if (templates.length === 0 || known.length === 0) {
+    return { files, diagnostics: [], fixes: [] };
+  }
+
+  const diagnostics = [];
+  const fixes = [];
+
+  // Usage per schema - a piece schema can be data.piece and data.pieces at once
+  const owners = new Map();
+  const ownerFor = ({ fields, schemaPath }) => {
+    if (!owners.has(schemaPath)) {
+      owners.set(schemaPath, { fields, schemaPath, used: new Set(), areaRendered: new Set(), firstUse: new Map() });
+    }
+    return owners.get(schemaPath);
+  };
+
+  const rootScopes = new Map(known.map((context) => {
+    const builtIns = context.root === 'data.widget' ? WIDGET_PROPERTIES : DOC_PROPERTIES;
+    const scope = fieldsScope(context.fields, builtIns, context.schemaPath, ownerFor(context));
+    return [context.root, context.root === 'data.pieces' ? { kind: 'list', element: scope } : scope];
+  }));
+
+  const checkTemplate = (file) => {
+    const { content, path } = file;
+    const scopes = new Map(rootScopes);
+    const edits = [];
+
+    const report = (offset, message, severity = 'error') => {
+      diagnostics.push({ path, ...locate(content, offset), message, severity, source: 'template-schema' });
+    };
+
+    const markUsed = (scope, name, offset) => {
+      if (!scope.owner) return;
+      scope.owner.used.add(name);
+      if (!scope.owner.firstUse.has(name)) {
+        scope.owner.firstUse.set(name, { path, ...locate(content, offset) });
+      }
+    };
+
+    // Look a field up, fixing a near-miss name in place - returns the field or null
+    const lookUp = (scope, segment, prefix) => {
+      let field = scope.fields.get(segment.name);
+      if (field) return field;
+      if (scope.builtIns.includes(segment.name)) return null;
+
+      const candidates = [...scope.fields.keys()].filter(name => normalizeName(name) === normalizeName(segment.name));
+      if (candidates.length === 1) {
+        edits.push({ start: segment.offset, end: segment.offset + segment.name.length, text: candidates[0] });
+        fixes.push(`${path}: ${prefix}.${segment.name} → ${prefix}.${candidates[0]}`);
+        segment.name = candidates[0];
+        field = scope.fields.get(candidates[0]);
+        return field;
+      }
+
+      const suggestion = [...scope.fields.keys()].find(name => distance(normalizeName(name), normalizeName(segment.name)) <= 2);
+      report(segment.offset, `\`${prefix}.${segment.name}\` is not a field of ${moduleOf(scope.schemaPath)}${suggestion ? ` - did you mean \`${suggestion}\`?` : ''}`);
+      return null;
+    };
+
+    // Walk root.a.b... - returns { field, scope, parent } for the last segment it could follow
+    const resolve = (rootName, segments) => {
+      let scope = scopes.get(rootName);
+      let prefix = rootName;
+      let field = null;
+      let parent = rootName;
+
+      for (const segment of segments) {
+        if (!scope) return { field: null, scope: null };
+
+        if (scope.kind === 'list') {
+          if (segment.name !== 'length') {
+            report(segment.offset, `\`${prefix}\` is a list - iterate it with {% for item in ${prefix} %} instead of reading \`.${segment.name}\``);
+          }
+          return { field: null, scope: null };
+        }
+
+        field = lookUp(scope, segment, prefix);
+        if (!field) return { field: null, scope: null };
+
+        markUsed(scope, segment.name, segment.offset);
+        parent = prefix;
+        prefix = `${prefix}.${segment.name}`;
+        scope = scopeOfField(field, scope.schemaPath);
+      }
+
+      return { field, scope, parent, name: segments[segments.length - 1]?.name };
+    };
+
+    // Split "data.widget.items.title" at its root - null if the root isn't bound
+    const splitChain = (chain, offset) => {
+      const parts = chain.split('.');
+      const rootLength = parts[0] === 'data' && scopes.has(`${parts[0]}.${parts[1]}`) ? 2 : 1;
+      const rootName = parts.slice(0, rootLength).join('.');
+      if (!scopes.has(rootName)) return null;
+
+      let position = offset + rootName.length + 1;
+      const segments = parts.slice(rootLength).map((name) => {
+        const segment = { name, offset: position };
+        position += name.length + 1;
+        return segment;
+      });
+      return { rootName, segments };
+    };
+
+    const blockPattern = /\{\{([\s\S]*?)\}\}|\{%(-?)([\s\S]*?)-?%\}/g;
+    let block;
+
+    while ((block = blockPattern.exec(content)) !== null) {
+      const isOutput = block[1] !== undefined;
+      const inner = isOutput ? block[1] : block[3];
+      const innerOffset = block.index + 2 + (isOutput ? 0 : block[2].length);
+      const code = blankStrings(inner);
+
+      // {% area target, 'name' %}
+      const areaTag = !isOutput && inner.match(new RegExp(`^\\s*area\\s+(${IDENTIFIER}(?:\\.${IDENTIFIER})*)\\s*,\\s*(['"])([\\w-]+)\\2`));
+      if (areaTag) {
+        const target = splitChain(areaTag[1], innerOffset + areaTag.index + areaTag[0].indexOf(areaTag[1]));
+        const resolved = target && resolve(target.rootName, target.segments);
+        const scope = target && (target.segments.length === 0 ? scopes.get(target.rootName) : resolved.scope);
+
+        if (scope?.kind === 'fields') {
+          const segment = { name: areaTag[3], offset: innerOffset + areaTag[0].lastIndexOf(areaTag[3]) };
+          const field = lookUp(scope, segment, areaTag[1]);
+          if (field) {
+            markUsed(scope, segment.name, segment.offset);
+            scope.owner?.areaRendered.add(segment.name);
+            if (field.type !== 'area') {
+              report(segment.offset, `\`${areaTag[1]}.${segment.name}\` is a ${field.type} field - {% area %} only renders area fields`);
+            }
+          }
+        }
+        continue;
+      }
+
+      // {{ chain }} or {{ chain | filters }} - the whole output is one field
+      const wholeOutput = isOutput && code.match(new RegExp(`^(\\s*)(${IDENTIFIER}(?:\\.${IDENTIFIER})+)\\s*(\\|[\\s\\S]*)?$`));
+
+      const chainPattern = new RegExp(`(?<![\\w$.])${IDENTIFIER}(?:\\.${IDENTIFIER})+`, 'g');
+      let chainMatch;
+      while ((chainMatch = chainPattern.exec(code)) !== null) {
+        const chain = splitChain(chainMatch[0], innerOffset + chainMatch.index);
+        if (!chain || chain.segments.length === 0) continue;
+
+        const result = resolve(chain.rootName, chain.segments);
+        const field = result.field;
+        if (!field) continue;
+
+        // Image areas are read through apos.image.first(...) and friends
+        const rootScopeOwner = chain.segments.length === 1 ? scopes.get(chain.rootName)?.owner : null;
+        if (/apos\.[\w.]+\(\s*$/.test(code.slice(0, chainMatch.index)) && field.type === 'area') {
+          rootScopeOwner?.areaRendered.add(result.name);
+        }
+
+        if (!wholeOutput || chainMatch.index !== wholeOutput[1].length) continue;
+
+        const filters = (wholeOutput[3] || '').trim();
+        const fixedChain = [chain.rootName, ...chain.segments.map(s => s.name)].join('.');
+        const replaceBlock = (text, description) => {
+          const start = block.index;
+          const end = block.index + block[0].length;
+          // The block replacement already carries any fixed names
+          for (let i = edits.length - 1; i >= 0; i--) {
+            if (edits[i].start >= start && edits[i].end <= end) edits.splice(i, 1);
+          }
+          edits.push({ start, end, text });
+          fixes.push(`${path}: ${description}`);
+        };
+
+        if (field.type === 'area') {
+          if (!filters || filters === '| safe') {
+            replaceBlock(`{% area ${result.parent}, '${result.name}' %}`, `{{ ${fixedChain} }} → {% area ${result.parent}, '${result.name}' %}`);
+            rootScopeOwner?.areaRendered.add(result.name);
+          } else {
+            report(chain.segments[chain.segments.length - 1].offset, `Area \`${fixedChain}\` must be rendered with {% area ${result.parent}, '${result.name}' %}`);
+          }
+        } else if (['array', 'relationship', 'relationshipReverse'].includes(field.type) && !/^\|\s*(length|first|last|join)\b/.test(filters)) {
+          report(chain.segments[chain.segments.length - 1].offset, `\`${fixedChain}\` is a list - iterate it with {% for item in ${fixedChain} %} instead of printing it`);
+        } else if (DATE_FORMATS[field.type] && !filters) {
+          replaceBlock(`{{ ${fixedChain} | date('${DATE_FORMATS[field.type]}') }}`, `{{ ${fixedChain} }} → {{ ${fixedChain} | date('${DATE_FORMATS[field.type]}') }}`);
+        }
+      }
+
+      // {% for item in chain %} binds item to the list's items for the rest of the template
+      const loop = !isOutput && code.match(new RegExp(`^\\s*for\\s+(${IDENTIFIER})(?:\\s*,\\s*(${IDENTIFIER}))?\\s+in\\s+(${IDENTIFIER}(?:\\.${IDENTIFIER})*)`));
+      if (loop) {
+        const source = splitChain(loop[3], innerOffset + loop.index + loop[0].lastIndexOf(loop[3]));
+        let element = null;
+        if (source && !loop[2]) {
+          const listScope = source.segments.length === 0
+            ? scopes.get(source.rootName)
+            : resolveQuietly(source);
+          element = listScope?.kind === 'list' ? listScope.element : null;
+        }
+        scopes.set(loop[1], element);
+        if (loop[2]) scopes.set(loop[2], null);
+      }
+    }
+
+    // Scope of a chain already checked above, without reporting or fixing again
+    function resolveQuietly({ rootName, segments }) {
+      let scope = scopes.get(rootName);
+      for (const segment of segments) {
+        const field = scope?.kind === 'fields'
+          ? scope.fields.get(segment.name) || [...scope.fields].find(([name]) => normalizeName(name) === normalizeName(segment.name))?.[1]
+          : null;
+        if (!field) return null;
+        scope = scopeOfField(field, scope.schemaPath);
+      }
+      return scope;
+    }
+
+    if (edits.length === 0) {
+      return file;
+    }
+
+    let fixed = content;
+    for (const edit of edits.sort((a, b) => b.start - a.start)) {
+      fixed = fixed.slice(0, edit.start) + edit.text + fixed.slice(edit.end);
+    }
+    return { ...file, content: fixed };
+  };
+
+  const checkedFiles = files.map(file => (isTemplate(file) ? checkTemplate(file) : file));
+
+  for (const owner of owners.values()) {
+    for (const [name, field] of owner.fields) {
+      if (!owner.used.has(name)) {
+        diagnostics.push({
+          path: owner.schemaPath,
+          line: field.line,
+          column: field.column,
+          message: `Field \`${name}\` is never used in the templates`,
+          severity: 'warning',
+          source: 'template-schema',
+        });
+      } else if (field.type === 'area' && !owner.areaRendered.has(name)) {
+        const use = owner.firstUse.get(name);
+        diagnostics.push({
+          path: use.path,
+          line: use.line,
+          column: use.column,
+          message: `Area \`${name}\` is read but never rendered with {% area ... '${name}' %}`,
+          severity: 'error',
+          source: 'template-schema',
+        });
+      }
+    }
+  }
+
+  return { files: checkedFiles, diagnostics, fixes };
+}
@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { imageAltText, checkAccessibility } from '../a11y-checker.js';
+
+const WIDGET_PATH = 'modules/widgets/card-widget/views/widget.html';
+const PAGE_PATH = 'modules/pages/about-page/views/page.html';
+const SHOW_PATH = 'modules/pieces/product-module/product-page/views/show.html';
+
+const check = (path, content, moduleType = 'widget') => checkAccessibility({ files: [{ path, content }], moduleType });
+const brief = (issues) => issues.map(i => `${i.line}:${i.column} ${i.rule} ${i.severity}${i.fixed ? ' fixed' : ''}`);
+
+// The image block the generator writes, without the alt it normally carries
+const imageBlock = (contextVar) => [
+  `{% if ${contextVar}.heroImage %}`,
+  `  {% set __img_heroImage = apos.image.first(${contextVar}.heroImage) %}`,
+  '  {% if __img_heroImage %}',
+  "    <img class=\"card__image\" src=\"{{ apos.attachment.url(__img_heroImage, { size: 'one-half' }) }}\">",
+  '  {% endif %}',
+  '{% endif %}',
+].join('\n');
+
+test('imageAltText prefers the image alt text, then the doc title', () => {
+  assert.equal(imageAltText('image', 'data.page.title'), '{{ image._alt or data.page.title }}');
+  assert.equal(imageAltText('image'), '{{ image._alt }}');
+  assert.equal(imageAltText(null, 'piece.title'), '{{ piece.title }}');
+});
+
+test('accessible markup has no issues and is returned unchanged', () => {
+  const content = [
+    '<h2>{{ data.widget.heading }}</h2>',
+    '<h3>Details</h3>',
+    '<img src="/logo.svg" alt="">',
+    '<a href="{{ data.widget.link }}">{{ data.widget.label }}</a>',
+    '<a href="/"><img src="/home.svg" alt="Home"></a>',
+    '<button aria-label="Close"><span class="icon"></span></button>',
+    '<div role="button" tabindex="0" onclick="toggle()">Toggle</div>',
+    '<img src="/deco.svg" aria-hidden="true">',
+  ].join('\n');
+  const files = [{ path: WIDGET_PATH, content }];
+  const result = checkAccessibility({ files, moduleType: 'widget' });
+
+  assert.deepEqual(result.issues, []);
+  assert.equal(result.files[0], files[0]);
+});
+
+test("the generator's image block gets the image's alt text, with the doc title on pages", () => {
+  const widget = check(WIDGET_PATH, imageBlock('data.widget'));
+  assert.match(widget.files[0].content, /<img class="card__image" src="[^"]+" alt="\{\{ __img_heroImage\._alt \}\}">/);
+  assert.deepEqual(brief(widget.issues), ['4:5 img-alt error fixed']);
+  assert.equal(widget.issues[0].criterion, '1.1.1 Non-text Content');
+  assert.equal(widget.issues[0].message, '<img> had no alt text - added alt="{{ __img_heroImage._alt }}"');
+
+  const page = check(PAGE_PATH, imageBlock('data.page'), 'page');
+  assert.match(page.files[0].content, / alt="\{\{ __img_heroImage\._alt or data\.page\.title \}\}">/);
+
+  const show = check(SHOW_PATH, imageBlock('data.piece'), 'page');
+  assert.match(show.files[0].content, / alt="\{\{ __img_heroImage\._alt or data\.piece\.title \}\}">/);
+});
+
+test('inside a loop the fallback is the title of the doc being listed', () => {
+  const content = [
+    '{% for product in data.pieces %}',
+    "  <img src=\"{{ apos.attachment.url(apos.image.first(product.photo)) }}\" />",
+    '{% endfor %}',
+    '{% for item in data.widget.items %}',
+    '  <img src="/icons/{{ item.icon }}.svg">',
+    '{% endfor %}',
+  ].join('\n');
+  const result = check(PAGE_PATH, content, 'page');
+
+  assert.match(result.files[0].content, /\.svg">/, 'an array item has no title to use');
+  assert.ok(result.files[0].content.includes('alt="{{ apos.image.first(product.photo)._alt or product.title }}" />'));
+  assert.deepEqual(brief(result.issues), ['2:3 img-alt error fixed', '5:3 img-alt error']);
+  assert.equal(result.issues[1].message, '<img> has no alt text - describe the image, or use alt="" if it is decoration');
+});
+
+test('heading levels may go back up but not skip down', () => {
+  const result = check(PAGE_PATH, '<h1>{{ data.page.title }}</h1>\n<h3>Skipped</h3>\n<h2>Back</h2>\n<h3>Fine</h3>\n<h5>Skipped</h5>', 'page');
+
+  assert.deepEqual(brief(result.issues), ['2:1 heading-order warning', '5:1 heading-order warning']);
+  assert.equal(result.issues[1].message, '<h5> follows <h3> - heading levels should not skip <h4>');
+});
+
+test('links and buttons need text, a label or an image with alt text', () => {
+  const content = [
+    '<a href="/"></a>',
+    '<a href="/"><img src="/home.svg" alt=""></a>',
+    '<button type="button">&nbsp;<span class="icon"></span></button>',
+    '<a href="/">{{ data.widget.label }}</a>',
+    '<a href="/" title="Home"></a>',
+    '<button type="button">{% if x %}{% endif %}</button>',
+  ].join('\n');
+  const result = check(WIDGET_PATH, content);
+
+  assert.deepEqual(brief(result.issues), ['1:1 link-name error', '2:1 link-name error', '3:1 button-name error', '6:1 button-name error']);
+  assert.equal(result.issues[2].criterion, '4.1.2 Name, Role, Value');
+});
+
+test('click handlers need an element the keyboard can reach', () => {
+  const content = [
+    '<div onclick="open()">Open</div>',
+    '<li @click="select(item)">{{ item.label }}</li>',
+    '<a onclick="go()">Go</a>',
+    '<a href="#" onclick="go()">Go</a>',
+    '<span role="button" onclick="go()">Go</span>',
+  ].join('\n');
+  const result = check(WIDGET_PATH, content);
+
+  assert.deepEqual(brief(result.issues), ['1:1 click-keyboard error', '2:1 click-keyboard error', '3:1 click-keyboard error', '5:1 click-keyboard error']);
+  assert.match(result.issues[1].message, /^<li> has @click but can't be reached by keyboard/);
+});
+
+test('comments, template tags and scripts are not read as markup', () => {
+  const content = [
+    '<!-- <img src="/old.png"> -->',
+    '{# <a href="/"></a> #}',
+    "{% set markup = '<h6>' %}",
+    '<script>const html = "<div onclick=\\"x()\\"></div>";</script>',
+    '<h2>Title</h2>',
+  ].join('\n');
+
+  assert.deepEqual(check(WIDGET_PATH, content).issues, []);
+});
+
+test('only templates under views/ are checked', () => {
+  const files = [
+    { path: 'modules/widgets/card-widget/index.js', content: "const html = '<img src=\"x\">';" },
+    { path: 'modules/widgets/card-widget/public/demo.html', content: '<img src="x">' },
+  ];
+  const result = checkAccessibility({ files, moduleType: 'widget' });
+
+  assert.deepEqual(result.issues, []);
+  assert.deepEqual(result.files, files);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFilesStreamParser } from '../files-stream-parser.js';
+
+const FILES = [
+  { path: 'modules/widgets/card-widget/index.js', content: "export default {\n  extend: '@apostrophecms/widget-type',\n  fields: { add: {} }\n};\n" },
+  { path: 'modules/asset/ui/src/scss/components/_card.scss', content: '.card { &::before { content: "\\"}"; } }\n' },
+  { path: 'modules/widgets/card-widget/views/widget.html', content: '<div>{{ data.widget.title }}</div>\n' },
+];
+
+// Feed text in chunks of `size` and collect what the parser emits
+function stream(text, size) {
+  const emitted = [];
+  const parser = createFilesStreamParser((file, index) => emitted.push({ file, index }));
+  for (let i = 0; i < text.length; i += size) {
+    parser.push(text.slice(i, i + size));
+  }
+  return { emitted, parser };
+}
+
+test('emits each file as its object closes, however the text is chunked', () => {
+  const text = JSON.stringify({ files: FILES }, null, 2);
+
+  for (const size of [1, 3, 7, 64, text.length]) {
+    const { emitted, parser } = stream(text, size);
+    assert.deepEqual(emitted, FILES.map((file, index) => ({ file, index })), `chunks of ${size}`);
+    assert.equal(parser.fileCount, 3);
+  }
+});
+
+test('emits a file before the rest of the response has arrived', () => {
+  const text = JSON.stringify({ files: FILES });
+  const firstEnd = text.indexOf('"modules/asset');
+  const { emitted } = stream(text.slice(0, firstEnd), 5);
+
+  assert.deepEqual(emitted.map(e => e.file.path), ['modules/widgets/card-widget/index.js']);
+});
+
+test('braces and escaped quotes in strings do not close a file early', () => {
+  const file = { path: 'a.js', content: 'const s = "}}}";\nconst t = \'\\"{\';\nif (x) { y(); }\nconst backslash = "\\\\";\n' };
+  const { emitted } = stream(JSON.stringify({ files: [file] }), 2);
+
+  assert.deepEqual(emitted.map(e => e.file), [file]);
+});
+
+test('skips prose and code fences before the JSON, and a "files" key split across chunks', () => {
+  const text = 'Sure! Here you go { "note": 1 }:\n```json\n' + JSON.stringify({ files: FILES.slice(0, 1) }) + '\n```\nDone.';
+  const splitAt = text.indexOf('"files"') + 3;
+
+  const emitted = [];
+  const parser = createFilesStreamParser(file => emitted.push(file));
+  parser.push(text.slice(0, splitAt));
+  parser.push(text.slice(splitAt));
+
+  assert.deepEqual(emitted, FILES.slice(0, 1));
+});
+
+test('ignores malformed or incomplete entries and everything after the array', () => {
+  const text = '{"files": [{"path": "a.js"}, {"path": "b.js", "content": "ok"}, {"path": "c.js", "content": bad}], "more": {"files": [{"path": "d.js", "content": "x"}]}}';
+  const { emitted, parser } = stream(text, 4);
+
+  assert.deepEqual(emitted, [{ file: { path: 'b.js', content: 'ok' }, index: 0 }]);
+  assert.equal(parser.fileCount, 1);
+});
+
+test('a truncated response emits only its complete files', () => {
+  const text = JSON.stringify({ files: FILES });
+  const { emitted } = stream(text.slice(0, text.indexOf('data.widget.title')), 10);
+
+  assert.deepEqual(emitted.map(e => e.file), FILES.slice(0, 2));
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHttpServer } from '../http-server.js';
+
+// Never reached by the requests below - they are turned away first
+const createMcpServer = () => {
+  throw new Error('no MCP server expected');
+};
+
+async function start(t, options) {
+  const server = await startHttpServer(createMcpServer, { port: 0, ...options });
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+const initialize = (url, headers = {}) => fetch(`${url}/mcp`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+  body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} }),
+});
+
+test('refuses to serve off loopback without a token', async () => {
+  await assert.rejects(startHttpServer(createMcpServer, { host: '0.0.0.0', port: 0 }), /Refusing to serve on 0\.0\.0\.0 without MCP_AUTH_TOKEN/);
+});
+
+test('with a token, /mcp requests without it get 401', async (t) => {
+  const url = await start(t, { host: '127.0.0.1', authToken: 'secret-token' });
+
+  for (const headers of [{}, { Authorization: 'Bearer wrong-token' }, { Authorization: 'secret-token' }]) {
+    const response = await initialize(url, headers);
+    assert.equal(response.status, 401);
+    assert.equal(response.headers.get('www-authenticate'), 'Bearer');
+  }
+
+  // Health checks stay open
+  assert.equal((await fetch(`${url}/health`)).status, 200);
+});
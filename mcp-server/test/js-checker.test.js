@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getExpectedExtend, parseModule, checkJavaScriptFiles, numberLines, buildJavaScriptRepairPrompt } from '../js-checker.js';
+
+const INDEX_PATH = 'modules/widgets/card-widget/index.js';
+const check = (content, expectedExtend = '@apostrophecms/widget-type') => checkJavaScriptFiles(
+  [{ path: INDEX_PATH, content }],
+  { moduleIndexPath: INDEX_PATH, expectedExtend },
+);
+const brief = (diagnostics) => diagnostics.map(d => `${d.line}:${d.column} ${d.severity} ${d.message}`);
+
+test('each module type has the base it must extend', () => {
+  assert.equal(getExpectedExtend('widget'), '@apostrophecms/widget-type');
+  assert.equal(getExpectedExtend('piece'), '@apostrophecms/piece-type');
+  assert.equal(getExpectedExtend('page'), '@apostrophecms/page-type');
+  assert.equal(getExpectedExtend('page', true), '@apostrophecms/piece-page-type');
+});
+
+test('a well-formed module has no diagnostics, through a variable too', () => {
+  assert.deepEqual(check("export default {\n  extend: '@apostrophecms/widget-type',\n  fields: (self) => ({ add: {} }),\n  methods(self) { return {}; }\n};\n"), []);
+  assert.deepEqual(check("const config = { extend: '@apostrophecms/widget-type' };\nexport default config;\n"), []);
+});
+
+test('syntax errors are reported with their 1-based line and column', () => {
+  const { error } = parseModule("export default {\n  extend: '@apostrophecms/widget-type',\n  options: { label: 'Card' }}\n};\n");
+  assert.deepEqual(error, { line: 4, column: 1, message: 'Unexpected token' });
+
+  assert.deepEqual(check("export default {\n  extend: 'x'\n  options: {}\n};\n"), [{
+    path: INDEX_PATH, line: 3, column: 3, message: 'Unexpected token', severity: 'error', source: 'javascript',
+  }]);
+});
+
+test('every .js file is parsed, but only the module index.js has its shape checked', () => {
+  const diagnostics = checkJavaScriptFiles([
+    { path: INDEX_PATH, content: "export default { extend: '@apostrophecms/widget-type' };\n" },
+    { path: 'modules/widgets/card-widget/ui/src/index.js', content: 'export default () => {\n  const x = ;\n};\n' },
+    { path: 'modules/asset/ui/src/index.js', content: 'export const helper = () => 1;\n' },
+    { path: 'modules/widgets/card-widget/views/widget.html', content: '{% if %}' },
+  ], { moduleIndexPath: INDEX_PATH, expectedExtend: '@apostrophecms/widget-type' });
+
+  assert.deepEqual(diagnostics.map(d => `${d.path} ${d.line}:${d.column}`), ['modules/widgets/card-widget/ui/src/index.js 2:13']);
+});
+
+test('checks the export default and its extend', () => {
+  assert.deepEqual(brief(check("module.exports = { extend: '@apostrophecms/widget-type' };\n")),
+    ['1:1 error Module index.js must have an `export default { ... }`']);
+  assert.deepEqual(brief(check("export default build();\n")),
+    ['1:16 error export default must be an object literal with the module configuration']);
+  assert.deepEqual(brief(check("export default {\n  options: {}\n};\n")),
+    ["1:16 error Module must declare `extend: '@apostrophecms/widget-type'`"]);
+  assert.deepEqual(brief(check("const base = 'x';\nexport default { extend: base };\n")),
+    ['2:18 error `extend` must be a string']);
+  assert.deepEqual(brief(check("export default { extend: '@apostrophecms/piece-type' };\n")),
+    ["1:18 error `extend` is '@apostrophecms/piece-type' but this module must extend '@apostrophecms/widget-type'"]);
+});
+
+test('flags unknown keys and sections that are not objects or functions', () => {
+  assert.deepEqual(brief(check("export default {\n  extend: '@apostrophecms/widget-type',\n  feilds: {},\n  fields: [],\n  methods: 'none'\n};\n")), [
+    '3:3 warning Unknown module configuration key `feilds`',
+    '4:3 error `fields` must be an object (or a function returning one)',
+    '5:3 error `methods` must be an object (or a function returning one)',
+  ]);
+});
+
+test('the repair prompt lists each error with the numbered source of its file', () => {
+  const files = [
+    { path: INDEX_PATH, content: "export default {\n  extend: 'x'\n  options: {}\n};" },
+    { path: 'modules/widgets/card-widget/ui/src/index.js', content: 'export default () => {};\n' },
+  ];
+  const diagnostics = [
+    ...checkJavaScriptFiles(files, { moduleIndexPath: INDEX_PATH }),
+    { path: files[1].path, line: 1, column: 1, message: 'Only a warning', severity: 'warning', source: 'javascript' },
+  ];
+  const prompt = buildJavaScriptRepairPrompt({ type: 'widget', name: 'card', files, diagnostics });
+
+  assert.ok(prompt.includes(`FILE: ${INDEX_PATH}\nERRORS:\n- line 3, column 3: Unexpected token`));
+  assert.ok(prompt.includes(numberLines(files[0].content)));
+  assert.ok(!prompt.includes(`FILE: ${files[1].path}`), 'files with only warnings are not sent');
+  assert.match(prompt, /\{ "path": "modules\/widgets\/card-widget\/index\.js", "content": "\.\.\." \}/);
+});
+
+test('numberLines pads line numbers to the same width', () => {
+  const content = Array.from({ length: 10 }, (_, i) => `line ${i + 1}`).join('\n');
+  const lines = numberLines(content).split('\n');
+
+  assert.equal(lines[0], ' 1 | line 1');
+  assert.equal(lines[9], '10 | line 10');
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findJsonObject, parseFilesResponse } from '../json-extractor.js';
+
+const INDEX_JS = "export default {\n  extend: '@apostrophecms/widget-type',\n  fields: { add: { title: { type: 'string' } } }\n};\n";
+const SCSS = '.card {\n  &__title { content: "}"; }\n}\n';
+
+const response = (files) => JSON.stringify({ files }, null, 2);
+
+test('braces and brackets inside file contents do not end the object', () => {
+  const files = [
+    { path: 'modules/widgets/card-widget/index.js', content: INDEX_JS },
+    { path: 'modules/asset/ui/src/scss/components/_card.scss', content: SCSS },
+    { path: 'modules/widgets/card-widget/views/widget.html', content: '{% if data.widget.items[0] %}]}{{ x }}{% endif %}' },
+  ];
+
+  assert.deepEqual(parseFilesResponse(response(files)), { files, complete: true, truncated: false });
+});
+
+test('escaped quotes and backslashes stay inside their string', () => {
+  const files = [
+    { path: 'a.js', content: 'const s = "say \\"}\\" twice";\nconst re = /\\\\{/;\n' },
+    { path: 'b.js', content: 'ends with a backslash \\' },
+  ];
+
+  assert.deepEqual(parseFilesResponse(response(files)).files, files);
+});
+
+test('skips prose, code in the prose and any number of fences', () => {
+  const files = [{ path: 'a.js', content: INDEX_JS }];
+  const text = [
+    'Here is the module. It exports `{ extend }` like this: function () { return {}; }',
+    '```js\nconst example = { a: 1 };\n```',
+    '```json',
+    response(files),
+    '```',
+    'Let me know if {you} need changes.',
+  ].join('\n');
+
+  assert.deepEqual(parseFilesResponse(text), { files, complete: true, truncated: false });
+});
+
+test('findJsonObject returns the first object the caller accepts', () => {
+  const text = 'First {"type": "widget"} then {"files": []} and {"files": [1]}';
+
+  assert.deepEqual(findJsonObject(text), { type: 'widget' });
+  assert.deepEqual(findJsonObject(text, value => Array.isArray(value.files) && value.files.length > 0), { files: [1] });
+  assert.equal(findJsonObject('no json here { at all', () => true), null);
+  assert.equal(findJsonObject('{"unbalanced": [}'), null);
+});
+
+test('repairs raw newlines and tabs in strings and stray commas, leaving string contents alone', () => {
+  const text = '{\n  "files": [,\n    {"path": "a.js", "content": "line 1\nline 2\tend, }",},\n    {"path": "b.js", "content": "[,] {,}"},,\n  ],\n}';
+
+  assert.deepEqual(parseFilesResponse(text), {
+    files: [
+      { path: 'a.js', content: 'line 1\nline 2\tend, }' },
+      { path: 'b.js', content: '[,] {,}' },
+    ],
+    complete: true,
+    truncated: false,
+  });
+});
+
+test('a truncated response keeps its complete files and says it was cut off', () => {
+  const full = response([
+    { path: 'a.js', content: INDEX_JS },
+    { path: 'b.scss', content: SCSS },
+    { path: 'c.html', content: '<div class="card">{{ data.widget.title }}</div>' },
+  ]);
+
+  // Cut inside the third file's content
+  const cut = full.slice(0, full.indexOf('{{ data.widget'));
+  assert.deepEqual(parseFilesResponse(cut), {
+    files: [{ path: 'a.js', content: INDEX_JS }, { path: 'b.scss', content: SCSS }],
+    truncated: true,
+    complete: false,
+  });
+
+  // Cut right after a file closes - the array is still open
+  const afterSecond = full.slice(0, full.lastIndexOf('{', full.indexOf('"c.html"')));
+  assert.equal(parseFilesResponse(afterSecond).truncated, true);
+  assert.equal(parseFilesResponse(afterSecond).files.length, 2);
+
+  // Cut inside a fenced response
+  assert.equal(parseFilesResponse('```json\n' + cut).files.length, 2);
+});
+
+test('salvaging drops entries without a string path and content, and stops at garbage', () => {
+  const text = '{"files": [{"path": "a.js", "content": "ok"}, {"path": 1, "content": "x"}, {"content": "no path"}, oops {"path": "b.js", "content": "never reached"}';
+
+  assert.deepEqual(parseFilesResponse(text), {
+    files: [{ path: 'a.js', content: 'ok' }],
+    truncated: false,
+    complete: false,
+  });
+  assert.deepEqual(parseFilesResponse('No files this time.'), { files: [], truncated: false, complete: false });
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCallLimiter } from '../llm-backends.js';
+
+// A backend whose calls stay open until the test finishes them
+function createHeldBackend() {
+  const calls = [];
+  return {
+    calls,
+    backend: {
+      name: 'held',
+      needsCli: false,
+      complete: (prompt) => new Promise((resolve) => calls.push({ prompt, finish: () => resolve(prompt) }))
+    }
+  };
+}
+
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+test('runs at most `limit` calls at once and starts waiting calls in order', async () => {
+  const { calls, backend } = createHeldBackend();
+  const limited = createCallLimiter(2)(backend);
+
+  const results = ['piece', 'page', 'widget'].map(prompt => limited.complete(prompt));
+  await settle();
+  assert.deepEqual(calls.map(call => call.prompt), ['piece', 'page']);
+
+  calls[0].finish();
+  await settle();
+  assert.deepEqual(calls.map(call => call.prompt), ['piece', 'page', 'widget']);
+
+  calls[1].finish();
+  calls[2].finish();
+  assert.deepEqual(await Promise.all(results), ['piece', 'page', 'widget']);
+});
+
+test('backends wrapped by one limiter share its slots', async () => {
+  const first = createHeldBackend();
+  const second = createHeldBackend();
+  const withLimit = createCallLimiter(1);
+
+  const done = withLimit(first.backend).complete('first');
+  const waiting = withLimit(second.backend).complete('second');
+  await settle();
+  assert.equal(second.calls.length, 0);
+
+  first.calls[0].finish();
+  await done;
+  await settle();
+  assert.equal(second.calls.length, 1);
+  second.calls[0].finish();
+  assert.equal(await waiting, 'second');
+});
+
+test('a call cancelled while waiting never starts and frees its place in line', async () => {
+  const { calls, backend } = createHeldBackend();
+  const limited = createCallLimiter(1)(backend);
+  const controller = new AbortController();
+
+  const running = limited.complete('running');
+  const cancelled = limited.complete('cancelled', { signal: controller.signal });
+  const next = limited.complete('next');
+
+  controller.abort();
+  await assert.rejects(cancelled, /Generation cancelled/);
+
+  calls[0].finish();
+  await running;
+  await settle();
+  assert.deepEqual(calls.map(call => call.prompt), ['running', 'next']);
+  calls[1].finish();
+  await next;
+});
+
+test('a failed call releases its slot', async () => {
+  const limited = createCallLimiter(1)({
+    name: 'failing',
+    needsCli: false,
+    complete: async (prompt) => {
+      if (prompt === 'fail') throw new Error('Claude CLI failed');
+      return prompt;
+    }
+  });
+
+  await assert.rejects(limited.complete('fail'), /Claude CLI failed/);
+  assert.equal(await limited.complete('ok'), 'ok');
+});
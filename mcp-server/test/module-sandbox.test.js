@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { checkModuleHealth } from '../module-sandbox.js';
+
+const WIDGET = '@apostrophecms/widget-type';
+const check = (content) => checkModuleHealth({ path: 'modules/card-widget/index.js', content, expectedExtend: WIDGET });
+
+// The test runner enables async_hooks, and Node 20 aborts when a time limit stops
+// a promise callback under them - run those checks in a process of their own
+const checkInProcess = (content) => JSON.parse(execFileSync(process.execPath, ['--input-type=module', '-e', `
+  import { checkModuleHealth } from ${JSON.stringify(new URL('../module-sandbox.js', import.meta.url).href)};
+  const content = ${JSON.stringify(content)};
+  console.log(JSON.stringify(checkModuleHealth({ path: 'modules/card-widget/index.js', content, expectedExtend: '${WIDGET}' })));
+`], { encoding: 'utf8', timeout: 10000 }));
+const find = (result, name) => result.checks.filter(item => item.check === name);
+
+test('a valid widget loads and passes every check', () => {
+  const result = check(`
+    import helper from './lib/helper.js';
+    export default {
+      extend: '${WIDGET}',
+      options: { label: 'Card' },
+      fields(self, options) {
+        return { add: { title: { type: 'string' } }, group: { basics: { fields: ['title'] } } };
+      },
+      methods(self) { return { format() { return helper.format(); } }; },
+      components: (self) => ({ card(req, data) {} }),
+      handlers(self) { return { 'apostrophe:modulesRegistered': { setUp() {} } }; },
+      init(self) {}
+    };
+  `);
+
+  assert.equal(result.loaded, true);
+  assert.deepEqual(result.checks.filter(item => item.status !== 'ok'), []);
+  assert.equal(find(result, 'fields')[0].message, '1 field(s) in 1 group(s)');
+});
+
+test('reports a wrong extend, a missing label and malformed sections', () => {
+  const result = check(`
+    export default {
+      extend: '@apostrophecms/piece-type',
+      fields: { add: { title: {} }, extra: true },
+      methods: {},
+      components(self) { return { card(req, data, more) {} }; },
+      helpers(self) { throw new Error('no helpers'); },
+      init(self, options) {}
+    };
+  `);
+
+  assert.equal(result.loaded, true);
+  assert.match(find(result, 'extend')[0].message, /must extend '@apostrophecms\/widget-type'/);
+  assert.equal(find(result, 'options.label')[0].status, 'warning');
+  assert.deepEqual(find(result, 'fields').map(item => item.message), [
+    'fields has `extra` - only add, group and remove are read',
+    'fields.add.title needs a `type`',
+  ]);
+  assert.equal(find(result, 'methods')[0].message, 'methods must be a function (self) => ({ ... }), not an object');
+  assert.match(find(result, 'components')[0].message, /components are called with \(req, data\)/);
+  assert.equal(find(result, 'helpers')[0].message, 'helpers(self) threw: no helpers');
+  assert.equal(find(result, 'init')[0].message, 'init(self, options) - Apostrophe only passes (self)');
+});
+
+test('reports a missing default export and load errors with their line', () => {
+  assert.match(check('const unused = 1;').checks[0].message, /export default is missing/);
+
+  const thrown = check('const a = 1;\nthrow new Error("broken");\nexport default {};');
+  assert.equal(thrown.loaded, false);
+  assert.equal(thrown.checks[0].message, 'Evaluating index.js failed at line 2: broken');
+});
+
+test('a promise callback that never ends is stopped by the time limit', () => {
+  const result = checkInProcess(`
+    Promise.resolve().then(() => { while (true) {} });
+    export default { extend: '${WIDGET}' };
+  `);
+
+  assert.equal(result.loaded, false);
+  assert.match(result.checks[0].message, /timed out/);
+});
+
+test('a getter on the definition that never returns is stopped by the time limit', () => {
+  const result = check(`
+    export default {
+      get extend() { while (true) {} }
+    };
+  `);
+
+  assert.equal(result.loaded, false);
+  assert.match(result.checks[0].message, /^Inspecting the module definition failed: .*timed out/);
+});
+
+test('a thrown value with a hanging message getter is not read outside the sandbox', () => {
+  const result = check('throw { get message() { while (true) {} } };');
+
+  assert.equal(result.loaded, false);
+  assert.equal(result.checks[0].message, 'Evaluating index.js failed: the thrown value could not be read');
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, rmSync, existsSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { saveModuleFiles } from '../generator.js';
+import { registrationFor, createModulesFile, registerModule, unregisterModule, isRegistered } from '../modules-registry.js';
+
+test('registrationFor names the modules.js and entry of each module type', () => {
+  assert.deepEqual(registrationFor('widget', 'card'), { subdirectory: 'widgets', name: 'card-widget' });
+  assert.deepEqual(registrationFor('piece', 'event'), { subdirectory: 'pieces', name: 'event' });
+  assert.deepEqual(registrationFor('page', 'event-page'), { subdirectory: 'pages', name: 'event-page' });
+  assert.deepEqual(registrationFor('bundle', 'product'), { subdirectory: 'pieces', name: 'product-module' });
+});
+
+test('registers in an empty modules.js with the default indentation', () => {
+  const { content, changed } = registerModule('export default {};\n', 'card-widget');
+
+  assert.equal(changed, true);
+  assert.equal(content, createModulesFile('card-widget'));
+});
+
+test('follows the file\'s indentation, quotes and trailing commas', () => {
+  const content = 'export default {\n  "a-widget": {},\n  "b-widget": { options: { x: 1 } }, // b\n};\n';
+
+  assert.equal(
+    registerModule(content, 'card-widget').content,
+    'export default {\n  "a-widget": {},\n  "b-widget": { options: { x: 1 } }, // b\n  "card-widget": {},\n};\n',
+  );
+  assert.equal(
+    registerModule('export default { \'a\': {}, \'b\': {} };\n', 'card-widget').content,
+    'export default { \'a\': {}, \'b\': {}, \'card-widget\': {} };\n',
+  );
+  assert.equal(
+    registerModule('export default {\r\n\t\'a\': {}\r\n};\r\n', 'card-widget').content,
+    'export default {\r\n\t\'a\': {},\r\n\t\'card-widget\': {}\r\n};\r\n',
+  );
+});
+
+test('edits the object a variable or module.exports holds, leaving comments and spreads alone', () => {
+  const variable = "import base from './base.js';\n\nconst modules = {\n  ...base,\n  // hero\n  'hero-widget': {\n    options: { className: 'x' }\n  } /* done */\n};\n\nexport default modules;\n";
+  const registered = registerModule(variable, 'card-widget').content;
+
+  assert.equal(registered, "import base from './base.js';\n\nconst modules = {\n  ...base,\n  // hero\n  'hero-widget': {\n    options: { className: 'x' }\n  }, /* done */\n  'card-widget': {}\n};\n\nexport default modules;\n");
+  assert.equal(unregisterModule(registered, 'card-widget').content, variable);
+  assert.equal(unregisterModule(variable, 'hero-widget').content, "import base from './base.js';\n\nconst modules = {\n  ...base\n};\n\nexport default modules;\n");
+
+  const commonJs = "// registry\nmodule.exports = {\n\t'a': {},\n\t...base\n};\n";
+  assert.equal(registerModule(commonJs, 'card-widget').content, "// registry\nmodule.exports = {\n\t'a': {},\n\t...base,\n\t'card-widget': {}\n};\n");
+});
+
+test('registering twice or unregistering a missing module changes nothing', () => {
+  const content = createModulesFile('card-widget');
+
+  assert.deepEqual(registerModule(content, 'card-widget'), { content, changed: false });
+  assert.deepEqual(unregisterModule(content, 'hero-widget'), { content, changed: false });
+  assert.equal(isRegistered(content, 'card-widget'), true);
+  assert.equal(isRegistered(content, 'hero-widget'), false);
+  assert.equal(isRegistered('export default build();\n', 'card-widget'), null);
+});
+
+test('unregistering the last entry closes the object up', () => {
+  assert.equal(unregisterModule(createModulesFile('a-widget'), 'a-widget').content, 'export default {};\n');
+  assert.equal(unregisterModule('export default { \'a\': {}, \'b\': {} };\n', 'a').content, 'export default { \'b\': {} };\n');
+});
+
+test('refuses a modules.js without an exported object', () => {
+  assert.throws(() => registerModule('export default build();\n', 'card-widget'), /No exported modules object found/);
+});
+
+test('a save whose modules.js cannot take the registration fails before writing anything', (t) => {
+  const path = mkdtempSync(join(tmpdir(), 'modules-registry-'));
+  t.after(() => rmSync(path, { recursive: true, force: true }));
+  mkdirSync(join(path, 'modules/widgets'), { recursive: true });
+  writeFileSync(join(path, 'modules/widgets/modules.js'), 'export default build();\n');
+
+  assert.throws(() => saveModuleFiles({
+    project: { id: 'test', path },
+    files: [{ path: 'modules/widgets/card-widget/index.js', content: "export default { extend: '@apostrophecms/widget-type' };\n" }],
+    moduleName: 'card',
+    moduleType: 'widget',
+    moduleLabel: 'Card',
+  }), (error) => {
+    assert.match(error.message, /Cannot register 'card-widget' in widgets\/modules\.js: No exported modules object found/);
+    assert.deepEqual(error.registrationFailed, { path: 'modules/widgets/modules.js', name: 'card-widget' });
+    return true;
+  });
+  assert.equal(existsSync(join(path, 'modules/widgets/card-widget')), false);
+  assert.equal(readFileSync(join(path, 'modules/widgets/modules.js'), 'utf8'), 'export default build();\n');
+});
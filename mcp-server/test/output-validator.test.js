@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getModuleContract, isAllowedPath, validateGeneratedFiles, getBlockingViolations, buildRepairPrompt, mergeRepairedFiles,
+} from '../output-validator.js';
+
+const WIDGET = getModuleContract({ type: 'widget', correctPath: 'modules/widgets/card-widget' });
+const INDEX = { path: 'modules/widgets/card-widget/index.js', content: "export default { extend: '@apostrophecms/widget-type' };\n" };
+const VIEW = { path: 'modules/widgets/card-widget/views/widget.html', content: '<div class="card"></div>\n' };
+const SCSS = { path: 'modules/asset/ui/src/scss/components/_card.scss', content: '.card {}\n' };
+
+test('each module type has its required files', () => {
+  assert.deepEqual(WIDGET.requiredFiles, ['modules/widgets/card-widget/index.js', 'modules/widgets/card-widget/views/widget.html']);
+  assert.deepEqual(getModuleContract({ type: 'page', correctPath: 'modules/pages/about-page' }).requiredFiles,
+    ['modules/pages/about-page/index.js', 'modules/pages/about-page/views/page.html']);
+  assert.deepEqual(getModuleContract({ type: 'page', correctPath: 'modules/pieces/product-module/product-page', isPiecePage: true }).requiredFiles,
+    ['modules/pieces/product-module/product-page/index.js', 'modules/pieces/product-module/product-page/views/index.html', 'modules/pieces/product-module/product-page/views/show.html']);
+  assert.deepEqual(getModuleContract({ type: 'piece', correctPath: 'modules/pieces/event' }).requiredFiles, ['modules/pieces/event/index.js']);
+});
+
+test('only the module folder and the shared asset folder are allowed', () => {
+  assert.equal(isAllowedPath('modules/widgets/card-widget/views/widget.html', WIDGET), true);
+  assert.equal(isAllowedPath('modules/asset/ui/src/scss/components/_card.scss', WIDGET), true);
+  assert.equal(isAllowedPath('modules/widgets/card-widget-extra/index.js', WIDGET), false);
+  assert.equal(isAllowedPath('modules/widgets/card-widget/../hero-widget/index.js', WIDGET), false);
+  assert.equal(isAllowedPath('app.js', WIDGET), false);
+});
+
+test('a complete module passes, with leading ./ and / normalized', () => {
+  const { files, violations } = validateGeneratedFiles([
+    { ...INDEX, path: `./${INDEX.path}` },
+    { ...VIEW, path: `/${VIEW.path}` },
+    SCSS,
+  ], WIDGET);
+
+  assert.deepEqual(violations, []);
+  assert.deepEqual(files, [INDEX, VIEW, SCSS]);
+});
+
+test('reports invalid, outside, duplicate, missing and empty files', () => {
+  const { files, violations } = validateGeneratedFiles([
+    { ...INDEX, content: '   \n' },
+    SCSS,
+    SCSS,
+    { path: 'modules/widgets/other-widget/index.js', content: 'x' },
+    { path: 'modules/widgets/card-widget/notes.md' },
+    null,
+  ], WIDGET);
+
+  assert.deepEqual(violations.map(v => [v.kind, v.path]), [
+    ['outside', 'modules/widgets/other-widget/index.js'],
+    ['invalid', 'modules/widgets/card-widget/notes.md'],
+    ['invalid', 'files[5]'],
+    ['duplicate', SCSS.path],
+    ['empty', INDEX.path],
+    ['missing', VIEW.path],
+  ]);
+  // Neither copy of a duplicate is kept, nor an empty required file
+  assert.deepEqual(files, []);
+  assert.deepEqual(getBlockingViolations(violations).map(v => v.kind), ['duplicate', 'empty', 'missing']);
+});
+
+test('a required file returned twice is reported once, as a duplicate', () => {
+  const { violations } = validateGeneratedFiles([INDEX, VIEW, VIEW], WIDGET);
+  assert.deepEqual(violations.map(v => v.kind), ['duplicate']);
+});
+
+test('the repair prompt asks only for the files that need fixing and shows the schema', () => {
+  const { files, violations } = validateGeneratedFiles([INDEX, SCSS, { path: 'lib/helper.js', content: 'x' }], WIDGET);
+  const prompt = buildRepairPrompt({ type: 'widget', name: 'card', label: 'Card', contract: WIDGET, files, violations });
+
+  const requested = prompt.split('RETURN ONLY THESE FILES:\n')[1].split('\n\n')[0];
+  assert.equal(requested, `- ${VIEW.path}`);
+  assert.match(prompt, /FILES ALREADY ACCEPTED \(do NOT send these again\):\n- modules\/widgets\/card-widget\/index\.js\n- modules\/asset/);
+  assert.ok(prompt.includes(INDEX.content));
+  assert.match(prompt, /lib\/helper\.js is outside/);
+  assert.match(prompt, /were dropped\. If one of them is needed, return it under modules\/widgets\/card-widget\/ instead/);
+});
+
+test('a repair replaces requested files and adds new ones, never an accepted file it was not asked for', () => {
+  const violations = [{ kind: 'empty', path: VIEW.path, message: 'is required but is empty' }];
+  const repairedView = { ...VIEW, content: '<div class="card">{{ data.widget.title }}</div>\n' };
+  const merged = mergeRepairedFiles([INDEX, { ...VIEW, content: '' }], [
+    { ...INDEX, content: 'export default {};\n' },
+    { ...repairedView, path: `./${VIEW.path}` },
+    SCSS,
+  ], violations);
+
+  assert.deepEqual(merged, [INDEX, repairedView, SCSS]);
+  assert.deepEqual(validateGeneratedFiles(merged, WIDGET).violations, []);
+});
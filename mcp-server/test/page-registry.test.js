@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, rmSync, symlinkSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { PAGE_INDEX_PATH, findPageModule, registerPageType, registerParkedPage, unregisterPage, projectReader } from '../page-registry.js';
+
+// A project with these files - returns the page/index.js path, read() and apply()
+function createProject(t, files) {
+  const root = mkdtempSync(join(tmpdir(), 'page-registry-'));
+  t.after(() => rmSync(root, { recursive: true, force: true }));
+  for (const [path, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(root, path)), { recursive: true });
+    writeFileSync(join(root, path), content);
+  }
+
+  return {
+    root,
+    pageIndexPath: join(root, PAGE_INDEX_PATH),
+    read: projectReader(root, (path) => {
+      try {
+        return readFileSync(path, 'utf8');
+      } catch {
+        return null;
+      }
+    }),
+    apply: (result) => {
+      result.files.forEach(file => writeFileSync(file.path, file.content));
+      return result;
+    },
+    content: (path = PAGE_INDEX_PATH) => readFileSync(join(root, path), 'utf8'),
+  };
+}
+
+const OPTIONS_LAYOUT = "export default {\n  options: {\n    types: [\n      { name: 'default-page', label: 'Default' }\n    ],\n    park: []\n  }\n};\n";
+
+test('findPageModule finds the page of a page or a bundle', () => {
+  assert.equal(findPageModule('page', 'about-page', []), 'about-page');
+  assert.equal(findPageModule('bundle', 'event', [{ path: 'modules/pieces/event-module/event-page/index.js' }]), 'event-page');
+  assert.equal(findPageModule('bundle', 'event', [{ path: 'modules/pieces/event-module/event/index.js' }]), null);
+  assert.equal(findPageModule('widget', 'card', []), null);
+});
+
+test('adds, relabels and removes a page type', (t) => {
+  const project = createProject(t, { [PAGE_INDEX_PATH]: OPTIONS_LAYOUT });
+  const { pageIndexPath, read, apply } = project;
+
+  assert.equal(apply(registerPageType(pageIndexPath, read, { name: 'about-page', label: 'About' })).action, 'added');
+  assert.match(project.content(), /\{ name: 'default-page', label: 'Default' \},\n\s+\{ name: 'about-page', label: 'About' \}\n/);
+  assert.deepEqual(registerPageType(pageIndexPath, read, { name: 'about-page', label: 'About' }), { files: [], action: null });
+
+  assert.equal(apply(registerPageType(pageIndexPath, read, { name: 'about-page', label: "About's Us" })).action, 'updated');
+  assert.match(project.content(), /label: 'About\\'s Us'/);
+
+  assert.equal(apply(unregisterPage(pageIndexPath, read, 'about-page')).removed, 1);
+  assert.equal(project.content(), OPTIONS_LAYOUT);
+});
+
+test('parks a page and refuses a slug or parkedId another page has', (t) => {
+  const project = createProject(t, { [PAGE_INDEX_PATH]: OPTIONS_LAYOUT });
+  const { pageIndexPath, read, apply } = project;
+  const events = { title: 'Events', slug: '/events', type: 'events-page', parkedId: 'events-page' };
+
+  assert.equal(apply(registerParkedPage(pageIndexPath, read, events)).action, 'added');
+  assert.match(project.content(), /slug: '\/events'/);
+
+  assert.throws(() => registerParkedPage(pageIndexPath, read, { title: 'News', slug: '/events', type: 'news-page', parkedId: 'news-page' }), (error) => {
+    assert.deepEqual(error.pageCollision, { field: 'slug', value: '/events', existing: { ...events, path: PAGE_INDEX_PATH } });
+    return true;
+  });
+  assert.throws(() => registerParkedPage(pageIndexPath, read, { title: 'Root', slug: '/', type: 'root-page', parkedId: 'root-page' }), /slug '\/' is already used by Apostrophe's home page/);
+  assert.throws(() => registerParkedPage(pageIndexPath, read, { title: 'X', slug: '/x', type: 'other-page', parkedId: 'events-page' }), (error) => error.pageCollision.field === 'parkedId');
+
+  // The same parkedId moves the page
+  assert.equal(apply(registerParkedPage(pageIndexPath, read, { ...events, slug: '/all-events' })).action, 'updated');
+  assert.match(project.content(), /slug: '\/all-events'/);
+});
+
+test('creates the lists a page/index.js does not have yet', (t) => {
+  const project = createProject(t, { [PAGE_INDEX_PATH]: "export default {\n  extend: '@apostrophecms/page-type'\n};\n" });
+
+  project.apply(registerPageType(project.pageIndexPath, project.read, { name: 'faq-page', label: 'FAQ' }));
+  assert.equal(project.content(), "export default {\n  extend: '@apostrophecms/page-type',\n  options: {\n    types: [\n      {\n        name: 'faq-page',\n        label: 'FAQ'\n      }\n    ]\n  }\n};\n");
+});
+
+test('edits entries in the project file a list is imported from', (t) => {
+  const project = createProject(t, {
+    [PAGE_INDEX_PATH]: "import { parked } from './parked.js';\n\nexport default {\n  options: {\n    park: [ ...parked ]\n  }\n};\n",
+    'modules/@apostrophecms/page/parked.js': "export const parked = [\n  { title: 'Team', slug: '/team', type: 'team-page', parkedId: 'team' }\n];\n",
+  });
+
+  const result = project.apply(registerParkedPage(project.pageIndexPath, project.read, { title: 'Our Team', slug: '/team', type: 'team-page', parkedId: 'team' }));
+  assert.deepEqual(result.files.map(file => file.path), [join(project.root, 'modules/@apostrophecms/page/parked.js')]);
+  assert.match(project.content('modules/@apostrophecms/page/parked.js'), /title: 'Our Team'/);
+});
+
+test('refuses registry files outside modules/ or behind a symlink that leaves it', (t) => {
+  const outside = createProject(t, {
+    [PAGE_INDEX_PATH]: "const shared = require('../../../lib/page-types');\n\nmodule.exports = {\n  options: { types: [...shared] }\n};\n",
+    'lib/page-types.js': "module.exports = [\n  { name: 'blog-page', label: 'Blog' }\n];\n",
+  });
+  assert.throws(() => registerPageType(outside.pageIndexPath, outside.read, { name: 'blog-page', label: 'Journal' }), (error) => {
+    assert.equal(error.pathRejected, true);
+    assert.match(error.message, /lib\/page-types/);
+    return true;
+  });
+
+  const linked = createProject(t, {
+    [PAGE_INDEX_PATH]: "import types from '../../shared/types.js';\n\nexport default {\n  options: { types }\n};\n",
+    'elsewhere/types.js': "export default [\n  { name: 'blog-page', label: 'Blog' }\n];\n",
+  });
+  symlinkSync(join(linked.root, 'elsewhere'), join(linked.root, 'modules/shared'));
+  assert.throws(() => registerPageType(linked.pageIndexPath, linked.read, { name: 'blog-page', label: 'Journal' }), /a symlink leads outside the allowed folder/);
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, rmSync, symlinkSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { resolveInside, resolveModulesPath, resolveHistoryFolder } from '../path-policy.js';
+
+// A project with modules/, plus a folder beside it that links may point to
+function createProject(t) {
+  const root = mkdtempSync(join(tmpdir(), 'path-policy-'));
+  t.after(() => rmSync(root, { recursive: true, force: true }));
+  const project = join(root, 'project');
+  mkdirSync(join(project, 'modules', 'widgets'), { recursive: true });
+  mkdirSync(join(root, 'outside'));
+  return { root, project };
+}
+
+const rejected = (reason) => (error) => error.pathRejected === true && error.message.includes(reason);
+
+test('resolves relative paths inside the root, including files that do not exist yet', (t) => {
+  const { project } = createProject(t);
+  const modules = join(project, 'modules');
+
+  assert.equal(resolveInside(modules, 'widgets/card-widget/index.js'), join(modules, 'widgets', 'card-widget', 'index.js'));
+  assert.equal(resolveModulesPath(project, 'modules/widgets/modules.js'), join(modules, 'widgets', 'modules.js'));
+});
+
+test('refuses absolute paths, drive letters and .. segments', (t) => {
+  const { project } = createProject(t);
+  const modules = join(project, 'modules');
+
+  for (const path of ['/etc/passwd', '\\\\server\\share', 'C:/Windows/win.ini']) {
+    assert.throws(() => resolveInside(modules, path), rejected('absolute paths are not allowed'), path);
+  }
+  for (const path of ['../app.js', 'widgets/../../app.js', 'widgets\\..\\..\\app.js']) {
+    assert.throws(() => resolveInside(modules, path), rejected("'..' segments are not allowed"), path);
+  }
+  for (const path of ['', '   ', 'index.js\0.txt', null]) {
+    assert.throws(() => resolveInside(modules, path), rejected('not a file path'), String(path));
+  }
+  assert.throws(() => resolveInside(modules, '.'), rejected('outside the allowed folder'));
+});
+
+test('only files under modules/ can be resolved in a project', (t) => {
+  const { project } = createProject(t);
+
+  for (const path of ['app.js', 'package.json', 'lib/helpers.js', './modules/widgets/modules.js', 'modulesx/index.js']) {
+    assert.throws(() => resolveModulesPath(project, path), rejected('only files under modules/'), path);
+  }
+  // The reason from resolveInside is kept, with the full path in the message
+  assert.throws(() => resolveModulesPath(project, 'modules/../app.js'), (error) => (
+    error.pathRejected && error.message === `Refused path "modules/../app.js": '..' segments are not allowed`
+  ));
+  assert.throws(() => resolveModulesPath(project, 'modules//etc/passwd'), rejected('absolute paths are not allowed'));
+});
+
+test('follows symlinks, so a linked folder cannot lead outside modules/', (t) => {
+  const { root, project } = createProject(t);
+  const modules = join(project, 'modules');
+  symlinkSync(join(root, 'outside'), join(modules, 'linked'));
+  symlinkSync(join(modules, 'widgets'), join(modules, 'widgets-link'));
+  symlinkSync(join(root, 'missing'), join(modules, 'broken'));
+
+  assert.throws(() => resolveModulesPath(project, 'modules/linked/index.js'), rejected('a symlink leads outside the allowed folder'));
+  assert.throws(() => resolveModulesPath(project, 'modules/linked/new-folder/index.js'), rejected('a symlink leads outside the allowed folder'));
+  assert.throws(() => resolveModulesPath(project, 'modules/broken/index.js'), rejected('broken symlink'));
+  // A link that stays inside modules/ is fine
+  assert.equal(resolveModulesPath(project, 'modules/widgets-link/modules.js'), join(modules, 'widgets-link', 'modules.js'));
+});
+
+test('a project whose modules/ folder is itself a link is checked against the link target', (t) => {
+  const { root } = createProject(t);
+  const project = join(root, 'linked-project');
+  mkdirSync(project);
+  mkdirSync(join(root, 'outside', 'modules'));
+  symlinkSync(join(root, 'outside', 'modules'), join(project, 'modules'));
+
+  assert.equal(resolveModulesPath(project, 'modules/widgets/modules.js'), join(project, 'modules', 'widgets', 'modules.js'));
+});
+
+test('history folders must be a single folder name', (t) => {
+  const { root } = createProject(t);
+  const history = join(root, 'history');
+  mkdirSync(history);
+  symlinkSync(join(root, 'outside'), join(history, 'linked'));
+
+  assert.equal(resolveHistoryFolder(history, '2025-11-18_11-09-31_accordion-widget'), join(history, '2025-11-18_11-09-31_accordion-widget'));
+  for (const id of ['..', '.', 'a/b', '../outside', '/tmp', '', 42]) {
+    assert.throws(() => resolveHistoryFolder(history, id), rejected('not a history id'), String(id));
+  }
+  assert.throws(() => resolveHistoryFolder(history, 'linked'), rejected('a symlink leads outside the allowed folder'));
+});
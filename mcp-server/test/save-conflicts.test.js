@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, rmSync, existsSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { renameParkUrl, mergeFileContent } from '../save-conflicts.js';
+import { saveModuleFiles } from '../generator.js';
+
+const PAGE_INDEX = "export default {\n  options: {\n    types: [\n      { name: 'default-page', label: 'Default' }\n    ]\n  }\n};\n";
+
+// A bundle with a piece and a page, as assembleBundle() lays it out
+const bundleFiles = (title) => [
+  { path: 'modules/pieces/product-module/index.js', content: 'export default {\n  options: {\n    ignoreNoCodeWarning: true\n  }\n};\n' },
+  { path: 'modules/pieces/product-module/modules.js', content: "export default {\n  'product': {},\n  'product-page': {}\n};\n" },
+  { path: 'modules/pieces/product-module/product/index.js', content: `export default {\n  extend: '@apostrophecms/piece-type',\n  options: { label: '${title}' }\n};\n` },
+  { path: 'modules/pieces/product-module/product-page/index.js', content: "export default {\n  extend: '@apostrophecms/piece-page-type'\n};\n" },
+  { path: 'modules/pieces/product-module/product-page/views/index.html', content: '<section class="product-page">{{ data.page.title }}</section>\n' },
+];
+
+function createProject() {
+  const path = mkdtempSync(join(tmpdir(), 'save-conflicts-'));
+  mkdirSync(join(path, 'modules/@apostrophecms/page'), { recursive: true });
+  writeFileSync(join(path, 'modules/@apostrophecms/page/index.js'), PAGE_INDEX);
+  return { id: 'test', path };
+}
+
+test('renameParkUrl suffixes the park URL like the module name', () => {
+  assert.equal(renameParkUrl('/products', 'product', 'product-2'), '/products-2');
+  assert.equal(renameParkUrl('/shop/products/', 'product', 'product-3'), '/shop/products-3');
+  assert.equal(renameParkUrl('/', 'product', 'product-2'), '/product-2');
+});
+
+test('a renamed bundle with a page is parked at a URL of its own', (t) => {
+  const project = createProject();
+  t.after(() => rmSync(project.path, { recursive: true, force: true }));
+  const save = (files, options = {}) => saveModuleFiles({
+    project, files, moduleName: 'product', moduleType: 'bundle', moduleLabel: 'Products', parkPage: true, parkUrl: '/products', ...options,
+  });
+
+  save(bundleFiles('Product'));
+  const result = save(bundleFiles('Product (new)'), { conflictStrategy: 'rename' });
+
+  assert.equal(result.renamedTo, 'product-2');
+  assert.equal(result.renamedParkUrl, '/products-2');
+  assert.equal(result.pageRegistrationDetails.slug, '/products-2');
+  assert.ok(existsSync(join(project.path, 'modules/pieces/product-2-module/product-2-page/index.js')));
+
+  const pageIndex = readFileSync(join(project.path, 'modules/@apostrophecms/page/index.js'), 'utf8');
+  assert.match(pageIndex, /slug: '\/products',\s+type: 'product-page',\s+parkedId: 'product-page'/);
+  assert.match(pageIndex, /slug: '\/products-2',\s+type: 'product-2-page',\s+parkedId: 'product-2-page'/);
+  assert.match(readFileSync(join(project.path, 'modules/pieces/modules.js'), 'utf8'), /'product-module': \{\},\n\s+'product-2-module': \{\}/);
+});
+
+// A widget saved once, then edited by hand in the project
+function createEditedWidget(t, editedTemplate) {
+  const project = createProject();
+  t.after(() => rmSync(project.path, { recursive: true, force: true }));
+  const baseFiles = [
+    { path: 'modules/widgets/card-widget/index.js', content: "export default {\n  extend: '@apostrophecms/widget-type',\n  options: { label: 'Card' }\n};\n" },
+    { path: 'modules/widgets/card-widget/views/widget.html', content: '<div class="card">\n  <h2>{{ data.widget.title }}</h2>\n</div>\n' },
+  ];
+  saveModuleFiles({ project, files: baseFiles, moduleName: 'card', moduleType: 'widget', moduleLabel: 'Card' });
+  writeFileSync(join(project.path, baseFiles[1].path), editedTemplate);
+
+  const save = (files, options = {}) => saveModuleFiles({
+    project, files, moduleName: 'card', moduleType: 'widget', moduleLabel: 'Card', conflictStrategy: 'merge', baseFiles, ...options,
+  });
+  return { project, baseFiles, save };
+}
+
+test('mergeFileContent keeps changes from both sides and marks overlapping ones', () => {
+  const clean = mergeFileContent('a\nb\nc\nd\n', 'A\nb\nc\nd\n', 'a\nb\nc\nD\n');
+  assert.deepEqual(clean, { content: 'A\nb\nc\nD\n', conflicts: 0 });
+
+  const overlapping = mergeFileContent('a\nb\nc\n', 'a\nmine\nc\n', 'a\ntheirs\nc\n');
+  assert.equal(overlapping.conflicts, 1);
+  assert.match(overlapping.content, /^<<<<<<< .*\nmine\n=======\ntheirs\n>>>>>>> generated$/m);
+});
+
+test('a merge with conflicts is shown by a dry run but never saved', (t) => {
+  const { project, baseFiles, save } = createEditedWidget(t, '<div class="card">\n  <h2 class="card__title">{{ data.widget.title }}</h2>\n</div>\n');
+  const files = [baseFiles[0], { ...baseFiles[1], content: '<div class="card">\n  <h3>{{ data.widget.title }}</h3>\n</div>\n' }];
+  const templatePath = join(project.path, baseFiles[1].path);
+  const edited = readFileSync(templatePath, 'utf8');
+
+  const preview = save(files, { dryRun: true });
+  assert.deepEqual(preview.mergedFiles, [{ path: baseFiles[1].path, conflicts: 1 }]);
+  assert.match(preview.changes[0].diff, /^\+<<<<<<< /m);
+
+  assert.throws(() => save(files), (error) => {
+    assert.deepEqual(error.mergeRefused, { files: [{ path: baseFiles[1].path, conflicts: 1 }] });
+    return true;
+  });
+  assert.equal(readFileSync(templatePath, 'utf8'), edited);
+});
+
+test('a clean merge is checked again and refused if the result has errors', (t) => {
+  // The hand edit opens a block the new generation's lines no longer close
+  const { project, baseFiles, save } = createEditedWidget(t, '{% if data.widget.title %}\n<div class="card">\n  <h2>{{ data.widget.title }}</h2>\n</div>\n');
+  const files = [baseFiles[0], { ...baseFiles[1], content: '<div class="card">\n  <h2>{{ data.widget.title }}</h2>\n</div>\n{% endif %}\n{% endif %}\n' }];
+
+  assert.throws(() => save(files, { dryRun: true }), (error) => {
+    assert.equal(error.mergeRefused.diagnostics[0].path, baseFiles[1].path);
+    assert.equal(error.mergeRefused.diagnostics[0].source, 'nunjucks');
+    return true;
+  });
+  assert.match(readFileSync(join(project.path, baseFiles[1].path), 'utf8'), /^\{% if data.widget.title %\}\n<div/);
+});
+
+test('a clean merge keeps the hand edits and the new generation', (t) => {
+  const { project, baseFiles, save } = createEditedWidget(t, '<div class="card card--featured">\n  <h2>{{ data.widget.title }}</h2>\n</div>\n');
+  const files = [baseFiles[0], { ...baseFiles[1], content: '<div class="card">\n  <h2>{{ data.widget.title }}</h2>\n  <p>{{ data.widget.text }}</p>\n</div>\n' }];
+
+  const result = save(files);
+  assert.deepEqual(result.mergedFiles, [{ path: baseFiles[1].path, conflicts: 0 }]);
+  assert.equal(
+    readFileSync(join(project.path, baseFiles[1].path), 'utf8'),
+    '<div class="card card--featured">\n  <h2>{{ data.widget.title }}</h2>\n  <p>{{ data.widget.text }}</p>\n</div>\n',
+  );
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs, { mkdtempSync, writeFileSync, readFileSync, readdirSync, rmSync } from 'node:fs';
+import { syncBuiltinESMExports } from 'node:module';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { applyStagedWrites } from '../save-transaction.js';
+
+function createFolder(t) {
+  const root = mkdtempSync(join(tmpdir(), 'save-transaction-'));
+  t.after(() => rmSync(root, { recursive: true, force: true }));
+  writeFileSync(join(root, 'modules.js'), 'export default {};\n');
+  return root;
+}
+
+const write = (root, path, step, before, after) => ({ fullPath: join(root, path), path, step, before, after });
+
+test('applies every write and reports a step for each', (t) => {
+  const root = createFolder(t);
+
+  const steps = applyStagedWrites([
+    write(root, 'card-widget/index.js', 'write file', null, 'export default {};\n'),
+    write(root, 'modules.js', 'register in modules.js', 'export default {};\n', "export default {\n  'card-widget': {}\n};\n"),
+  ]);
+
+  assert.deepEqual(steps, [
+    { step: 'write file', path: 'card-widget/index.js', action: 'create', status: 'applied' },
+    { step: 'register in modules.js', path: 'modules.js', action: 'modify', status: 'applied' },
+  ]);
+  assert.equal(readFileSync(join(root, 'card-widget/index.js'), 'utf8'), 'export default {};\n');
+  assert.match(readFileSync(join(root, 'modules.js'), 'utf8'), /'card-widget': \{\}/);
+  assert.deepEqual(readdirSync(root).sort(), ['card-widget', 'modules.js']);
+});
+
+test('a failed write restores every file and removes what the save created', (t) => {
+  const root = createFolder(t);
+  // The third rename fails - the first two targets are already replaced by then
+  const renameSync = fs.renameSync;
+  let renames = 0;
+  t.mock.method(fs, 'renameSync', (from, to) => {
+    if (++renames === 3) throw new Error('disk full');
+    return renameSync(from, to);
+  });
+  syncBuiltinESMExports();
+  t.after(() => {
+    t.mock.restoreAll();
+    syncBuiltinESMExports();
+  });
+
+  assert.throws(() => applyStagedWrites([
+    write(root, 'modules.js', 'register in modules.js', 'export default {};\n', "export default { 'a': {} };\n"),
+    write(root, 'card-widget/index.js', 'write file', null, 'export default {};\n'),
+    write(root, 'card-widget/views/widget.html', 'write file', null, '<div></div>\n'),
+  ]), (error) => {
+    assert.equal(error.message, 'Save failed at card-widget/views/widget.html and was rolled back: disk full');
+    assert.equal(error.rolledBack, true);
+    assert.deepEqual(error.steps.map(step => step.status), ['rolled-back', 'rolled-back', 'failed']);
+    return true;
+  });
+
+  assert.equal(readFileSync(join(root, 'modules.js'), 'utf8'), 'export default {};\n');
+  assert.deepEqual(readdirSync(root), ['modules.js']);
+});
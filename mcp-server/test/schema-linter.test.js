@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync, symlinkSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { getProjectModules, createLintContext, lintModuleSchema, lintProjectModules } from '../schema-linter.js';
+
+function createProject(t, files) {
+  const root = mkdtempSync(join(tmpdir(), 'schema-linter-'));
+  t.after(() => rmSync(root, { recursive: true, force: true }));
+  for (const [path, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(root, path)), { recursive: true });
+    writeFileSync(join(root, path), content);
+  }
+  return root;
+}
+
+// An older project: CommonJS modules, one piece extending another
+const LEGACY_PROJECT = {
+  'app.js': "require('apostrophecms')({ modules: { news: {}, article: {}, 'quote-widget': {} } });\n",
+  'modules/news/index.js': "module.exports = {\n  extend: '@apostrophecms/piece-type'\n};\n",
+  'modules/article/index.js': "const config = {\n  extend: 'news'\n};\n\nmodule.exports = config;\n",
+  'modules/quote-widget/index.js': "module.exports = { extend: '@apostrophecms/widget-type' };\n",
+  'modules/default-page/index.js': "export default { extend: '@apostrophecms/page-type' };\n",
+};
+
+const relationship = (withType) => `export default {
+  extend: '@apostrophecms/piece-type',
+  fields: {
+    add: {
+      _related: { type: 'relationship', label: 'Related', withType: '${withType}' }
+    }
+  }
+};
+`;
+
+test('finds CommonJS modules and pieces that extend a project piece', (t) => {
+  const project = getProjectModules(createProject(t, LEGACY_PROJECT));
+
+  assert.deepEqual([...project.pieceTypes].sort(), ['article', 'news']);
+  assert.deepEqual([...project.pageTypes], ['default-page']);
+  assert.equal(project.widgets.get('quote').registered, true);
+});
+
+test('accepts project pieces, CommonJS or inherited, and @apostrophecms/page as withType', (t) => {
+  const context = createLintContext(createProject(t, LEGACY_PROJECT));
+
+  for (const withType of ['news', 'article', '@apostrophecms/page']) {
+    assert.deepEqual(lintModuleSchema({ path: 'modules/event/index.js', content: relationship(withType), context }), [], withType);
+  }
+
+  const [diagnostic] = lintModuleSchema({ path: 'modules/event/index.js', content: relationship('story'), context });
+  assert.equal(diagnostic.message, "withType 'story' is not a piece type in this project");
+});
+
+test('lints CommonJS modules and lets a piece extending a project piece group inherited fields', (t) => {
+  const root = createProject(t, {
+    ...LEGACY_PROJECT,
+    'modules/feature/index.js': `module.exports = {
+  extend: 'article',
+  fields: {
+    add: {
+      kind: { type: 'select', label: 'Kind' }
+    },
+    group: {
+      basics: { label: 'Basics', fields: ['title', 'kind'] }
+    }
+  }
+};
+`,
+  });
+
+  const { diagnostics } = lintProjectModules(root, 'modules/feature');
+  assert.deepEqual(diagnostics.map(d => d.message), ['select field `kind` needs `choices`']);
+});
+
+test('lints only modules inside modules/, through the path policy', (t) => {
+  const root = createProject(t, {
+    ...LEGACY_PROJECT,
+    'lib/index.js': "module.exports = { extend: '@apostrophecms/piece-type' };\n",
+  });
+  symlinkSync(join(root, 'lib'), join(root, 'modules', 'linked'));
+
+  assert.deepEqual(lintProjectModules(root, './modules/news/index.js').modules, ['modules/news/index.js']);
+  assert.throws(() => lintProjectModules(root, 'lib'), { pathRejected: true });
+  assert.throws(() => lintProjectModules(root, 'modules/../lib'), { pathRejected: true });
+  assert.throws(() => lintProjectModules(root, 'modules/linked'), { pathRejected: true });
+  assert.throws(() => lintProjectModules(root, 'modules/missing'), /No module index.js at modules\/missing/);
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { MAIN_SCSS_PATH, getScssImports, addScssImports, checkProjectStylesheet } from '../scss-checker.js';
+
+const MAIN_SCSS = [
+  '@import "./scss/mixins";',
+  '@import "~theme/colors";',
+  '@import "theme/spacing";',
+  '',
+  '//Components',
+  '@import "./scss/components/_hero";',
+  '',
+  '//Pages',
+  '',
+].join('\n');
+
+const PARTIAL_PATH = 'modules/asset/ui/src/scss/components/_card.scss';
+
+// A project whose index.scss uses its own mixins and a package from node_modules
+function createProject(t, files = {}) {
+  const root = mkdtempSync(join(tmpdir(), 'scss-checker-'));
+  t.after(() => rmSync(root, { recursive: true, force: true }));
+  const all = {
+    [MAIN_SCSS_PATH]: MAIN_SCSS,
+    'modules/asset/ui/src/scss/_mixins.scss': '@mixin gap($size) {\n  margin: $size + 4px;\n}\n',
+    'modules/asset/ui/src/scss/components/_hero.scss': '.hero { color: $brand; }\n',
+    'node_modules/theme/_colors.scss': '$brand: #333;\n',
+    'node_modules/theme/spacing.scss': '$space: 8px;\n',
+    ...files,
+  };
+  for (const [path, content] of Object.entries(all)) {
+    mkdirSync(dirname(join(root, path)), { recursive: true });
+    writeFileSync(join(root, path), content);
+  }
+  return root;
+}
+
+const widgetFiles = (scss) => [
+  { path: 'modules/widgets/card-widget/views/widget.html', content: '<div class="card"></div>\n' },
+  { path: PARTIAL_PATH, content: scss },
+];
+
+const check = (projectPath, scss) => checkProjectStylesheet({ projectPath, files: widgetFiles(scss), moduleName: 'card', moduleType: 'widget' });
+
+test('Save imports the partials of modules that have templates', () => {
+  assert.deepEqual(getScssImports(widgetFiles(''), 'card', 'widget'), [{ subdir: 'components', name: 'card' }]);
+  assert.deepEqual(getScssImports([
+    { path: 'modules/pages/about-page/views/page.html', content: '' },
+    { path: 'modules/asset/ui/src/scss/pages/_about-page.scss', content: '' },
+  ], 'about-page', 'page'), [{ subdir: 'pages', name: 'about-page' }]);
+  assert.deepEqual(getScssImports([
+    { path: 'modules/pieces/product-module/product-page/views/index.html', content: '' },
+    { path: 'modules/asset/ui/src/scss/components/_product-widget.scss', content: '' },
+    { path: 'modules/asset/ui/src/scss/pages/_product-page.scss', content: '' },
+  ], 'product', 'bundle'), [{ subdir: 'components', name: 'product-widget' }, { subdir: 'pages', name: 'product-page' }]);
+
+  // No template, or no partial named after the module - nothing to import
+  assert.deepEqual(getScssImports([{ path: PARTIAL_PATH, content: '' }], 'card', 'widget'), []);
+  assert.deepEqual(getScssImports(widgetFiles(''), 'hero', 'widget'), []);
+});
+
+test('imports go under their section comment, once', () => {
+  const content = addScssImports(MAIN_SCSS, [{ subdir: 'components', name: 'card' }, { subdir: 'pages', name: 'about-page' }]);
+
+  assert.match(content, /\/\/Components\n@import "\.\/scss\/components\/_hero";\n\n@import "\.\/scss\/components\/_card";\n\/\/Pages/);
+  assert.match(content, /\/\/Pages\n@import "\.\/scss\/pages\/_about-page";\n$/);
+  assert.equal(addScssImports(content, [{ subdir: 'components', name: 'card' }]), content);
+  assert.equal(addScssImports('body {}\n', [{ subdir: 'components', name: 'card' }]), 'body {}\n\n@import "./scss/components/_card";\n');
+});
+
+test('a partial using project mixins and node_modules variables builds', (t) => {
+  const root = createProject(t);
+
+  assert.deepEqual(check(root, '.card {\n  color: $brand;\n  padding: $space;\n  @include gap(2px);\n}\n'), []);
+  // Nothing is written - the partial and its import only exist in memory
+  assert.equal(readFileSync(join(root, MAIN_SCSS_PATH), 'utf8'), MAIN_SCSS);
+});
+
+test('errors in the generated partial point at its line and column', (t) => {
+  const root = createProject(t);
+
+  assert.deepEqual(check(root, '.card {\n  color: $brand;\n  @include missing-mixin;\n}\n'), [{
+    path: PARTIAL_PATH, line: 3, column: 3, message: 'Undefined mixin.', severity: 'error', source: 'scss',
+  }]);
+  assert.deepEqual(check(root, '.card {\n  color: $brand;\n'), [{
+    path: PARTIAL_PATH, line: 2, column: 17, message: 'expected end of rule.', severity: 'error', source: 'scss',
+  }]);
+});
+
+test('an error inside a project mixin is mapped to the @include in the partial', (t) => {
+  const root = createProject(t);
+
+  assert.deepEqual(check(root, '.card {\n  color: $brand;\n  @include gap(1em);\n}\n'), [{
+    path: PARTIAL_PATH, line: 3, column: 3, message: '1em and 4px have incompatible units.', severity: 'error', source: 'scss',
+  }]);
+});
+
+test('a stylesheet that was already broken is a warning, not the new module\'s fault', (t) => {
+  const root = createProject(t, { 'modules/asset/ui/src/scss/components/_hero.scss': '.hero { color: $undefined; }\n' });
+
+  assert.deepEqual(check(root, '.card { color: red; }\n'), [{
+    path: MAIN_SCSS_PATH,
+    line: 1,
+    column: 1,
+    message: "The project's index.scss does not compile on its own, so the generated styles could not be checked: Undefined variable.",
+    severity: 'warning',
+    source: 'scss',
+  }]);
+});
+
+test('nothing is checked without an index.scss or a partial to import', (t) => {
+  const root = createProject(t);
+
+  assert.deepEqual(checkProjectStylesheet({ projectPath: join(root, 'missing'), files: widgetFiles('.card {'), moduleName: 'card', moduleType: 'widget' }), []);
+  assert.deepEqual(checkProjectStylesheet({ projectPath: root, files: [{ path: PARTIAL_PATH, content: '.card {' }], moduleName: 'card', moduleType: 'widget' }), []);
+});
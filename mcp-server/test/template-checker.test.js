@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileTemplate, checkTemplateFiles } from '../template-checker.js';
+
+test("Apostrophe's tags compile alongside the built-in ones", () => {
+  const template = [
+    '{% extends "layout.html" %}',
+    '{% import "card:macros.html" as macros %}',
+    '{% block main %}',
+    "  {% area data.page, 'main' %}",
+    "  {% component 'product:featured' with { limit: 3 } %}",
+    '  {% fragment card(title, url) %}<a href="{{ url }}">{{ title }}</a>{% endfragment %}',
+    "  {% render card(data.page.title, '/') %}",
+    '  {% rendercall card(1) %}body{% endrendercall %}',
+    '  {% include "partials/footer.html" %}',
+    '{% endblock %}',
+  ].join('\n');
+
+  assert.equal(compileTemplate(template, 'views/page.html'), null);
+});
+
+test('multi-line {% set %} blocks like the image fix injects compile', () => {
+  const template = [
+    '{% set image = apos.image.first(',
+    '  data.widget.image',
+    ') %}',
+    '{% set attachment %}',
+    '  {{ apos.attachment.url(image, { size: "full" }) }}',
+    '{% endset %}',
+    '{% if image %}<img src="{{ attachment }}" alt="">{% endif %}',
+  ].join('\n');
+
+  assert.equal(compileTemplate(template, 'views/widget.html'), null);
+});
+
+test('an unclosed block is reported where it opens, not at the end of the file', () => {
+  assert.deepEqual(compileTemplate('<div>\n  {% if data.widget.title %}\n  <h2>{{ data.widget.title }}</h2>\n</div>\n'), {
+    line: 2, column: 3, message: '{% if %} is never closed (expected {% endif %})',
+  });
+  // The innermost open block is the one reported
+  assert.deepEqual(compileTemplate('{% for item in items %}\n  {% if item %}x{% endif %}\n  {% set body %}\n    x\n'), {
+    line: 3, column: 3, message: '{% set %} is never closed (expected {% endset %})',
+  });
+  assert.deepEqual(compileTemplate('{% for item in items %}\n  {% if item %}x{% endif %}\n'), {
+    line: 1, column: 1, message: '{% for %} is never closed (expected {% endfor %})',
+  });
+});
+
+test('other errors keep the Nunjucks message with its line and column', () => {
+  assert.deepEqual(compileTemplate('<p>\n  {{ data.widget.title }\n</p>'), { line: 2, column: 24, message: 'expected variable end' });
+  assert.deepEqual(compileTemplate('<p></p>\n{% endif %}'), { line: 2, column: 4, message: 'unknown block tag: endif' });
+  assert.deepEqual(compileTemplate('{% widgetArea x %}'), { line: 1, column: 4, message: 'unknown block tag: widgetArea' });
+});
+
+test('only templates under a views/ folder are checked', () => {
+  const broken = '{% if x %}';
+  const diagnostics = checkTemplateFiles([
+    { path: 'modules/widgets/card-widget/views/widget.html', content: broken },
+    { path: 'modules/pieces/product-module/product-page/views/show.html', content: '{{ data.piece.title }}' },
+    { path: 'modules/widgets/card-widget/index.js', content: broken },
+    { path: 'modules/widgets/card-widget/public/demo.html', content: broken },
+  ]);
+
+  assert.deepEqual(diagnostics, [{
+    path: 'modules/widgets/card-widget/views/widget.html',
+    line: 1,
+    column: 1,
+    message: '{% if %} is never closed (expected {% endif %})',
+    severity: 'error',
+    source: 'nunjucks',
+  }]);
+});
@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractSchemaFields } from '../schema-linter.js';
+import { checkTemplateSchema } from '../template-schema-checker.js';
+
+const SCHEMA_PATH = 'modules/widgets/card-widget/index.js';
+const TEMPLATE_PATH = 'modules/widgets/card-widget/views/widget.html';
+
+const WIDGET_INDEX = `export default {
+  extend: '@apostrophecms/widget-type',
+  fields: {
+    add: {
+      heading: { type: 'string', label: 'Heading' },
+      heroImage: { type: 'area', label: 'Image', options: { max: 1, widgets: { '@apostrophecms/image': {} } } },
+      body: { type: 'area', label: 'Body', options: { widgets: { '@apostrophecms/rich-text': {} } } },
+      publishedAt: { type: 'date', label: 'Published' },
+      _authors: { type: 'relationship', label: 'Authors', withType: 'author' },
+      items: { type: 'array', label: 'Items', fields: { add: { label: { type: 'string' }, link: { type: 'url' } } } }
+    }
+  }
+};
+`;
+
+// Every widget field used correctly, so each test only sees what it adds
+const RENDERED = [
+  '<h2>{{ data.widget.heading }}</h2>',
+  '{% set image = apos.image.first(data.widget.heroImage) %}',
+  "{% area data.widget, 'body' %}",
+  "<time>{{ data.widget.publishedAt | date('D MMM') }}</time>",
+  '{% for author in data.widget._authors %}{{ author.title }}{% endfor %}',
+  '{% for item in data.widget.items %}<a href="{{ item.link }}">{{ item.label }}</a>{% endfor %}',
+].join('\n');
+
+function check(template, { index = WIDGET_INDEX, root = 'data.widget' } = {}) {
+  return checkTemplateSchema({
+    files: [{ path: TEMPLATE_PATH, content: template }, { path: SCHEMA_PATH, content: index }],
+    contexts: [{ root, fields: extractSchemaFields(index), schemaPath: SCHEMA_PATH }],
+  });
+}
+
+const brief = (diagnostics) => diagnostics.map(d => `${d.path === SCHEMA_PATH ? 'index.js' : 'widget.html'} ${d.line}:${d.column} ${d.severity} ${d.message}`);
+
+test('a template that renders every field correctly passes unchanged', () => {
+  const result = check(RENDERED);
+
+  assert.deepEqual(result.diagnostics, []);
+  assert.deepEqual(result.fixes, []);
+  assert.equal(result.files[0].content, RENDERED);
+});
+
+test('near-miss field names are renamed to the schema field', () => {
+  const result = check(RENDERED
+    .replace('apos.image.first(data.widget.heroImage)', 'apos.image.first(data.widget.heroimage)')
+    .replace('data.widget._authors', 'data.widget.authors')
+    .replace('{{ data.widget.heading }}', '{{ data.widget.HEADING }}'));
+
+  assert.deepEqual(result.diagnostics, []);
+  assert.equal(result.files[0].content, RENDERED);
+  assert.deepEqual(result.fixes, [
+    `${TEMPLATE_PATH}: data.widget.HEADING → data.widget.heading`,
+    `${TEMPLATE_PATH}: data.widget.heroimage → data.widget.heroImage`,
+    `${TEMPLATE_PATH}: data.widget.authors → data.widget._authors`,
+  ]);
+});
+
+test('areas printed as values become {% area %} tags, and bare dates get a format', () => {
+  const result = check(RENDERED
+    .replace("{% area data.widget, 'body' %}", '{{ data.widget.Body | safe }}')
+    .replace("{{ data.widget.publishedAt | date('D MMM') }}", '{{ data.widget.publishedAt }}'));
+
+  assert.deepEqual(result.diagnostics, []);
+  assert.equal(result.files[0].content, RENDERED
+    .replace("{{ data.widget.publishedAt | date('D MMM') }}", "{{ data.widget.publishedAt | date('MMMM D, YYYY') }}"));
+  assert.deepEqual(result.fixes, [
+    `${TEMPLATE_PATH}: data.widget.Body → data.widget.body`,
+    `${TEMPLATE_PATH}: {{ data.widget.body }} → {% area data.widget, 'body' %}`,
+    `${TEMPLATE_PATH}: {{ data.widget.publishedAt }} → {{ data.widget.publishedAt | date('MMMM D, YYYY') }}`,
+  ]);
+});
+
+test('fields missing from the schema are errors, with a suggestion when one is close', () => {
+  const result = check(`${RENDERED}\n{{ data.widget.subtitle }}\n{% for item in data.widget.items %}{{ item.lable }}{% endfor %}\n{{ data.widget._id }}`);
+
+  assert.deepEqual(brief(result.diagnostics), [
+    'widget.html 7:16 error `data.widget.subtitle` is not a field of card-widget',
+    'widget.html 8:44 error `item.lable` is not a field of card-widget - did you mean `label`?',
+  ]);
+});
+
+test('schema fields the templates never read are warnings on the schema', () => {
+  const result = check(RENDERED.replace('<h2>{{ data.widget.heading }}</h2>', '<h2>Static</h2>'));
+
+  assert.deepEqual(brief(result.diagnostics), ['index.js 5:7 warning Field `heading` is never used in the templates']);
+});
+
+test('lists must be iterated and areas rendered with {% area %}', () => {
+  const result = check([
+    RENDERED.replace("{% area data.widget, 'body' %}", '{% if data.widget.body %}yes{% endif %}'),
+    '{{ data.widget.items }}',
+    '{{ data.widget.items.label }}',
+    '{{ data.widget._authors | length }}',
+    "{{ data.widget.heroImage | truncate(10) }}",
+    "{% area data.widget, 'heading' %}",
+  ].join('\n'));
+
+  assert.deepEqual(brief(result.diagnostics), [
+    'widget.html 7:16 error `data.widget.items` is a list - iterate it with {% for item in data.widget.items %} instead of printing it',
+    'widget.html 8:22 error `data.widget.items` is a list - iterate it with {% for item in data.widget.items %} instead of reading `.label`',
+    "widget.html 10:16 error Area `data.widget.heroImage` must be rendered with {% area data.widget, 'heroImage' %}",
+    "widget.html 11:23 error `data.widget.heading` is a string field - {% area %} only renders area fields",
+    "widget.html 3:19 error Area `body` is read but never rendered with {% area ... 'body' %}",
+  ]);
+  assert.deepEqual(result.fixes, []);
+});
+
+test('data.pieces is a list of the piece schema, and loop variables follow it', () => {
+  const index = "export default {\n  extend: '@apostrophecms/piece-type',\n  fields: {\n    add: {\n      price: { type: 'float', label: 'Price' }\n    }\n  }\n};\n";
+  const result = check('{% for product in data.pieces %}<a href="{{ product._url }}">{{ product.title }} {{ product.PRICE }}</a>{% endfor %}\n{{ data.pieces.title }}', { index, root: 'data.pieces' });
+
+  assert.match(result.files[0].content, /\{\{ product\.price \}\}/);
+  assert.deepEqual(result.fixes, [`${TEMPLATE_PATH}: product.PRICE → product.price`]);
+  assert.deepEqual(brief(result.diagnostics), [
+    'widget.html 2:16 error `data.pieces` is a list - iterate it with {% for item in data.pieces %} instead of reading `.title`',
+  ]);
+});
+
+test('nothing is checked without templates or a readable schema', () => {
+  const files = [{ path: TEMPLATE_PATH, content: '{{ data.widget.anything }}' }];
+
+  assert.deepEqual(checkTemplateSchema({ files, contexts: [{ root: 'data.widget', fields: null, schemaPath: SCHEMA_PATH }] }), { files, diagnostics: [], fixes: [] });
+  assert.deepEqual(checkTemplateSchema({ files: [], contexts: [{ root: 'data.widget', fields: extractSchemaFields(WIDGET_INDEX), schemaPath: SCHEMA_PATH }] }).diagnostics, []);
+});
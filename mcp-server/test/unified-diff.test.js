@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createUnifiedDiff, matchLines } from '../unified-diff.js';
+import { registerModule } from '../modules-registry.js';
+import { registerPageType } from '../page-registry.js';
+
+const lines = (count, prefix = 'line') => Array.from({ length: count }, (_, i) => `${prefix} ${i + 1}`);
+
+test('a created file is diffed against /dev/null', () => {
+  assert.equal(createUnifiedDiff('modules/widgets/card-widget/index.js', null, "export default {\n  extend: '@apostrophecms/widget-type'\n};\n"), [
+    '--- /dev/null',
+    '+++ b/modules/widgets/card-widget/index.js',
+    '@@ -0,0 +1,3 @@',
+    '+export default {',
+    "+  extend: '@apostrophecms/widget-type'",
+    '+};',
+    '',
+  ].join('\n'));
+});
+
+test('an unchanged file has no diff', () => {
+  assert.equal(createUnifiedDiff('a.js', 'x\n', 'x\n'), '');
+  assert.equal(createUnifiedDiff('a.js', null, null), '');
+});
+
+test('a change is shown with three lines of context on each side', () => {
+  const before = `${lines(10).join('\n')}\n`;
+  const after = before.replace('line 5\n', 'line five\n');
+
+  assert.equal(createUnifiedDiff('a.txt', before, after), [
+    '--- a/a.txt',
+    '+++ b/a.txt',
+    '@@ -2,7 +2,7 @@',
+    ' line 2',
+    ' line 3',
+    ' line 4',
+    '-line 5',
+    '+line five',
+    ' line 6',
+    ' line 7',
+    ' line 8',
+    '',
+  ].join('\n'));
+});
+
+test('changes far apart get their own hunks, close ones share one', () => {
+  const before = lines(30);
+  const after = [...before];
+  after[2] = 'changed 3';
+  after.splice(20, 1);
+  after.splice(26, 0, 'inserted');
+
+  const hunks = createUnifiedDiff('a.txt', `${before.join('\n')}\n`, `${after.join('\n')}\n`)
+    .split('\n')
+    .filter(line => line.startsWith('@@'));
+
+  assert.deepEqual(hunks, ['@@ -1,6 +1,6 @@', '@@ -18,13 +18,13 @@']);
+});
+
+test('a missing final newline is marked on the line it affects', () => {
+  assert.equal(createUnifiedDiff('a.txt', 'one\ntwo', 'one\ntwo\n'), [
+    '--- a/a.txt',
+    '+++ b/a.txt',
+    '@@ -1,2 +1,2 @@',
+    ' one',
+    '-two',
+    '\\ No newline at end of file',
+    '+two',
+    '',
+  ].join('\n'));
+});
+
+test('registering a module in modules.js diffs as the one added line', () => {
+  const before = "export default {\n  '@apostrophecms/vite': {},\n  'hero-widget': {}\n};\n";
+  const { content } = registerModule(before, 'card-widget');
+
+  assert.equal(createUnifiedDiff('modules.js', before, content), [
+    '--- a/modules.js',
+    '+++ b/modules.js',
+    '@@ -1,4 +1,5 @@',
+    ' export default {',
+    "   '@apostrophecms/vite': {},",
+    "-  'hero-widget': {}",
+    "+  'hero-widget': {},",
+    "+  'card-widget': {}",
+    ' };',
+    '',
+  ].join('\n'));
+});
+
+test('registering a page type diffs as the new entry in types', () => {
+  const pageIndexPath = '/project/modules/@apostrophecms/page/index.js';
+  const before = "export default {\n  options: {\n    types: [\n      { name: 'default-page', label: 'Default' }\n    ]\n  }\n};\n";
+  const { files } = registerPageType(pageIndexPath, (path) => (path === pageIndexPath ? before : null), { name: 'about-page', label: 'About' });
+
+  const changed = createUnifiedDiff('modules/@apostrophecms/page/index.js', before, files[0].content).split('\n').filter(line => /^[-+]\s/.test(line));
+  assert.deepEqual(changed, [
+    "-      { name: 'default-page', label: 'Default' }",
+    "+      { name: 'default-page', label: 'Default' },",
+    "+      { name: 'about-page', label: 'About' }",
+  ]);
+});
+
+test('matchLines maps each kept line to its new position', () => {
+  assert.deepEqual([...matchLines(['a', 'b', 'c', 'd'], ['a', 'x', 'c', 'd', 'e'])], [0, -1, 2, 3]);
+  assert.deepEqual([...matchLines(['a', 'b'], [])], [-1, -1]);
+});
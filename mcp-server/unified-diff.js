@@ -0,0 +1,147 @@
+/**
+ * Unified Diff
+ * `diff -u` style text for a file's content before and after a save. A file that
+ * doesn't exist yet is diffed against /dev/null.
+ *
+ * Lines are matched with a longest-common-subsequence table after trimming the
+ * shared start and end, which is plenty for generated modules and registration
+ * files. Above MAX_TABLE_CELLS the changed middle is shown as removed + added.
+ */
+
+const CONTEXT_LINES = 3;
+const MAX_TABLE_CELLS = 4_000_000;
+
+// The last line of a file without a final newline never equals a line that has one
+const NO_NEWLINE = '\0';
+
+function splitLines(text) {
+  if (text === null || text === '') return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  } else {
+    lines[lines.length - 1] += NO_NEWLINE;
+  }
+  return lines;
+}
+
+/**
+ * Edit script between two line arrays: [{ type: ' ' | '-' | '+', text }]
+ */
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const middle = [];
+
+  if (middleA.length * middleB.length > MAX_TABLE_CELLS) {
+    middle.push(...middleA.map(text => ({ type: '-', text })), ...middleB.map(text => ({ type: '+', text })));
+  } else {
+    // lengths[i][j] = LCS of middleA[i..] and middleB[j..]
+    const width = middleB.length + 1;
+    const lengths = new Uint32Array((middleA.length + 1) * width);
+    for (let i = middleA.length - 1; i >= 0; i--) {
+      for (let j = middleB.length - 1; j >= 0; j--) {
+        lengths[i * width + j] = middleA[i] === middleB[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < middleA.length || j < middleB.length) {
+      if (i < middleA.length && j < middleB.length && middleA[i] === middleB[j]) {
+        middle.push({ type: ' ', text: middleA[i++] });
+        j++;
+      } else if (j >= middleB.length || (i < middleA.length && lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+        middle.push({ type: '-', text: middleA[i++] });
+      } else {
+        middle.push({ type: '+', text: middleB[j++] });
+      }
+    }
+  }
+
+  return [
+    ...a.slice(0, start).map(text => ({ type: ' ', text })),
+    ...middle,
+    ...a.slice(endA).map(text => ({ type: ' ', text })),
+  ];
+}
+
+/**
+ * For each line of a, the index of the line of b it is matched with, or -1
+ */
+export function matchLines(a, b) {
+  const matches = new Int32Array(a.length).fill(-1);
+  let i = 0;
+  let j = 0;
+  for (const edit of diffLines(a, b)) {
+    if (edit.type === ' ') matches[i] = j;
+    if (edit.type !== '+') i++;
+    if (edit.type !== '-') j++;
+  }
+  return matches;
+}
+
+/**
+ * Unified diff of a file, or '' when nothing changes
+ *
+ * before is null for a file that would be created.
+ */
+export function createUnifiedDiff(path, before, after) {
+  if (before === after) return '';
+
+  const edits = diffLines(splitLines(before), splitLines(after));
+
+  // Line numbers of each edit in the old and new file
+  let oldLine = 0;
+  let newLine = 0;
+  const numbered = edits.map((edit) => {
+    const entry = { ...edit, oldLine, newLine };
+    if (edit.type !== '+') oldLine++;
+    if (edit.type !== '-') newLine++;
+    return entry;
+  });
+
+  const lineText = ({ type, text }) => (text.endsWith(NO_NEWLINE)
+    ? `${type}${text.slice(0, -1)}\n\\ No newline at end of file`
+    : `${type}${text}`);
+
+  // Group changes that are within 2 * CONTEXT_LINES of each other into hunks
+  const hunks = [];
+  numbered.forEach((edit, index) => {
+    if (edit.type === ' ') return;
+    const from = Math.max(0, index - CONTEXT_LINES);
+    const to = Math.min(numbered.length, index + CONTEXT_LINES + 1);
+    const current = hunks[hunks.length - 1];
+    if (current && from <= current.to) {
+      current.to = to;
+    } else {
+      hunks.push({ from, to });
+    }
+  });
+
+  const header = [
+    `--- ${before === null ? '/dev/null' : `a/${path}`}`,
+    `+++ b/${path}`,
+  ];
+  const body = hunks.flatMap(({ from, to }) => {
+    const lines = numbered.slice(from, to);
+    const oldCount = lines.filter(edit => edit.type !== '+').length;
+    const newCount = lines.filter(edit => edit.type !== '-').length;
+    const oldStart = oldCount === 0 ? lines[0].oldLine : lines.find(edit => edit.type !== '+').oldLine + 1;
+    const newStart = newCount === 0 ? lines[0].newLine : lines.find(edit => edit.type !== '-').newLine + 1;
+    return [`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`, ...lines.map(lineText)];
+  });
+
+  return [...header, ...body].join('\n') + '\n';
+}
@@ -24,6 +24,9 @@ document.addEventListener('DOMContentLoaded', async () => {
             initWizard();
         }
 
+        // Pick up a generation that was still running when the page was refreshed
+        await resumeGenerationJob();
+
         // Everything loaded - hide the cool page loader
         setTimeout(() => {
             const loader = document.getElementById('page-loader');
@@ -78,27 +81,239 @@ async function loadProjects() {
  * Loading modal helper functions
  */
 let completedSteps = [];
-let lastStage = null;
-let lastMessage = null;
+
+// Step each member is on ('' = the generation as a whole) - bundle members run in parallel
+let currentSteps = {};
+
+// Generation job the loader is attached to (jobs keep running server-side across refreshes)
+const ACTIVE_JOB_KEY = 'activeGenerationJob';
+let activeJobId = null;
+let activeJobEvents = null;
+
+// Request behind the current results (a partial bundle is retried with it)
+let lastGeneration = null;
+
+// Files streamed in while Claude is still generating (replaced by the final result)
+let streamedFiles = [];
 
 function showLoadingModal() {
     document.getElementById('loading-modal').classList.remove('hidden');
     completedSteps = [];
-    lastStage = null;
-    lastMessage = null;
+    currentSteps = {};
     document.getElementById('steps-timeline').innerHTML = '';
 
+    const memberProgress = document.getElementById('member-progress');
+    if (memberProgress) {
+        memberProgress.innerHTML = '';
+        memberProgress.classList.add('hidden');
+    }
+
     // Show the spinner (in case it was hidden from previous generation)
     const spinner = document.getElementById('loading-spinner');
     if (spinner) {
         spinner.classList.remove('hidden');
     }
+
+    const cancelBtn = document.getElementById('cancel-generation-btn');
+    if (cancelBtn) {
+        cancelBtn.classList.remove('hidden');
+    }
+
+    // Reset the files button (it shows a live count while files stream in)
+    streamedFiles = [];
+    const showFilesBtn = document.getElementById('show-files-btn');
+    if (showFilesBtn) {
+        showFilesBtn.classList.add('hidden');
+        showFilesBtn.textContent = '✨ Show Files';
+    }
 }
 
 function hideLoadingModal() {
     document.getElementById('loading-modal').classList.add('hidden');
 }
 
+/**
+ * Cancel the running generation (Cancel button in loader)
+ */
+function cancelGeneration() {
+    if (activeJobId) {
+        console.log(`🛑 Cancelling generation job ${activeJobId}`);
+        fetch(`/api/code-generator/jobs/${activeJobId}`, { method: 'DELETE' })
+            .catch(error => console.error('Error cancelling job:', error));
+        detachFromGenerationJob();
+    }
+    hideLoadingModal();
+
+    // Drop any partially streamed files and go back to the form
+    if (streamedFiles.length > 0) {
+        streamedFiles = [];
+        clearResults();
+
+        const wizardInterface = document.getElementById('wizard-interface');
+        if (wizardInterface) {
+            wizardInterface.classList.remove('hidden');
+        }
+    }
+}
+
+/**
+ * Start a generation job and follow it until it finishes
+ * moduleInfo is kept with the job id so a refreshed page can still save the result
+ */
+async function runGenerationJob(payload, moduleInfo) {
+    const response = await fetch('/api/code-generator/jobs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    });
+
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `Could not start generation (${response.status})`);
+    }
+
+    const job = await response.json();
+    console.log(`🧾 Generation job ${job.id} ${job.status}`);
+    lastGeneration = { payload, moduleInfo };
+    localStorage.setItem(ACTIVE_JOB_KEY, JSON.stringify({ jobId: job.id, projectId: payload.projectId, moduleInfo }));
+
+    return attachToGenerationJob(job.id, moduleInfo);
+}
+
+/**
+ * Follow a job's events (EventSource resends Last-Event-ID when it reconnects)
+ * Resolves once the job completes, fails or is cancelled
+ */
+function attachToGenerationJob(jobId, moduleInfo) {
+    detachFromGenerationJob();
+    activeJobId = jobId;
+
+    return new Promise((resolve) => {
+        const events = new EventSource(`/api/code-generator/jobs/${jobId}/events`);
+        activeJobEvents = events;
+
+        const finish = () => {
+            detachFromGenerationJob();
+            localStorage.removeItem(ACTIVE_JOB_KEY);
+            resolve();
+        };
+
+        events.onmessage = (message) => {
+            let data;
+            try {
+                data = JSON.parse(message.data);
+            } catch (jsonError) {
+                console.error('❌ Failed to parse job event:', jsonError);
+                return;
+            }
+
+            if (data.type === 'progress') {
+                console.log(`📊 Progress: ${data.stage} (${data.percentage}%) - ${data.message}`);
+                updateLoadingProgress(data.stage, data.message, data.percentage, data.member, data.memberPercentage);
+            } else if (data.type === 'file') {
+                console.log(`📄 Streamed file: ${data.file.path}`);
+                displayStreamedFile(data.file, data.member);
+            } else if (data.type === 'complete') {
+                console.log('📦 Complete result received:', data.result);
+                handleGenerationComplete(data.result, moduleInfo);
+                finish();
+            } else if (data.type === 'error') {
+                finish();
+                if (data.cancelled) {
+                    console.log('🛑 Generation cancelled');
+                    return;
+                }
+                console.error('❌ Server error:', data.message);
+                hideLoadingModal();
+                alert(`⚠️ Generation Failed\n\n${data.message}\n\nPlease try again or adjust your request.`);
+            }
+        };
+
+        events.onerror = () => {
+            // CONNECTING = the browser retries by itself; CLOSED = the job is gone (e.g. server restarted)
+            if (events.readyState !== EventSource.CLOSED || activeJobEvents !== events) return;
+
+            console.error(`❌ Lost generation job ${jobId}`);
+            finish();
+            hideLoadingModal();
+            alert('⚠️ Generation Failed\n\nLost track of the generation job (the server may have restarted).\n\nPlease try again.');
+        };
+    });
+}
+
+/**
+ * Stop following the active job (the job itself keeps running)
+ */
+function detachFromGenerationJob() {
+    if (activeJobEvents) {
+        activeJobEvents.close();
+        activeJobEvents = null;
+    }
+    activeJobId = null;
+}
+
+/**
+ * Keep a finished generation's files and prepare the results view
+ */
+function handleGenerationComplete(result, moduleInfo = {}) {
+    generatedFiles = result.files || [];
+
+    // Store module info for saving
+    window.generatedModuleInfo = {
+        moduleName: result.moduleName,
+        moduleType: result.moduleType,
+        isBundle: result.isBundle,
+        retry: result.retry || null,
+        diagnostics: result.diagnostics || [],
+        accessibility: result.accessibility || [],
+        ...moduleInfo,
+        bundleConfig: moduleInfo.bundleConfig || result.bundleConfig
+    };
+
+    // Prepare results (but don't show them yet - wait for Show Files button)
+    displayResults(result);
+}
+
+/**
+ * Reattach to the generation that was running when the page was refreshed
+ */
+async function resumeGenerationJob() {
+    let saved;
+    try {
+        saved = JSON.parse(localStorage.getItem(ACTIVE_JOB_KEY));
+    } catch (error) {
+        saved = null;
+    }
+    if (!saved?.jobId) return;
+
+    try {
+        const response = await fetch(`/api/code-generator/jobs/${saved.jobId}`);
+        if (!response.ok) {
+            localStorage.removeItem(ACTIVE_JOB_KEY);
+            return;
+        }
+
+        const job = await response.json();
+        if (job.status === 'failed' || job.status === 'cancelled') {
+            localStorage.removeItem(ACTIVE_JOB_KEY);
+            return;
+        }
+
+        console.log(`🔁 Reattaching to generation job ${job.id} (${job.status})`);
+        lastGeneration = { payload: job.params, moduleInfo: saved.moduleInfo };
+        selectedProject = saved.projectId;
+        if (typeof wizardSelectedProject !== 'undefined') {
+            wizardSelectedProject = saved.projectId;
+        }
+
+        // Replays every event, so the timeline (and result, if it finished) is rebuilt
+        showLoadingModal();
+        await attachToGenerationJob(job.id, saved.moduleInfo);
+    } catch (error) {
+        console.error('Error resuming generation job:', error);
+    }
+}
+
 /**
  * Show generated files (called from Show Files button in loader)
  */
@@ -183,7 +398,7 @@ function showGeneratedFiles() {
     }
 }
 
-function updateLoadingProgress(stage, message, percentage) {
+function updateLoadingProgress(stage, message, percentage, member = null, memberPercentage = null) {
     console.log(`🎨 UI Update: ${stage} - ${message}`);
 
     // Icon map for stages - use module type icons
@@ -195,42 +410,48 @@ function updateLoadingProgress(stage, message, percentage) {
     };
 
     const iconMap = {
+        queued: '⏳',
         init: '🚀',
         validating: '✅',
+        tokens: '🎯',
         prompt: '📝',
-        claude: moduleTypeIcons[selectedModuleType] || '⚙️',  // Use module type icon
+        claude: moduleTypeIcons[member || selectedModuleType] || '⚙️',  // Use module type icon
+        retry: '🔁',
+        repair: '🔧',
         parsing: '⚙️',
         analyzing: '🔍',
         scss: '🎨',
+        images: '🖼️',
+        checking: '🧪',
+        ready: '✅',
+        failed: '❌',
         complete: '✨'
     };
 
     // Stage display names (present tense - for current step)
     const stageNames = {
+        queued: 'Waiting in Queue',
         init: 'Initializing',
         validating: 'Validating',
+        tokens: 'Extracting Tokens',
         prompt: 'Building Prompt',
         claude: 'Calling Claude AI',
+        retry: 'Retrying',
+        repair: 'Repairing Output',
         parsing: 'Parsing Response',
         analyzing: 'Analyzing Code',
         scss: 'Generating Styles',
-        complete: 'Complete'
-    };
-
-    // Completed step names (past tense - for timeline)
-    const completedStepNames = {
-        init: 'Initialized',
-        validating: 'Validated',
-        prompt: 'Built Prompt',
-        claude: 'Generated',
-        parsing: 'Parsed Response',
-        analyzing: 'Analyzed Code',
-        scss: 'Generated Styles',
+        images: 'Fixing Images',
+        checking: 'Checking Code',
+        ready: 'Ready',
+        failed: 'Failed',
         complete: 'Complete'
     };
 
     const icon = iconMap[stage] || '⚙️';
-    const stageName = stageNames[stage] || stage;
+    const stageName = member
+        ? `${member.charAt(0).toUpperCase() + member.slice(1)} · ${stageNames[stage] || stage}`
+        : (stageNames[stage] || stage);
 
     // Update current step display with animation
     const currentStep = document.getElementById('current-step');
@@ -256,54 +477,30 @@ function updateLoadingProgress(stage, message, percentage) {
     loadingStageText.textContent = stageName;
     loadingMessage.textContent = message;
 
-    // Add to timeline if stage OR message changed significantly
-    const stageChanged = lastStage && lastStage !== stage;
-    const messageChanged = lastMessage && lastMessage !== message;
-
-    console.log(`🔍 Timeline check: lastStage=${lastStage}, stage=${stage}, stageChanged=${stageChanged}, messageChanged=${messageChanged}`);
-
-    // For 'claude' stage with different messages (bundle generation), treat each message as a separate step
-    if (stage === 'claude' && messageChanged && lastStage === 'claude') {
-        console.log(`➕ Adding claude sub-step to timeline: ${lastMessage}`);
-        const prevStepKey = `${lastStage}:${lastMessage}`;
-        if (!completedSteps.includes(prevStepKey)) {
-            completedSteps.push(prevStepKey);
-            // Convert message to past tense: "Generating X" -> "Generated X"
-            const completedMessage = lastMessage.replace('Generating', 'Generated');
-            addStepToTimeline(lastStage, iconMap[lastStage], completedMessage);
-        }
+    // Each step reported by the server is finished once the same member's next one starts
+    const stepKey = member || '';
+    const previous = currentSteps[stepKey];
+    const stepChanged = previous && (previous.stage !== stage || previous.message !== message);
+    if (stepChanged && previous.stage !== 'complete') {
+        const lastIcon = previous.stage === 'claude' ? (moduleTypeIcons[member || selectedModuleType] || '⚙️') : iconMap[previous.stage];
+        completeLoadingStep(previous.stage, previous.message, member, lastIcon || '⚙️');
+    }
+
+    // A member that is ready (or failed) reports nothing more - its last step is done now
+    if (member && (stage === 'ready' || stage === 'failed')) {
+        completeLoadingStep(stage, message, member, icon);
+    }
+
+    if (member && memberPercentage !== null && memberPercentage !== undefined) {
+        updateMemberProgress(member, memberPercentage, stage);
     }
-    // Regular stage change (skip 'claude' stage as it should have specific messages)
-    else if (stageChanged && !completedSteps.includes(lastStage) && lastStage !== 'claude') {
-        console.log(`➕ Adding stage to timeline: ${lastStage} - ${completedStepNames[lastStage]}`);
-        completedSteps.push(lastStage);
-        addStepToTimeline(lastStage, iconMap[lastStage], completedStepNames[lastStage]);
-    }
-
-    // If moving to complete, add the last ongoing step first
-    if (stage === 'complete' && lastStage && lastStage !== 'complete') {
-        // If last stage was claude with a message, add that specific step
-        if (lastStage === 'claude' && lastMessage) {
-            const lastStepKey = `${lastStage}:${lastMessage}`;
-            if (!completedSteps.includes(lastStepKey)) {
-                console.log(`➕ Adding final claude step to timeline: ${lastMessage}`);
-                completedSteps.push(lastStepKey);
-                // Convert message to past tense
-                const completedMessage = lastMessage.replace('Generating', 'Generated');
-                addStepToTimeline(lastStage, iconMap[lastStage], completedMessage);
-            }
-        }
-        // Otherwise add the stage name (but skip 'claude' since it should have a specific message)
-        else if (!completedSteps.includes(lastStage) && lastStage !== 'claude') {
-            console.log(`➕ Adding final stage to timeline: ${lastStage}`);
-            completedSteps.push(lastStage);
-            addStepToTimeline(lastStage, iconMap[lastStage], completedStepNames[lastStage]);
-        }
 
+    if (stage === 'complete') {
         // Show the "Show Files" button
         const showFilesBtn = document.getElementById('show-files-btn');
         if (showFilesBtn) {
             showFilesBtn.classList.remove('hidden');
+            showFilesBtn.textContent = '✨ Show Files';
         }
 
         // Hide the spinner
@@ -312,6 +509,12 @@ function updateLoadingProgress(stage, message, percentage) {
             spinner.classList.add('hidden');
         }
 
+        // Nothing left to cancel
+        const cancelBtn = document.getElementById('cancel-generation-btn');
+        if (cancelBtn) {
+            cancelBtn.classList.add('hidden');
+        }
+
         // Add complete step
         if (!completedSteps.includes('complete')) {
             setTimeout(() => {
@@ -321,8 +524,150 @@ function updateLoadingProgress(stage, message, percentage) {
         }
     }
 
-    lastStage = stage;
-    lastMessage = message;
+    currentSteps[stepKey] = { stage, message };
+}
+
+/**
+ * Update a bundle member's own progress bar (shown once a member reports progress)
+ */
+function updateMemberProgress(member, percentage, stage) {
+    const container = document.getElementById('member-progress');
+    if (!container) return;
+    container.classList.remove('hidden');
+
+    let row = document.getElementById(`member-progress-${member}`);
+    if (!row) {
+        row = document.createElement('div');
+        row.id = `member-progress-${member}`;
+        row.innerHTML = `
+            <div class="flex justify-between text-xs text-white/70 mb-1">
+                <span class="font-semibold">${escapeHtml(member.charAt(0).toUpperCase() + member.slice(1))}</span>
+                <span class="member-progress-status"></span>
+            </div>
+            <div class="h-2 bg-white/10 rounded-full overflow-hidden">
+                <div class="member-progress-bar h-full bg-gradient-to-r from-purple-400 to-blue-400 rounded-full transition-all duration-500" style="width: 0%"></div>
+            </div>
+        `;
+        container.appendChild(row);
+    }
+
+    const bar = row.querySelector('.member-progress-bar');
+    const status = row.querySelector('.member-progress-status');
+    bar.style.width = `${Math.max(0, Math.min(100, percentage))}%`;
+
+    if (stage === 'failed') {
+        bar.className = 'member-progress-bar h-full bg-red-500 rounded-full transition-all duration-500';
+        status.textContent = '❌ Failed';
+    } else if (stage === 'ready') {
+        bar.className = 'member-progress-bar h-full bg-green-400 rounded-full transition-all duration-500';
+        status.textContent = '✅ Ready';
+    } else {
+        status.textContent = `${Math.round(percentage)}%`;
+    }
+}
+
+/**
+ * Render a file streamed in while generation continues
+ * The results panel fills in one file at a time; displayResults() replaces it on complete
+ */
+function displayStreamedFile(file, member = null) {
+    streamedFiles.push(file);
+
+    const container = document.getElementById('results-content');
+    if (!container) {
+        return;
+    }
+
+    if (streamedFiles.length === 1) {
+        container.innerHTML = `
+            <div class="p-5 bg-gradient-to-r from-blue-50 to-indigo-50 border-2 border-blue-300 rounded-xl mb-6 shadow-sm">
+                <div class="flex items-center gap-3">
+                    <div class="flex items-center justify-center w-10 h-10 bg-blue-500 rounded-full">
+                        <span class="text-white text-xl animate-pulse">⚙️</span>
+                    </div>
+                    <div class="flex-1">
+                        <div class="text-lg font-bold text-blue-900">Generating...</div>
+                        <div id="streamed-files-count" class="text-sm text-blue-700 mt-0.5"></div>
+                    </div>
+                    <button onclick="cancelGeneration()" class="text-sm font-semibold text-blue-700 px-4 py-2 border-2 border-blue-300 hover:border-blue-400 rounded-lg transition-colors">
+                        ✕ Cancel
+                    </button>
+                </div>
+            </div>
+            <div id="streamed-files" class="space-y-3"></div>
+        `;
+    }
+
+    const count = document.getElementById('streamed-files-count');
+    if (count) {
+        count.textContent = `${streamedFiles.length} file(s) received so far - final files are checked and styled when generation completes`;
+    }
+
+    const fileIcon = file.path.endsWith('.scss') ? '🎨' :
+                     file.path.endsWith('.js') ? '📜' :
+                     file.path.endsWith('.html') ? '🌐' : '📄';
+    const memberBadge = member
+        ? `<span class="text-xs font-sans font-normal bg-gray-200 px-2 py-0.5 rounded">${escapeHtml(member)}</span>`
+        : '';
+
+    const list = document.getElementById('streamed-files');
+    if (list) {
+        list.insertAdjacentHTML('beforeend', `
+            <div class="bg-white border-2 border-gray-200 rounded-lg overflow-hidden shadow-sm step-enter">
+                <div class="bg-gray-50 px-4 py-3 font-mono text-sm font-semibold border-b-2 border-gray-200 flex items-center gap-3">
+                    <span class="text-lg">${fileIcon}</span>
+                    <span class="text-sm">${escapeHtml(file.path)}</span>
+                    ${memberBadge}
+                </div>
+                <pre class="p-5 bg-gray-900 text-gray-100 overflow-x-auto text-sm m-3 rounded-lg shadow-inner"><code>${escapeHtml(file.content)}</code></pre>
+            </div>
+        `);
+    }
+
+    // Let the user watch files arrive instead of waiting on the loader
+    const showFilesBtn = document.getElementById('show-files-btn');
+    if (showFilesBtn) {
+        showFilesBtn.classList.remove('hidden');
+        showFilesBtn.textContent = `👀 View Files (${streamedFiles.length})`;
+    }
+}
+
+/**
+ * Add a finished step to the timeline (once per stage/message/member)
+ */
+function completeLoadingStep(stage, message, member, icon) {
+    // Completed step names (past tense - for timeline)
+    const completedStepNames = {
+        init: 'Initialized',
+        validating: 'Validated',
+        tokens: 'Extracted Design Tokens',
+        prompt: 'Built Prompt',
+        claude: 'Generated',
+        retry: 'Retried for JSON Response',
+        parsing: 'Parsed Response',
+        analyzing: 'Analyzed Code',
+        scss: 'Generated Styles',
+        images: 'Fixed Image References',
+        checking: 'Checked Code'
+    };
+
+    const stepKey = `${member || ''}:${stage}:${message}`;
+    if (completedSteps.includes(stepKey)) {
+        return;
+    }
+    completedSteps.push(stepKey);
+
+    // Claude messages name what was generated - convert to past tense and drop the time estimate
+    let name = stage === 'claude' && message
+        ? message.replace('Generating', 'Generated').replace(/\s*\(.*\)$/, '')
+        : (completedStepNames[stage] || stage);
+
+    if (member) {
+        name = `${member.charAt(0).toUpperCase() + member.slice(1)} · ${name}`;
+    }
+
+    console.log(`➕ Adding step to timeline: ${name}`);
+    addStepToTimeline(stage, icon, name);
 }
 
 function addStepToTimeline(stage, icon, name) {
@@ -453,91 +798,8 @@ async function generateCode() {
             };
         }
 
-        // Use streaming endpoint with fetch (EventSource doesn't support POST)
-        const response = await fetch('/api/code-generator/generate/stream', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-        });
-
-        if (!response.ok) {
-            throw new Error(await response.text());
-        }
-
-        // Read SSE stream
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let buffer = '';
-
-        while (true) {
-            const { value, done } = await reader.read();
-            if (done) break;
-
-            buffer += decoder.decode(value, { stream: true });
-            const lines = buffer.split('\n');
-            buffer = lines.pop(); // Keep incomplete line in buffer
-
-            for (const line of lines) {
-                if (line.startsWith('data: ')) {
-                    console.log(`📥 SSE RECEIVED: ${line.substring(0, 100)}...`);
-                    try {
-                        const data = JSON.parse(line.substring(6));
-                        console.log(`📦 SSE PARSED:`, data);
-
-                        if (data.type === 'progress') {
-                            console.log(`📊 Progress: ${data.stage} (${data.percentage}%) - ${data.message}`);
-                            updateLoadingProgress(data.stage, data.message, data.percentage);
-                        } else if (data.type === 'complete') {
-                        // Success!
-                        const result = data.result;
-
-                        // Debug: Log entire result
-                        console.log('📦 Complete result received:', result);
-                        console.log('   - files:', result.files?.length, 'files');
-                        console.log('   - moduleName:', result.moduleName);
-                        console.log('   - moduleType:', result.moduleType);
-                        console.log('   - success:', result.success);
-
-                        if (result.files) {
-                            result.files.forEach((file, i) => {
-                                console.log(`   📄 File ${i+1}: ${file.path}`);
-                            });
-                        }
-
-                        generatedFiles = result.files || [];
-
-                        // Store module info for saving
-                        window.generatedModuleInfo = {
-                            moduleName: result.moduleName,
-                            moduleType: result.moduleType,
-                            includeBemStyles: includeBemStyles,
-                            fullDesign: fullDesign,
-                            isBundle: result.isBundle,
-                            bundleConfig: result.bundleConfig
-                        };
-
-                        // Prepare results (but don't show them yet - wait for Show Files button)
-                        displayResults(result);
-
-                        // DON'T hide loading modal or show results - user must click "Show Files" button
-
-                        } else if (data.type === 'error') {
-                            // Handle error from server
-                            console.error('❌ Server error:', data.message);
-                            hideLoadingModal();
-
-                            // Show user-friendly error message
-                            alert(`⚠️ Generation Failed\n\n${data.message}\n\nPlease try again or adjust your request.`);
-                            return; // Stop processing
-                        }
-                    } catch (jsonError) {
-                        console.error('❌ Failed to parse SSE data:', jsonError);
-                        console.error('Raw line:', line);
-                        // Don't hide modal here - might be a transient parsing issue
-                    }
-                }
-            }
-        }
+        // Runs as a server-side job, so a refresh can reattach to it
+        await runGenerationJob(payload, { includeBemStyles, fullDesign });
 
     } catch (error) {
         console.error('Error generating code:', error);
@@ -568,6 +830,183 @@ async function generateCode() {
     }
 }
 
+/**
+ * Problems found in the generated files that repairs could not fix (shown before Save)
+ */
+function renderDiagnostics(diagnostics) {
+    if (!diagnostics || diagnostics.length === 0) {
+        return '';
+    }
+
+    const errorCount = diagnostics.filter(d => d.severity === 'error').length;
+    const warningCount = diagnostics.length - errorCount;
+    const summary = [
+        errorCount ? `${errorCount} error(s)` : null,
+        warningCount ? `${warningCount} warning(s)` : null
+    ].filter(Boolean).join(', ');
+
+    return `
+        <!-- Diagnostics -->
+        <div class="p-5 bg-gradient-to-r ${errorCount ? 'from-red-50 to-rose-50 border-red-300' : 'from-amber-50 to-yellow-50 border-amber-300'} border-2 rounded-xl mb-6 shadow-sm">
+            <div class="flex items-center gap-3 mb-3">
+                <div class="flex items-center justify-center w-10 h-10 ${errorCount ? 'bg-red-500' : 'bg-amber-500'} rounded-full">
+                    <span class="text-white text-xl">${errorCount ? '✕' : '!'}</span>
+                </div>
+                <div class="flex-1">
+                    <div class="text-lg font-bold ${errorCount ? 'text-red-900' : 'text-amber-900'}">Review Before Saving</div>
+                    <div class="text-sm ${errorCount ? 'text-red-700' : 'text-amber-700'} mt-0.5">${summary} left after automatic repairs</div>
+                </div>
+            </div>
+            <ul class="space-y-1 text-sm font-mono">
+                ${diagnostics.map(d => `
+                <li class="${d.severity === 'error' ? 'text-red-800' : 'text-amber-800'}">
+                    ${d.severity === 'error' ? '❌' : '⚠️'} ${escapeHtml(d.path)}${d.line ? `:${d.line}:${d.column}` : ''} - <span class="font-sans">${escapeHtml(d.message)}</span>
+                </li>
+                `).join('')}
+            </ul>
+        </div>
+    `;
+}
+
+/**
+ * Module health - what each index.js exports when it is loaded in a sandbox
+ */
+function renderModuleHealth(moduleHealth) {
+    if (!moduleHealth || moduleHealth.length === 0) {
+        return '';
+    }
+
+    const statusIcon = { ok: '✅', warning: '⚠️', error: '❌' };
+    const allChecks = moduleHealth.flatMap(report => report.checks);
+    const errorCount = allChecks.filter(c => c.status === 'error').length;
+    const warningCount = allChecks.filter(c => c.status === 'warning').length;
+    const summary = errorCount || warningCount
+        ? [errorCount ? `${errorCount} error(s)` : null, warningCount ? `${warningCount} warning(s)` : null].filter(Boolean).join(', ')
+        : `${moduleHealth.length} module(s) loaded cleanly`;
+
+    return `
+        <!-- Module Health -->
+        <details class="p-5 bg-white border-2 ${errorCount ? 'border-red-300' : (warningCount ? 'border-amber-300' : 'border-gray-200')} rounded-xl mb-6 shadow-sm" ${errorCount ? 'open' : ''}>
+            <summary class="flex items-center gap-3 cursor-pointer">
+                <span class="text-xl">🩺</span>
+                <span class="text-lg font-bold text-gray-900">Module Health</span>
+                <span class="text-sm ${errorCount ? 'text-red-700' : (warningCount ? 'text-amber-700' : 'text-green-700')}">${summary}</span>
+            </summary>
+            ${moduleHealth.map(report => `
+            <div class="mt-4">
+                <div class="text-sm font-mono font-semibold text-gray-700">${escapeHtml(report.path)}</div>
+                <ul class="mt-1 space-y-1 text-sm">
+                    ${report.checks.map(c => `
+                    <li class="${c.status === 'error' ? 'text-red-800' : (c.status === 'warning' ? 'text-amber-800' : 'text-gray-700')}">
+                        ${statusIcon[c.status]} <span class="font-mono">${escapeHtml(c.check)}</span> - ${escapeHtml(c.message)}
+                    </li>
+                    `).join('')}
+                </ul>
+            </div>
+            `).join('')}
+        </details>
+    `;
+}
+
+/**
+ * Accessibility report - WCAG issues in the templates, and the ones fixed automatically
+ */
+function renderAccessibilityReport(accessibility) {
+    if (!accessibility || accessibility.length === 0) {
+        return '';
+    }
+
+    const left = accessibility.filter(issue => !issue.fixed);
+    const fixedCount = accessibility.length - left.length;
+    const errorCount = left.filter(issue => issue.severity === 'error').length;
+    const warningCount = left.length - errorCount;
+    const summary = [
+        errorCount ? `${errorCount} error(s)` : null,
+        warningCount ? `${warningCount} warning(s)` : null,
+        fixedCount ? `${fixedCount} fixed` : null
+    ].filter(Boolean).join(', ');
+    const paths = [...new Set(accessibility.map(issue => issue.path))];
+
+    return `
+        <!-- Accessibility -->
+        <details class="p-5 bg-white border-2 ${errorCount ? 'border-red-300' : (warningCount ? 'border-amber-300' : 'border-gray-200')} rounded-xl mb-6 shadow-sm" ${errorCount ? 'open' : ''}>
+            <summary class="flex items-center gap-3 cursor-pointer">
+                <span class="text-xl">♿</span>
+                <span class="text-lg font-bold text-gray-900">Accessibility</span>
+                <span class="text-sm ${errorCount ? 'text-red-700' : (warningCount ? 'text-amber-700' : 'text-green-700')}">${summary}</span>
+            </summary>
+            ${paths.map(path => `
+            <div class="mt-4">
+                <div class="text-sm font-mono font-semibold text-gray-700">${escapeHtml(path)}</div>
+                <ul class="mt-1 space-y-1 text-sm">
+                    ${accessibility.filter(issue => issue.path === path).map(issue => `
+                    <li class="${issue.fixed ? 'text-gray-700' : (issue.severity === 'error' ? 'text-red-800' : 'text-amber-800')}">
+                        ${issue.fixed ? '🔧' : (issue.severity === 'error' ? '❌' : '⚠️')} <span class="font-mono">:${issue.line}:${issue.column}</span> WCAG ${escapeHtml(issue.criterion)} - ${escapeHtml(issue.message)}
+                    </li>
+                    `).join('')}
+                </ul>
+            </div>
+            `).join('')}
+        </details>
+    `;
+}
+
+/**
+ * Problem count shown next to a file name in the previews
+ */
+function renderFileProblemBadge(path, diagnostics) {
+    const problems = diagnostics.filter(d => d.path === path);
+    if (problems.length === 0) {
+        return '';
+    }
+
+    const hasErrors = problems.some(d => d.severity === 'error');
+    return `<span class="text-xs font-sans font-semibold px-2 py-0.5 rounded ${hasErrors ? 'bg-red-100 text-red-800' : 'bg-amber-100 text-amber-800'}">${hasErrors ? '❌' : '⚠️'} ${problems.length} problem${problems.length > 1 ? 's' : ''}</span>`;
+}
+
+/**
+ * Problems of one file, listed above its code with their line numbers
+ */
+function renderFileProblems(path, diagnostics) {
+    const problems = diagnostics.filter(d => d.path === path);
+    if (problems.length === 0) {
+        return '';
+    }
+
+    return `
+        <ul class="mx-3 mt-3 p-3 space-y-1 text-sm font-mono bg-white border-2 border-red-200 rounded-lg">
+            ${problems.map(d => `
+            <li class="${d.severity === 'error' ? 'text-red-800' : 'text-amber-800'}">
+                Line ${d.line}, column ${d.column}: <span class="font-sans">${escapeHtml(d.message)}</span>
+            </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+/**
+ * Regenerate only the failed members of a partial bundle (keeps the ones that worked)
+ */
+async function retryFailedMembers() {
+    const retry = window.generatedModuleInfo?.retry;
+    if (!lastGeneration || !retry) {
+        alert('Nothing to retry - please generate the bundle again');
+        return;
+    }
+
+    clearResults();
+    showLoadingModal();
+    updateLoadingProgress('init', 'Retrying failed parts', 0);
+
+    try {
+        await runGenerationJob({ ...lastGeneration.payload, retry }, lastGeneration.moduleInfo);
+    } catch (error) {
+        console.error('Error retrying generation:', error);
+        hideLoadingModal();
+        alert(`⚠️ Retry Failed\n\n${error.message}`);
+    }
+}
+
 /**
  * Compute page registration info for preview (before saving)
  */
@@ -906,6 +1345,7 @@ function generateTreeView(result) {
  */
 function generateGroupedFilePreviews(result) {
     const { files, isBundle, bundleModules } = result;
+    const diagnostics = result.diagnostics || [];
 
     let html = '';
     let fileIndex = 0;
@@ -940,7 +1380,7 @@ function generateGroupedFilePreviews(result) {
         });
 
         // Render bundle with sub-sections
-        return renderBundleWithSubSections(bundleFiles, fileIndex);
+        return renderBundleWithSubSections(bundleFiles, fileIndex, diagnostics);
     }
 
     // Non-bundle: use simple grouping
@@ -1014,6 +1454,7 @@ function generateGroupedFilePreviews(result) {
                         <span id="file-toggle-${fileIndex}" class="text-base transition-transform">▶</span>
                         <span class="text-lg">${fileIcon}</span>
                         <span class="text-sm">${file.path}</span>
+                        ${renderFileProblemBadge(file.path, diagnostics)}
                     </div>
                     <button onclick="event.stopPropagation(); copyFileToClipboard(${fileIndex})"
                             class="text-xs bg-white px-3 py-1.5 rounded-md border-2 border-gray-300 hover:bg-gray-100 hover:border-gray-400 transition-colors font-semibold">
@@ -1021,6 +1462,7 @@ function generateGroupedFilePreviews(result) {
                     </button>
                 </div>
                 <div id="file-content-${fileIndex}" class="hidden bg-gray-50">
+                    ${renderFileProblems(file.path, diagnostics)}
                     <pre class="p-5 bg-gray-900 text-gray-100 overflow-x-auto text-sm m-3 rounded-lg shadow-inner"><code>${escapeHtml(file.content)}</code></pre>
                 </div>
             </div>
@@ -1048,7 +1490,7 @@ function generateGroupedFilePreviews(result) {
 /**
  * Render bundle with sub-sections showing internal module organization
  */
-function renderBundleWithSubSections(bundleFiles, startIndex) {
+function renderBundleWithSubSections(bundleFiles, startIndex, diagnostics = []) {
     let html = '';
     let fileIndex = startIndex;
 
@@ -1071,6 +1513,7 @@ function renderBundleWithSubSections(bundleFiles, startIndex) {
                     <span id="file-toggle-${fileIndex}" class="text-base transition-transform">▶</span>
                     <span class="text-lg">${fileIcon}</span>
                     <span class="text-sm">${file.path}</span>
+                    ${renderFileProblemBadge(file.path, diagnostics)}
                 </div>
                 <button onclick="event.stopPropagation(); copyFileToClipboard(${fileIndex})"
                         class="text-xs bg-white px-3 py-1.5 rounded-md border-2 border-gray-300 hover:bg-gray-100 hover:border-gray-400 transition-colors font-semibold">
@@ -1078,6 +1521,7 @@ function renderBundleWithSubSections(bundleFiles, startIndex) {
                 </button>
             </div>
             <div id="file-content-${fileIndex}" class="hidden bg-gray-50">
+                ${renderFileProblems(file.path, diagnostics)}
                 <pre class="p-5 bg-gray-900 text-gray-100 overflow-x-auto text-sm m-3 rounded-lg shadow-inner"><code>${escapeHtml(file.content)}</code></pre>
             </div>
         </div>
@@ -1184,6 +1628,34 @@ function displayResults(result) {
     const pageRegInfo = computePageRegistrationInfo(result);
 
     container.innerHTML = `
+        ${result.partial ? `
+        <!-- Partial Bundle Banner -->
+        <div class="p-5 bg-gradient-to-r from-amber-50 to-orange-50 border-2 border-amber-300 rounded-xl mb-6 shadow-sm">
+            <div class="flex items-center gap-3">
+                <div class="flex items-center justify-center w-10 h-10 bg-amber-500 rounded-full">
+                    <span class="text-white text-xl">!</span>
+                </div>
+                <div class="flex-1">
+                    <div class="text-lg font-bold text-amber-900">Some Parts Failed</div>
+                    ${result.failedMembers.map(member => `
+                    <div class="text-sm text-amber-800 mt-0.5">
+                        <span class="font-semibold">${escapeHtml(member.name)}</span>: ${escapeHtml(member.error)}
+                    </div>
+                    `).join('')}
+                </div>
+                <button onclick="retryFailedMembers()" class="bg-amber-500 hover:bg-amber-600 text-white text-sm font-semibold px-4 py-2 rounded-lg transition-colors">
+                    🔁 Retry ${result.failedMembers.map(member => escapeHtml(member.type)).join(' + ')}
+                </button>
+            </div>
+        </div>
+        ` : ''}
+
+        ${renderDiagnostics(result.diagnostics)}
+
+        ${renderModuleHealth(result.moduleHealth)}
+
+        ${renderAccessibilityReport(result.accessibility)}
+
         <!-- Success Banner -->
         <div class="p-5 bg-gradient-to-r from-green-50 to-emerald-50 border-2 border-green-300 rounded-xl mb-6 shadow-sm">
             <div class="flex items-center gap-3 mb-2">
@@ -1300,6 +1772,13 @@ async function saveFiles() {
         return;
     }
 
+    const errors = (window.generatedModuleInfo?.diagnostics || []).filter(d => d.severity === 'error');
+    if (errors.length > 0 && !confirm(`The generated code still has ${errors.length} error(s) (see "Review Before Saving").\n\nSave anyway?`)) {
+        return;
+    }
+    // Stylesheet errors the user just accepted should not be asked about again
+    const allowStyleErrors = errors.some(d => d.source === 'scss');
+
     const saveBtn = event.target;
     const originalText = saveBtn.innerHTML;
     saveBtn.disabled = true;
@@ -1344,34 +1823,119 @@ async function saveFiles() {
 
         const description = window.generatedModuleInfo?.description || null;
 
-        const response = await fetch('/api/code-generator/save', {
+        const postSave = (body) => fetch('/api/code-generator/save', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                projectId: projectId,
-                files: generatedFiles,
-                moduleName: window.generatedModuleInfo?.moduleName,
-                moduleType: window.generatedModuleInfo?.moduleType,
-                moduleLabel: moduleLabel,
-                includeBemStyles: window.generatedModuleInfo?.includeBemStyles,
-                fullDesign: window.generatedModuleInfo?.fullDesign,
-                projectName: projectName,
-                isBundle: window.generatedModuleInfo?.isBundle,
-                bundleConfig: window.generatedModuleInfo?.bundleConfig,
-                parkPage: parkPage,
-                parkUrl: parkUrl,
-                description: description  // Save the prompt/description
-            })
+            body: JSON.stringify(body)
         });
 
+        const saveRequest = {
+            projectId: projectId,
+            files: generatedFiles,
+            moduleName: window.generatedModuleInfo?.moduleName,
+            moduleType: window.generatedModuleInfo?.moduleType,
+            moduleLabel: moduleLabel,
+            includeBemStyles: window.generatedModuleInfo?.includeBemStyles,
+            fullDesign: window.generatedModuleInfo?.fullDesign,
+            projectName: projectName,
+            isBundle: window.generatedModuleInfo?.isBundle,
+            bundleConfig: window.generatedModuleInfo?.bundleConfig,
+            parkPage: parkPage,
+            parkUrl: parkUrl,
+            description: description,  // Save the prompt/description
+            accessibility: window.generatedModuleInfo?.accessibility || [],  // Kept with the history item
+            allowStyleErrors
+        };
+
+        // The project's index.scss would no longer build with the new styles
+        const acceptStyleErrors = async (blockedResponse) => {
+            const blocked = await blockedResponse.json();
+            const problems = (blocked.diagnostics || [])
+                .map(d => `• ${d.path.split('/').pop()}:${d.line}:${d.column} ${d.message}`)
+                .join('\n');
+
+            return confirm(`🎨 The project's stylesheet would no longer build:\n\n${problems}\n\nSave anyway?`);
+        };
+
+        // Dry run first - nothing touches the project until the diffs are confirmed
+        let preview = await postSave({ ...saveRequest, dryRun: true });
+
+        // The park URL or parkedId belongs to another page, the merged files have errors,
+        // or modules.js can't take the registration - nothing to choose
+        const reportBlocked = (blocked) => {
+            const title = blocked.mergeRefused ? '🔀 Cannot Merge'
+                : blocked.registrationFailed ? '🧩 Cannot Register the Module'
+                : '📍 Cannot Park the Page';
+            alert(`${title}\n\n${blocked.error}`);
+        };
+
+        // The module already exists with other content - abort, overwrite, rename or merge
+        if (preview.status === 409) {
+            const blocked = await preview.json();
+            if (blocked.pageCollision || blocked.registrationFailed) {
+                reportBlocked(blocked);
+                return;
+            }
+            const strategy = await chooseConflictStrategy(blocked.conflict);
+            if (!strategy) {
+                return;
+            }
+            saveRequest.conflictStrategy = strategy;
+            preview = await postSave({ ...saveRequest, dryRun: true });
+
+            if (preview.status === 409) {
+                reportBlocked(await preview.json());
+                return;
+            }
+        }
+
+        if (preview.status === 422) {
+            if (!(await acceptStyleErrors(preview))) {
+                return;
+            }
+            saveRequest.allowStyleErrors = true;
+            preview = await postSave({ ...saveRequest, dryRun: true });
+        }
+
+        if (!preview.ok) {
+            throw new Error(await preview.text());
+        }
+
+        if (!(await confirmSaveChanges(await preview.json()))) {
+            return;
+        }
+
+        let response = await postSave(saveRequest);
+
+        // The stylesheet changed since the preview
+        if (response.status === 422) {
+            if (!(await acceptStyleErrors(response))) {
+                return;
+            }
+            response = await postSave({ ...saveRequest, allowStyleErrors: true });
+        }
+
         if (!response.ok) {
-            throw new Error(await response.text());
+            const failed = await response.json().catch(() => null);
+
+            // Failed while writing - the save was rolled back step by step
+            if (failed?.steps) {
+                alert(`💾 Save Failed${failed.rolledBack ? ' - the project was restored' : ''}\n\n${failed.error}\n\n${formatSaveSteps(failed.steps)}`);
+                return;
+            }
+            throw new Error(failed?.error || `Save failed (HTTP ${response.status})`);
         }
 
         const result = await response.json();
 
+        // Saved under a new name - Delete from Project and re-saves use the renamed files
+        if (result.renamedTo) {
+            window.generatedModuleInfo.moduleName = result.renamedTo;
+            generatedFiles = result.savedFiles;
+        }
+
         const message = result.message || `Successfully saved ${result.savedCount} file(s) to project!`;
-        alert(`✓ ${message}`);
+        alert(`✓ ${message}${result.steps ? `\n\n${formatSaveSteps(result.steps)}` : ''}`);
 
         // Show "Delete from Project" button after successful save
         const deleteBtn = document.getElementById('delete-from-project-btn');
@@ -1409,6 +1973,157 @@ async function saveFiles() {
     }
 }
 
+/**
+ * Per-step save report, one line per file the save wrote (or rolled back)
+ */
+function formatSaveSteps(steps) {
+    const statusIcon = { applied: '✅', failed: '❌', 'rolled-back': '↩️', 'not-applied': '⏸️', 'rollback-failed': '⚠️' };
+    return steps
+        .map(step => `${statusIcon[step.status] || '•'} ${step.step}: ${step.path} (${step.status}${step.error ? ` - ${step.error}` : ''})`)
+        .join('\n');
+}
+
+/**
+ * Ask what to do about a module that already exists (409 from Save)
+ * Resolves 'overwrite', 'rename' or 'merge', or null to abort.
+ */
+function chooseConflictStrategy(conflict) {
+    return new Promise(resolve => {
+        const options = [
+            { strategy: 'overwrite', label: '♻️ Overwrite', text: 'Replace the project\'s files with the generated ones. Hand edits are lost.' },
+            { strategy: 'rename', label: '✏️ Save as copy', text: `Save as ${escapeHtml(conflict.moduleName)}-2 (or the next free name), with registrations and BEM classes renamed.` },
+            {
+                strategy: 'merge',
+                label: '🔀 Merge',
+                text: conflict.mergeBaseAvailable
+                    ? 'Keep hand edits made since the last generation and apply the new generation on top. Overlapping changes are marked as conflicts.'
+                    : 'Not available - there is no previous generation of this module in history to merge from.',
+                disabled: !conflict.mergeBaseAvailable
+            }
+        ];
+
+        const overlay = document.createElement('div');
+        overlay.id = 'save-conflict-modal';
+        overlay.className = 'fixed inset-0 flex items-center justify-center p-8';
+        overlay.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+        overlay.style.zIndex = '60';
+        overlay.innerHTML = `
+            <div class="bg-gray-900 border border-gray-700 rounded-xl shadow-2xl w-full max-w-2xl" role="dialog" aria-modal="true" aria-labelledby="save-conflict-title">
+                <div class="p-5 border-b border-gray-700">
+                    <div id="save-conflict-title" class="text-lg font-bold text-white">'${escapeHtml(conflict.moduleName)}' Already Exists</div>
+                    <div class="text-sm text-gray-400 mt-0.5">${conflict.files.length} file(s) in the project differ from the generated ones:</div>
+                    <ul class="mt-2 text-xs font-mono text-amber-300 space-y-0.5">
+                        ${conflict.files.map(path => `<li>${escapeHtml(path)}</li>`).join('')}
+                    </ul>
+                </div>
+                <div class="p-5 space-y-3">
+                    ${options.map(option => `
+                    <button data-strategy="${option.strategy}" ${option.disabled ? 'disabled' : ''} class="w-full text-left p-4 rounded-lg border border-gray-700 ${option.disabled ? 'opacity-50 cursor-not-allowed' : 'hover:border-purple-400 hover:bg-gray-800'} transition-colors">
+                        <div class="text-white font-semibold">${option.label}</div>
+                        <div class="text-sm text-gray-400 mt-0.5">${option.text}</div>
+                    </button>
+                    `).join('')}
+                </div>
+                <div class="p-5 border-t border-gray-700 flex justify-end">
+                    <button data-strategy="abort" class="bg-gray-700 hover:bg-gray-600 text-white text-sm font-semibold px-4 py-2 rounded-lg transition-colors">Abort</button>
+                </div>
+            </div>
+        `;
+
+        const close = (strategy) => {
+            overlay.remove();
+            document.removeEventListener('keydown', onKeydown);
+            resolve(strategy === 'abort' ? null : strategy);
+        };
+        const onKeydown = (keyEvent) => {
+            if (keyEvent.key === 'Escape') {
+                close('abort');
+            }
+        };
+
+        overlay.querySelectorAll('[data-strategy]').forEach(button => {
+            button.addEventListener('click', () => close(button.dataset.strategy));
+        });
+        document.addEventListener('keydown', onKeydown);
+        document.body.appendChild(overlay);
+        overlay.querySelector('[data-strategy="abort"]').focus();
+    });
+}
+
+/**
+ * Unified diff as colored lines
+ */
+function renderDiffLines(diff) {
+    return diff.split('\n').filter(line => line !== '').map(line => {
+        const color = line.startsWith('+++') || line.startsWith('---') ? 'text-gray-400'
+            : line.startsWith('@@') ? 'text-blue-300'
+            : line.startsWith('+') ? 'text-green-300 bg-green-900/40'
+            : line.startsWith('-') ? 'text-red-300 bg-red-900/40'
+            : 'text-gray-300';
+        return `<div class="${color} whitespace-pre">${escapeHtml(line)}</div>`;
+    }).join('');
+}
+
+/**
+ * Show the files a save would create or change (from a dry run) and wait for the user
+ * Resolves true for Save, false for Cancel.
+ */
+function confirmSaveChanges(preview) {
+    return new Promise(resolve => {
+        const changes = preview.changes || [];
+        const mergeConflicts = (preview.mergedFiles || []).reduce((sum, merged) => sum + merged.conflicts, 0);
+        const created = changes.filter(change => change.status === 'create').length;
+        const modified = changes.length - created;
+
+        const overlay = document.createElement('div');
+        overlay.id = 'save-preview-modal';
+        overlay.className = 'fixed inset-0 flex items-center justify-center p-8';
+        overlay.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+        overlay.style.zIndex = '60';
+        overlay.innerHTML = `
+            <div class="bg-gray-900 border border-gray-700 rounded-xl shadow-2xl w-full max-w-5xl max-h-full flex flex-col" role="dialog" aria-modal="true" aria-labelledby="save-preview-title">
+                <div class="p-5 border-b border-gray-700">
+                    <div id="save-preview-title" class="text-lg font-bold text-white">Review Changes</div>
+                    <div class="text-sm text-gray-400 mt-0.5">${created} new file(s), ${modified} changed file(s) - nothing has been written yet</div>
+                    ${preview.renamedTo ? `<div class="text-sm text-amber-300 mt-2">✏️ '${escapeHtml(preview.renamedFrom)}' already exists - saving as '${escapeHtml(preview.renamedTo)}'${preview.renamedParkUrl ? `, parked at ${escapeHtml(preview.renamedParkUrl)}` : ''}</div>` : ''}
+                    ${preview.mergedFiles ? `<div class="text-sm ${mergeConflicts ? 'text-red-300' : 'text-green-300'} mt-2">🔀 Merged ${preview.mergedFiles.length} file(s) with the project's hand edits${mergeConflicts ? ` - ${mergeConflicts} conflict(s) marked with <code>&lt;&lt;&lt;&lt;&lt;&lt;&lt;</code>. It can't be saved: resolve the overlapping changes in the project first, or cancel and choose overwrite or rename` : ''}</div>` : ''}
+                </div>
+                <div class="p-5 overflow-y-auto space-y-3">
+                    ${changes.map(change => `
+                    <details class="bg-black/40 rounded-lg" ${change.status === 'modify' ? 'open' : ''}>
+                        <summary class="cursor-pointer px-4 py-2 font-mono text-sm ${change.status === 'modify' ? 'text-amber-300' : 'text-green-300'}">
+                            ${change.status === 'modify' ? '✏️ modify' : '➕ create'} ${escapeHtml(change.path)} <span class="text-gray-500">- ${escapeHtml(change.step || '')}</span>
+                        </summary>
+                        <div class="px-4 pb-3 font-mono text-xs overflow-x-auto">${renderDiffLines(change.diff)}</div>
+                    </details>
+                    `).join('')}
+                </div>
+                <div class="p-5 border-t border-gray-700 flex justify-end gap-3">
+                    <button data-action="cancel" class="bg-gray-700 hover:bg-gray-600 text-white text-sm font-semibold px-4 py-2 rounded-lg transition-colors">Cancel</button>
+                    <button data-action="save" ${mergeConflicts ? 'disabled' : ''} class="bg-green-600 ${mergeConflicts ? 'opacity-50 cursor-not-allowed' : 'hover:bg-green-700'} text-white text-sm font-semibold px-4 py-2 rounded-lg transition-colors">💾 Save ${changes.length} file(s)</button>
+                </div>
+            </div>
+        `;
+
+        const close = (confirmed) => {
+            overlay.remove();
+            document.removeEventListener('keydown', onKeydown);
+            resolve(confirmed);
+        };
+        const onKeydown = (keyEvent) => {
+            if (keyEvent.key === 'Escape') {
+                close(false);
+            }
+        };
+
+        overlay.querySelector('[data-action="cancel"]').addEventListener('click', () => close(false));
+        overlay.querySelector('[data-action="save"]').addEventListener('click', () => close(true));
+        document.addEventListener('keydown', onKeydown);
+        document.body.appendChild(overlay);
+        overlay.querySelector(mergeConflicts ? '[data-action="cancel"]' : '[data-action="save"]').focus();
+    });
+}
+
 /**
  * Delete generated files from project
  */
@@ -1463,6 +2178,10 @@ async function deleteFromProject() {
             message += `\nReverted:\n${result.details.reverted.map(r => `  • ${r}`).join('\n')}\n`;
         }
 
+        if (result.details?.notCreatedByGenerator?.length > 0) {
+            message += `\nKept (not created by the generator):\n${result.details.notCreatedByGenerator.map(p => `  • ${p}`).join('\n')}\n`;
+        }
+
         if (result.failedFiles > 0) {
             message += `\n⚠️ Failed to delete ${result.failedFiles} file(s).`;
         }
@@ -1775,7 +2494,8 @@ async function loadFromHistory(historyId) {
             includeBemStyles: item.includeBemStyles || false,
             fullDesign: item.fullDesign || false,
             isBundle: item.moduleType === 'bundle',
-            bundleConfig: item.bundleConfig || null
+            bundleConfig: item.bundleConfig || null,
+            accessibility: item.accessibility || []
         };
 
         // Build result object for display (same format as generation result)
@@ -1785,6 +2505,7 @@ async function loadFromHistory(historyId) {
             moduleName: item.moduleName,
             moduleType: item.moduleType,
             isBundle: item.moduleType === 'bundle',
+            accessibility: item.accessibility || [],
             message: `Loaded from history: ${item.moduleName}`
         };
 
@@ -585,75 +585,14 @@ async function generateFromWizard() {
 
         console.log('📤 Sending payload:', payload);
 
-        // Use streaming endpoint
-        const response = await fetch('/api/code-generator/generate/stream', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
+        // Runs as a server-side job (Cancel button in the loader cancels it)
+        await runGenerationJob(payload, {
+            moduleLabel: label,
+            description,
+            includeBemStyles,
+            fullDesign,
+            bundleConfig
         });
-
-        if (!response.ok) {
-            throw new Error(await response.text());
-        }
-
-        // Read SSE stream
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let buffer = '';
-
-        while (true) {
-            const { value, done } = await reader.read();
-            if (done) break;
-
-            buffer += decoder.decode(value, { stream: true });
-            const lines = buffer.split('\n');
-            buffer = lines.pop(); // Keep incomplete line in buffer
-
-            for (const line of lines) {
-                if (line.startsWith('data: ')) {
-                    console.log(`📥 SSE RECEIVED: ${line.substring(0, 100)}...`);
-                    try {
-                        const data = JSON.parse(line.substring(6));
-                        console.log(`📦 SSE PARSED:`, data);
-
-                        if (data.type === 'progress') {
-                            console.log(`📊 Progress: ${data.stage} (${data.percentage}%) - ${data.message}`);
-                            updateLoadingProgress(data.stage, data.message, data.percentage);
-                        } else if (data.type === 'complete') {
-                            // Success!
-                            const result = data.result;
-
-                            console.log('📦 Complete result received:', result);
-
-                            generatedFiles = result.files || [];
-
-                            // Store module info for saving
-                            window.generatedModuleInfo = {
-                                moduleName: result.moduleName,
-                                moduleType: result.moduleType,
-                                moduleLabel: label,
-                                description: description,
-                                includeBemStyles: includeBemStyles,
-                                fullDesign: fullDesign,
-                                isBundle: result.isBundle,
-                                bundleConfig: bundleConfig || result.bundleConfig
-                            };
-
-                            // Display results
-                            displayResults(result);
-
-                        } else if (data.type === 'error') {
-                            console.error('❌ Server error:', data.message);
-                            hideLoadingModal();
-                            alert(`⚠️ Generation Failed\n\n${data.message}\n\nPlease try again or adjust your request.`);
-                            return;
-                        }
-                    } catch (jsonError) {
-                        console.error('❌ Failed to parse SSE data:', jsonError);
-                    }
-                }
-            }
-        }
     } catch (error) {
         console.error('Generation error:', error);
         hideLoadingModal();
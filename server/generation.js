@@ -0,0 +1,117 @@
+/**
+ * Generation Runner
+ * Runs one generation (single module or bundle) through the MCP server.
+ * Shared by the streaming route and the job queue - callers decide where
+ * progress, streamed files and the result go.
+ */
+
+import { callMcpTool } from './mcp-client.js';
+
+/**
+ * Check a generation request body - returns an error message or null
+ */
+export function validateGenerationRequest(params) {
+    const { type, projectId, name, label } = params || {};
+
+    if (!type || !projectId || !name || !label) {
+        return 'Missing required fields';
+    }
+
+    return null;
+}
+
+/**
+ * Generate a module or bundle
+ *
+ * sendProgress(stage, message, percentage, member, memberPercentage) and sendFile(file, member)
+ * receive events as they happen; resolves with the final result, throws on failure.
+ * Aborting signal cancels the MCP request (and the Claude process behind it).
+ *
+ * Bundles go through the generate_bundle tool: members generate in parallel, and
+ * if some fail the others are still returned with `partial`, `failedMembers` and a
+ * `retry` object - pass that back as params.retry to regenerate only the failed members.
+ */
+export async function runGeneration(params, { sendProgress, sendFile, signal }) {
+    const { type, projectId, name, label, description, includeBemStyles = true, fullDesign = false, bundleConfig } = params;
+
+    // Handle bundles - planned, generated and assembled by the generate_bundle tool
+    if (type === 'bundle') {
+        console.log(`\n📦 Bundle ${name}:`, bundleConfig);
+
+        if (!bundleConfig || (!bundleConfig.includePiece && !bundleConfig.includePage && !bundleConfig.includeWidget)) {
+            throw new Error('Bundle must include at least one module type');
+        }
+
+        const result = await callMcpTool('generate_bundle', {
+            projectId,
+            name,
+            label,
+            description,
+            includePiece: bundleConfig.includePiece || false,
+            includePage: bundleConfig.includePage || false,
+            includeWidget: bundleConfig.includeWidget || false,
+            parkPage: bundleConfig.parkPage || false,
+            parkUrl: bundleConfig.parkUrl || undefined,
+            includeBemStyles,
+            fullDesign,
+            retry: params.retry
+        }, { onProgress: sendProgress, onFile: sendFile, signal });
+
+        if (result.error) {
+            throw new Error(result.error);
+        }
+
+        return result;
+    }
+
+    // Single module generation (widget, page, piece)
+    sendProgress('init', `Preparing to generate ${type}: ${name}`, 0);
+
+    // Extract park page settings from bundleConfig if provided (for V2 wizard compatibility)
+    const parkPage = bundleConfig?.parkPage || false;
+    const parkUrl = bundleConfig?.parkUrl || null;
+
+    // DEBUG: Log park page settings for single page generation
+    if (type === 'page') {
+        console.log(`\n=== PAGE GENERATION DEBUG ===`);
+        console.log(`Name: ${name}`);
+        console.log(`Park Page: ${parkPage}`);
+        console.log(`Park URL: ${parkUrl}`);
+        console.log(`=== END DEBUG ===\n`);
+    }
+
+    // Call MCP server to generate module
+    const result = await callMcpTool('generate_apostrophe_module', {
+        projectId,
+        moduleType: type,
+        moduleName: name,
+        label,
+        description,
+        includeBemStyles,
+        fullDesign,
+        parkPage: type === 'page' ? parkPage : undefined,  // Only pass for pages
+        parkUrl: type === 'page' ? parkUrl : undefined
+    }, { onProgress: sendProgress, onFile: sendFile, signal });
+
+    if (result.error) {
+        throw new Error(`Failed to generate ${type}: ${result.error}`);
+    }
+
+    // Debug: Log result structure
+    console.log('\n📦 Result from MCP tool:');
+    console.log('   - success:', result.success);
+    console.log('   - files:', result.files?.length, 'files');
+    console.log('   - moduleName:', result.moduleName);
+    console.log('   - moduleType:', result.moduleType);
+    console.log('   - message:', result.message);
+
+    if (result.files) {
+        result.files.forEach((file, i) => {
+            console.log(`   📄 File ${i+1}: ${file.path}`);
+        });
+    }
+
+    sendProgress('complete', `Generated ${result.files?.length || 0} file(s) successfully!`, 100);
+
+    return result;
+}
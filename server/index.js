@@ -5,10 +5,16 @@
 
 import express from 'express';
 import cors from 'cors';
-import { join, dirname } from 'path';
+import { join, dirname, relative, sep } from 'path';
 import { fileURLToPath } from 'url';
-import { readdirSync, existsSync, readFileSync, mkdirSync, writeFileSync, unlinkSync, rmdirSync } from 'fs';
-import { callMcpTool } from './mcp-client.js';
+import { readdirSync, existsSync, readFileSync, mkdirSync, writeFileSync, unlinkSync, rmdirSync, lstatSync } from 'fs';
+import { callMcpTool, closeMcpClients } from './mcp-client.js';
+import { runGeneration, validateGenerationRequest } from './generation.js';
+import { createJob, getJob, listJobs, cancelJob, subscribeToJob, isJobFinished, serializeJob } from './jobs.js';
+import { resolveInside, resolveModulesPath, resolveHistoryFolder } from '../mcp-server/path-policy.js';
+import { registrationFor, unregisterModule } from '../mcp-server/modules-registry.js';
+import { PAGE_INDEX_PATH, findPageModule, unregisterPage, projectReader } from '../mcp-server/page-registry.js';
+import { applyStagedWrites } from '../mcp-server/save-transaction.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -21,8 +27,10 @@ const PORT = process.env.PORT || 3031;
 /**
  * Save files to history folder
  * Creates folder: history/2025-11-18_11-09-31_accordion-widget/
+ * createdFiles (from the save) are the files delete-from-project may remove later.
+ * accessibility is the generation's accessibility report, kept with the item.
  */
-function saveToHistory(moduleName, moduleType, projectName, files, fullDesign, description = null) {
+function saveToHistory(moduleName, moduleType, projectName, files, fullDesign, description = null, projectId = null, createdFiles = [], accessibility = []) {
     try {
         // Ensure history root exists
         if (!existsSync(historyRoot)) {
@@ -38,7 +46,7 @@ function saveToHistory(moduleName, moduleType, projectName, files, fullDesign, d
             .substring(0, 19); // YYYY-MM-DD_HH-MM-SS
 
         const folderName = `${timestamp}_${moduleName}`;
-        const historyFolder = join(historyRoot, folderName);
+        const historyFolder = resolveHistoryFolder(historyRoot, folderName);
 
         // Create history folder
         mkdirSync(historyFolder, { recursive: true });
@@ -51,6 +59,9 @@ function saveToHistory(moduleName, moduleType, projectName, files, fullDesign, d
             fileCount: files.length,
             fullDesign: fullDesign || false,
             description: description || null,  // Save the prompt/description
+            projectId,
+            createdFiles,
+            accessibility,
             timestamp: now.toISOString()
         };
         writeFileSync(
@@ -60,7 +71,7 @@ function saveToHistory(moduleName, moduleType, projectName, files, fullDesign, d
 
         // Save each file
         files.forEach(file => {
-            const filePath = join(historyFolder, file.path);
+            const filePath = resolveInside(historyFolder, file.path);
             const fileDir = dirname(filePath);
 
             // Create directory structure
@@ -113,13 +124,30 @@ function listHistory() {
     }
 }
 
+/**
+ * Files the generator created in a project, as recorded in history by saves
+ */
+function getRecordedFiles(projectId) {
+    return new Set(listHistory()
+        .filter(item => item.projectId === projectId)
+        .flatMap(item => item.createdFiles || []));
+}
+
+/**
+ * Files of the last saved generation of a module in a project - the base for a merge
+ */
+function findPreviousGeneration(projectId, moduleName) {
+    const previous = listHistory().find(item => item.projectId === projectId && item.moduleName === moduleName);
+    return previous ? loadHistoryItem(previous.id).files : null;
+}
+
 /**
  * Load files from a history item
  */
 function loadHistoryItem(historyId) {
-    try {
-        const historyFolder = join(historyRoot, historyId);
+    const historyFolder = resolveHistoryFolder(historyRoot, historyId);
 
+    try {
         if (!existsSync(historyFolder)) {
             throw new Error('History item not found');
         }
@@ -135,7 +163,8 @@ function loadHistoryItem(historyId) {
             const entries = readdirSync(dir, { withFileTypes: true });
 
             for (const entry of entries) {
-                if (entry.name === 'metadata.json') continue;
+                // History only holds files written by saveToHistory - never follow links out of it
+                if (entry.name === 'metadata.json' || entry.isSymbolicLink()) continue;
 
                 const fullPath = join(dir, entry.name);
                 const relativePath = basePath ? `${basePath}/${entry.name}` : entry.name;
@@ -164,7 +193,7 @@ function loadHistoryItem(historyId) {
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '10mb' }));  // Bundle retries send back the members that already succeeded
 app.use(express.static(join(toolRoot, 'public')));
 
 /**
@@ -220,352 +249,148 @@ app.post('/api/code-generator/generate', async (req, res) => {
     }
 });
 
-// Generate code with streaming progress updates (Server-Sent Events)
-app.post('/api/code-generator/generate/stream', async (req, res) => {
-    const { type, projectId, name, label, description, includeBemStyles = true, fullDesign = false, bundleConfig } = req.body;
-
-    if (!type || !projectId || !name || !label) {
-        return res.status(400).json({ error: 'Missing required fields' });
-    }
+/**
+ * Queue a generation job that reports through job events
+ */
+function startGenerationJob(params) {
+    return createJob(params, ({ emit, signal }) => runGeneration(params, {
+        sendProgress: (stage, message, percentage, member = null, memberPercentage = null) => {
+            const data = { type: 'progress', stage, message, percentage };
+            if (member) {
+                data.member = member;
+                data.memberPercentage = memberPercentage;
+            }
+            console.log(`📡 SSE SEND: ${stage} (${percentage}%) - ${message}`);
+            emit(data);
+        },
+        // Stream each file as soon as Claude has finished writing it (final result follows on complete)
+        sendFile: (file, member = null) => {
+            const data = { type: 'file', file };
+            if (member) {
+                data.member = member;
+            }
+            console.log(`📡 SSE SEND: file ${file.path}`);
+            emit(data);
+        },
+        signal
+    }));
+}
 
-    // Set up SSE headers
+/**
+ * Open an SSE response
+ */
+function startEventStream(res) {
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Connection', 'keep-alive');
+}
 
-    // Helper to send progress events
-    const sendProgress = (stage, message, percentage) => {
-        const data = { type: 'progress', stage, message, percentage };
-        console.log(`📡 SSE SEND: ${stage} (${percentage}%) - ${message}`);
-        res.write(`data: ${JSON.stringify(data)}\n\n`);
-    };
-
-    const sendError = (error) => {
-        res.write(`data: ${JSON.stringify({ type: 'error', message: error })}\n\n`);
-        res.end();
-    };
-
-    const sendComplete = (result) => {
-        res.write(`data: ${JSON.stringify({ type: 'complete', result })}\n\n`);
-        res.end();
-    };
-
-    try {
-        // Handle bundles (generate multiple modules)
-        if (type === 'bundle') {
-            // DEBUG: Log bundle configuration
-            console.log(`\n=== BUNDLE GENERATION DEBUG ===`);
-            console.log(`Name: ${name}`);
-            console.log(`Bundle Config:`, bundleConfig);
-            console.log(`  - Include Piece: ${bundleConfig?.includePiece || false}`);
-            console.log(`  - Include Page: ${bundleConfig?.includePage || false}`);
-            console.log(`  - Include Widget: ${bundleConfig?.includeWidget || false}`);
-            console.log(`  - Park Page: ${bundleConfig?.parkPage || false}`);
-            console.log(`  - Park URL: ${bundleConfig?.parkUrl || 'N/A'}`);
-            console.log(`=== END DEBUG ===\n`);
-
-            if (!bundleConfig || (!bundleConfig.includePiece && !bundleConfig.includePage && !bundleConfig.includeWidget)) {
-                sendError('Bundle must include at least one module type');
-                return;
-            }
-
-            const hasPiece = bundleConfig.includePiece;
-            const hasPage = bundleConfig.includePage;
-            const hasWidget = bundleConfig.includeWidget;
-            const parkPage = bundleConfig.parkPage || false;
-            const parkUrl = bundleConfig.parkUrl || null;
-            const moduleCount = [hasPiece, hasPage, hasWidget].filter(Boolean).length;
-
-            // If only piece is checked, generate as regular piece (not a bundle)
-            if (hasPiece && moduleCount === 1) {
-                sendProgress('init', `Generating single piece module: ${name}`, 0);
-                sendProgress('validating', 'Validating project and module name', 10);
-                sendProgress('prompt', 'Building generation prompt', 20);
-                sendProgress('claude', 'Calling Claude AI', 30);
-
-                const result = await callMcpTool('generate_apostrophe_module', {
-                    projectId,
-                    moduleType: 'piece',
-                    moduleName: name,
-                    label,
-                    description,
-                    includeBemStyles: false,
-                    fullDesign: false
-                });
-
-                if (result.error) {
-                    sendError(`Failed to generate piece: ${result.error}`);
-                    return;
-                }
-
-                sendProgress('complete', `Generated piece module with ${result.files.length} files!`, 100);
-                sendComplete(result);
-                return;
-            }
-
-            // If piece + (widget/page) → Generate true bundle
-            // If widget/page only → Generate separate modules
-            const isRealBundle = hasPiece && moduleCount > 1;
-
-            sendProgress('init', `Preparing to generate ${isRealBundle ? 'bundle' : 'modules'}: ${name}`, 0);
-
-            const allFiles = [];
-            const modules = [];
-            let currentProgress = 10;
-
-            // Generate piece if requested
-            if (bundleConfig.includePiece) {
-                sendProgress('claude', `Generating piece module`, currentProgress);
-                const pieceResult = await callMcpTool('generate_apostrophe_module', {
-                    projectId,
-                    moduleType: 'piece',
-                    moduleName: name,  // Always use bundle name for piece
-                    label,
-                    description,
-                    includeBemStyles: false,
-                    fullDesign: false,
-                    bundleContext: {
-                        isPartOfBundle: true,
-                        basePieceName: name
-                    }
-                });
-                if (pieceResult.error) {
-                    sendError(`Failed to generate piece: ${pieceResult.error}`);
-                    return;
-                }
-                allFiles.push(...pieceResult.files);
-                modules.push({ type: 'piece', name: name });
-                currentProgress += 25;
-            }
-
-            // Generate page if requested
-            if (bundleConfig.includePage) {
-                const pageMessage = fullDesign
-                    ? `Generating page module (Full Design - may take 2-3 minutes)`
-                    : `Generating page module (may take 1-2 minutes)`;
-                sendProgress('claude', pageMessage, currentProgress);
-
-                // CRITICAL: Bundle pages are ALWAYS parked pages
-                // Generate default parkUrl if not provided (e.g., "product" -> "/products")
-                const bundleParkUrl = parkUrl || `/${name}s`;
-
-                console.log(`   📌 Bundle page will be parked at: ${bundleParkUrl}`);
-
-                const pageResult = await callMcpTool('generate_apostrophe_module', {
-                    projectId,
-                    moduleType: 'page',
-                    moduleName: `${name}-page`,  // Always {name}-page
-                    label: `${label} Page`,
-                    description,
-                    includeBemStyles,
-                    fullDesign,
-                    parkPage: true,           // ALWAYS true for bundle pages
-                    parkUrl: bundleParkUrl,   // Use provided or generate default
-                    bundleContext: {
-                        isPartOfBundle: true,
-                        basePieceName: name
-                    }
-                });
-                if (pageResult.error) {
-                    sendError(`Failed to generate page: ${pageResult.error}`);
-                    return;
-                }
-                allFiles.push(...pageResult.files);
-                modules.push({ type: 'page', name: `${name}-page` });
-                currentProgress += 25;
-            }
-
-            // Generate widget if requested
-            if (bundleConfig.includeWidget) {
-                sendProgress('claude', `Generating widget module`, currentProgress);
-                const widgetResult = await callMcpTool('generate_apostrophe_module', {
-                    projectId,
-                    moduleType: 'widget',
-                    moduleName: `${name}-widget`,  // Always {name}-widget
-                    label: `${label} Widget`,
-                    description,
-                    includeBemStyles,
-                    fullDesign,
-                    bundleContext: {
-                        isPartOfBundle: true,
-                        basePieceName: name
-                    }
-                });
-                if (widgetResult.error) {
-                    sendError(`Failed to generate widget: ${widgetResult.error}`);
-                    return;
-                }
-                allFiles.push(...widgetResult.files);
-                modules.push({ type: 'widget', name: `${name}-widget` });
-                currentProgress += 25;
-            }
-
-            // If it's a real bundle (piece + widget/page), create bundle wrapper files
-            if (isRealBundle) {
-                // Create parent module index.js (minimal - just a container)
-                const parentIndexContent = `export default {
-  options: {
-    ignoreNoCodeWarning: true
-  }
-};
-`;
-
-                // Create internal modules.js
-                const internalModulesContent = `export default {
-${modules.map(m => `  '${m.name}': {}`).join(',\n')}
-};
-`;
-
-                // Adjust file paths to be inside bundle (but keep SCSS in modules/asset/)
-                const adjustedFiles = allFiles.map(file => {
-                    // Don't move SCSS files - they stay in modules/asset/
-                    if (file.path.includes('modules/asset/')) {
-                        return file;
-                    }
+/**
+ * Write one job event as SSE - the id lets EventSource resume with Last-Event-ID
+ * Returns true for the job's last event (complete or error)
+ */
+function writeJobEvent(res, event) {
+    res.write(`id: ${event.id}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    return event.data.type === 'complete' || event.data.type === 'error';
+}
 
-                    // Move module files into bundle
-                    return {
-                        ...file,
-                        path: file.path.replace(`modules/pieces/${name}/`, `modules/pieces/${name}-module/${name}/`)
-                                        .replace(`modules/pages/${name}-page/`, `modules/pieces/${name}-module/${name}-page/`)
-                                        .replace(`modules/widgets/${name}-widget/`, `modules/pieces/${name}-module/${name}-widget/`)
-                    };
-                });
+// Generate code with streaming progress updates (Server-Sent Events)
+// Runs as a job tied to this request - disconnecting cancels it
+app.post('/api/code-generator/generate/stream', (req, res) => {
+    const validationError = validateGenerationRequest(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
 
-                // Add parent module files
-                adjustedFiles.unshift(
-                    {
-                        path: `modules/pieces/${name}-module/index.js`,
-                        content: parentIndexContent
-                    },
-                    {
-                        path: `modules/pieces/${name}-module/modules.js`,
-                        content: internalModulesContent
-                    }
-                );
-
-                sendProgress('complete', `Generated bundle with ${modules.length} internal modules!`, 100);
-
-                const bundleResult = {
-                    success: true,
-                    files: adjustedFiles,
-                    moduleName: name,
-                    moduleType: 'bundle',
-                    isBundle: true,
-                    isRealBundle: true,
-                    bundleModules: modules,
-                    bundleConfig: bundleConfig,  // CRITICAL: Include bundleConfig for page registration
-                    message: `Generated bundle with ${modules.length} internal modules`
-                };
+    startEventStream(res);
 
-                sendComplete(bundleResult);
-            } else {
-                // Just separate modules
-                sendProgress('complete', `Generated ${modules.length} modules with ${allFiles.length} files!`, 100);
-
-                const bundleResult = {
-                    success: true,
-                    files: allFiles,
-                    moduleName: name,
-                    moduleType: 'bundle',
-                    isBundle: true,
-                    isRealBundle: false,
-                    bundleModules: modules,
-                    bundleConfig: bundleConfig,  // CRITICAL: Include bundleConfig for page registration
-                    message: `Generated ${modules.length} separate modules`
-                };
+    const { type, name } = req.body;
+    const job = startGenerationJob(req.body);
 
-                sendComplete(bundleResult);
-            }
-            return;
+    const unsubscribe = subscribeToJob(job, 0, (event) => {
+        if (writeJobEvent(res, event)) {
+            res.end();
         }
-
-        // Single module generation (widget, page, piece)
-        sendProgress('init', `Preparing to generate ${type}: ${name}`, 0);
-
-        sendProgress('validating', 'Validating project and module name', 10);
-        await new Promise(resolve => setTimeout(resolve, 300));
-
-        sendProgress('prompt', 'Building generation prompt with BEM patterns', 20);
-        await new Promise(resolve => setTimeout(resolve, 400));
-
-        // Set appropriate progress message based on complexity
-        let claudeMessage = 'Calling Claude AI';
-        if (type === 'page' && fullDesign) {
-            claudeMessage = 'Generating page with Full Design (this may take 2-3 minutes)';
-        } else if (type === 'page') {
-            claudeMessage = 'Generating page module (this may take 1-2 minutes)';
-        } else if (fullDesign) {
-            claudeMessage = 'Calling Claude AI with Full Design (this may take 1-2 minutes)';
-        } else {
-            claudeMessage = 'Calling Claude AI (this may take 10-60 seconds)';
+    });
+
+    // Browser went away (tab closed, Cancel clicked) - cancel the job so Claude is stopped
+    res.on('close', () => {
+        unsubscribe();
+        if (!res.writableEnded) {
+            console.log(`🛑 Client disconnected - cancelling ${type} generation: ${name}`);
+            cancelJob(job.id);
         }
+    });
+});
 
-        sendProgress('claude', claudeMessage, 30);
+// Start a generation job - returns right away, follow it with /jobs/:id/events
+app.post('/api/code-generator/jobs', (req, res) => {
+    const validationError = validateGenerationRequest(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
 
-        // Extract park page settings from bundleConfig if provided (for V2 wizard compatibility)
-        const parkPage = bundleConfig?.parkPage || false;
-        const parkUrl = bundleConfig?.parkUrl || null;
+    const job = startGenerationJob(req.body);
+    console.log(`📥 Job ${job.id} queued: ${req.body.type} ${req.body.name}`);
 
-        // DEBUG: Log park page settings for single page generation
-        if (type === 'page') {
-            console.log(`\n=== PAGE GENERATION DEBUG ===`);
-            console.log(`Name: ${name}`);
-            console.log(`Park Page: ${parkPage}`);
-            console.log(`Park URL: ${parkUrl}`);
-            console.log(`=== END DEBUG ===\n`);
-        }
+    res.status(202).json(serializeJob(job));
+});
 
-        // Call MCP server to generate module
-        const result = await callMcpTool('generate_apostrophe_module', {
-            projectId,
-            moduleType: type,
-            moduleName: name,
-            label,
-            description,
-            includeBemStyles,
-            fullDesign,
-            parkPage: type === 'page' ? parkPage : undefined,  // Only pass for pages
-            parkUrl: type === 'page' ? parkUrl : undefined
-        });
+// List jobs (newest first) - lets a reloaded page find a job to reattach to
+app.get('/api/code-generator/jobs', (req, res) => {
+    res.json(listJobs().map(job => serializeJob(job, { includeResult: false })));
+});
 
-        if (result.error) {
-            sendError(`Failed to generate ${type}: ${result.error}`);
-            return;
-        }
+// Job status and result
+app.get('/api/code-generator/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
 
-        sendProgress('parsing', 'Parsing generated code', 70);
-        await new Promise(resolve => setTimeout(resolve, 300));
+    res.json(serializeJob(job));
+});
 
-        sendProgress('analyzing', 'Analyzing HTML structure', 80);
-        await new Promise(resolve => setTimeout(resolve, 300));
+// Job events (SSE) - replays everything after Last-Event-ID, then follows the job until it ends
+app.get('/api/code-generator/jobs/:id/events', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
 
-        sendProgress('scss', 'Generating SCSS to match HTML classes', 90);
-        await new Promise(resolve => setTimeout(resolve, 200));
+    const lastEventId = parseInt(req.get('Last-Event-ID') ?? req.query.lastEventId, 10) || 0;
 
-        // Debug: Log result structure
-        console.log('\n📦 Result from MCP tool:');
-        console.log('   - success:', result.success);
-        console.log('   - files:', result.files?.length, 'files');
-        console.log('   - moduleName:', result.moduleName);
-        console.log('   - moduleType:', result.moduleType);
-        console.log('   - message:', result.message);
+    startEventStream(res);
+    res.write('retry: 3000\n\n');
 
-        if (result.files) {
-            result.files.forEach((file, i) => {
-                console.log(`   📄 File ${i+1}: ${file.path}`);
-            });
+    const unsubscribe = subscribeToJob(job, lastEventId, (event) => {
+        if (writeJobEvent(res, event)) {
+            res.end();
         }
+    });
 
-        sendProgress('complete', `Generated ${result.files?.length || 0} file(s) successfully!`, 100);
+    // Nothing left to replay from a finished job
+    if (isJobFinished(job) && !res.writableEnded) {
+        res.end();
+    }
 
-        // Send final result
-        sendComplete(result);
+    // Leaving only detaches - the job keeps running so the page can reattach
+    res.on('close', unsubscribe);
+});
 
-    } catch (error) {
-        console.error('Error generating code:', error);
-        sendError(error.message);
+// Cancel a queued or running job
+app.delete('/api/code-generator/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (!cancelJob(job.id)) {
+        return res.status(409).json({ error: `Job already ${job.status}` });
     }
+
+    console.log(`🛑 Job ${job.id} cancelled`);
+    res.json({ success: true });
 });
 
 // Generate from natural language (Chat Mode)
@@ -614,7 +439,7 @@ app.post('/api/code-generator/generate/chat', async (req, res) => {
 // Save generated files via MCP
 app.post('/api/code-generator/save', async (req, res) => {
     try {
-        const { projectId, files, moduleName, moduleType, moduleLabel, includeBemStyles, fullDesign, projectName, parkPage, parkUrl, description } = req.body;
+        const { projectId, files, moduleName, moduleType, moduleLabel, includeBemStyles, fullDesign, projectName, parkPage, parkUrl, description, allowStyleErrors, accessibility, dryRun, conflictStrategy } = req.body;
 
         if (!projectId || !files || !moduleName || !moduleType) {
             return res.status(400).json({ error: 'Missing required fields' });
@@ -633,6 +458,9 @@ app.post('/api/code-generator/save', async (req, res) => {
             console.log(`   🔍 Page registration params: parkPage=${parkPage}, parkUrl=${parkUrl}`);
         }
 
+        // The previous generation is the merge base, and tells the UI whether merge is possible
+        const previousFiles = findPreviousGeneration(projectId, moduleName);
+
         // Call MCP server to save module
         const result = await callMcpTool('save_generated_module', {
             projectId,
@@ -642,9 +470,38 @@ app.post('/api/code-generator/save', async (req, res) => {
             moduleLabel,
             includeBemStyles,
             parkPage,
-            parkUrl
+            parkUrl,
+            allowStyleErrors,
+            dryRun: dryRun === true,
+            conflictStrategy: conflictStrategy || 'abort',
+            baseFiles: conflictStrategy === 'merge' ? (previousFiles || []) : []
         });
 
+        // Nothing was written - e.g. the project's stylesheet would no longer build, or a path was refused
+        if (result.error) {
+            console.log(`   ❌ ${result.error}`);
+            // The save failed while writing - every file it had touched was restored
+            if (result.steps) {
+                console.log(`   ↩️  ${result.rolledBack ? 'Rolled back' : 'Rollback incomplete'}: ${result.steps.map(step => `${step.path} ${step.status}`).join(', ')}`);
+            }
+            // The module already exists - the UI asks how to resolve it
+            if (result.conflict) {
+                return res.status(409).json({ ...result, conflict: { ...result.conflict, mergeBaseAvailable: previousFiles !== null } });
+            }
+            // The park URL or parkedId belongs to another page, the merge has conflicts or errors,
+            // or modules.js can't take the registration
+            if (result.pageCollision || result.mergeRefused || result.registrationFailed) {
+                return res.status(409).json(result);
+            }
+            return res.status(result.diagnostics ? 422 : (result.pathRejected ? 400 : 500)).json(result);
+        }
+
+        // Dry run - the diffs go back for confirmation, nothing is written or kept in history
+        if (result.dryRun) {
+            console.log(`   🔍 ${result.message}`);
+            return res.json(result);
+        }
+
         console.log(`   📦 Save result:`);
         console.log(`      - Saved count: ${result.savedCount}`);
         console.log(`      - Updated modules.js: ${result.updatedModulesJs}`);
@@ -653,14 +510,17 @@ app.post('/api/code-generator/save', async (req, res) => {
 
         console.log(`   ✅ ${result.message}`);
 
-        // Also save to history folder
+        // Also save to history folder - the generated files (not merged ones), so they are the next merge base
         const historyResult = saveToHistory(
-            moduleName,
+            result.renamedTo || moduleName,
             moduleType,
             projectName || 'Unknown Project',
-            files,
+            result.savedFiles || files,
             fullDesign,
-            description  // Pass the description/prompt
+            description,  // Pass the description/prompt
+            projectId,
+            result.createdFiles,
+            Array.isArray(accessibility) ? accessibility : []
         );
 
         // Build registration info for pages
@@ -676,7 +536,9 @@ app.post('/api/code-generator/save', async (req, res) => {
   parkedId: '${result.pageRegistrationDetails.parkedId}'
 }`;
                 registrationInfo = {
-                    message: `Page registered as parked page at ${result.pageRegistrationDetails.slug}`,
+                    message: result.pageRegistrationAction === 'updated'
+                        ? `Parked page updated - now at ${result.pageRegistrationDetails.slug}`
+                        : `Page registered as parked page at ${result.pageRegistrationDetails.slug}`,
                     modulesJsPath: pageIndexPath,
                     registration,
                     registrationType: 'park',
@@ -688,7 +550,7 @@ app.post('/api/code-generator/save', async (req, res) => {
   label: '${result.pageRegistrationDetails.label}'
 }`;
                 registrationInfo = {
-                    message: `Page registered in types array`,
+                    message: result.pageRegistrationAction === 'updated' ? 'Page type label updated in types array' : 'Page registered in types array',
                     modulesJsPath: pageIndexPath,
                     registration,
                     registrationType: 'types',
@@ -728,7 +590,7 @@ app.get('/api/code-generator/history/:id', (req, res) => {
         res.json(item);
     } catch (error) {
         console.error('Error loading history item:', error);
-        res.status(500).json({ error: error.message });
+        res.status(error.pathRejected ? 400 : 500).json({ error: error.message });
     }
 });
 
@@ -738,7 +600,7 @@ app.delete('/api/code-generator/history/:id', (req, res) => {
 
     try {
         const { id } = req.params;
-        const historyFolder = join(historyRoot, id);
+        const historyFolder = resolveHistoryFolder(historyRoot, id);
 
         if (!existsSync(historyFolder)) {
             console.log(`   ❌  History item not found: ${id}`);
@@ -768,7 +630,7 @@ app.delete('/api/code-generator/history/:id', (req, res) => {
     } catch (error) {
         console.error('   ❌  Error deleting history item:', error);
         res.setHeader('Content-Type', 'application/json');
-        res.status(500).json({ error: error.message });
+        res.status(error.pathRejected ? 400 : 500).json({ error: error.message });
     }
 });
 
@@ -844,39 +706,25 @@ app.post('/api/code-generator/delete-from-project', async (req, res) => {
         const deletedDirs = [];
         const revertedRegistrations = [];
 
+        // Steps 1-3 stage the registration edits; they are applied together below,
+        // so a failed delete never leaves some of them reverted and others not
+        const registrationWrites = [];
+        const stageRevert = (write, description) => registrationWrites.push({ write, description });
+
         // Step 1: Remove module registration from modules.js
         if (moduleName && moduleType) {
             try {
-                let subdirectory;
-                let moduleKey;
-
-                if (moduleType === 'bundle') {
-                    subdirectory = 'pieces';
-                    moduleKey = `'${moduleName}-module'`;
-                } else {
-                    subdirectory = moduleType === 'widget' ? 'widgets' : (moduleType === 'piece' ? 'pieces' : 'pages');
-                    const registrationName = moduleType === 'widget' ? `${moduleName}-widget` : moduleName;
-                    moduleKey = `'${registrationName}'`;
-                }
-
-                const modulesJsPath = join(project.path, 'modules', subdirectory, 'modules.js');
+                const { subdirectory, name } = registrationFor(moduleType, moduleName);
+                const modulesJsFile = `modules/${subdirectory}/modules.js`;
+                const modulesJsPath = resolveModulesPath(project.path, modulesJsFile);
 
                 if (existsSync(modulesJsPath)) {
-                    let content = readFileSync(modulesJsPath, 'utf8');
-                    const originalContent = content;
-
-                    // Remove the module entry
-                    // Pattern: 'module-name': {},
-                    const moduleEntryPattern = new RegExp(`\\s*${moduleKey.replace(/'/g, "\\'")}\\s*:\\s*\\{[^}]*\\},?\\s*`, 'g');
-                    content = content.replace(moduleEntryPattern, '');
-
-                    // Clean up trailing commas before closing brace
-                    content = content.replace(/,(\s*)\}/g, '$1}');
+                    const before = readFileSync(modulesJsPath, 'utf8');
+                    const unregistered = unregisterModule(before, name);
 
-                    if (content !== originalContent) {
-                        writeFileSync(modulesJsPath, content, 'utf8');
-                        revertedRegistrations.push(`Removed from ${subdirectory}/modules.js`);
-                        console.log(`   ✅  Removed module registration from ${subdirectory}/modules.js`);
+                    if (unregistered.changed) {
+                        stageRevert([{ fullPath: modulesJsPath, path: modulesJsFile, step: 'unregister module', before, after: unregistered.content }],
+                            `Removed from ${subdirectory}/modules.js`);
                     }
                 }
             } catch (error) {
@@ -886,11 +734,12 @@ app.post('/api/code-generator/delete-from-project', async (req, res) => {
 
         // Step 2: Remove SCSS imports from index.scss
         try {
-            const mainScssPath = join(project.path, 'modules', 'asset', 'ui', 'src', 'index.scss');
+            const mainScssFile = 'modules/asset/ui/src/index.scss';
+            const mainScssPath = resolveModulesPath(project.path, mainScssFile);
 
             if (existsSync(mainScssPath)) {
-                let scssContent = readFileSync(mainScssPath, 'utf8');
-                const originalScssContent = scssContent;
+                const originalScssContent = readFileSync(mainScssPath, 'utf8');
+                let scssContent = originalScssContent;
 
                 // Extract SCSS file names from the files array
                 const scssFiles = files.filter(f => f.path.includes('modules/asset/ui/src/scss/') && f.path.endsWith('.scss'));
@@ -907,50 +756,58 @@ app.post('/api/code-generator/delete-from-project', async (req, res) => {
                 });
 
                 if (scssContent !== originalScssContent) {
-                    writeFileSync(mainScssPath, scssContent, 'utf8');
-                    revertedRegistrations.push('Removed SCSS imports from index.scss');
-                    console.log(`   ✅  Removed SCSS imports from index.scss`);
+                    stageRevert([{ fullPath: mainScssPath, path: mainScssFile, step: 'remove SCSS imports', before: originalScssContent, after: scssContent }],
+                        'Removed SCSS imports from index.scss');
                 }
             }
         } catch (error) {
             console.error(`   ⚠️  Failed to remove SCSS imports:`, error.message);
         }
 
-        // Step 3: Remove page registration from page/index.js (for pages only)
-        if (moduleType === 'page' && moduleName) {
+        // Step 3: Remove page registration from page/index.js (pages, and bundles with a page)
+        const pageModuleName = findPageModule(moduleType, moduleName, files);
+        if (pageModuleName) {
             try {
-                const pageIndexPath = join(project.path, 'modules', '@apostrophecms', 'page', 'index.js');
-
-                if (existsSync(pageIndexPath)) {
-                    let content = readFileSync(pageIndexPath, 'utf8');
-                    const originalContent = content;
-
-                    // Remove from types array
-                    // Pattern: { name: 'module-name', label: 'Module Label' },
-                    const typeEntryPattern = new RegExp(`\\s*\\{\\s*name:\\s*'${moduleName}'[^}]*\\},?\\s*`, 'g');
-                    content = content.replace(typeEntryPattern, '');
-
-                    // Remove from park array
-                    // Pattern: { title: '...', slug: '...', type: 'module-name', parkedId: '...' },
-                    const parkEntryPattern = new RegExp(`\\s*\\{[^}]*type:\\s*'${moduleName}'[^}]*\\},?\\s*`, 'g');
-                    content = content.replace(parkEntryPattern, '');
-
-                    // Clean up trailing commas before closing brackets
-                    content = content.replace(/,(\s*)\]/g, '$1]');
-
-                    if (content !== originalContent) {
-                        writeFileSync(pageIndexPath, content, 'utf8');
-                        revertedRegistrations.push('Removed page registration from page/index.js');
-                        console.log(`   ✅  Removed page registration from page/index.js`);
-                    }
+                const read = projectReader(project.path, path => (existsSync(path) ? readFileSync(path, 'utf8') : null));
+                const unregistered = unregisterPage(join(project.path, PAGE_INDEX_PATH), read, pageModuleName);
+
+                // Entries may live in files page/index.js imports its lists from
+                if (unregistered.removed > 0) {
+                    stageRevert(unregistered.files.map((file) => {
+                        const path = relative(project.path, file.path).split(sep).join('/');
+                        const fullPath = resolveModulesPath(project.path, path);
+                        return { fullPath, path, step: 'unregister page', before: read(fullPath), after: file.content };
+                    }), `Removed ${unregistered.removed} page registration(s) from page/index.js`);
                 }
             } catch (error) {
                 console.error(`   ⚠️  Failed to remove page registration:`, error.message);
             }
         }
 
-        // Step 4: Delete files
+        // Revert every registration at once - if one write fails, all are restored and nothing is deleted
+        if (registrationWrites.length > 0) {
+            try {
+                applyStagedWrites(registrationWrites.flatMap(({ write }) => write));
+            } catch (error) {
+                console.error(`   ❌  Failed to revert registrations:`, error.message);
+                console.log(`   ↩️  ${error.rolledBack ? 'Rolled back' : 'Rollback incomplete'}: ${(error.steps || []).map(step => `${step.path} ${step.status}`).join(', ')}`);
+                return res.status(500).json({
+                    error: `Could not revert the registrations, so no files were deleted: ${error.message}`,
+                    steps: error.steps,
+                    rolledBack: error.rolledBack
+                });
+            }
+
+            registrationWrites.forEach(({ description }) => {
+                revertedRegistrations.push(description);
+                console.log(`   ✅  ${description}`);
+            });
+        }
+
+        // Step 4: Delete files - only ones a save recorded as created, inside modules/
         const skippedCommonFunctions = [];
+        const skippedUnrecorded = [];
+        const recordedFiles = getRecordedFiles(projectId);
 
         for (const file of files) {
             // CRITICAL: Never delete the global asset module - it may contain functions used by other modules
@@ -960,9 +817,14 @@ app.post('/api/code-generator/delete-from-project', async (req, res) => {
                 continue;
             }
 
-            const filePath = join(project.path, file.path);
+            if (!recordedFiles.has(file.path)) {
+                skippedUnrecorded.push(file.path);
+                console.log(`   ⚠️  Skipped: ${file.path} (not created by the generator)`);
+                continue;
+            }
 
             try {
+                const filePath = resolveModulesPath(project.path, file.path);
                 if (existsSync(filePath)) {
                     unlinkSync(filePath);
                     deletedFiles.push(file.path);
@@ -987,7 +849,7 @@ app.post('/api/code-generator/delete-from-project', async (req, res) => {
                 entries.forEach(entry => {
                     const fullPath = join(dirPath, entry);
                     if (existsSync(fullPath)) {
-                        const stats = require('fs').lstatSync(fullPath);
+                        const stats = lstatSync(fullPath);
                         if (stats.isDirectory()) {
                             cleanupEmptyDirs(fullPath);
                         }
@@ -1007,11 +869,11 @@ app.post('/api/code-generator/delete-from-project', async (req, res) => {
             }
         };
 
-        // Get unique directories from deleted files
+        // Get unique directories from deleted files (below modules/, never modules/ itself)
         const directories = new Set();
         deletedFiles.forEach(file => {
             const parts = file.split('/');
-            for (let i = parts.length - 1; i > 0; i--) {
+            for (let i = parts.length - 1; i > 1; i--) {
                 const dir = join(project.path, parts.slice(0, i).join('/'));
                 directories.add(dir);
             }
@@ -1032,25 +894,32 @@ app.post('/api/code-generator/delete-from-project', async (req, res) => {
         if (skippedCommonFunctions.length > 0) {
             console.log(`   ⚠️  Skipped ${skippedCommonFunctions.length} shared function file(s) (must be manually cleaned if needed)`);
         }
+        if (skippedUnrecorded.length > 0) {
+            console.log(`   ⚠️  Skipped ${skippedUnrecorded.length} file(s) the generator did not create`);
+        }
 
         // Build success message
         let message = `Deleted ${deletedFiles.length} file(s), removed ${deletedDirs.length} empty director(ies), and reverted ${revertedRegistrations.length} registration(s) from ${project.name}`;
         if (skippedCommonFunctions.length > 0) {
             message += `. Note: ${skippedCommonFunctions.length} shared function file(s) preserved (${skippedCommonFunctions.join(', ')})`;
         }
+        if (skippedUnrecorded.length > 0) {
+            message += `. ${skippedUnrecorded.length} file(s) were kept because the generator did not create them`;
+        }
 
         res.json({
             success: true,
             deletedFiles: deletedFiles.length,
             deletedDirectories: deletedDirs.length,
             revertedRegistrations: revertedRegistrations.length,
-            skippedFiles: skippedCommonFunctions.length,
+            skippedFiles: skippedCommonFunctions.length + skippedUnrecorded.length,
             failedFiles: failedFiles.length,
             details: {
                 deleted: deletedFiles,
                 directories: deletedDirs,
                 reverted: revertedRegistrations,
                 skipped: skippedCommonFunctions,
+                notCreatedByGenerator: skippedUnrecorded,
                 failed: failedFiles
             },
             message: message
@@ -1063,9 +932,20 @@ app.post('/api/code-generator/delete-from-project', async (req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log(`\n🎨 Apostrophe Code Generator`);
     console.log(`   Server running on http://localhost:${PORT}`);
     console.log(`   Using MCP backend (mcp-server/index.js)`);
     console.log(`   All code generation handled via MCP tools\n`);
 });
+
+// Shut down MCP server processes together with the web server
+const shutdown = async (signal) => {
+    console.log(`\n🛑 ${signal} received, shutting down...`);
+    server.close();
+    await closeMcpClients();
+    process.exit(0);
+};
+
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
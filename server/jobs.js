@@ -0,0 +1,215 @@
+/**
+ * Generation Jobs
+ * Runs generations in the background so they outlive the HTTP request that
+ * started them. Every event is kept with an increasing id, so a client that
+ * reconnects (SSE Last-Event-ID) or reloads the page can replay what it missed
+ * and reattach to a running job.
+ */
+
+import { randomUUID } from 'crypto';
+
+// How many generation jobs run at once - the rest wait in line. A bundle job runs its
+// parts side by side; Claude processes are capped separately by LLM_CONCURRENCY in the MCP server
+const CONCURRENCY = Math.max(1, parseInt(process.env.GENERATION_CONCURRENCY, 10) || 2);
+
+// Finished jobs are kept this long so a refreshed page can still collect the result
+const JOB_TTL_MS = parseInt(process.env.GENERATION_JOB_TTL_MS, 10) || 60 * 60 * 1000;
+
+const jobs = new Map();
+const queue = [];
+let running = 0;
+
+/**
+ * Append an event to a job and hand it to every attached client
+ */
+function pushEvent(job, data) {
+    const event = { id: job.events.length + 1, data };
+    job.events.push(event);
+    job.updatedAt = new Date().toISOString();
+
+    if (data.type === 'progress') {
+        job.progress = { stage: data.stage, message: data.message, percentage: data.percentage };
+    }
+
+    for (const listener of job.listeners) {
+        listener(event);
+    }
+}
+
+/**
+ * Let queued jobs know where they stand (only when their position changes)
+ */
+function announceQueuePositions() {
+    queue.forEach((job, index) => {
+        if (job.queuePosition === index) return;
+        job.queuePosition = index;
+        pushEvent(job, {
+            type: 'progress',
+            stage: 'queued',
+            message: index === 0
+                ? 'Waiting for a free generation slot'
+                : `Waiting for a free generation slot (${index} job(s) ahead)`,
+            percentage: 0
+        });
+    });
+}
+
+/**
+ * Start queued jobs while there are free slots
+ */
+function startQueuedJobs() {
+    while (running < CONCURRENCY && queue.length > 0) {
+        runJob(queue.shift());
+    }
+    announceQueuePositions();
+}
+
+async function runJob(job) {
+    running++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    console.log(`▶️  Job ${job.id} started (${running}/${CONCURRENCY} running, ${queue.length} queued)`);
+
+    try {
+        const result = await job.run({
+            emit: (data) => pushEvent(job, data),
+            signal: job.controller.signal
+        });
+
+        job.status = 'completed';
+        job.result = result;
+        pushEvent(job, { type: 'complete', result });
+    } catch (error) {
+        if (job.controller.signal.aborted) {
+            job.status = 'cancelled';
+            pushEvent(job, { type: 'error', message: 'Generation cancelled', cancelled: true });
+        } else {
+            console.error(`Job ${job.id} failed:`, error);
+            job.status = 'failed';
+            job.error = error.message;
+            pushEvent(job, { type: 'error', message: error.message });
+        }
+    } finally {
+        running--;
+        finishJob(job);
+        startQueuedJobs();
+    }
+}
+
+/**
+ * Mark a job finished and schedule its removal
+ */
+function finishJob(job) {
+    job.finishedAt = new Date().toISOString();
+    job.listeners.clear();
+    console.log(`⏹️  Job ${job.id} ${job.status}`);
+
+    setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+}
+
+/**
+ * Whether a job has stopped (no more events will follow)
+ */
+export function isJobFinished(job) {
+    return ['completed', 'failed', 'cancelled'].includes(job.status);
+}
+
+/**
+ * Queue a job - run({ emit, signal }) does the work and resolves with the result
+ */
+export function createJob(params, run) {
+    const job = {
+        id: randomUUID(),
+        status: 'queued',
+        params,
+        run,
+        events: [],
+        listeners: new Set(),
+        controller: new AbortController(),
+        progress: null,
+        result: null,
+        error: null,
+        queuePosition: null,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null
+    };
+
+    jobs.set(job.id, job);
+    queue.push(job);
+    startQueuedJobs();
+
+    return job;
+}
+
+export function getJob(jobId) {
+    return jobs.get(jobId) || null;
+}
+
+/**
+ * List jobs, newest first
+ */
+export function listJobs() {
+    return [...jobs.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Cancel a queued or running job - returns false if it had already finished
+ */
+export function cancelJob(jobId) {
+    const job = jobs.get(jobId);
+    if (!job || isJobFinished(job)) {
+        return false;
+    }
+
+    if (job.status === 'queued') {
+        queue.splice(queue.indexOf(job), 1);
+        job.status = 'cancelled';
+        pushEvent(job, { type: 'error', message: 'Generation cancelled', cancelled: true });
+        finishJob(job);
+        announceQueuePositions();
+        return true;
+    }
+
+    // Running - runJob() records the cancellation once the generation stops
+    job.controller.abort();
+    return true;
+}
+
+/**
+ * Attach to a job's events: replays everything after lastEventId, then follows live
+ * Returns a function that detaches the listener
+ */
+export function subscribeToJob(job, lastEventId, listener) {
+    job.events
+        .filter(event => event.id > lastEventId)
+        .forEach(listener);
+
+    if (isJobFinished(job)) {
+        return () => {};
+    }
+
+    job.listeners.add(listener);
+    return () => job.listeners.delete(listener);
+}
+
+/**
+ * Public view of a job (what GET /jobs/:id returns)
+ */
+export function serializeJob(job, { includeResult = true } = {}) {
+    return {
+        id: job.id,
+        status: job.status,
+        params: job.params,
+        progress: job.progress,
+        queuePosition: job.status === 'queued' ? job.queuePosition : null,
+        lastEventId: job.events.length,
+        result: includeResult ? job.result : undefined,
+        error: job.error,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt
+    };
+}
@@ -1,181 +1,261 @@
 /**
  * MCP Client Bridge
  * Allows Express server to call MCP server tools
+ *
+ * Keeps a small pool of long-lived MCP server processes instead of
+ * spawning a new one per call. Each process is one MCP session; the SDK
+ * client multiplexes JSON-RPC ids so several calls can share a process.
+ *
+ * With MCP_SERVER_URL set (e.g. http://127.0.0.1:3032/mcp) the pool holds
+ * sessions on an already running HTTP MCP server instead of child processes.
  */
 
-import { spawn } from 'child_process';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { ProgressNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
+const mcpServerPath = join(__dirname, '..', 'mcp-server', 'index.js');
 
-let requestId = 1;
+// Shared generator server started with `node mcp-server/index.js --http`
+const MCP_SERVER_URL = process.env.MCP_SERVER_URL || null;
+// Sent as a bearer token when the shared server requires one
+const MCP_AUTH_TOKEN = process.env.MCP_AUTH_TOKEN || null;
+
+// Number of MCP server processes (or HTTP sessions) kept alive (calls are spread across them)
+const POOL_SIZE = Math.max(1, parseInt(process.env.MCP_POOL_SIZE, 10) || 2);
+
+// Full Design pages can take 3 minutes, plus a JSON retry - don't use the SDK's 60s default
+const TOOL_TIMEOUT_MS = parseInt(process.env.MCP_TOOL_TIMEOUT_MS, 10) || 600000;
+
+const pool = [];
+let shuttingDown = false;
+
+// Progress listeners by progressToken (shared by every connection)
+const progressListeners = new Map();
+let nextProgressToken = 1;
 
 /**
- * Call an MCP tool
+ * Create the transport for one session - HTTP when a shared server is configured
  */
-export async function callMcpTool(toolName, args = {}) {
-  const mcpServerPath = join(__dirname, '..', 'mcp-server', 'index.js');
+function createTransport() {
+  if (MCP_SERVER_URL) {
+    return new StreamableHTTPClientTransport(new URL(MCP_SERVER_URL), MCP_AUTH_TOKEN
+      ? { requestInit: { headers: { Authorization: `Bearer ${MCP_AUTH_TOKEN}` } } }
+      : undefined);
+  }
 
-  return new Promise((resolve, reject) => {
-    const child = spawn('node', [mcpServerPath], {
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
+  return new StdioClientTransport({
+    command: process.execPath,
+    args: [mcpServerPath],
+    env: process.env,
+    stderr: 'pipe'
+  });
+}
 
-    let stdout = '';
-    let stderr = '';
-    let responded = false;
+/**
+ * Spawn one MCP server process (or open an HTTP session) and connect to it
+ */
+function createConnection() {
+  const transport = createTransport();
 
-    child.stdout.on('data', (data) => {
-      stdout += data.toString();
-    });
+  const client = new Client(
+    { name: 'apostrophe-code-generator-web', version: '1.0.0' },
+    { capabilities: {} }
+  );
 
-    child.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
+  const connection = {
+    client,
+    transport,
+    inFlight: 0,
+    closed: false,
+    stderrTail: ''
+  };
 
-    child.on('close', (code) => {
-      if (responded) return;
-
-      if (code !== 0) {
-        reject(new Error(`MCP server failed (exit code ${code}): ${stderr}`));
-      } else {
-        try {
-          // Parse all JSON-RPC responses (skip the "running" message)
-          const lines = stdout.split('\n').filter(line => line.trim());
-
-          for (const line of lines) {
-            try {
-              const response = JSON.parse(line);
-
-              // Skip if not a response to our request
-              if (!response.result && !response.error) continue;
-
-              if (response.error) {
-                responded = true;
-                reject(new Error(response.error.message || JSON.stringify(response.error)));
-                return;
-              }
-
-              if (response.result) {
-                responded = true;
-
-                // Extract content from MCP response format
-                if (response.result.content && response.result.content[0]) {
-                  const content = response.result.content[0].text;
-                  try {
-                    const data = JSON.parse(content);
-                    resolve(data);
-                  } catch (parseError) {
-                    console.error('=== JSON PARSE ERROR ===');
-                    console.error('Failed to parse MCP response content');
-                    console.error('Error:', parseError.message);
-                    console.error('Content preview (first 500 chars):');
-                    console.error(content.substring(0, 500));
-                    console.error('=== END ERROR ===');
-                    reject(new Error(`Failed to parse JSON: ${parseError.message}`));
-                  }
-                } else {
-                  resolve(response.result);
-                }
-                return;
-              }
-            } catch (e) {
-              // Skip non-JSON lines (like "MCP server running")
-              continue;
-            }
-          }
-
-          if (!responded) {
-            reject(new Error('No valid response from MCP server'));
-          }
-        } catch (error) {
-          reject(new Error(`Failed to parse MCP response: ${error.message}`));
-        }
-      }
-    });
+  // Route progress ourselves: the SDK drops notifications that arrive in the same
+  // chunk as the tool result (its handler is removed before they are dispatched)
+  client.setNotificationHandler(ProgressNotificationSchema, (notification) => {
+    progressListeners.get(notification.params.progressToken)?.(notification.params);
+  });
 
-    child.on('error', (error) => {
-      if (!responded) {
-        responded = true;
-        reject(new Error(`Failed to spawn MCP server: ${error.message}`));
-      }
-    });
+  // Keep the end of the server's log so a crash can be reported with context
+  transport.stderr?.on('data', (data) => {
+    connection.stderrTail = (connection.stderrTail + data.toString()).slice(-2000);
+  });
 
-    // Send the JSON-RPC request
-    const request = {
-      jsonrpc: '2.0',
-      id: requestId++,
-      method: 'tools/call',
-      params: {
-        name: toolName,
-        arguments: args
-      }
-    };
+  client.onclose = () => {
+    connection.closed = true;
+    const index = pool.indexOf(connection);
+    if (index !== -1) pool.splice(index, 1);
 
-    child.stdin.write(JSON.stringify(request) + '\n');
-    child.stdin.end();
+    if (!shuttingDown) {
+      console.error(MCP_SERVER_URL
+        ? '⚠️  MCP session closed - a new one will be opened on the next call'
+        : '⚠️  MCP server process exited - a new one will be started on the next call');
+    }
+  };
+
+  connection.ready = client.connect(transport).catch((error) => {
+    client.onclose();
+    throw new Error(MCP_SERVER_URL
+      ? `Failed to connect to MCP server at ${MCP_SERVER_URL}: ${error.message}`
+      : `Failed to spawn MCP server: ${error.message}`);
   });
+
+  pool.push(connection);
+  return connection;
 }
 
 /**
- * List available MCP tools
+ * Pick the least busy live connection, growing the pool while every process is busy
  */
-export async function listMcpTools() {
-  const mcpServerPath = join(__dirname, '..', 'mcp-server', 'index.js');
+function acquireConnection() {
+  if (shuttingDown) {
+    throw new Error('MCP client is shutting down');
+  }
 
-  return new Promise((resolve, reject) => {
-    const child = spawn('node', [mcpServerPath], {
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
+  const live = pool.filter(c => !c.closed);
+  const idlest = live.sort((a, b) => a.inFlight - b.inFlight)[0];
 
-    let stdout = '';
-    let stderr = '';
+  if (!idlest || (idlest.inFlight > 0 && pool.length < POOL_SIZE)) {
+    return createConnection();
+  }
 
-    child.stdout.on('data', (data) => {
-      stdout += data.toString();
-    });
+  return idlest;
+}
 
-    child.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
+/**
+ * Whether an HTTP call failed because the session is gone rather than the tool
+ */
+function isLostSession(error) {
+  return error.code === 404 || error.cause?.code === 'ECONNREFUSED' || error.cause?.code === 'ECONNRESET';
+}
+
+/**
+ * Run a request on a pooled connection
+ *
+ * A call whose HTTP session is gone (swept as idle, or the server restarted)
+ * is retried once on a new session.
+ */
+async function withConnection(fn, retryLostSession = true) {
+  const connection = acquireConnection();
+  connection.inFlight++;
 
-    child.on('close', (code) => {
-      if (code !== 0) {
-        reject(new Error(`MCP server failed (exit code ${code}): ${stderr}`));
-      } else {
-        try {
-          const lines = stdout.split('\n').filter(line => line.trim());
-
-          for (const line of lines) {
-            try {
-              const response = JSON.parse(line);
-
-              if (response.result && response.result.tools) {
-                resolve(response.result.tools);
-                return;
-              }
-            } catch (e) {
-              continue;
-            }
-          }
-
-          reject(new Error('No tools list in MCP response'));
-        } catch (error) {
-          reject(new Error(`Failed to parse MCP response: ${error.message}`));
-        }
+  try {
+    await connection.ready;
+    return await fn(connection.client);
+  } catch (error) {
+    // HTTP server restarted (session unknown) or went away - drop the session and retry on a new one
+    if (MCP_SERVER_URL && isLostSession(error)) {
+      if (!connection.closed) {
+        await connection.client.close().catch(() => {});
       }
-    });
+      if (retryLostSession && !shuttingDown) {
+        console.error(`⚠️  MCP session lost (${error.message}) - retrying on a new session`);
+        return withConnection(fn, false);
+      }
+    }
 
-    const request = {
-      jsonrpc: '2.0',
-      id: requestId++,
-      method: 'tools/list',
-      params: {}
-    };
+    if (connection.closed && !shuttingDown) {
+      const stderr = connection.stderrTail.trim();
+      throw new Error(`MCP server failed: ${error.message}${stderr ? `\n${stderr}` : ''}`);
+    }
+    throw error;
+  } finally {
+    connection.inFlight--;
+  }
+}
 
-    child.stdin.write(JSON.stringify(request) + '\n');
-    child.stdin.end();
+/**
+ * Extract JSON payload from MCP tool result
+ */
+function parseToolResult(result) {
+  if (!result.content || !result.content[0]) {
+    return result;
+  }
+
+  const content = result.content[0].text;
+  try {
+    return JSON.parse(content);
+  } catch (parseError) {
+    console.error('=== JSON PARSE ERROR ===');
+    console.error('Failed to parse MCP response content');
+    console.error('Error:', parseError.message);
+    console.error('Content preview (first 500 chars):');
+    console.error(content.substring(0, 500));
+    console.error('=== END ERROR ===');
+    throw new Error(`Failed to parse JSON: ${parseError.message}`);
+  }
+}
+
+/**
+ * Call an MCP tool
+ *
+ * options.onProgress(stage, message, percentage, member, memberPercentage) receives
+ * the tool's MCP progress notifications as they arrive, and options.onFile(file, member)
+ * each file streamed while Claude is still generating (member is set for bundle parts).
+ * Aborting options.signal sends an MCP cancellation so the server stops the generation.
+ */
+export async function callMcpTool(toolName, args = {}, options = {}) {
+  const { onProgress, onFile, signal } = options;
+
+  const handleProgress = (progress) => {
+    const meta = progress._meta || {};
+    if (meta.file) {
+      onFile?.(meta.file, meta.member || null);
+    } else {
+      onProgress?.(meta.stage || 'progress', progress.message, progress.progress, meta.member || null, meta.memberPercentage ?? null);
+    }
+  };
+
+  const progressToken = onProgress || onFile ? `progress-${nextProgressToken++}` : undefined;
+  if (progressToken) {
+    progressListeners.set(progressToken, handleProgress);
+  }
+
+  try {
+    return await withConnection(async (client) => {
+      const result = await client.callTool(
+        {
+          name: toolName,
+          arguments: args,
+          _meta: progressToken ? { progressToken } : undefined
+        },
+        undefined,
+        { timeout: TOOL_TIMEOUT_MS, signal }
+      );
+      return parseToolResult(result);
+    });
+  } finally {
+    progressListeners.delete(progressToken);
+  }
+}
+
+/**
+ * List available MCP tools
+ */
+export async function listMcpTools() {
+  return withConnection(async (client) => {
+    const result = await client.listTools();
+    return result.tools;
   });
 }
+
+/**
+ * Close every MCP session and stop the server processes
+ */
+export async function closeMcpClients() {
+  shuttingDown = true;
+  const connections = pool.splice(0, pool.length);
+  await Promise.allSettled(connections.map(async (c) => {
+    // Tell a shared HTTP server this session is finished (child processes just exit)
+    if (MCP_SERVER_URL) {
+      await c.transport.terminateSession().catch(() => {});
+    }
+    await c.client.close();
+  }));
+}